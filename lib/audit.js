@@ -0,0 +1,249 @@
+const { v4: uuidv4 } = require('uuid');
+const { all, transaction } = require('./db');
+const { canonicalJSON, sha256 } = require('./hash');
+const encryption = require('./encryption');
+
+// prev_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Columns covered by each entry's hash, in hashing order
+const HASHED_FIELDS = [
+  'seq', 'audit_id', 'created_at', 'action', 'entity_type', 'entity_id',
+  'study_id', 'survey_id', 'actor_type', 'actor_id', 'ip_address',
+  'user_agent', 'reason', 'old_values', 'new_values', 'prev_hash'
+];
+
+// Hashing of new entries. Version 1 hashed the stored old and new values
+// themselves; version 2 hashes their SHA-256 digests, so that redact() can
+// remove the values and leave the entry verifiable.
+const HASH_VERSION = 2;
+const VALUE_FIELDS = ['old_values', 'new_values'];
+
+// A redacted value is stored as this prefix and the digest of what was there
+const REDACTED_PREFIX = 'redacted:';
+
+function isRedacted(value) {
+  return typeof value === 'string' && value.startsWith(REDACTED_PREFIX);
+}
+
+function valueDigest(value) {
+  if (value === null) return null;
+  return isRedacted(value) ? value.slice(REDACTED_PREFIX.length) : sha256(value);
+}
+
+function computeHash(row) {
+  const digests = (row.hash_version || 1) >= 2;
+  const fields = HASHED_FIELDS.map(field => {
+    const value = row[field] === undefined ? null : row[field];
+    return digests && VALUE_FIELDS.includes(field) ? valueDigest(value) : value;
+  });
+  return sha256(canonicalJSON(fields));
+}
+
+/**
+ * Who is acting, from where and why, taken from an authenticated request.
+ * The reason comes from the `reason` body field or the X-Change-Reason header.
+ */
+function auditContext(req) {
+  const auth = req.auth || {};
+
+  return {
+    actorType: auth.type || 'anonymous',
+    actorId: auth.type === 'patient' ? `patient:${auth.patientId}` : auth.userId || null,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    reason: (req.body && typeof req.body.reason === 'string' && req.body.reason) ||
+      req.get('x-change-reason') || null
+  };
+}
+
+// Old and new values of a study's entries may hold answers, so they are
+// encrypted like the answers themselves. The hash covers the stored text.
+function valueContext(auditId, column) {
+  return `audit:${auditId}:${column}`;
+}
+
+async function storedValues(values, studyId, auditId, column, tx) {
+  if (values === undefined) return null;
+  const text = canonicalJSON(values);
+  return studyId ? encryption.encrypt(studyId, valueContext(auditId, column), text, tx) : text;
+}
+
+async function appendEntry(entry, tx) {
+  // Concurrent appends would otherwise both read the same chain head
+  await tx.lock('audit_log');
+  const last = await tx.get('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+  const auditId = uuidv4();
+  const studyId = entry.studyId || null;
+
+  const row = {
+    seq: last ? last.seq + 1 : 1,
+    audit_id: auditId,
+    created_at: new Date().toISOString(),
+    action: entry.action,
+    entity_type: entry.entityType,
+    entity_id: entry.entityId || null,
+    study_id: studyId,
+    survey_id: entry.surveyId || null,
+    actor_type: entry.context.actorType,
+    actor_id: entry.context.actorId,
+    ip_address: entry.context.ipAddress,
+    user_agent: entry.context.userAgent,
+    reason: entry.reason || entry.context.reason || null,
+    old_values: await storedValues(entry.oldValues, studyId, auditId, 'old_values', tx),
+    new_values: await storedValues(entry.newValues, studyId, auditId, 'new_values', tx),
+    prev_hash: last ? last.hash : GENESIS_HASH,
+    hash_version: HASH_VERSION
+  };
+  row.hash = computeHash(row);
+
+  const columns = [...HASHED_FIELDS, 'hash_version', 'hash'];
+  await tx.run(
+    `INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+
+  return row;
+}
+
+/**
+ * Append an entry to the audit log. Pass the open transaction when the
+ * audited change is part of one, so the entry commits or rolls back with it.
+ *
+ * @param {object} entry
+ * @param {string} entry.action - create, update, delete, export or read
+ * @param {string} entry.entityType - survey, survey_import, response, study, site, user_site,
+ *   patient, patient_identifier, consent_document, consent, query, safety_alert, sign_off,
+ *   webhook or webhook_delivery
+ * @param {object} entry.context - result of auditContext(req)
+ * @param {object} [tx] - transaction handle from db.transaction()
+ */
+function record(entry, tx) {
+  // Reading the previous hash and inserting must not interleave with
+  // another append, so a standalone entry gets its own transaction
+  return tx ? appendEntry(entry, tx) : transaction(t => appendEntry(entry, t));
+}
+
+/**
+ * Replace the old and new values of the entries chosen by `where` with
+ * their digests, e.g. those of surveys being erased. The entries keep their
+ * place in the chain; those written with hash version 1 can no longer be
+ * checked against their hash (see verifyChain).
+ *
+ * @returns {Promise<number>} how many entries were redacted
+ */
+async function redact(tx, where, params) {
+  const rows = await tx.all(`SELECT seq, old_values, new_values FROM audit_log WHERE ${where} ORDER BY seq`, params);
+  let redacted = 0;
+  for (const row of rows) {
+    const [oldValues, newValues] = VALUE_FIELDS.map(field =>
+      (row[field] === null || isRedacted(row[field]) ? row[field] : `${REDACTED_PREFIX}${sha256(row[field])}`));
+    if (oldValues === row.old_values && newValues === row.new_values) continue;
+
+    await tx.run('UPDATE audit_log SET old_values = ?, new_values = ? WHERE seq = ?', [oldValues, newValues, row.seq]);
+    redacted += 1;
+  }
+  return redacted;
+}
+
+async function toEntry(row) {
+  const values = async (column) => {
+    if (isRedacted(row[column])) return { redacted: true, sha256: valueDigest(row[column]) };
+    const text = await encryption.decrypt(row.study_id, valueContext(row.audit_id, column), row[column]);
+    return text ? JSON.parse(text) : null;
+  };
+
+  return {
+    seq: row.seq,
+    auditId: row.audit_id,
+    createdAt: row.created_at,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    studyId: row.study_id,
+    surveyId: row.survey_id,
+    actorType: row.actor_type,
+    actorId: row.actor_id,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    reason: row.reason,
+    oldValues: await values('old_values'),
+    newValues: await values('new_values'),
+    hash: row.hash
+  };
+}
+
+async function query({ studyId, surveyId, actorId, action, from, to, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+
+  if (studyId) { where.push('study_id = ?'); params.push(studyId); }
+  if (surveyId) { where.push('survey_id = ?'); params.push(surveyId); }
+  if (actorId) { where.push('actor_id = ?'); params.push(actorId); }
+  if (action) { where.push('action = ?'); params.push(action); }
+  if (from) { where.push('created_at >= ?'); params.push(from); }
+  if (to) { where.push('created_at <= ?'); params.push(to); }
+
+  const rows = await all(`
+    SELECT * FROM audit_log
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY seq
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+
+  const entries = [];
+  for (const row of rows) {
+    entries.push(await toEntry(row));
+  }
+  return entries;
+}
+
+/**
+ * Walk the whole chain and report every entry whose hash does not match
+ * its content, whose prev_hash does not match the entry before it, or
+ * whose sequence number skips (a deleted row). Redacted entries written
+ * with hash version 1 are listed as `unverifiable` instead: their links
+ * are checked but their content cannot be.
+ */
+async function verifyChain() {
+  const rows = await all('SELECT * FROM audit_log ORDER BY seq');
+  const breaks = [];
+  const unverifiable = [];
+  let prevHash = GENESIS_HASH;
+  let prevSeq = 0;
+
+  rows.forEach(row => {
+    if (row.seq !== prevSeq + 1) {
+      breaks.push({ seq: row.seq, problem: `missing entries ${prevSeq + 1}..${row.seq - 1}` });
+    }
+    if (row.prev_hash !== prevHash) {
+      breaks.push({ seq: row.seq, problem: 'prev_hash does not match the preceding entry' });
+    }
+    if ((row.hash_version || 1) < 2 && VALUE_FIELDS.some(field => isRedacted(row[field]))) {
+      unverifiable.push(row.seq);
+    } else if (computeHash(row) !== row.hash) {
+      breaks.push({ seq: row.seq, problem: 'entry content does not match its hash' });
+    }
+
+    prevHash = row.hash;
+    prevSeq = row.seq;
+  });
+
+  return {
+    valid: breaks.length === 0,
+    entries: rows.length,
+    headSeq: prevSeq,
+    headHash: prevHash,
+    breaks,
+    unverifiable
+  };
+}
+
+module.exports = {
+  auditContext,
+  record,
+  redact,
+  query,
+  verifyChain,
+  computeHash
+};
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { run, get } = require('./db');
+const users = require('./users');
+const organisations = require('./organisations');
+
+const { ROLES, ALL_STUDIES } = users;
+
+const ISSUER = 'patient-data-collection';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const PATIENT_TOKEN_TTL = process.env.PATIENT_TOKEN_TTL || '24h';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET is not set; using a random secret, tokens will not survive a restart');
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+// Which study roles may perform each action
+const PERMISSIONS = {
+  'study:read': ROLES,
+  'study:manage': ['admin'],
+  'survey:submit': ['site_coordinator', 'data_manager', 'admin'],
+  'survey:read': ['site_coordinator', 'data_manager', 'investigator', 'analyst', 'admin'],
+  'study:export': ['data_manager', 'analyst', 'admin'],
+  'study:analytics': ['data_manager', 'analyst', 'admin'],
+  'patient-token:issue': ['site_coordinator', 'data_manager', 'admin'],
+  'patient:register': ['site_coordinator', 'data_manager', 'admin'],
+  'patient:identify': ['site_coordinator', 'admin'],
+  'patient:erase': ['admin'],
+  'consent:read': ['site_coordinator', 'data_manager', 'admin'],
+  'consent:sign': ['site_coordinator', 'data_manager', 'admin'],
+  'survey:correct': ['data_manager', 'admin'],
+  'survey:import': ['data_manager', 'admin'],
+  'query:read': ['site_coordinator', 'data_manager', 'investigator', 'admin'],
+  'query:answer': ['site_coordinator', 'data_manager', 'admin'],
+  'query:manage': ['data_manager', 'admin'],
+  'alert:read': ['site_coordinator', 'data_manager', 'investigator', 'admin'],
+  'alert:triage': ['investigator', 'admin'],
+  'survey:delete': ['admin'],
+  'lock:read': ['site_coordinator', 'data_manager', 'investigator', 'analyst', 'admin'],
+  'lock:freeze': ['data_manager', 'admin'],
+  'lock:sign': ['data_manager', 'investigator'],
+  'lock:lock': ['data_manager', 'admin'],
+  'lock:unlock': ['admin'],
+  'webhook:read': ['data_manager', 'admin'],
+  'webhook:manage': ['admin'],
+  'audit:read': ['data_manager', 'admin']
+};
+
+// A patient token only lets its holder load the questionnaire, give or
+// withdraw their own consent, and submit it
+const PATIENT_PERMISSIONS = ['study:read', 'survey:submit', 'consent:read', 'consent:sign'];
+
+// Used to keep login timing the same whether or not the email exists
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 4);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(userId) {
+  return jwt.sign({ type: 'access' }, JWT_SECRET, {
+    subject: userId,
+    issuer: ISSUER,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+async function issueRefreshToken(userId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+  await run(
+    'INSERT INTO refresh_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+    [hashToken(token), userId, expiresAt]
+  );
+
+  return token;
+}
+
+async function issueTokens(user) {
+  return {
+    accessToken: signAccessToken(user.userId),
+    refreshToken: await issueRefreshToken(user.userId),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Check email and password; returns the user or null
+async function verifyCredentials(email, password) {
+  const row = await users.findUserRowByEmail(email);
+  const matches = await bcrypt.compare(password, row ? row.password_hash : DUMMY_HASH);
+
+  if (!row || !matches || !row.is_active) return null;
+
+  await users.recordLogin(row.user_id);
+  return users.findUserById(row.user_id);
+}
+
+/**
+ * Check a signed-in user's email and password again, as the signature
+ * components of an electronic signature. Unlike verifyCredentials this is
+ * not a login.
+ */
+async function confirmCredentials(userId, email, password) {
+  const row = await users.findUserRowByEmail(email);
+  const matches = await bcrypt.compare(password, row ? row.password_hash : DUMMY_HASH);
+  return Boolean(row && matches && row.is_active && row.user_id === userId);
+}
+
+/**
+ * Exchange a refresh token for a new token pair. Refresh tokens are single
+ * use: presenting one that was already rotated revokes every token of that
+ * user, since it means the token was copied.
+ */
+async function rotateRefreshToken(token) {
+  const tokenHash = hashToken(token);
+  const row = await get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+  if (!row) return null;
+
+  if (row.revoked_at) {
+    await revokeAllRefreshTokens(row.user_id);
+    return null;
+  }
+
+  await run('UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ?', [new Date().toISOString(), tokenHash]);
+  if (new Date(row.expires_at) < new Date()) return null;
+
+  const user = await users.findUserById(row.user_id);
+  if (!user || !user.isActive) return null;
+
+  return { user, tokens: await issueTokens(user) };
+}
+
+async function revokeRefreshToken(token) {
+  await run(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), hashToken(token)]
+  );
+}
+
+async function revokeAllRefreshTokens(userId) {
+  await run(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), userId]
+  );
+}
+
+// Short-lived token that lets one patient fill in one study's questionnaire,
+// for one scheduled visit when `visitId` is given
+function signPatientToken(studyId, patientId, issuedBy, visitId = null) {
+  const claims = { type: 'patient', studyId, patientId, issuedBy, ...(visitId && { visitId }) };
+  const token = jwt.sign(claims, JWT_SECRET, {
+    issuer: ISSUER,
+    expiresIn: PATIENT_TOKEN_TTL
+  });
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// What a user may access, as set on req.auth
+async function userAuth(user) {
+  return {
+    type: 'user',
+    userId: user.userId,
+    email: user.email,
+    orgId: user.orgId,
+    // Users of an organisation are kept to its studies
+    orgStudies: user.orgId ? await organisations.listStudyIds(user.orgId) : null,
+    roles: user.roles,
+    sites: user.sites
+  };
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// What the request's bearer token grants, as set on req.auth, or null when
+// it is missing, invalid or expired
+async function resolveAuth(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { issuer: ISSUER });
+  } catch (err) {
+    return null;
+  }
+
+  if (payload.type === 'patient') {
+    return {
+      type: 'patient',
+      studyId: payload.studyId,
+      patientId: payload.patientId,
+      visitId: payload.visitId || null
+    };
+  }
+  if (payload.type === 'access') {
+    const user = await users.findUserById(payload.sub);
+    return user && user.isActive ? userAuth(user) : null;
+  }
+  return null;
+}
+
+// Middleware: resolve the bearer token into req.auth or reply 401
+async function authenticate(req, res, next) {
+  if (!bearerToken(req)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const resolved = await resolveAuth(req);
+    if (!resolved) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.auth = resolved;
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Key naming the caller, e.g. to limit or deduplicate their requests
+function callerKey(auth) {
+  return auth.type === 'patient' ? `patient:${auth.studyId}:${auth.patientId}` : `user:${auth.userId}`;
+}
+
+// Study roles of the caller that apply to a study. Users of an
+// organisation have none outside its studies, whatever they were granted.
+function rolesFor(auth, studyId) {
+  if (auth.orgStudies && !auth.orgStudies.includes(studyId)) return [];
+  return [auth.roles[studyId], auth.roles[ALL_STUDIES]].filter(Boolean);
+}
+
+/**
+ * Sites of a study whose subjects and surveys the caller may see, or null
+ * for every site. Users assigned to sites of the study see those sites;
+ * site coordinators see none until assigned. Patients are kept to their own
+ * data by other checks.
+ */
+function siteScope(auth, studyId) {
+  if (!auth || auth.type !== 'user') return null;
+
+  const assigned = auth.sites[studyId];
+  if (assigned && assigned.length) return assigned;
+
+  const roles = rolesFor(auth, studyId);
+  return roles.length && roles.every(role => role === 'site_coordinator') ? [] : null;
+}
+
+// Whether the caller may see data collected at a site of a study
+function canSeeSite(auth, studyId, siteId) {
+  const scope = siteScope(auth, studyId);
+  return !scope || scope.includes(siteId);
+}
+
+/**
+ * Site IDs to filter a study's data by: the sites `requested` (a list, or
+ * undefined for all) within the caller's `scope`. Returns false when a
+ * requested site is outside the scope.
+ */
+function siteFilter(scope, requested) {
+  if (!scope) return requested;
+  if (!requested) return scope;
+  return requested.every(siteId => scope.includes(siteId)) ? requested : false;
+}
+
+// Callers kept to some sites of a study hold no permission on it until
+// they are assigned to one
+function can(auth, permission, studyId) {
+  if (!auth) return false;
+
+  if (auth.type === 'patient') {
+    return PATIENT_PERMISSIONS.includes(permission) && auth.studyId === studyId;
+  }
+
+  const allowed = PERMISSIONS[permission] || [];
+  if (!rolesFor(auth, studyId).some(role => allowed.includes(role))) return false;
+
+  const scope = siteScope(auth, studyId);
+  return !scope || scope.length > 0;
+}
+
+// Platform administrators; an organisation's admins are not
+function isGlobalAdmin(auth) {
+  return Boolean(auth && auth.type === 'user' && !auth.orgId && auth.roles[ALL_STUDIES] === 'admin');
+}
+
+// Middleware: require a permission on the study named in the route. Sets
+// req.siteScope to the sites of the study the caller may see (see siteScope).
+function requirePermission(permission, getStudyId = req => req.params.studyId) {
+  return (req, res, next) => {
+    const studyId = getStudyId(req);
+    if (!can(req.auth, permission, studyId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    req.siteScope = siteScope(req.auth, studyId);
+    next();
+  };
+}
+
+// Middleware for data of the study named in the route as a whole, which
+// callers kept to some of its sites may not see
+function requireAllSites(req, res, next) {
+  if (siteScope(req.auth, req.params.studyId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+function requireGlobalAdmin(req, res, next) {
+  if (!isGlobalAdmin(req.auth)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+// Create the first administrator from ADMIN_EMAIL / ADMIN_PASSWORD on an empty database
+async function ensureBootstrapAdmin() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+  if (await users.countUsers() > 0) return;
+
+  const admin = await users.createUser({
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    displayName: 'Administrator'
+  });
+  await users.grantRole(admin.userId, ALL_STUDIES, 'admin', 'system');
+  console.log(`Created initial administrator ${admin.email}`);
+}
+
+module.exports = {
+  PERMISSIONS,
+  issueTokens,
+  verifyCredentials,
+  confirmCredentials,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  signPatientToken,
+  resolveAuth,
+  authenticate,
+  callerKey,
+  userAuth,
+  rolesFor,
+  siteScope,
+  canSeeSite,
+  siteFilter,
+  can,
+  isGlobalAdmin,
+  requirePermission,
+  requireAllSites,
+  requireGlobalAdmin,
+  ensureBootstrapAdmin
+};
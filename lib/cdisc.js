@@ -0,0 +1,489 @@
+/**
+ * CDISC exports of a study's surveys:
+ *
+ * - ODM 1.3 XML: one MetaDataVersion per questionnaire version, built from
+ *   the question definitions, and the answers as ClinicalData
+ * - an SDTM-style QS (Questionnaires) dataset, one record per question per
+ *   survey, with define-style metadata describing its variables and tests
+ *
+ * Checkbox questions become one yes/no item (and QS test) per option, as
+ * ODM items and SDTM records hold a single value. Items of PRO instruments
+ * are categorised by instrument in QSCAT, and their scores follow as
+ * derived records (QSDRVFL = Y); ODM holds collected data only.
+ *
+ * QS is worded in the study's default locale; ODM gives the question and
+ * option texts in every locale the study is offered in.
+ */
+
+const { csvCell } = require('./csv');
+const { findInstrument, includedScores } = require('./instruments');
+const { questionText, optionCodes, optionLabel, optionLabels } = require('./locales');
+
+const ODM_NAMESPACE = 'http://www.cdisc.org/ns/odm/v1.3';
+const STUDY_EVENT_OID = 'SE.SURVEY';
+const FORM_OID = 'F.QUESTIONNAIRE';
+const ITEM_GROUP_OID = 'IG.QUESTIONNAIRE';
+const YES_NO_OID = 'CL.NY';
+
+// SDTM limits QSTEST to 40 characters; the full question is in the define metadata
+const QSTEST_LENGTH = 40;
+
+const QS_VARIABLES = [
+  { name: 'STUDYID', label: 'Study Identifier', type: 'Char', role: 'Identifier', origin: 'Assigned' },
+  { name: 'DOMAIN', label: 'Domain Abbreviation', type: 'Char', role: 'Identifier', origin: 'Assigned' },
+  { name: 'USUBJID', label: 'Unique Subject Identifier', type: 'Char', role: 'Identifier', origin: 'Derived' },
+  { name: 'QSSEQ', label: 'Sequence Number', type: 'Num', role: 'Identifier', origin: 'Derived' },
+  { name: 'QSGRPID', label: 'Group ID', type: 'Char', role: 'Identifier', origin: 'Assigned', comment: 'Survey ID' },
+  { name: 'QSTESTCD', label: 'Question Short Name', type: 'Char', role: 'Topic', origin: 'Assigned', codelist: 'QSTESTCD' },
+  { name: 'QSTEST', label: 'Question Name', type: 'Char', role: 'Synonym Qualifier', origin: 'Assigned', comment: 'Decode of QSTESTCD' },
+  { name: 'QSCAT', label: 'Category of Question', type: 'Char', role: 'Grouping Qualifier', origin: 'Assigned' },
+  { name: 'QSORRES', label: 'Finding in Original Units', type: 'Char', role: 'Result Qualifier', origin: 'Collected' },
+  { name: 'QSSTRESC', label: 'Character Result/Finding in Std Format', type: 'Char', role: 'Result Qualifier', origin: 'Derived' },
+  { name: 'QSSTRESN', label: 'Numeric Finding in Standard Units', type: 'Num', role: 'Result Qualifier', origin: 'Derived' },
+  { name: 'QSSTAT', label: 'Completion Status', type: 'Char', role: 'Record Qualifier', origin: 'Derived' },
+  { name: 'QSREASND', label: 'Reason Not Performed', type: 'Char', role: 'Record Qualifier', origin: 'Derived' },
+  { name: 'QSDRVFL', label: 'Derived Flag', type: 'Char', role: 'Record Qualifier', origin: 'Assigned', derivedOnly: true },
+  { name: 'VISITNUM', label: 'Visit Number', type: 'Num', role: 'Timing', origin: 'Derived', comment: 'Position in the visit schedule' },
+  { name: 'VISIT', label: 'Visit Name', type: 'Char', role: 'Timing', origin: 'Assigned' },
+  { name: 'QSDTC', label: 'Date/Time of Finding', type: 'Char', role: 'Timing', origin: 'Collected' }
+];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+function translatedText(text, locale = 'en') {
+  return `<TranslatedText xml:lang="${escapeXml(locale)}">${escapeXml(text)}</TranslatedText>`;
+}
+
+// One TranslatedText per locale, worded by `textIn(locale)`
+function translatedTexts(locales, textIn) {
+  return locales.map(locale => translatedText(textIn(locale), locale)).join('');
+}
+
+// Wording of an item in a locale: the question, and the option of a checkbox item
+function itemLabel(question, option, locale) {
+  const text = questionText(question, locale);
+  return option === undefined ? text : `${text} - ${optionLabel(question, option, locale)}`;
+}
+
+// Items a question is exported as: one, or one per option of a checkbox,
+// labelled in `locale`
+function questionItems(question, locale) {
+  if (question.type === 'checkbox') {
+    return optionCodes(question).map((option, i) => ({
+      code: `Q${question.id}O${i + 1}`,
+      question,
+      label: itemLabel(question, option, locale),
+      option
+    }));
+  }
+  return [{ code: `Q${question.id}`, question, label: itemLabel(question, undefined, locale) }];
+}
+
+// Coded value of each option of a multiple-choice question: its numeric
+// response code if it has one, then its own code, and for an option given
+// as plain text its position from 1
+function codedValues(question) {
+  return question.options.map((option, i) => {
+    if (question.codes) return String(question.codes[i]);
+    return typeof option === 'string' ? String(i + 1) : option.code;
+  });
+}
+
+function yesNo(value) {
+  return value ? { coded: 'Y', decode: 'Yes' } : { coded: 'N', decode: 'No' };
+}
+
+/**
+ * The value an item holds for a given answer: `coded` as stored in ODM and
+ * QSSTRESC, `decode` as shown to patients reading `locale` (QSORRES) and
+ * `numeric` for QSSTRESN. Null when the question was not answered.
+ */
+function itemValue(item, answers, locale) {
+  const { question } = item;
+  if (!answers.has(question.id)) return null;
+  const answer = answers.get(question.id);
+
+  switch (question.type) {
+    case 'checkbox':
+      return yesNo(Array.isArray(answer) && answer.includes(item.option));
+    case 'boolean':
+      return yesNo(answer === true);
+    case 'multiple_choice': {
+      const index = optionCodes(question).indexOf(answer);
+      if (index === -1) return { coded: String(answer), decode: String(answer) };
+      return {
+        coded: codedValues(question)[index],
+        decode: optionLabel(question, answer, locale),
+        ...(question.codes && { numeric: question.codes[index] })
+      };
+    }
+    case 'number':
+    case 'scale':
+      return { coded: String(answer), decode: String(answer), numeric: Number(answer) };
+    default:
+      return answer === '' ? null : { coded: String(answer), decode: String(answer) };
+  }
+}
+
+// A conditional question counts as not applicable when its condition is unmet
+function isApplicable(question, answers) {
+  if (!question.dependsOn) return true;
+  const trigger = answers.get(question.dependsOn.questionId);
+  const expected = question.dependsOn.value;
+  return Array.isArray(trigger) ? trigger.includes(expected) : trigger === expected;
+}
+
+function odmDataType(question) {
+  if (question.type === 'scale') return 'integer';
+  if (question.type === 'number') return question.integer ? 'integer' : 'float';
+  return 'text';
+}
+
+function rangeChecks(question) {
+  const bounds = question.type === 'scale'
+    ? { min: question.scale.min, max: question.scale.max }
+    : { min: question.min, max: question.max };
+
+  return [['GE', bounds.min], ['LE', bounds.max]]
+    .filter(([, value]) => question.type !== 'text' && value !== undefined)
+    .map(([comparator, value]) =>
+      `<RangeCheck Comparator="${comparator}" SoftHard="Hard"><CheckValue>${escapeXml(value)}</CheckValue></RangeCheck>`);
+}
+
+function metaDataVersion(version, questions, { defaultLocale, locales }) {
+  const items = questions.flatMap(question => questionItems(question, defaultLocale));
+  const lines = [
+    `<MetaDataVersion${attrs({ OID: `MDV.${version}`, Name: `Questionnaire version ${version}` })}>`,
+    '<Protocol>',
+    `<StudyEventRef StudyEventOID="${STUDY_EVENT_OID}" OrderNumber="1" Mandatory="Yes"/>`,
+    '</Protocol>',
+    `<StudyEventDef OID="${STUDY_EVENT_OID}" Name="Survey" Repeating="Yes" Type="Unscheduled">`,
+    `<FormRef FormOID="${FORM_OID}" OrderNumber="1" Mandatory="Yes"/>`,
+    '</StudyEventDef>',
+    `<FormDef OID="${FORM_OID}" Name="Questionnaire" Repeating="No">`,
+    `<ItemGroupRef ItemGroupOID="${ITEM_GROUP_OID}" Mandatory="Yes"/>`,
+    '</FormDef>',
+    `<ItemGroupDef OID="${ITEM_GROUP_OID}" Name="Questionnaire" Repeating="No" Domain="QS">`,
+    ...items.map((item, i) => `<ItemRef${attrs({
+      ItemOID: `IT.${item.code}`,
+      OrderNumber: i + 1,
+      Mandatory: item.question.required && !item.question.dependsOn && item.question.type !== 'checkbox' ? 'Yes' : 'No'
+    })}/>`),
+    '</ItemGroupDef>'
+  ];
+
+  items.forEach(item => {
+    const { question } = item;
+    const coded = ['boolean', 'checkbox', 'multiple_choice'].includes(question.type);
+    lines.push(
+      `<ItemDef${attrs({
+        OID: `IT.${item.code}`,
+        Name: item.code,
+        DataType: coded ? 'text' : odmDataType(question),
+        Length: question.type === 'text' ? question.maxLength || 5000 : undefined,
+        SDSVarName: 'QSORRES'
+      })}>`,
+      `<Question>${translatedTexts(locales, locale => itemLabel(question, item.option, locale))}</Question>`,
+      ...(coded ? [] : rangeChecks(question)),
+      ...(coded ? [`<CodeListRef CodeListOID="${question.type === 'multiple_choice' ? `CL.${item.code}` : YES_NO_OID}"/>`] : []),
+      '</ItemDef>'
+    );
+  });
+
+  lines.push(
+    `<CodeList OID="${YES_NO_OID}" Name="No Yes Response" DataType="text">`,
+    `<CodeListItem CodedValue="N"><Decode>${translatedText('No')}</Decode></CodeListItem>`,
+    `<CodeListItem CodedValue="Y"><Decode>${translatedText('Yes')}</Decode></CodeListItem>`,
+    '</CodeList>'
+  );
+  items.filter(item => item.question.type === 'multiple_choice').forEach(item => {
+    lines.push(`<CodeList${attrs({ OID: `CL.${item.code}`, Name: item.code, DataType: 'text' })}>`);
+    const codes = codedValues(item.question);
+    optionCodes(item.question).forEach((option, i) => {
+      const decode = translatedTexts(locales, locale => optionLabel(item.question, option, locale));
+      lines.push(`<CodeListItem CodedValue="${escapeXml(codes[i])}"><Decode>${decode}</Decode></CodeListItem>`);
+    });
+    lines.push('</CodeList>');
+  });
+
+  lines.push('</MetaDataVersion>');
+  return lines;
+}
+
+/**
+ * CDISC ODM 1.3 snapshot of a study.
+ *
+ * @param {object} study - study configuration (studyId, studyName, description, locales)
+ * @param {Map<number, object[]>} questionnaires - question set of each exported version
+ * @param {object[]} surveys - oldest first, with `answers` keyed by question ID
+ * @returns {string} the ODM XML document
+ */
+function buildOdm(study, questionnaires, surveys, { createdAt = new Date().toISOString() } = {}) {
+  const studyOid = `ST.${study.studyId}`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ODM${attrs({
+      xmlns: ODM_NAMESPACE,
+      ODMVersion: '1.3.2',
+      FileType: 'Snapshot',
+      FileOID: `${study.studyId}.${createdAt}`,
+      CreationDateTime: createdAt,
+      Originator: 'patient-data-collection'
+    })}>`,
+    `<Study OID="${escapeXml(studyOid)}">`,
+    '<GlobalVariables>',
+    `<StudyName>${escapeXml(study.studyName)}</StudyName>`,
+    `<StudyDescription>${escapeXml(study.description || study.studyName)}</StudyDescription>`,
+    `<ProtocolName>${escapeXml(study.studyId)}</ProtocolName>`,
+    '</GlobalVariables>'
+  ];
+
+  const locales = { defaultLocale: study.defaultLocale || 'en', locales: study.locales || ['en'] };
+  const versions = [...questionnaires.keys()].sort((a, b) => a - b);
+  versions.forEach(version => lines.push(...metaDataVersion(version, questionnaires.get(version), locales)));
+  lines.push('</Study>');
+
+  versions.forEach(version => {
+    const items = questionnaires.get(version).flatMap(question => questionItems(question, locales.defaultLocale));
+    const byPatient = new Map();
+    surveys.filter(survey => survey.configVersion === version).forEach(survey => {
+      if (!byPatient.has(survey.patientId)) byPatient.set(survey.patientId, []);
+      byPatient.get(survey.patientId).push(survey);
+    });
+    if (byPatient.size === 0) return;
+
+    lines.push(`<ClinicalData${attrs({ StudyOID: studyOid, MetaDataVersionOID: `MDV.${version}` })}>`);
+    byPatient.forEach((patientSurveys, patientId) => {
+      lines.push(`<SubjectData${attrs({ SubjectKey: patientId })}>`);
+      patientSurveys.forEach(survey => {
+        lines.push(
+          `<StudyEventData${attrs({ StudyEventOID: STUDY_EVENT_OID, StudyEventRepeatKey: survey.surveyId })}>`,
+          `<FormData FormOID="${FORM_OID}">`,
+          `<ItemGroupData ItemGroupOID="${ITEM_GROUP_OID}">`
+        );
+        items.forEach(item => {
+          const value = itemValue(item, survey.answers);
+          if (value) {
+            lines.push(`<ItemData${attrs({ ItemOID: `IT.${item.code}`, Value: value.coded })}/>`);
+          }
+        });
+        lines.push('</ItemGroupData>', '</FormData>', '</StudyEventData>');
+      });
+      lines.push('</SubjectData>');
+    });
+    lines.push('</ClinicalData>');
+  });
+
+  lines.push('</ODM>');
+  return lines.join('\n') + '\n';
+}
+
+// QSCAT of a question: its instrument, or the study for its own questions
+function questionCategory(study, question) {
+  const instrument = question.instrument && findInstrument(question.instrument.instrumentId);
+  return instrument ? instrument.shortName : study.studyName;
+}
+
+/**
+ * Derived tests of a survey's scores: one per score, and one for its band
+ * if it has bands. A score that could not be computed (too many missing
+ * items) is NOT DONE.
+ */
+function scoreTests(survey) {
+  return [...survey.scores.values()].flatMap(({ instrument, score, result }) => {
+    const value = result.value === null ? null : {
+      coded: String(result.value),
+      decode: String(result.value),
+      ...(typeof result.value === 'number' && { numeric: result.value })
+    };
+    return [
+      { code: score.testCode, label: score.label, category: instrument.shortName, value },
+      ...(score.bands ? [{
+        code: score.bandTestCode,
+        label: `${score.label} band`,
+        category: instrument.shortName,
+        value: result.band === null ? null : { coded: result.band, decode: result.band }
+      }] : [])
+    ];
+  });
+}
+
+/**
+ * SDTM QS records for the surveys, sorted by subject, date and question,
+ * with the scores of each survey after its questions. Questions left
+ * unanswered get a NOT DONE record. Surveys of a scheduled visit carry its
+ * position and name in VISITNUM and VISIT.
+ */
+function buildQsDataset(study, questionnaires, surveys) {
+  const records = [];
+  const visits = study.visits || [];
+  const locale = study.defaultLocale || 'en';
+
+  surveys.forEach(survey => {
+    const questions = questionnaires.get(survey.configVersion) || [];
+    const visitIndex = visits.findIndex(visit => visit.visitId === survey.visitId);
+    const record = (test, value, reason, derived) => ({
+      STUDYID: study.studyId,
+      DOMAIN: 'QS',
+      USUBJID: `${study.studyId}-${survey.patientId}`,
+      QSSEQ: null,
+      QSGRPID: survey.surveyId,
+      QSTESTCD: test.code,
+      QSTEST: test.label.slice(0, QSTEST_LENGTH),
+      QSCAT: test.category,
+      QSORRES: value ? value.decode : '',
+      QSSTRESC: value ? value.coded : '',
+      QSSTRESN: value && value.numeric !== undefined ? value.numeric : null,
+      QSSTAT: value ? '' : 'NOT DONE',
+      QSREASND: value ? '' : reason,
+      ...(derived && { QSDRVFL: 'Y' }),
+      VISITNUM: visitIndex >= 0 ? visitIndex + 1 : null,
+      VISIT: visitIndex >= 0 ? visits[visitIndex].name : '',
+      QSDTC: survey.completedAt
+    });
+
+    questions.flatMap(question => questionItems(question, locale)).forEach(item => {
+      const applicable = isApplicable(item.question, survey.answers);
+      records.push(record(
+        { ...item, category: questionCategory(study, item.question) },
+        itemValue(item, survey.answers, locale),
+        applicable ? 'NOT ANSWERED' : 'NOT APPLICABLE',
+        false
+      ));
+    });
+    scoreTests(survey).forEach(test => {
+      records.push(record(test, test.value, 'TOO MANY ITEMS MISSING', true));
+    });
+  });
+
+  // Surveys are already in date order and items in question order
+  const bySubject = new Map();
+  records.forEach(record => {
+    if (!bySubject.has(record.USUBJID)) bySubject.set(record.USUBJID, []);
+    bySubject.get(record.USUBJID).push(record);
+  });
+
+  return [...bySubject.keys()].sort().flatMap(usubjid =>
+    bySubject.get(usubjid).map((record, i) => ({ ...record, QSSEQ: i + 1 })));
+}
+
+// Variables of a QS dataset; QSDRVFL only when it has derived records
+function qsVariables(records) {
+  const derived = records.some(record => record.QSDRVFL);
+  return QS_VARIABLES.filter(variable => derived || !variable.derivedOnly);
+}
+
+// QS records as CSV, one column per variable in the standard order
+function qsCsv(records) {
+  const names = qsVariables(records).map(variable => variable.name);
+  const lines = records.map(record => names.map(name => csvCell(record[name])).join(','));
+  return [names.join(','), ...lines].join('\n') + '\n';
+}
+
+// How a score is derived, for the define metadata
+function scoreMethod(score) {
+  const items = `items ${score.items.join(', ')}`;
+  if (score.method === 'profile') return `Codes of ${items}, in order; not derived if any is missing`;
+  if (score.method === 'value') return `Code of item ${score.items[0]}`;
+  return score.maxMissing
+    ? `Sum of the codes of ${items}; with up to ${score.maxMissing} missing, the mean of the answered items times ${score.items.length}, rounded`
+    : `Sum of the codes of ${items}; not derived if any is missing`;
+}
+
+/**
+ * Define-style metadata for a QS dataset: its variables (with the longest
+ * value actually present as the length of character variables) and the
+ * QSTESTCD codelist with the full question text of every test, and how
+ * each derived test is derived.
+ */
+function buildQsDefine(study, questionnaires, records) {
+  const variables = qsVariables(records).map(({ derivedOnly, ...variable }) => ({
+    ...variable,
+    length: variable.type === 'Char'
+      ? Math.max(1, ...records.map(record => String(record[variable.name] ?? '').length))
+      : 8
+  }));
+
+  const locale = study.defaultLocale || 'en';
+  const tests = new Map();
+  [...questionnaires.keys()].sort((a, b) => a - b).forEach(version => {
+    questionnaires.get(version).flatMap(question => questionItems(question, locale)).forEach(item => {
+      const key = `${item.code}\u0000${item.label}`;
+      if (!tests.has(key)) {
+        tests.set(key, {
+          code: item.code,
+          test: item.label.slice(0, QSTEST_LENGTH),
+          question: item.label,
+          responseType: item.question.type,
+          ...(item.question.type === 'multiple_choice' && {
+            codelist: codedValues(item.question).map((code, i) => ({
+              code,
+              decode: optionLabels(item.question, locale)[i]
+            }))
+          }),
+          versions: []
+        });
+      }
+      tests.get(key).versions.push(version);
+    });
+  });
+  includedScores(questionnaires).forEach(({ instrument, score }) => {
+    tests.set(score.testCode, {
+      code: score.testCode,
+      test: score.label.slice(0, QSTEST_LENGTH),
+      question: score.label,
+      responseType: 'derived',
+      instrument: instrument.shortName,
+      method: scoreMethod(score)
+    });
+    if (score.bands) {
+      tests.set(score.bandTestCode, {
+        code: score.bandTestCode,
+        test: `${score.label} band`.slice(0, QSTEST_LENGTH),
+        question: `${score.label} band`,
+        responseType: 'derived',
+        instrument: instrument.shortName,
+        method: `${score.testCode}: ${score.bands.map(band => `${band.min}-${band.max} ${band.label}`).join(', ')}`,
+        codelist: score.bands.map(band => ({ code: band.label, decode: band.label }))
+      });
+    }
+  });
+
+  return {
+    study: { studyId: study.studyId, studyName: study.studyName },
+    dataset: {
+      name: 'QS',
+      label: 'Questionnaires',
+      class: 'Findings',
+      structure: 'One record per question per survey per subject',
+      keys: ['STUDYID', 'USUBJID', 'QSGRPID', 'QSTESTCD'],
+      records: records.length
+    },
+    variables,
+    codelists: {
+      QSTESTCD: [...tests.values()],
+      NY: [{ code: 'N', decode: 'No' }, { code: 'Y', decode: 'Yes' }]
+    }
+  };
+}
+
+module.exports = {
+  buildOdm,
+  buildQsDataset,
+  buildQsDefine,
+  qsCsv
+};
@@ -0,0 +1,300 @@
+const { v4: uuidv4 } = require('uuid');
+const { get, all, transaction } = require('./db');
+const { enrollmentRefusal, listPatients } = require('./enrollment');
+const { sha256 } = require('./hash');
+const webhooks = require('./webhooks');
+
+/**
+ * Where a subject's consent stands:
+ *
+ * - `valid`: consented to the current consent document
+ * - `missing`: has not consented yet
+ * - `reconsent_required`: consented to an earlier document, or on paper
+ *   before the study published one, and must consent to the current one
+ * - `withdrawn`: withdrew consent
+ */
+const CONSENT_STATUSES = ['valid', 'missing', 'reconsent_required', 'withdrawn'];
+
+const REFUSALS = {
+  missing: 'Patient has not consented to this study',
+  reconsent_required: 'Patient must consent to the current consent document',
+  withdrawn: 'Patient has withdrawn consent'
+};
+
+// Consent was refused; `status` is the HTTP status to answer with
+class ConsentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ConsentError';
+    this.status = status;
+  }
+}
+
+function toDocument(row) {
+  return {
+    studyId: row.study_id,
+    version: row.version,
+    title: row.title,
+    body: row.body,
+    contentHash: row.content_hash,
+    changeNote: row.change_note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// The signer's name and drawn signature identify the patient, so they are
+// only included when asked for
+function toRecord(row, { identifying = false } = {}) {
+  return {
+    consentId: row.consent_id,
+    studyId: row.study_id,
+    patientId: row.patient_id,
+    documentVersion: row.document_version,
+    documentHash: row.document_hash,
+    signedAt: row.signed_at,
+    capturedBy: row.captured_by,
+    hasSignature: Boolean(row.signature),
+    withdrawnAt: row.withdrawn_at,
+    withdrawalReason: row.withdrawal_reason,
+    ...(identifying && { signerName: row.signer_name, signature: row.signature })
+  };
+}
+
+async function listDocuments(studyId) {
+  const rows = await all('SELECT * FROM consent_documents WHERE study_id = ? ORDER BY version', [studyId]);
+  return rows.map(toDocument);
+}
+
+async function findDocument(studyId, version) {
+  const row = await get('SELECT * FROM consent_documents WHERE study_id = ? AND version = ?', [studyId, version]);
+  return row ? toDocument(row) : null;
+}
+
+// The document subjects must consent to now, or null if the study has none
+async function currentDocument(studyId, db = { get }) {
+  const row = await db.get(
+    'SELECT * FROM consent_documents WHERE study_id = ? ORDER BY version DESC LIMIT 1',
+    [studyId]
+  );
+  return row ? toDocument(row) : null;
+}
+
+/**
+ * Publish a new version of a study's consent document. From then on
+ * surveys are only accepted from subjects who consented to it.
+ */
+async function publishDocument({ studyId, title, body, changeNote, createdBy }) {
+  return transaction(async (tx) => {
+    await tx.lock(`consent:${studyId}`);
+
+    const latest = await currentDocument(studyId, tx);
+    const version = latest ? latest.version + 1 : 1;
+
+    await tx.run(`
+      INSERT INTO consent_documents (study_id, version, title, body, content_hash, change_note, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [studyId, version, title, body, sha256(`${title}\n\n${body}`), changeNote || null, createdBy || null]);
+
+    return toDocument(await tx.get(
+      'SELECT * FROM consent_documents WHERE study_id = ? AND version = ?',
+      [studyId, version]
+    ));
+  });
+}
+
+// Status of one subject given their latest consent record
+function stateOf(patient, current, latest) {
+  let status;
+  if (!current) {
+    // Studies without consent documents record paper consent on the subject
+    status = patient.consentedAt ? 'valid' : 'missing';
+  } else if (latest && latest.withdrawn_at) {
+    status = 'withdrawn';
+  } else if (latest) {
+    status = latest.document_version === current.version ? 'valid' : 'reconsent_required';
+  } else {
+    status = patient.consentedAt ? 'reconsent_required' : 'missing';
+  }
+
+  return {
+    patientId: patient.patientId,
+    status,
+    currentVersion: current ? current.version : null,
+    consentedVersion: latest ? latest.document_version : null,
+    consentedAt: latest ? latest.signed_at : patient.consentedAt
+  };
+}
+
+async function latestRecord(studyId, patientId) {
+  return get(`
+    SELECT * FROM consent_records
+    WHERE study_id = ? AND patient_id = ?
+    ORDER BY signed_at DESC, document_version DESC
+    LIMIT 1
+  `, [studyId, patientId]);
+}
+
+async function consentState(studyId, patient) {
+  return stateOf(patient, await currentDocument(studyId), await latestRecord(studyId, patient.patientId));
+}
+
+// Every consent record of a subject, newest first, without identifying details
+async function listRecords(studyId, patientId) {
+  const rows = await all(`
+    SELECT * FROM consent_records
+    WHERE study_id = ? AND patient_id = ?
+    ORDER BY signed_at DESC, document_version DESC
+  `, [studyId, patientId]);
+  return rows.map(row => toRecord(row));
+}
+
+// One consent record with the signer's name and signature; callers must audit the access
+async function findRecord(studyId, patientId, consentId) {
+  const row = await get(
+    'SELECT * FROM consent_records WHERE consent_id = ? AND study_id = ? AND patient_id = ?',
+    [consentId, studyId, patientId]
+  );
+  return row ? toRecord(row, { identifying: true }) : null;
+}
+
+/**
+ * Consent status of every enrolled subject of a study, optionally limited
+ * to some statuses; `reconsent_required` lists the subjects who still have
+ * to consent to a newly published document.
+ */
+async function listConsentStatus(studyId, { siteIds, statuses } = {}) {
+  const current = await currentDocument(studyId);
+  const patients = await listPatients(studyId, { siteIds, statuses: ['enrolled'] });
+  const rows = await all(
+    'SELECT * FROM consent_records WHERE study_id = ? ORDER BY signed_at, document_version',
+    [studyId]
+  );
+
+  // Rows are oldest first, so the last one seen per subject is their latest
+  const latest = new Map(rows.map(row => [row.patient_id, row]));
+  const summary = Object.fromEntries(CONSENT_STATUSES.map(status => [status, 0]));
+
+  const result = [];
+  patients.forEach(patient => {
+    const state = stateOf(patient, current, latest.get(patient.patientId));
+    if (statuses && !statuses.includes(state.status)) return;
+
+    summary[state.status] += 1;
+    result.push({ ...state, siteId: patient.siteId });
+  });
+
+  return { currentVersion: current ? current.version : null, patients: result, summary };
+}
+
+/**
+ * Store a subject's signed consent to the current consent document. The
+ * version the subject was shown must still be current, so nobody consents
+ * to a document that was replaced while they were reading it.
+ *
+ * @throws {ConsentError} when the study has no consent document or it has changed
+ */
+async function recordConsent({ studyId, patientId, documentVersion, signerName, signature, ipAddress, userAgent, capturedBy }) {
+  return transaction(async (tx) => {
+    await tx.lock(`consent:${studyId}`);
+
+    const current = await currentDocument(studyId, tx);
+    if (!current) {
+      throw new ConsentError(409, 'Study has no consent document');
+    }
+    if (current.version !== documentVersion) {
+      throw new ConsentError(409, 'Consent document version is no longer current');
+    }
+
+    const consentId = uuidv4();
+    const signedAt = new Date().toISOString();
+    await tx.run(`
+      INSERT INTO consent_records (
+        consent_id, study_id, patient_id, document_version, document_hash,
+        signer_name, signature, signed_at, ip_address, user_agent, captured_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      consentId, studyId, patientId, current.version, current.contentHash,
+      signerName, signature || null, signedAt, ipAddress || null, userAgent || null, capturedBy || null
+    ]);
+
+    // The subject's consent date is when they first consented
+    await tx.run(
+      'UPDATE study_patients SET consented_at = ? WHERE study_id = ? AND patient_id = ? AND consented_at IS NULL',
+      [signedAt, studyId, patientId]
+    );
+
+    return toRecord(await tx.get('SELECT * FROM consent_records WHERE consent_id = ?', [consentId]));
+  });
+}
+
+/**
+ * Withdraw a subject's consent. Their consent records are marked withdrawn
+ * and they are withdrawn from the study, so no further surveys are
+ * collected; surveys collected so far are kept.
+ */
+async function withdrawConsent(studyId, patientId, reason) {
+  return transaction(async (tx) => {
+    const withdrawnAt = new Date().toISOString();
+
+    await tx.run(`
+      UPDATE consent_records SET withdrawn_at = ?, withdrawal_reason = ?
+      WHERE study_id = ? AND patient_id = ? AND withdrawn_at IS NULL
+    `, [withdrawnAt, reason, studyId, patientId]);
+    await tx.run(`
+      UPDATE study_patients SET status = 'withdrawn', withdrawn_at = ?, withdrawal_reason = ?
+      WHERE study_id = ? AND patient_id = ?
+    `, [withdrawnAt, `Consent withdrawn: ${reason}`, studyId, patientId]);
+
+    await webhooks.emit({
+      studyId,
+      type: 'subject.withdrawn',
+      data: { patientId, withdrawnAt, consentWithdrawn: true }
+    }, tx);
+
+    return withdrawnAt;
+  });
+}
+
+/**
+ * Why surveys may not be collected from a subject, or null when they may:
+ * they must be enrolled, not withdrawn, and hold valid consent.
+ */
+async function collectionRefusal(studyId, patient) {
+  const refusal = enrollmentRefusal(patient);
+  if (refusal) return refusal;
+
+  const { status } = await consentState(studyId, patient);
+  return REFUSALS[status] || null;
+}
+
+/**
+ * Why a subject may not be sent a survey link, or null when they may. As
+ * collectionRefusal, except that consent the subject can still give on the
+ * form, to the study's current consent document, is not required yet.
+ */
+async function accessRefusal(studyId, patient) {
+  const refusal = enrollmentRefusal(patient);
+  if (refusal) return refusal;
+
+  const { status, currentVersion } = await consentState(studyId, patient);
+  if (currentVersion && status !== 'withdrawn') return null;
+  return REFUSALS[status] || null;
+}
+
+module.exports = {
+  CONSENT_STATUSES,
+  ConsentError,
+  listDocuments,
+  findDocument,
+  currentDocument,
+  publishDocument,
+  consentState,
+  listRecords,
+  findRecord,
+  listConsentStatus,
+  recordConsent,
+  withdrawConsent,
+  collectionRefusal,
+  accessRefusal
+};
@@ -0,0 +1,87 @@
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One quoted CSV cell. Text that a spreadsheet would treat as a formula is
+ * prefixed with a single quote so it is shown as text instead. Numbers and
+ * booleans are written as they are, so negative values stay numeric.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return `"${value}"`;
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may hold commas, quotes doubled as
+ * "" and line breaks). Returns each non-blank record with its cells and the
+ * line it starts on, so errors can point at the line in the file.
+ *
+ * @throws {Error} when a quoted cell is never closed
+ */
+function parseCSV(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') records.push({ line: startLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  // A byte order mark is left by some spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Quoted cell starting on line ${startLine} is not closed`);
+  }
+  endRecord();
+
+  return records;
+}
+
+// Undo the quote csvCell puts before text a spreadsheet would run as a formula
+function csvText(cell) {
+  return /^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell;
+}
+
+module.exports = { csvCell, csvLine, parseCSV, csvText };
@@ -0,0 +1,346 @@
+const { v4: uuidv4 } = require('uuid');
+const { get, all, transaction } = require('./db');
+const { findStudyConfig } = require('./studies');
+const {
+  EXPORT_FORMATS,
+  CDISC_FORMATS,
+  EXPORT_LAYOUTS,
+  loadQuestionnaires,
+  exportFileName,
+  surveyPages,
+  writeExport,
+  digestSink
+} = require('./exports');
+const { canonicalJSON, sha256 } = require('./hash');
+const audit = require('./audit');
+const encryption = require('./encryption');
+const webhooks = require('./webhooks');
+
+/**
+ * Data lock of a study, or of one subject in it:
+ *
+ * - `open`: data is collected and corrected as usual
+ * - `frozen`: no data is written, but queries can still be worked on; the
+ *   data can be signed off, or unfrozen to change it
+ * - `locked`: nothing is written, queries included, and exports of a
+ *   locked study are reproducible byte for byte
+ *
+ * A subject's data is as closed as the stricter of its own state and the
+ * study's. Locking needs a sign-off of the frozen data from a data manager
+ * and from an investigator.
+ */
+const LOCK_STATES = ['open', 'frozen', 'locked'];
+
+// States each action moves data from and to, and the webhook event it
+// sends, as study.<event> or subject.<event>
+const TRANSITIONS = {
+  freeze: { from: ['open'], to: 'frozen', event: 'frozen' },
+  unfreeze: { from: ['frozen'], to: 'open', event: 'unfrozen' },
+  lock: { from: ['frozen'], to: 'locked', event: 'locked' },
+  // Back to frozen; the data has to be signed off again before it is relocked
+  unlock: { from: ['locked'], to: 'frozen', event: 'unlocked' }
+};
+const LOCK_ACTIONS = Object.keys(TRANSITIONS);
+
+// Roles whose sign-off locking needs; the role is the meaning of the signature
+const SIGN_OFF_ROLES = ['data_manager', 'investigator'];
+
+// A lock action was refused; `status` is the HTTP status to answer with
+class LockError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'LockError';
+    this.status = status;
+  }
+}
+
+function stricter(a, b) {
+  return LOCK_STATES.indexOf(a) >= LOCK_STATES.indexOf(b) ? a : b;
+}
+
+function toSignOff(row) {
+  return {
+    signOffId: row.sign_off_id,
+    studyId: row.study_id,
+    patientId: row.patient_id,
+    role: row.role,
+    userId: row.user_id,
+    signerEmail: row.signer_email,
+    signerName: row.signer_name,
+    reason: row.reason,
+    dataHash: row.data_hash,
+    signedAt: row.signed_at
+  };
+}
+
+// The lock columns of the study, or of one subject when `patientId` is given
+async function scopeRow(db, studyId, patientId) {
+  return patientId
+    ? db.get(
+      'SELECT lock_state, lock_changed_at, lock_changed_by, frozen_at FROM study_patients WHERE study_id = ? AND patient_id = ?',
+      [studyId, patientId]
+    )
+    : db.get('SELECT lock_state, lock_changed_at, lock_changed_by, frozen_at FROM study_configs WHERE study_id = ?', [studyId]);
+}
+
+/**
+ * Why the data of a study, or of one of its subjects, may not be written,
+ * or null when it may. Queries may still be worked on in frozen data, so
+ * pass `allowFrozen` for them.
+ */
+async function lockRefusal(studyId, patientId, { allowFrozen = false, db = { get } } = {}) {
+  const closed = state => state === 'locked' || (state === 'frozen' && !allowFrozen);
+
+  const study = await scopeRow(db, studyId);
+  if (study && closed(study.lock_state)) return `Study data is ${study.lock_state}`;
+  if (!patientId) return null;
+
+  const patient = await scopeRow(db, studyId, patientId);
+  if (patient && closed(patient.lock_state)) return `Subject data is ${patient.lock_state}`;
+  return null;
+}
+
+/**
+ * SHA-256 of the study's data, or of one subject's, as exported in the
+ * json format and long layout. This is what a sign-off signs.
+ */
+async function dataFingerprint(studyId, patientId) {
+  const study = await findStudyConfig(studyId);
+  const sink = digestSink();
+  await writeExport(sink, {
+    format: 'json',
+    layout: 'long',
+    study,
+    questionnaires: await loadQuestionnaires(studyId),
+    pages: surveyPages(studyId, null, { patientIds: patientId ? [patientId] : null })
+  });
+  return sink.digest().sha256;
+}
+
+// Sign-offs given since the data was last frozen; locked data can no
+// longer be signed, so for it these are the sign-offs it was locked on
+async function currentSignOffs(db, studyId, patientId, frozenAt) {
+  const rows = await db.all(`
+    SELECT * FROM sign_offs
+    WHERE study_id = ? AND ${patientId ? 'patient_id = ?' : 'patient_id IS NULL'} AND signed_at >= ?
+    ORDER BY signed_at, sign_off_id
+  `, [studyId, ...(patientId ? [patientId] : []), frozenAt]);
+  return rows.map(toSignOff);
+}
+
+/**
+ * Lock state of a study, or of one subject, with the sign-offs of its
+ * current freeze and the roles that still have to sign off.
+ *
+ * @returns {Promise<object|null>} null when the study or subject is not found
+ */
+async function findLock(studyId, patientId, db = { get, all }) {
+  const row = await scopeRow(db, studyId, patientId);
+  if (!row) return null;
+
+  const studyState = patientId ? (await scopeRow(db, studyId)).lock_state : row.lock_state;
+  const signOffs = row.frozen_at
+    ? await currentSignOffs(db, studyId, patientId, row.frozen_at)
+    : [];
+
+  return {
+    studyId,
+    ...(patientId ? { patientId } : {}),
+    state: row.lock_state,
+    effectiveState: stricter(row.lock_state, studyState),
+    changedAt: row.lock_changed_at,
+    changedBy: row.lock_changed_by,
+    frozenAt: row.frozen_at,
+    signOffs,
+    missingSignOffs: row.lock_state === 'frozen'
+      ? SIGN_OFF_ROLES.filter(role => !signOffs.some(signOff => signOff.role === role))
+      : []
+  };
+}
+
+/**
+ * Sign off the frozen data of a study or subject. The caller checks the
+ * signer's password and that they hold `role`.
+ *
+ * @throws {LockError} when the data is not found or not frozen
+ */
+async function signOff({ studyId, patientId, role, reason, signer, context }) {
+  const dataHash = await dataFingerprint(studyId, patientId);
+  await encryption.ensureDataKey(studyId);
+
+  return transaction(async (tx) => {
+    await tx.lock(`data-lock:${studyId}:${patientId || ''}`);
+    const row = await scopeRow(tx, studyId, patientId);
+    if (!row) {
+      throw new LockError(404, patientId ? 'Patient not found' : 'Study not found');
+    }
+    if (row.lock_state !== 'frozen') {
+      throw new LockError(409, `Only frozen data can be signed off; this data is ${row.lock_state}`);
+    }
+
+    const signOffId = uuidv4();
+    const signedAt = new Date().toISOString();
+    await tx.run(`
+      INSERT INTO sign_offs (
+        sign_off_id, study_id, patient_id, role, user_id, signer_email, signer_name, reason, data_hash, signed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      signOffId, studyId, patientId || null, role, signer.userId, signer.email,
+      signer.displayName || null, reason, dataHash, signedAt
+    ]);
+
+    await audit.record({
+      action: 'create',
+      entityType: 'sign_off',
+      entityId: signOffId,
+      studyId,
+      context,
+      reason,
+      newValues: { patientId: patientId || null, role, signerEmail: signer.email, dataHash }
+    }, tx);
+
+    return toSignOff(await tx.get('SELECT * FROM sign_offs WHERE sign_off_id = ?', [signOffId]));
+  });
+}
+
+/**
+ * Freeze, unfreeze, lock or unlock the data of a study or subject. Locking
+ * needs a sign-off from every SIGN_OFF_ROLES role since the data was frozen,
+ * of the data as it is now.
+ *
+ * @throws {LockError} when the data is not found, the action does not apply
+ *   to its state, or sign-offs are missing
+ */
+async function changeLock({ studyId, patientId, action, reason, changedBy, context }) {
+  const transition = TRANSITIONS[action];
+  // The fingerprint reads outside the transaction, so it is taken first
+  const dataHash = action === 'lock' ? await dataFingerprint(studyId, patientId) : null;
+  await encryption.ensureDataKey(studyId);
+
+  return transaction(async (tx) => {
+    await tx.lock(`data-lock:${studyId}:${patientId || ''}`);
+    const lock = await findLock(studyId, patientId, tx);
+    if (!lock) {
+      throw new LockError(404, patientId ? 'Patient not found' : 'Study not found');
+    }
+    if (patientId && lock.effectiveState === 'locked' && lock.state !== 'locked') {
+      throw new LockError(409, 'Study data is locked');
+    }
+    if (!transition.from.includes(lock.state)) {
+      throw new LockError(409, `Cannot ${action} data that is ${lock.state}`);
+    }
+
+    if (action === 'lock') {
+      const missing = SIGN_OFF_ROLES.filter(role =>
+        !lock.signOffs.some(signOff => signOff.role === role && signOff.dataHash === dataHash));
+      if (missing.length > 0) {
+        throw new LockError(409, `Locking needs a sign-off of the current data by: ${missing.join(', ')}`);
+      }
+    }
+
+    const now = new Date().toISOString();
+    // Freezing, and unlocking back to frozen, start a freeze that needs new sign-offs
+    const frozenAt = { freeze: now, unlock: now, lock: lock.frozenAt, unfreeze: null }[action];
+    const params = [transition.to, now, changedBy, frozenAt, studyId, ...(patientId ? [patientId] : [])];
+    await tx.run(`
+      UPDATE ${patientId ? 'study_patients' : 'study_configs'}
+      SET lock_state = ?, lock_changed_at = ?, lock_changed_by = ?, frozen_at = ?
+      WHERE study_id = ?${patientId ? ' AND patient_id = ?' : ''}
+    `, params);
+
+    await audit.record({
+      action: 'update',
+      entityType: patientId ? 'patient' : 'study',
+      entityId: patientId || studyId,
+      studyId,
+      context,
+      reason,
+      oldValues: { lockState: lock.state },
+      newValues: { lockState: transition.to, lockAction: action, ...(dataHash ? { dataHash } : {}) }
+    }, tx);
+
+    await webhooks.emit({
+      studyId,
+      type: `${patientId ? 'subject' : 'study'}.${transition.event}`,
+      data: {
+        ...(patientId ? { patientId } : {}),
+        lockState: transition.to,
+        changedAt: now,
+        ...(dataHash ? { dataHash } : {})
+      }
+    }, tx);
+
+    return findLock(studyId, patientId, tx);
+  });
+}
+
+/**
+ * Checksum manifest of the exports of a locked study: the size and SHA-256
+ * of the whole, unfiltered export in every format and layout. Exports of
+ * locked data are dated by the lock, so downloading one again gives the
+ * same bytes, and the same manifest, until the study is unlocked.
+ *
+ * @throws {LockError} when the study is not found or not locked
+ */
+async function exportManifest(studyId) {
+  const lock = await findLock(studyId);
+  if (!lock) {
+    throw new LockError(404, 'Study not found');
+  }
+  if (lock.state !== 'locked') {
+    throw new LockError(409, `Only a locked study has an export manifest; this study is ${lock.state}`);
+  }
+
+  const study = await findStudyConfig(studyId);
+  const questionnaires = await loadQuestionnaires(studyId);
+  const files = [];
+  for (const format of EXPORT_FORMATS) {
+    const layouts = CDISC_FORMATS.includes(format) ? [null] : EXPORT_LAYOUTS;
+    for (const layout of layouts) {
+      const sink = digestSink();
+      await writeExport(sink, {
+        format,
+        layout: layout || 'long',
+        study,
+        questionnaires,
+        pages: surveyPages(studyId, null, {}),
+        createdAt: lock.changedAt
+      });
+      files.push({ file: exportFileName(studyId, format, layout), format, layout, ...sink.digest() });
+    }
+  }
+
+  const manifest = {
+    studyId,
+    lockedAt: lock.changedAt,
+    lockedBy: lock.changedBy,
+    signOffs: lock.signOffs,
+    files
+  };
+  manifest.hash = sha256(canonicalJSON(manifest));
+  return manifest;
+}
+
+// Sign-offs of a study and its subjects, newest first
+async function listSignOffs(studyId, { patientId } = {}) {
+  const rows = await all(`
+    SELECT * FROM sign_offs
+    WHERE study_id = ?${patientId ? ' AND patient_id = ?' : ''}
+    ORDER BY signed_at DESC, sign_off_id
+  `, [studyId, ...(patientId ? [patientId] : [])]);
+  return rows.map(toSignOff);
+}
+
+module.exports = {
+  LOCK_STATES,
+  LOCK_ACTIONS,
+  SIGN_OFF_ROLES,
+  LockError,
+  lockRefusal,
+  dataFingerprint,
+  findLock,
+  signOff,
+  changeLock,
+  exportManifest,
+  listSignOffs
+};
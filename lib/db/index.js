@@ -0,0 +1,96 @@
+/**
+ * Storage layer. The backend is chosen with DB_CLIENT:
+ *
+ * - `sqlite` (default): a file at DATABASE_PATH
+ * - `postgres`: DATABASE_URL, or DB_HOST / DB_PORT / DB_NAME / DB_USER /
+ *   DB_PASSWORD (DB_SSL=true to require TLS)
+ *
+ * Both adapters offer the same run/get/all/transaction interface and take
+ * SQLite-style `?` placeholders, so queries elsewhere are written once.
+ * SQL that cannot be shared goes through the adapter (`types`, `epochMs`).
+ * The schema itself is managed by ./migrate.
+ */
+const DB_CLIENT = process.env.DB_CLIENT || 'sqlite';
+
+function createAdapter() {
+  if (DB_CLIENT === 'sqlite') {
+    const { createSqliteAdapter } = require('./sqlite');
+    return createSqliteAdapter({ filename: process.env.DATABASE_PATH || './patient_data.db' });
+  }
+
+  if (DB_CLIENT === 'postgres') {
+    const { createPostgresAdapter } = require('./postgres');
+    return createPostgresAdapter(process.env.DATABASE_URL
+      ? { connectionString: process.env.DATABASE_URL }
+      : {
+        host: process.env.DB_HOST || 'localhost',
+        port: parseInt(process.env.DB_PORT) || 5432,
+        database: process.env.DB_NAME || 'patient_survey_db',
+        user: process.env.DB_USER || 'nodejs',
+        password: process.env.DB_PASSWORD,
+        ssl: process.env.DB_SSL === 'true'
+      });
+  }
+
+  throw new Error(`Unsupported DB_CLIENT "${DB_CLIENT}" (expected sqlite or postgres)`);
+}
+
+const adapter = createAdapter();
+
+function run(sql, params) {
+  return adapter.run(sql, params);
+}
+
+function get(sql, params) {
+  return adapter.get(sql, params);
+}
+
+function all(sql, params) {
+  return adapter.all(sql, params);
+}
+
+/**
+ * Run `fn(tx)` inside a transaction. `tx` has the same run/get/all methods
+ * plus `lock(name)`, which holds a named lock until the transaction ends.
+ * Use only `tx` inside `fn` (on SQLite the module-level helpers would wait
+ * for the transaction to finish and deadlock). Commits when `fn` resolves
+ * and rolls back when it throws.
+ */
+function transaction(fn) {
+  return adapter.transaction(fn);
+}
+
+function close() {
+  return adapter.close();
+}
+
+// Add the demo study if it is not there yet
+async function seedDemoStudy() {
+  const demoStudy = require('../demo-study');
+  const questions = JSON.stringify(demoStudy.questions);
+
+  await run(
+    `INSERT INTO study_configs (study_id, study_name, description, questions, settings, created_by)
+     VALUES (?, ?, ?, ?, ?, 'system')
+     ON CONFLICT DO NOTHING`,
+    [demoStudy.studyId, demoStudy.studyName, demoStudy.description, questions, JSON.stringify(demoStudy.settings)]
+  );
+  await run(
+    `INSERT INTO study_config_versions (study_id, version, questions, created_by)
+     VALUES (?, 1, ?, 'system')
+     ON CONFLICT DO NOTHING`,
+    [demoStudy.studyId, questions]
+  );
+}
+
+module.exports = {
+  dialect: adapter.dialect,
+  types: adapter.types,
+  epochMs: adapter.epochMs,
+  run,
+  get,
+  all,
+  transaction,
+  close,
+  seedDemoStudy
+};
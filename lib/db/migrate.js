@@ -0,0 +1,172 @@
+/**
+ * Schema migrations. Each file in ./migrations is named
+ * `<number>_<description>.js` and exports `up(db)` and `down(db)`; `db` has
+ * run/get/all plus the adapter's `dialect` and column `types`. Applied
+ * migrations are recorded in schema_migrations.
+ *
+ * Every migration runs in its own transaction together with its
+ * schema_migrations row, so a failed migration leaves nothing behind.
+ * A dry run applies the planned migrations in one transaction, reports the
+ * statements they issued and rolls everything back.
+ */
+const fs = require('fs');
+const path = require('path');
+const db = require('./index');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Thrown to roll back a dry run once every planned migration has run
+class DryRun extends Error {}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, number, name]) => ({
+      version: parseInt(number, 10),
+      name,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+function ensureMigrationsTable() {
+  return db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+/**
+ * Every known migration with `status` applied or pending, plus `missing`
+ * for versions recorded in the database that have no file (the database
+ * was migrated by newer code).
+ */
+async function status() {
+  await ensureMigrationsTable();
+  const rows = await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(rows.map(row => [row.version, row]));
+
+  const migrations = loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    status: applied.has(version) ? 'applied' : 'pending',
+    appliedAt: applied.has(version) ? applied.get(version).applied_at : null
+  }));
+
+  const known = new Set(migrations.map(m => m.version));
+  const missing = rows
+    .filter(row => !known.has(row.version))
+    .map(row => ({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at }));
+
+  return [...migrations, ...missing].sort((a, b) => a.version - b.version);
+}
+
+async function pendingMigrations() {
+  return (await status()).filter(m => m.status === 'pending');
+}
+
+// Handle given to a migration; records what it runs for dry-run reports
+function migrationDb(tx, statements) {
+  return {
+    dialect: db.dialect,
+    types: db.types,
+    run: (sql, params) => {
+      statements.push(sql.replace(/\s+/g, ' ').trim());
+      return tx.run(sql, params);
+    },
+    get: (sql, params) => tx.get(sql, params),
+    all: (sql, params) => tx.all(sql, params)
+  };
+}
+
+async function execute(plan, direction, dryRun) {
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const results = plan.map(({ version, name }) => ({ version, name, statements: [] }));
+
+  async function step(tx, result) {
+    const migration = byVersion.get(result.version);
+    await migration[direction](migrationDb(tx, result.statements));
+
+    if (direction === 'up') {
+      await tx.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [result.version, result.name, new Date().toISOString()]
+      );
+    } else {
+      await tx.run('DELETE FROM schema_migrations WHERE version = ?', [result.version]);
+    }
+  }
+
+  if (dryRun) {
+    await db.transaction(async (tx) => {
+      await tx.lock('schema_migrations');
+      for (const result of results) {
+        await step(tx, result);
+      }
+      throw new DryRun();
+    }).catch((err) => {
+      if (!(err instanceof DryRun)) throw err;
+    });
+    return results;
+  }
+
+  for (const result of results) {
+    await db.transaction(async (tx) => {
+      // Another process may have run it since the plan was made
+      await tx.lock('schema_migrations');
+      const row = await tx.get('SELECT version FROM schema_migrations WHERE version = ?', [result.version]);
+      if (Boolean(row) === (direction === 'up')) {
+        result.skipped = true;
+        return;
+      }
+      await step(tx, result);
+    });
+  }
+  return results.filter(result => !result.skipped);
+}
+
+/**
+ * Apply pending migrations in order, up to and including `to` when given.
+ *
+ * @returns {Promise<object[]>} the migrations run, with the statements each issued
+ */
+async function migrateUp({ to, dryRun = false } = {}) {
+  const plan = (await pendingMigrations()).filter(m => to === undefined || m.version <= to);
+  return execute(plan, 'up', dryRun);
+}
+
+/**
+ * Revert applied migrations, newest first: the last `steps` of them
+ * (default 1), or every one above version `to`.
+ *
+ * @returns {Promise<object[]>} the migrations reverted, with the statements each issued
+ */
+async function migrateDown({ to, steps = 1, dryRun = false } = {}) {
+  const list = await status();
+  const missing = list.filter(m => m.status === 'missing');
+  const applied = list.filter(m => m.status === 'applied').reverse();
+  const plan = to !== undefined ? applied.filter(m => m.version > to) : applied.slice(0, steps);
+
+  const blocking = missing.find(m => plan.length && m.version > plan[plan.length - 1].version);
+  if (blocking) {
+    throw new Error(`Migration ${blocking.version} (${blocking.name}) was applied by newer code and cannot be reverted here`);
+  }
+  return execute(plan, 'down', dryRun);
+}
+
+module.exports = {
+  status,
+  pendingMigrations,
+  migrateUp,
+  migrateDown
+};
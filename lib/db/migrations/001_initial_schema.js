@@ -0,0 +1,174 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before
+// migrations were introduced can be brought under the runner unchanged.
+
+// Dependent tables first, so foreign keys do not block dropping
+const TABLES = [
+  'audit_log',
+  'survey_sessions',
+  'idempotency_keys',
+  'refresh_tokens',
+  'user_study_roles',
+  'users',
+  'study_config_versions',
+  'study_configs',
+  'responses',
+  'surveys'
+];
+
+function statements({ timestamp }) {
+  return [
+    `CREATE TABLE IF NOT EXISTS surveys (
+      survey_id TEXT PRIMARY KEY,
+      patient_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      completed_at TEXT NOT NULL,
+      config_version INTEGER,
+      metadata TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS responses (
+      response_id TEXT PRIMARY KEY,
+      survey_id TEXT NOT NULL,
+      question_id INTEGER NOT NULL,
+      question_text TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      response_type TEXT NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(survey_id) REFERENCES surveys(survey_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS study_configs (
+      study_id TEXT PRIMARY KEY,
+      study_name TEXT NOT NULL,
+      description TEXT,
+      questions TEXT NOT NULL,
+      settings TEXT DEFAULT '{}',
+      is_active INTEGER DEFAULT 1,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      created_by TEXT,
+      version INTEGER DEFAULT 1
+    )`,
+    `CREATE TABLE IF NOT EXISTS study_config_versions (
+      study_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      questions TEXT NOT NULL,
+      change_note TEXT,
+      created_by TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(study_id, version),
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS users (
+      user_id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      display_name TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_login_at ${timestamp}
+    )`,
+    `CREATE TABLE IF NOT EXISTS user_study_roles (
+      user_id TEXT NOT NULL,
+      study_id TEXT NOT NULL, -- '*' grants the role on every study
+      role TEXT NOT NULL,
+      granted_by TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(user_id, study_id),
+      FOREIGN KEY(user_id) REFERENCES users(user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(user_id)
+    )`,
+    // Client-supplied keys of submitted surveys, so retries are not stored twice.
+    // Kept when a survey is deleted, so a late retry cannot bring it back.
+    `CREATE TABLE IF NOT EXISTS idempotency_keys (
+      idempotency_key TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      survey_id TEXT NOT NULL,
+      config_version INTEGER,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // Partially answered surveys. A draft can be picked up again with its
+    // resume code until it expires; expired drafts are marked abandoned.
+    `CREATE TABLE IF NOT EXISTS survey_sessions (
+      session_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      patient_id TEXT NOT NULL,
+      config_version INTEGER NOT NULL,
+      resume_code_hash TEXT UNIQUE NOT NULL,
+      answers TEXT NOT NULL DEFAULT '{}',
+      answered_count INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'in_progress',
+      survey_id TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      started_at TEXT NOT NULL,
+      last_activity TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      completed_at TEXT,
+      abandoned_at TEXT
+    )`,
+    // Append-only, hash-chained record of data changes and exports
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      seq INTEGER PRIMARY KEY,
+      audit_id TEXT UNIQUE NOT NULL,
+      created_at TEXT NOT NULL,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT,
+      study_id TEXT,
+      survey_id TEXT,
+      actor_type TEXT NOT NULL,
+      actor_id TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      reason TEXT,
+      old_values TEXT,
+      new_values TEXT,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_surveys_study_id ON surveys(study_id)',
+    'CREATE INDEX IF NOT EXISTS idx_surveys_patient_id ON surveys(patient_id)',
+    'CREATE INDEX IF NOT EXISTS idx_responses_survey_id ON responses(survey_id)',
+    'CREATE INDEX IF NOT EXISTS idx_surveys_config_version ON surveys(study_id, config_version)',
+    'CREATE INDEX IF NOT EXISTS idx_study_configs_is_active ON study_configs(is_active)',
+    'CREATE INDEX IF NOT EXISTS idx_user_study_roles_study_id ON user_study_roles(study_id)',
+    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_survey_sessions_study_id ON survey_sessions(study_id, status)',
+    'CREATE INDEX IF NOT EXISTS idx_survey_sessions_expires_at ON survey_sessions(status, expires_at)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_study_id ON audit_log(study_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_survey_id ON audit_log(survey_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id)'
+  ];
+}
+
+module.exports = {
+  async up(db) {
+    for (const sql of statements(db.types)) {
+      await db.run(sql);
+    }
+
+    // Studies created before questionnaires were versioned get their
+    // current question set recorded as a version.
+    // (The WHERE clause keeps SQLite from reading ON CONFLICT as a join.)
+    await db.run(
+      `INSERT INTO study_config_versions (study_id, version, questions, created_by, created_at)
+       SELECT study_id, version, questions, created_by, updated_at FROM study_configs WHERE 1 = 1
+       ON CONFLICT DO NOTHING`
+    );
+  },
+
+  async down(db) {
+    for (const table of TABLES) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
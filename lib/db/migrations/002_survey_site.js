@@ -0,0 +1,16 @@
+// Site a survey was collected at, and an index for exports, which page
+// through a study's surveys in completion order.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE surveys ADD COLUMN site_id TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_surveys_site_id ON surveys(study_id, site_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_surveys_completed_at ON surveys(study_id, completed_at, survey_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_surveys_completed_at');
+    await db.run('DROP INDEX IF EXISTS idx_surveys_site_id');
+    await db.run('ALTER TABLE surveys DROP COLUMN site_id');
+  }
+};
@@ -0,0 +1,37 @@
+// Visit schedules. Patients get a key per study with the start date their
+// visits are scheduled from, and a survey can be tied to one visit; a
+// patient completes each visit once.
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_configs ADD COLUMN visits TEXT DEFAULT '[]'");
+    await db.run(`CREATE TABLE IF NOT EXISTS study_patients (
+      study_id TEXT NOT NULL,
+      patient_id TEXT NOT NULL,
+      site_id TEXT,
+      start_date TEXT NOT NULL, -- day 0 of the visit schedule, YYYY-MM-DD
+      created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(study_id, patient_id),
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('ALTER TABLE surveys ADD COLUMN visit_id TEXT');
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_surveys_patient_visit ON surveys(study_id, patient_id, visit_id)');
+
+    // Patients who already have surveys start on the day of their first one
+    await db.run(
+      `INSERT INTO study_patients (study_id, patient_id, site_id, start_date)
+       SELECT study_id, patient_id, MAX(site_id), SUBSTR(MIN(completed_at), 1, 10)
+       FROM surveys
+       WHERE study_id IN (SELECT study_id FROM study_configs)
+       GROUP BY study_id, patient_id
+       ON CONFLICT DO NOTHING`
+    );
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_surveys_patient_visit');
+    await db.run('ALTER TABLE surveys DROP COLUMN visit_id');
+    await db.run('DROP TABLE IF EXISTS study_patients');
+    await db.run('ALTER TABLE study_configs DROP COLUMN visits');
+  }
+};
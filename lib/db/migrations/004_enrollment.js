@@ -0,0 +1,79 @@
+// Enrollment registry. Subjects get a status, consent and withdrawal dates,
+// and identifying details are kept in their own table.
+//
+// Patient IDs typed in before enrollment existed may be real identifiers,
+// so each patient gets a pseudonymous subject ID; the old ID is kept as
+// their `legacy_id` identifier. They collected surveys before consent was
+// recorded, so they count as consented from their start date. The audit
+// log is append-only and keeps the IDs it recorded at the time.
+
+const { generateSubjectId, isValidSubjectId } = require('../../enrollment');
+
+// Tables that refer to patients by ID
+const PATIENT_TABLES = ['surveys', 'survey_sessions', 'study_patients'];
+
+async function rekey(db, studyId, from, to) {
+  for (const table of PATIENT_TABLES) {
+    await db.run(`UPDATE ${table} SET patient_id = ? WHERE study_id = ? AND patient_id = ?`, [to, studyId, from]);
+  }
+}
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_patients ADD COLUMN status TEXT NOT NULL DEFAULT 'enrolled'");
+    await db.run('ALTER TABLE study_patients ADD COLUMN consented_at TEXT');
+    await db.run('ALTER TABLE study_patients ADD COLUMN withdrawn_at TEXT');
+    await db.run('ALTER TABLE study_patients ADD COLUMN withdrawal_reason TEXT');
+    await db.run('ALTER TABLE study_patients ADD COLUMN enrolled_by TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_study_patients_patient_id ON study_patients(patient_id)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS patient_identifiers (
+      study_id TEXT NOT NULL,
+      patient_id TEXT NOT NULL,
+      identifier_type TEXT NOT NULL,
+      identifier_value TEXT NOT NULL,
+      created_by TEXT,
+      created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(study_id, patient_id, identifier_type),
+      FOREIGN KEY(study_id, patient_id) REFERENCES study_patients(study_id, patient_id)
+    )`);
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_identifiers_value
+      ON patient_identifiers(study_id, identifier_type, identifier_value)`);
+
+    await db.run('UPDATE study_patients SET consented_at = start_date');
+
+    const patients = await db.all('SELECT study_id, patient_id FROM study_patients ORDER BY study_id, patient_id');
+    const taken = new Set(patients.map(p => p.patient_id));
+    for (const patient of patients) {
+      if (isValidSubjectId(patient.patient_id)) continue;
+
+      let subjectId;
+      do {
+        subjectId = generateSubjectId();
+      } while (taken.has(subjectId));
+      taken.add(subjectId);
+
+      await rekey(db, patient.study_id, patient.patient_id, subjectId);
+      await db.run(`
+        INSERT INTO patient_identifiers (study_id, patient_id, identifier_type, identifier_value, created_by)
+        VALUES (?, ?, 'legacy_id', ?, 'system')
+      `, [patient.study_id, subjectId, patient.patient_id]);
+    }
+  },
+
+  async down(db) {
+    const legacy = await db.all(
+      "SELECT study_id, patient_id, identifier_value FROM patient_identifiers WHERE identifier_type = 'legacy_id'"
+    );
+    await db.run('DROP INDEX IF EXISTS idx_patient_identifiers_value');
+    await db.run('DROP TABLE IF EXISTS patient_identifiers');
+    for (const patient of legacy) {
+      await rekey(db, patient.study_id, patient.patient_id, patient.identifier_value);
+    }
+
+    await db.run('DROP INDEX IF EXISTS idx_study_patients_patient_id');
+    for (const column of ['enrolled_by', 'withdrawal_reason', 'withdrawn_at', 'consented_at', 'status']) {
+      await db.run(`ALTER TABLE study_patients DROP COLUMN ${column}`);
+    }
+  }
+};
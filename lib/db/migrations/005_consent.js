@@ -0,0 +1,45 @@
+// Electronic consent. Studies publish numbered consent documents, and each
+// signed attestation is kept as a consent record; records are never
+// changed except to mark them withdrawn.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS consent_documents (
+      study_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      content_hash TEXT NOT NULL,
+      change_note TEXT,
+      created_by TEXT,
+      created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(study_id, version),
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS consent_records (
+      consent_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      patient_id TEXT NOT NULL,
+      document_version INTEGER NOT NULL,
+      document_hash TEXT NOT NULL,
+      signer_name TEXT NOT NULL,
+      signature TEXT, -- drawn signature as a PNG data URL
+      signed_at TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      captured_by TEXT, -- staff user who took the consent; null when the patient signed
+      withdrawn_at TEXT,
+      withdrawal_reason TEXT,
+      FOREIGN KEY(study_id, patient_id) REFERENCES study_patients(study_id, patient_id),
+      FOREIGN KEY(study_id, document_version) REFERENCES consent_documents(study_id, version)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_consent_records_patient ON consent_records(study_id, patient_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_consent_records_patient');
+    await db.run('DROP TABLE IF EXISTS consent_records');
+    await db.run('DROP TABLE IF EXISTS consent_documents');
+  }
+};
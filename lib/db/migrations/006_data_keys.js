@@ -0,0 +1,21 @@
+// Per-study data keys for field-level encryption (see lib/encryption.js).
+// Keys are stored wrapped by the master key; existing values stay readable
+// unencrypted until scripts/data-keys.js encrypt-existing is run.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS data_keys (
+      study_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      wrapped_key TEXT NOT NULL,
+      master_key_id TEXT NOT NULL, -- which master key wrapped it
+      created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      rotated_at TEXT, -- when it was last re-wrapped
+      PRIMARY KEY(study_id, version)
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS data_keys');
+  }
+};
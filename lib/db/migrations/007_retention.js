@@ -0,0 +1,32 @@
+// Erasure and data retention. Studies get a retention policy, anonymised
+// surveys and erased subjects are marked, and every erasure leaves a
+// certificate describing what was removed.
+
+module.exports = {
+  async up(db) {
+    await db.run(`ALTER TABLE study_configs ADD COLUMN retention TEXT DEFAULT '{"action":"keep"}'`);
+    await db.run('ALTER TABLE surveys ADD COLUMN anonymised_at TEXT');
+    await db.run('ALTER TABLE study_patients ADD COLUMN erased_at TEXT');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS erasure_certificates (
+      certificate_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      scope TEXT NOT NULL, -- subject or retention
+      patient_id TEXT, -- the erased subject, for scope subject
+      action TEXT NOT NULL,
+      issued_at TEXT NOT NULL,
+      certificate TEXT NOT NULL, -- the certificate as issued, JSON
+      hash TEXT NOT NULL,
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_erasure_certificates_study ON erasure_certificates(study_id, issued_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_erasure_certificates_study');
+    await db.run('DROP TABLE IF EXISTS erasure_certificates');
+    await db.run('ALTER TABLE study_patients DROP COLUMN erased_at');
+    await db.run('ALTER TABLE surveys DROP COLUMN anonymised_at');
+    await db.run('ALTER TABLE study_configs DROP COLUMN retention');
+  }
+};
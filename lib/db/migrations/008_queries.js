@@ -0,0 +1,51 @@
+// Edit checks and queries. Studies configure data-quality checks; a failed
+// check, or a data manager, raises a query on a survey or one of its
+// answers, and each step of the query's workflow is kept as a message.
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_configs ADD COLUMN edit_checks TEXT DEFAULT '[]'");
+
+    await db.run(`CREATE TABLE IF NOT EXISTS queries (
+      query_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      survey_id TEXT NOT NULL,
+      patient_id TEXT NOT NULL,
+      site_id TEXT,
+      question_id INTEGER, -- null for queries on the whole survey
+      check_id TEXT, -- null for queries raised by hand
+      check_type TEXT NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      raised_by TEXT NOT NULL, -- user ID, or 'system' for edit checks
+      raised_at TEXT NOT NULL,
+      answered_at TEXT,
+      resolved_at TEXT,
+      closed_at TEXT,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_queries_study_status ON queries(study_id, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_queries_survey_id ON queries(survey_id)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS query_messages (
+      message_id TEXT PRIMARY KEY,
+      query_id TEXT NOT NULL,
+      action TEXT NOT NULL, -- open, answer, resolve, close or reopen
+      text TEXT,
+      author TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(query_id) REFERENCES queries(query_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_query_messages_query_id ON query_messages(query_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_query_messages_query_id');
+    await db.run('DROP TABLE IF EXISTS query_messages');
+    await db.run('DROP INDEX IF EXISTS idx_queries_survey_id');
+    await db.run('DROP INDEX IF EXISTS idx_queries_study_status');
+    await db.run('DROP TABLE IF EXISTS queries');
+    await db.run('ALTER TABLE study_configs DROP COLUMN edit_checks');
+  }
+};
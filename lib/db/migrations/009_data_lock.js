@@ -0,0 +1,44 @@
+// Data lock. Studies and subjects move from open to frozen to locked, and
+// data managers and investigators sign off frozen data before it is locked.
+// frozen_at is when the current freeze began; sign-offs since then count.
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_configs ADD COLUMN lock_state TEXT NOT NULL DEFAULT 'open'");
+    await db.run('ALTER TABLE study_configs ADD COLUMN lock_changed_at TEXT');
+    await db.run('ALTER TABLE study_configs ADD COLUMN lock_changed_by TEXT');
+    await db.run('ALTER TABLE study_configs ADD COLUMN frozen_at TEXT');
+    await db.run("ALTER TABLE study_patients ADD COLUMN lock_state TEXT NOT NULL DEFAULT 'open'");
+    await db.run('ALTER TABLE study_patients ADD COLUMN lock_changed_at TEXT');
+    await db.run('ALTER TABLE study_patients ADD COLUMN lock_changed_by TEXT');
+    await db.run('ALTER TABLE study_patients ADD COLUMN frozen_at TEXT');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS sign_offs (
+      sign_off_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      patient_id TEXT, -- null for sign-offs of the whole study
+      role TEXT NOT NULL, -- data_manager or investigator
+      user_id TEXT NOT NULL,
+      signer_email TEXT NOT NULL,
+      signer_name TEXT,
+      reason TEXT NOT NULL,
+      data_hash TEXT NOT NULL, -- fingerprint of the data signed
+      signed_at TEXT NOT NULL,
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sign_offs_scope ON sign_offs(study_id, patient_id, signed_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_sign_offs_scope');
+    await db.run('DROP TABLE IF EXISTS sign_offs');
+    await db.run('ALTER TABLE study_patients DROP COLUMN frozen_at');
+    await db.run('ALTER TABLE study_patients DROP COLUMN lock_changed_by');
+    await db.run('ALTER TABLE study_patients DROP COLUMN lock_changed_at');
+    await db.run('ALTER TABLE study_patients DROP COLUMN lock_state');
+    await db.run('ALTER TABLE study_configs DROP COLUMN frozen_at');
+    await db.run('ALTER TABLE study_configs DROP COLUMN lock_changed_by');
+    await db.run('ALTER TABLE study_configs DROP COLUMN lock_changed_at');
+    await db.run('ALTER TABLE study_configs DROP COLUMN lock_state');
+  }
+};
@@ -0,0 +1,63 @@
+// Outbound webhooks. Studies subscribe URLs to events; each event queues a
+// delivery per subscribed webhook, which is retried with backoff until it
+// is delivered or dead, and every attempt is logged.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+      webhook_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL, -- JSON array of event types
+      secret TEXT NOT NULL, -- HMAC signing key, encrypted like answers
+      description TEXT,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_webhooks_study_id ON webhooks(study_id)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      event_id TEXT NOT NULL, -- shared by redeliveries of the same event
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', -- pending, delivered or dead
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      last_status_code INTEGER,
+      last_error TEXT,
+      redelivery_of TEXT,
+      created_at TEXT NOT NULL,
+      delivered_at TEXT,
+      FOREIGN KEY(webhook_id) REFERENCES webhooks(webhook_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_study ON webhook_deliveries(study_id, created_at)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS webhook_attempts (
+      attempt_id TEXT PRIMARY KEY,
+      delivery_id TEXT NOT NULL,
+      attempted_at TEXT NOT NULL,
+      status_code INTEGER, -- null when no response was received
+      error TEXT,
+      duration_ms INTEGER NOT NULL,
+      FOREIGN KEY(delivery_id) REFERENCES webhook_deliveries(delivery_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery ON webhook_attempts(delivery_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_webhook_attempts_delivery');
+    await db.run('DROP TABLE IF EXISTS webhook_attempts');
+    await db.run('DROP INDEX IF EXISTS idx_webhook_deliveries_study');
+    await db.run('DROP INDEX IF EXISTS idx_webhook_deliveries_due');
+    await db.run('DROP TABLE IF EXISTS webhook_deliveries');
+    await db.run('DROP INDEX IF EXISTS idx_webhooks_study_id');
+    await db.run('DROP TABLE IF EXISTS webhooks');
+  }
+};
@@ -0,0 +1,15 @@
+// PRO instruments. Studies reference instruments of the library in
+// lib/instruments.js, and each survey keeps the scores computed from its
+// answers, encrypted like them (null when the survey has no instrument).
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_configs ADD COLUMN instruments TEXT DEFAULT '[]'");
+    await db.run('ALTER TABLE surveys ADD COLUMN scores TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE surveys DROP COLUMN scores');
+    await db.run('ALTER TABLE study_configs DROP COLUMN instruments');
+  }
+};
@@ -0,0 +1,19 @@
+// Multilingual questionnaires. Studies name their default and offered
+// locales and may translate the form's own texts; each survey records the
+// locale it was answered in (null for surveys from before translations).
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_configs ADD COLUMN default_locale TEXT NOT NULL DEFAULT 'en'");
+    await db.run('ALTER TABLE study_configs ADD COLUMN locales TEXT DEFAULT \'["en"]\'');
+    await db.run("ALTER TABLE study_configs ADD COLUMN ui_text TEXT DEFAULT '{}'");
+    await db.run('ALTER TABLE surveys ADD COLUMN locale TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE surveys DROP COLUMN locale');
+    await db.run('ALTER TABLE study_configs DROP COLUMN ui_text');
+    await db.run('ALTER TABLE study_configs DROP COLUMN locales');
+    await db.run('ALTER TABLE study_configs DROP COLUMN default_locale');
+  }
+};
@@ -0,0 +1,65 @@
+// Safety alerts. Studies configure safety rules run on every submitted
+// survey; a match raises an alert that investigators acknowledge and close,
+// and each alert is emailed to the study's safety recipients through a
+// queue retried like webhook deliveries.
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE study_configs ADD COLUMN safety_rules TEXT DEFAULT '[]'");
+    await db.run("ALTER TABLE study_configs ADD COLUMN safety_contacts TEXT DEFAULT '[]'");
+
+    await db.run(`CREATE TABLE IF NOT EXISTS safety_alerts (
+      alert_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      survey_id TEXT NOT NULL,
+      patient_id TEXT NOT NULL,
+      site_id TEXT,
+      rule_id TEXT NOT NULL,
+      rule_type TEXT NOT NULL,
+      question_id INTEGER,
+      severity TEXT NOT NULL, -- low, medium, high or critical
+      message TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open', -- open, acknowledged or closed
+      raised_at TEXT NOT NULL,
+      acknowledged_by TEXT,
+      acknowledged_at TEXT,
+      closed_by TEXT,
+      closed_at TEXT,
+      outcome TEXT, -- set when closed
+      note TEXT,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_safety_alerts_study_status ON safety_alerts(study_id, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_safety_alerts_survey_id ON safety_alerts(survey_id)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS alert_notifications (
+      notification_id TEXT PRIMARY KEY,
+      alert_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      recipient TEXT NOT NULL, -- email address
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', -- pending, sent or dead
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      sent_at TEXT,
+      FOREIGN KEY(alert_id) REFERENCES safety_alerts(alert_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_alert_notifications_due ON alert_notifications(status, next_attempt_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_alert_notifications_alert ON alert_notifications(alert_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_alert_notifications_alert');
+    await db.run('DROP INDEX IF EXISTS idx_alert_notifications_due');
+    await db.run('DROP TABLE IF EXISTS alert_notifications');
+    await db.run('DROP INDEX IF EXISTS idx_safety_alerts_survey_id');
+    await db.run('DROP INDEX IF EXISTS idx_safety_alerts_study_status');
+    await db.run('DROP TABLE IF EXISTS safety_alerts');
+    await db.run('ALTER TABLE study_configs DROP COLUMN safety_contacts');
+    await db.run('ALTER TABLE study_configs DROP COLUMN safety_rules');
+  }
+};
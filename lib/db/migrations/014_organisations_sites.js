@@ -0,0 +1,85 @@
+// Organisations and sites. Studies and users may belong to an organisation
+// (a sponsor), which keeps its users to its own studies. Sites become
+// registered per study, every subject and survey is tied to one, and users
+// can be assigned to sites to see only their data.
+//
+// Existing site IDs are registered as sites. Surveys without a site take
+// their subject's, and anything still without one goes to an UNASSIGNED
+// site. Site coordinators see nothing until they are assigned to sites.
+
+const UNASSIGNED_SITE = 'UNASSIGNED';
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS organisations (
+      org_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+    await db.run('ALTER TABLE study_configs ADD COLUMN org_id TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_study_configs_org_id ON study_configs(org_id)');
+    await db.run('ALTER TABLE users ADD COLUMN org_id TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_org_id ON users(org_id)');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS sites (
+      study_id TEXT NOT NULL,
+      site_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      enrollment_target INTEGER,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY(study_id, site_id),
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS user_sites (
+      user_id TEXT NOT NULL,
+      study_id TEXT NOT NULL,
+      site_id TEXT NOT NULL,
+      granted_by TEXT,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY(user_id, study_id, site_id),
+      FOREIGN KEY(user_id) REFERENCES users(user_id),
+      FOREIGN KEY(study_id, site_id) REFERENCES sites(study_id, site_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_user_sites_study ON user_sites(study_id, site_id)');
+
+    await db.run(`
+      UPDATE surveys SET site_id = (
+        SELECT p.site_id FROM study_patients p
+        WHERE p.study_id = surveys.study_id AND p.patient_id = surveys.patient_id
+      )
+      WHERE site_id IS NULL
+    `);
+    await db.run('UPDATE surveys SET site_id = ? WHERE site_id IS NULL', [UNASSIGNED_SITE]);
+    await db.run('UPDATE study_patients SET site_id = ? WHERE site_id IS NULL', [UNASSIGNED_SITE]);
+
+    const now = new Date().toISOString();
+    await db.run(`
+      INSERT INTO sites (study_id, site_id, name, created_by, created_at, updated_at)
+      SELECT DISTINCT study_id, site_id, site_id, 'system', ?, ?
+      FROM (
+        SELECT study_id, site_id FROM study_patients
+        UNION
+        SELECT study_id, site_id FROM surveys
+      ) used
+      WHERE study_id IN (SELECT study_id FROM study_configs)
+      ON CONFLICT DO NOTHING
+    `, [now, now]);
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_user_sites_study');
+    await db.run('DROP TABLE IF EXISTS user_sites');
+    await db.run('DROP TABLE IF EXISTS sites');
+    await db.run('DROP INDEX IF EXISTS idx_users_org_id');
+    await db.run('ALTER TABLE users DROP COLUMN org_id');
+    await db.run('DROP INDEX IF EXISTS idx_study_configs_org_id');
+    await db.run('ALTER TABLE study_configs DROP COLUMN org_id');
+    await db.run('DROP TABLE IF EXISTS organisations');
+  }
+};
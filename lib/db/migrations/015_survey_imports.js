@@ -0,0 +1,36 @@
+// Bulk import of surveys collected on paper or in a legacy system. Each
+// survey records its source ('electronic' for surveys submitted through the
+// API) and the import that stored it; each committed import is logged with
+// the checksum of its file, so the same file is not imported twice.
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE surveys ADD COLUMN source TEXT NOT NULL DEFAULT 'electronic'");
+    await db.run('ALTER TABLE surveys ADD COLUMN import_id TEXT');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS survey_imports (
+      import_id TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      source TEXT NOT NULL, -- paper, legacy or double_entry
+      format TEXT NOT NULL, -- csv or json
+      layout TEXT NOT NULL, -- long or wide
+      file_name TEXT,
+      checksum TEXT NOT NULL,
+      records INTEGER NOT NULL,
+      imported INTEGER NOT NULL,
+      rejected INTEGER NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(study_id) REFERENCES study_configs(study_id)
+    )`);
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_survey_imports_checksum ON survey_imports(study_id, checksum)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_surveys_import_id ON surveys(import_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_surveys_import_id');
+    await db.run('DROP TABLE IF EXISTS survey_imports');
+    await db.run('ALTER TABLE surveys DROP COLUMN import_id');
+    await db.run('ALTER TABLE surveys DROP COLUMN source');
+  }
+};
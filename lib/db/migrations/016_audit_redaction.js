@@ -0,0 +1,14 @@
+// Redaction of audit values on erasure. Entries written from now on hash
+// digests of their old and new values (hash_version 2), so the values can
+// later be replaced by their digest without breaking the chain. Existing
+// entries keep hashing the values themselves (hash_version 1).
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE audit_log ADD COLUMN hash_version INTEGER NOT NULL DEFAULT 1');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE audit_log DROP COLUMN hash_version');
+  }
+};
@@ -0,0 +1,60 @@
+// Idempotency keys are scoped to the study and the caller who sent them, so
+// one client's key can neither replay nor block another's submission. The
+// key table is rebuilt with a (study_id, caller, idempotency_key) primary
+// key. Existing keys take their caller from the audit entry of the survey
+// they stored; keys whose survey has no such entry get an empty caller.
+
+const CALLER_OF_SURVEY = `COALESCE((
+  SELECT CASE
+    WHEN a.actor_type = 'patient' THEN 'patient:' || k.study_id || ':' || substr(a.actor_id, 9)
+    ELSE 'user:' || a.actor_id
+  END
+  FROM audit_log a
+  WHERE a.entity_type = 'survey' AND a.action = 'create' AND a.entity_id = k.survey_id AND a.actor_id IS NOT NULL
+  ORDER BY a.seq
+  LIMIT 1
+), '')`;
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE idempotency_keys_scoped (
+      study_id TEXT NOT NULL,
+      caller TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      survey_id TEXT NOT NULL,
+      config_version INTEGER,
+      created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(study_id, caller, idempotency_key)
+    )`);
+    await db.run(`
+      INSERT INTO idempotency_keys_scoped
+        (study_id, caller, idempotency_key, request_hash, survey_id, config_version, created_at)
+      SELECT k.study_id, ${CALLER_OF_SURVEY}, k.idempotency_key, k.request_hash, k.survey_id, k.config_version, k.created_at
+      FROM idempotency_keys k
+    `);
+    await db.run('DROP TABLE idempotency_keys');
+    await db.run('ALTER TABLE idempotency_keys_scoped RENAME TO idempotency_keys');
+  },
+
+  async down(db) {
+    // Keys sent by several callers keep the first one stored
+    await db.run(`CREATE TABLE idempotency_keys_global (
+      idempotency_key TEXT PRIMARY KEY,
+      study_id TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      survey_id TEXT NOT NULL,
+      config_version INTEGER,
+      created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run(`
+      INSERT INTO idempotency_keys_global (idempotency_key, study_id, request_hash, survey_id, config_version, created_at)
+      SELECT idempotency_key, study_id, request_hash, survey_id, config_version, created_at
+      FROM idempotency_keys
+      ORDER BY created_at
+      ON CONFLICT DO NOTHING
+    `);
+    await db.run('DROP TABLE idempotency_keys');
+    await db.run('ALTER TABLE idempotency_keys_global RENAME TO idempotency_keys');
+  }
+};
@@ -0,0 +1,108 @@
+const pg = require('pg');
+
+// Counts and averages come back as strings by default; the rest of the app
+// expects numbers, and timestamps in the same ISO form it writes itself
+const TYPE_PARSERS = {
+  20: value => parseInt(value, 10), // int8, e.g. COUNT(*)
+  1700: value => parseFloat(value), // numeric, e.g. AVG()
+  1184: value => new Date(value).toISOString() // timestamptz
+};
+
+const types = {
+  getTypeParser: (oid, format) => TYPE_PARSERS[oid] || pg.types.getTypeParser(oid, format)
+};
+
+// Queries are written with SQLite-style `?` placeholders; PostgreSQL wants
+// `$1`, `$2`, ... Question marks inside quoted strings and identifiers, and
+// inside `--` and `/* */` comments, are left alone.
+function toPositional(sql) {
+  let out = '';
+  let index = 0;
+  // The text that ends the quote or comment we are in, if any
+  let closer = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (closer) {
+      if (sql.startsWith(closer, i)) {
+        out += closer;
+        i += closer.length - 1;
+        closer = null;
+        continue;
+      }
+    } else if (char === "'" || char === '"') {
+      closer = char;
+    } else if (sql.startsWith('--', i)) {
+      closer = '\n';
+    } else if (sql.startsWith('/*', i)) {
+      out += '/*';
+      i += 1;
+      closer = '*/';
+      continue;
+    } else if (char === '?') {
+      out += `$${++index}`;
+      continue;
+    }
+    out += char;
+  }
+  return out;
+}
+
+/**
+ * PostgreSQL storage adapter. Plain statements use the shared pool; each
+ * transaction gets a client of its own, so unlike SQLite nothing has to be
+ * queued.
+ */
+function createPostgresAdapter(config) {
+  const pool = new pg.Pool({ ...config, types });
+
+  pool.on('error', (err) => {
+    console.error('Unexpected PostgreSQL client error:', err.message);
+  });
+
+  function bind(client) {
+    const query = (sql, params = []) => client.query(toPositional(sql), params);
+    return {
+      run: async (sql, params) => ({ changes: (await query(sql, params)).rowCount }),
+      get: async (sql, params) => (await query(sql, params)).rows[0],
+      all: async (sql, params) => (await query(sql, params)).rows
+    };
+  }
+
+  return {
+    dialect: 'postgres',
+    types: { timestamp: 'TIMESTAMPTZ' },
+
+    ...bind(pool),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      const tx = {
+        ...bind(client),
+        // Held until the transaction ends; serializes writers that would
+        // otherwise race, such as appends to the audit chain
+        lock: async (name) => {
+          await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [name]);
+        }
+      };
+
+      try {
+        await client.query('BEGIN');
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    close: () => pool.end(),
+
+    epochMs: column => `EXTRACT(EPOCH FROM CAST(${column} AS TIMESTAMPTZ)) * 1000`
+  };
+}
+
+module.exports = { createPostgresAdapter, toPositional };
@@ -0,0 +1,84 @@
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * SQLite storage adapter. All statements share one connection, so anything
+ * issued while a transaction is open would silently become part of it.
+ * Statements and whole transactions are therefore queued and run one at a
+ * time.
+ */
+function createSqliteAdapter({ filename }) {
+  const db = new sqlite3.Database(filename, (err) => {
+    if (err) {
+      console.error('Error opening database:', err.message);
+    } else {
+      console.log('Connected to SQLite database');
+    }
+  });
+
+  // Promise wrappers around the sqlite3 callback API
+  function rawRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  function rawGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  function rawAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  let queue = Promise.resolve();
+
+  function exclusive(fn) {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // BEGIN IMMEDIATE already serializes writers, so named locks are not needed
+  const tx = { run: rawRun, get: rawGet, all: rawAll, lock: async () => {} };
+
+  return {
+    dialect: 'sqlite',
+    types: { timestamp: 'DATETIME' },
+
+    run: (sql, params) => exclusive(() => rawRun(sql, params)),
+    get: (sql, params) => exclusive(() => rawGet(sql, params)),
+    all: (sql, params) => exclusive(() => rawAll(sql, params)),
+
+    transaction(fn) {
+      return exclusive(async () => {
+        await rawRun('BEGIN IMMEDIATE');
+        try {
+          const result = await fn(tx);
+          await rawRun('COMMIT');
+          return result;
+        } catch (err) {
+          await rawRun('ROLLBACK').catch(() => {});
+          throw err;
+        }
+      });
+    },
+
+    close() {
+      return exclusive(() => new Promise((resolve, reject) => {
+        db.close(err => (err ? reject(err) : resolve()));
+      }));
+    },
+
+    // Milliseconds since the epoch of a stored timestamp
+    epochMs: column => `(julianday(${column}) - 2440587.5) * 86400000`
+  };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,154 @@
+// Default questionnaire seeded as DEMO_STUDY_001 so a fresh install has a
+// study the survey form can load.
+module.exports = {
+  studyId: 'DEMO_STUDY_001',
+  studyName: 'Demo Patient Survey Study',
+  description: 'A comprehensive patient survey for drug development research',
+  questions: [
+    {
+      id: 1,
+      question: 'What is your age?',
+      type: 'number',
+      required: true,
+      min: 18,
+      max: 120
+    },
+    {
+      id: 2,
+      question: 'What is your biological sex?',
+      type: 'multiple_choice',
+      options: ['Male', 'Female', 'Other', 'Prefer not to say'],
+      required: true
+    },
+    {
+      id: 3,
+      question: 'How would you rate your overall health?',
+      type: 'scale',
+      scale: { min: 1, max: 5, labels: ['Poor', 'Fair', 'Good', 'Very Good', 'Excellent'] },
+      required: true
+    },
+    {
+      id: 4,
+      question: 'Do you currently take any prescription medications?',
+      type: 'boolean',
+      required: true
+    },
+    {
+      id: 5,
+      question: 'If yes, please list your current medications:',
+      type: 'text',
+      required: false,
+      dependsOn: { questionId: 4, value: true }
+    },
+    {
+      id: 6,
+      question: 'Have you experienced any of the following symptoms in the past month? (Select all that apply)',
+      type: 'checkbox',
+      options: ['Headaches', 'Fatigue', 'Nausea', 'Dizziness', 'Joint pain', 'Sleep problems', 'None of the above'],
+      required: true
+    },
+    {
+      id: 7,
+      question: 'On a scale of 1-10, how would you rate your current pain level?',
+      type: 'scale',
+      scale: { min: 0, max: 10, labels: ['No pain', 'Mild', 'Moderate', 'Severe', 'Worst possible'] },
+      required: true
+    },
+    {
+      id: 8,
+      question: 'Do you have any known allergies to medications?',
+      type: 'boolean',
+      required: true
+    },
+    {
+      id: 9,
+      question: 'If yes, please specify your medication allergies:',
+      type: 'text',
+      required: false,
+      dependsOn: { questionId: 8, value: true }
+    },
+    {
+      id: 10,
+      question: 'How many hours of sleep do you typically get per night?',
+      type: 'number',
+      required: true,
+      min: 0,
+      max: 24
+    },
+    {
+      id: 11,
+      question: 'Do you smoke tobacco products?',
+      type: 'multiple_choice',
+      options: ['Never', 'Former smoker', 'Current smoker (less than 1 pack/day)', 'Current smoker (1+ packs/day)'],
+      required: true
+    },
+    {
+      id: 12,
+      question: 'How often do you consume alcohol?',
+      type: 'multiple_choice',
+      options: ['Never', 'Rarely (less than once a month)', 'Monthly', 'Weekly', 'Daily'],
+      required: true
+    },
+    {
+      id: 13,
+      question: 'Do you have a family history of any chronic diseases?',
+      type: 'boolean',
+      required: true
+    },
+    {
+      id: 14,
+      question: 'If yes, please specify the chronic diseases in your family history:',
+      type: 'text',
+      required: false,
+      dependsOn: { questionId: 13, value: true }
+    },
+    {
+      id: 15,
+      question: 'How would you describe your activity level?',
+      type: 'multiple_choice',
+      options: ['Sedentary', 'Lightly active', 'Moderately active', 'Very active', 'Extremely active'],
+      required: true
+    },
+    {
+      id: 16,
+      question: 'Have you participated in a clinical trial before?',
+      type: 'boolean',
+      required: true
+    },
+    {
+      id: 17,
+      question: 'Are you currently pregnant or breastfeeding?',
+      type: 'multiple_choice',
+      options: ['Not applicable', 'No', 'Pregnant', 'Breastfeeding', 'Both'],
+      required: true
+    },
+    {
+      id: 18,
+      question: 'On a scale of 1-10, how would you rate your stress level over the past week?',
+      type: 'scale',
+      scale: { min: 1, max: 10, labels: ['Very low', 'Low', 'Moderate', 'High', 'Very high'] },
+      required: true
+    },
+    {
+      id: 19,
+      question: 'Do you have any concerns about participating in medical research?',
+      type: 'text',
+      required: false,
+      placeholder: 'Please share any concerns or questions you may have...'
+    },
+    {
+      id: 20,
+      question: 'How did you hear about this study?',
+      type: 'multiple_choice',
+      options: ['Doctor referral', 'Online advertisement', 'Friend/family', 'Social media', 'Research database', 'Other'],
+      required: true
+    }
+  ],
+  settings: {
+    maxCompletionTime: 3600000, // 1 hour in milliseconds
+    allowMultipleSubmissions: false,
+    requireAllQuestions: true,
+    saveProgress: true,
+    sessionTimeout: 1800000 // 30 minutes
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * Evaluation of a study's edit checks (see editCheckSchema in
+ * ./study-config) against the answers of one survey. Failures become
+ * queries in ./queries; nothing here touches the database.
+ *
+ * Messages name questions and rules but never the answers themselves,
+ * which are encrypted at rest while queries are not.
+ */
+
+function present(answer) {
+  return answer !== undefined && answer !== null;
+}
+
+function matches(condition, answer) {
+  if (!present(answer)) return false;
+
+  // A checkbox answer matches when any of its boxes does
+  const values = Array.isArray(answer) ? answer : [answer];
+  if (condition.equals !== undefined) return values.includes(condition.equals);
+  if (condition.in) return values.some(value => condition.in.includes(value));
+  return values.some(value => typeof value === 'number' &&
+    (condition.min === undefined || value >= condition.min) &&
+    (condition.max === undefined || value <= condition.max));
+}
+
+function describe(condition) {
+  if (condition.equals !== undefined) return `is ${JSON.stringify(condition.equals)}`;
+  if (condition.in) return `is one of ${condition.in.map(value => JSON.stringify(value)).join(', ')}`;
+  if (condition.min === undefined) return `is at most ${condition.max}`;
+  if (condition.max === undefined) return `is at least ${condition.min}`;
+  return `is from ${condition.min} to ${condition.max}`;
+}
+
+function rangeFailures(check, answers) {
+  const answer = answers[check.questionId];
+  const range = { min: check.min, max: check.max };
+  if (typeof answer !== 'number' || matches(range, answer)) return [];
+
+  return [{
+    questionId: check.questionId,
+    message: check.message ||
+      `Question ${check.questionId} should be a value that ${describe(range)}`
+  }];
+}
+
+function consistencyFailures(check, answers) {
+  const { if: when, then } = check;
+  if (!matches(when, answers[when.questionId])) return [];
+  // An unanswered question leaves nothing to query
+  if (!present(answers[then.questionId]) || matches(then, answers[then.questionId])) return [];
+
+  return [{
+    questionId: then.questionId,
+    message: check.message ||
+      `Question ${then.questionId} should be a value that ${describe(then)} when question ${when.questionId} ${describe(when)}`
+  }];
+}
+
+// Answers to questions the patient should have skipped, e.g. after a correction
+function dependsOnFailures(check, answers, questions) {
+  return questions
+    .filter(question => question.dependsOn && present(answers[question.id]))
+    .filter(question => !matches({ equals: question.dependsOn.value }, answers[question.dependsOn.questionId]))
+    .map(question => ({
+      questionId: question.id,
+      message: check.message ||
+        `Question ${question.id} is answered although question ${question.dependsOn.questionId} is not ${JSON.stringify(question.dependsOn.value)}`
+    }));
+}
+
+/**
+ * Run the answer-based checks on one survey. Duplicate checks need other
+ * surveys and are left to the caller.
+ *
+ * @param {object[]} checks - the study's edit checks
+ * @param {object[]} questions - the question set the survey was answered on
+ * @param {object} answers - answers keyed by question ID
+ * @returns {object[]} failures: `{ checkId, checkType, questionId, message }`
+ */
+function evaluateChecks(checks, questions, answers) {
+  const failures = [];
+
+  checks.forEach(check => {
+    let found = [];
+    if (check.type === 'range') found = rangeFailures(check, answers);
+    if (check.type === 'consistency') found = consistencyFailures(check, answers);
+    if (check.type === 'depends_on') found = dependsOnFailures(check, answers, questions);
+
+    found.forEach(failure => failures.push({ checkId: check.checkId, checkType: check.type, ...failure }));
+  });
+
+  return failures;
+}
+
+module.exports = {
+  matches,
+  describe,
+  evaluateChecks
+};
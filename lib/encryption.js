@@ -0,0 +1,254 @@
+/**
+ * Envelope encryption of sensitive columns: answers, survey metadata, draft
+ * answers and the values recorded in a study's audit entries.
+ *
+ * Each study has its own AES-256-GCM data keys in data_keys, stored wrapped
+ * (encrypted) by a master key that never reaches the database:
+ *
+ * - ENCRYPTION_KEY or ENCRYPTION_KEY_FILE: the master key, 32 bytes in
+ *   base64 (`openssl rand -base64 32`)
+ * - ENCRYPTION_KEY_PREVIOUS or ENCRYPTION_KEY_PREVIOUS_FILE: master keys
+ *   being retired, comma-separated, still used to unwrap data keys
+ *
+ * Encrypted values are stored as `enc1:<data key version>:<base64>`. Values
+ * without that prefix were written before encryption was set up and are
+ * read as they are, so existing data stays readable while it is encrypted
+ * in place (scripts/data-keys.js).
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { run, get, all } = require('./db');
+
+const PREFIX = 'enc1:';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Handle for statements outside a transaction; only keys read through it
+// are known to be committed and may be cached
+const COMMITTED = { run, get };
+
+function readKeys(name) {
+  const file = process.env[`${name}_FILE`];
+  const text = file ? fs.readFileSync(file, 'utf8') : process.env[name] || '';
+
+  return text.split(/[\s,]+/).filter(Boolean).map(encoded => {
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`${name} must be 32 bytes, base64-encoded`);
+    }
+    // Wrapped data keys record which master key wrapped them
+    return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), key };
+  });
+}
+
+const [masterKey] = readKeys('ENCRYPTION_KEY');
+const masterKeys = new Map([masterKey, ...readKeys('ENCRYPTION_KEY_PREVIOUS')].filter(Boolean).map(k => [k.id, k.key]));
+
+if (!masterKey) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEY or ENCRYPTION_KEY_FILE must be set in production');
+  }
+  console.warn('ENCRYPTION_KEY is not set; answers and metadata will be stored unencrypted');
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function unseal(key, sealed, aad) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// A wrapped data key is bound to its study and version
+function wrapAad(studyId, version) {
+  return `data_key:${studyId}:${version}`;
+}
+
+function unwrap(row) {
+  const master = masterKeys.get(row.master_key_id);
+  if (!master) {
+    throw new Error(`Data key ${row.study_id} v${row.version} is wrapped by master key ${row.master_key_id}, which is not configured`);
+  }
+  return unseal(master, row.wrapped_key, wrapAad(row.study_id, row.version));
+}
+
+// Unwrapped data keys by `study\0version`, and each study's newest version
+const keyCache = new Map();
+const currentVersions = new Map();
+
+async function dataKey(studyId, version, db) {
+  const cacheKey = `${studyId}\u0000${version}`;
+  if (keyCache.has(cacheKey)) return keyCache.get(cacheKey);
+
+  const row = await db.get('SELECT * FROM data_keys WHERE study_id = ? AND version = ?', [studyId, version]);
+  if (!row) {
+    throw new Error(`Data key ${studyId} v${version} not found`);
+  }
+
+  const key = unwrap(row);
+  if (db === COMMITTED) keyCache.set(cacheKey, key);
+  return key;
+}
+
+// The study's newest data key, created on first use
+async function currentDataKey(studyId, db) {
+  if (currentVersions.has(studyId)) {
+    const version = currentVersions.get(studyId);
+    return { version, key: await dataKey(studyId, version, db) };
+  }
+
+  const newest = () => db.get('SELECT * FROM data_keys WHERE study_id = ? ORDER BY version DESC LIMIT 1', [studyId]);
+  let row = await newest();
+  if (!row) {
+    // A concurrent first write may create it too; whichever wins is used
+    await db.run(`
+      INSERT INTO data_keys (study_id, version, wrapped_key, master_key_id)
+      VALUES (?, 1, ?, ?)
+      ON CONFLICT DO NOTHING
+    `, [studyId, seal(masterKey.key, crypto.randomBytes(32), wrapAad(studyId, 1)), masterKey.id]);
+    row = await newest();
+  }
+
+  const key = unwrap(row);
+  // A key created inside a transaction is gone if it rolls back
+  if (db === COMMITTED) {
+    currentVersions.set(studyId, row.version);
+    keyCache.set(`${studyId}\u0000${row.version}`, key);
+  }
+  return { version: row.version, key };
+}
+
+/**
+ * Create and cache the study's data key ahead of a transaction that will
+ * encrypt, so the transaction itself does not have to look it up.
+ */
+async function ensureDataKey(studyId) {
+  if (masterKey) await currentDataKey(studyId, COMMITTED);
+}
+
+/**
+ * Encrypt one column value of a study. `context` names the row and column
+ * it belongs to (e.g. `answer:<surveyId>:<questionId>`); a ciphertext only
+ * decrypts with the same context, so it cannot be moved to another row.
+ * Pass the open transaction as `db` when called inside one.
+ *
+ * Without a master key the value is returned unencrypted.
+ */
+async function encrypt(studyId, context, plaintext, db = COMMITTED) {
+  if (!masterKey || plaintext === null || plaintext === undefined) return plaintext;
+
+  const { version, key } = await currentDataKey(studyId, db);
+  return `${PREFIX}${version}:${seal(key, plaintext, `${studyId}:${context}`)}`;
+}
+
+// Decrypt a value written by encrypt(); unencrypted values are returned as they are
+async function decrypt(studyId, context, value, db = COMMITTED) {
+  if (!isEncrypted(value)) return value;
+  if (!masterKey) {
+    throw new Error('Found encrypted data but ENCRYPTION_KEY is not set');
+  }
+
+  const [, version, sealed] = value.split(':');
+  const key = await dataKey(studyId, parseInt(version), db);
+  return unseal(key, sealed, `${studyId}:${context}`).toString('utf8');
+}
+
+function encryptJSON(studyId, context, value, db) {
+  return encrypt(studyId, context, JSON.stringify(value), db);
+}
+
+async function decryptJSON(studyId, context, value, db) {
+  const text = await decrypt(studyId, context, value, db);
+  return text === null || text === undefined ? text : JSON.parse(text);
+}
+
+/**
+ * Re-wrap every data key that is not wrapped by the current master key.
+ * Data is not touched, and running servers that hold both the old and the
+ * new master key keep working throughout.
+ *
+ * @returns {Promise<number>} how many keys were re-wrapped
+ */
+async function rewrapDataKeys() {
+  if (!masterKey) {
+    throw new Error('ENCRYPTION_KEY is not set');
+  }
+
+  const rows = await all('SELECT * FROM data_keys WHERE master_key_id <> ?', [masterKey.id]);
+  let rewrapped = 0;
+  for (const row of rows) {
+    const wrapped = seal(masterKey.key, unwrap(row), wrapAad(row.study_id, row.version));
+    const { changes } = await run(`
+      UPDATE data_keys SET wrapped_key = ?, master_key_id = ?, rotated_at = ?
+      WHERE study_id = ? AND version = ? AND master_key_id = ?
+    `, [wrapped, masterKey.id, new Date().toISOString(), row.study_id, row.version, row.master_key_id]);
+    rewrapped += changes;
+  }
+  return rewrapped;
+}
+
+/**
+ * Start a new data key version for a study. New values are encrypted with
+ * it; values encrypted with earlier versions still decrypt. Servers that
+ * are already running pick it up when restarted.
+ *
+ * @returns {Promise<number>} the new version
+ */
+async function rotateDataKey(studyId) {
+  if (!masterKey) {
+    throw new Error('ENCRYPTION_KEY is not set');
+  }
+
+  const row = await get('SELECT MAX(version) AS version FROM data_keys WHERE study_id = ?', [studyId]);
+  const version = (row && row.version ? row.version : 0) + 1;
+  await run(
+    'INSERT INTO data_keys (study_id, version, wrapped_key, master_key_id) VALUES (?, ?, ?, ?)',
+    [studyId, version, seal(masterKey.key, crypto.randomBytes(32), wrapAad(studyId, version)), masterKey.id]
+  );
+  currentVersions.delete(studyId);
+  return version;
+}
+
+// Data keys per master key, for checking that a rotation has finished
+async function keyStatus() {
+  const rows = await all(`
+    SELECT master_key_id, COUNT(*) AS data_keys
+    FROM data_keys
+    GROUP BY master_key_id
+    ORDER BY master_key_id
+  `);
+  return {
+    currentMasterKeyId: masterKey ? masterKey.id : null,
+    masterKeys: rows.map(row => ({
+      masterKeyId: row.master_key_id,
+      dataKeys: Number(row.data_keys),
+      current: Boolean(masterKey) && row.master_key_id === masterKey.id,
+      configured: masterKeys.has(row.master_key_id)
+    }))
+  };
+}
+
+module.exports = {
+  enabled: Boolean(masterKey),
+  isEncrypted,
+  ensureDataKey,
+  encrypt,
+  decrypt,
+  encryptJSON,
+  decryptJSON,
+  rewrapDataKeys,
+  rotateDataKey,
+  keyStatus
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { run, get, all, transaction } = require('./db');
+const webhooks = require('./webhooks');
+
+// Subject IDs are eight random digits and a Luhn check digit: 1234-5678-9
+const SUBJECT_ID_PATTERN = /^(\d{4})-(\d{4})-(\d)$/;
+
+const PATIENT_STATUSES = ['enrolled', 'withdrawn'];
+
+// Enrollment was refused; `status` is the HTTP status to answer with
+class EnrollmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'EnrollmentError';
+    this.status = status;
+  }
+}
+
+// Luhn check digit of a string of digits
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  [...digits].reverse().forEach((digit, i) => {
+    let value = Number(digit);
+    if (i % 2 === 0) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return String((10 - (sum % 10)) % 10);
+}
+
+function generateSubjectId() {
+  const digits = String(crypto.randomInt(100000000)).padStart(8, '0');
+  return `${digits.slice(0, 4)}-${digits.slice(4)}-${luhnCheckDigit(digits)}`;
+}
+
+// Whether an ID has the subject ID format and a matching check digit
+function isValidSubjectId(id) {
+  const match = SUBJECT_ID_PATTERN.exec(String(id));
+  return Boolean(match) && luhnCheckDigit(match[1] + match[2]) === match[3];
+}
+
+function toPatient(row) {
+  return {
+    studyId: row.study_id,
+    patientId: row.patient_id,
+    siteId: row.site_id,
+    status: row.status,
+    startDate: row.start_date,
+    consentedAt: row.consented_at,
+    withdrawnAt: row.withdrawn_at,
+    withdrawalReason: row.withdrawal_reason,
+    erasedAt: row.erased_at,
+    lockState: row.lock_state,
+    enrolledBy: row.enrolled_by,
+    createdAt: row.created_at
+  };
+}
+
+async function findPatient(studyId, patientId) {
+  const row = await get('SELECT * FROM study_patients WHERE study_id = ? AND patient_id = ?', [studyId, patientId]);
+  return row ? toPatient(row) : null;
+}
+
+async function listPatients(studyId, { siteIds, patientIds, statuses } = {}) {
+  const clauses = ['study_id = ?'];
+  const params = [studyId];
+  [['site_id', siteIds], ['patient_id', patientIds], ['status', statuses]].forEach(([column, values]) => {
+    if (!values) return;
+    clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  });
+
+  const rows = await all(`SELECT * FROM study_patients WHERE ${clauses.join(' AND ')} ORDER BY patient_id`, params);
+  return rows.map(toPatient);
+}
+
+/**
+ * Enroll a subject on a study and issue their pseudonymous subject ID.
+ * Directly identifying details (`identifiers`, e.g. `{ mrn: '...' }`) are
+ * kept apart in patient_identifiers; a subject whose identifier is already
+ * on file for the study cannot be enrolled twice.
+ *
+ * @throws {EnrollmentError} when the subject is already enrolled
+ */
+async function enrollPatient({ studyId, siteId, startDate, consentedAt, identifiers = {}, enrolledBy }) {
+  return transaction(async (tx) => {
+    await tx.lock(`enrollment:${studyId}`);
+
+    for (const [type, value] of Object.entries(identifiers)) {
+      const existing = await tx.get(
+        'SELECT patient_id FROM patient_identifiers WHERE study_id = ? AND identifier_type = ? AND identifier_value = ?',
+        [studyId, type, value]
+      );
+      if (existing) {
+        throw new EnrollmentError(409, `A subject with this ${type} is already enrolled on this study`);
+      }
+    }
+
+    // Subject IDs are kept unique across studies, so one is never mistaken for another
+    let patientId;
+    do {
+      patientId = generateSubjectId();
+    } while (await tx.get('SELECT patient_id FROM study_patients WHERE patient_id = ?', [patientId]));
+
+    await tx.run(`
+      INSERT INTO study_patients (study_id, patient_id, site_id, status, start_date, consented_at, enrolled_by)
+      VALUES (?, ?, ?, 'enrolled', ?, ?, ?)
+    `, [studyId, patientId, siteId || null, startDate, consentedAt || null, enrolledBy || null]);
+
+    for (const [type, value] of Object.entries(identifiers)) {
+      await tx.run(`
+        INSERT INTO patient_identifiers (study_id, patient_id, identifier_type, identifier_value, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `, [studyId, patientId, type, value, enrolledBy || null]);
+    }
+
+    await webhooks.emit({
+      studyId,
+      type: 'subject.enrolled',
+      data: { patientId, siteId: siteId || null, startDate }
+    }, tx);
+
+    return toPatient(await tx.get(
+      'SELECT * FROM study_patients WHERE study_id = ? AND patient_id = ?',
+      [studyId, patientId]
+    ));
+  });
+}
+
+async function recordConsent(studyId, patientId, consentedAt) {
+  await run(
+    'UPDATE study_patients SET consented_at = ? WHERE study_id = ? AND patient_id = ?',
+    [consentedAt, studyId, patientId]
+  );
+  return findPatient(studyId, patientId);
+}
+
+async function withdrawPatient(studyId, patientId, reason) {
+  await transaction(async (tx) => {
+    const withdrawnAt = new Date().toISOString();
+    await tx.run(`
+      UPDATE study_patients SET status = 'withdrawn', withdrawn_at = ?, withdrawal_reason = ?
+      WHERE study_id = ? AND patient_id = ?
+    `, [withdrawnAt, reason, studyId, patientId]);
+
+    // The reason is free text, so it is not sent
+    await webhooks.emit({
+      studyId,
+      type: 'subject.withdrawn',
+      data: { patientId, withdrawnAt, consentWithdrawn: false }
+    }, tx);
+  });
+  return findPatient(studyId, patientId);
+}
+
+/**
+ * Why a subject takes no further part in the study, or null when they do:
+ * they must be enrolled on it and not withdrawn. Consent is checked
+ * separately, see consent.collectionRefusal.
+ */
+function enrollmentRefusal(patient) {
+  if (!patient) return 'Patient is not enrolled in this study';
+  if (patient.status === 'withdrawn') return 'Patient has withdrawn from this study';
+  return null;
+}
+
+// Directly identifying details of a subject; callers must audit the access
+async function findIdentifiers(studyId, patientId) {
+  const rows = await all(`
+    SELECT identifier_type, identifier_value, created_by, created_at
+    FROM patient_identifiers
+    WHERE study_id = ? AND patient_id = ?
+    ORDER BY identifier_type
+  `, [studyId, patientId]);
+
+  return rows.map(row => ({
+    type: row.identifier_type,
+    value: row.identifier_value,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  }));
+}
+
+// Subject ID of the subject with the given identifier, or null
+async function findPatientByIdentifier(studyId, type, value) {
+  const row = await get(
+    'SELECT patient_id FROM patient_identifiers WHERE study_id = ? AND identifier_type = ? AND identifier_value = ?',
+    [studyId, type, value]
+  );
+  return row ? findPatient(studyId, row.patient_id) : null;
+}
+
+module.exports = {
+  PATIENT_STATUSES,
+  EnrollmentError,
+  generateSubjectId,
+  isValidSubjectId,
+  findPatient,
+  listPatients,
+  enrollPatient,
+  recordConsent,
+  withdrawPatient,
+  enrollmentRefusal,
+  findIdentifiers,
+  findPatientByIdentifier
+};
@@ -0,0 +1,399 @@
+const { v4: uuidv4 } = require('uuid');
+const { get, all, transaction } = require('./db');
+const { listStudies, findStudyConfig } = require('./studies');
+const { canonicalJSON, sha256 } = require('./hash');
+const audit = require('./audit');
+const encryption = require('./encryption');
+const { lockRefusal } = require('./data-lock');
+
+/**
+ * Erasure of a subject's data on request, and of a study's data once its
+ * retention period has passed. Either way the data is:
+ *
+ * - `delete`d: surveys with their answers, queries and safety alerts,
+ *   drafts, identifiers and consent records are removed
+ * - `anonymise`d: free-text answers, query messages and alert notes,
+ *   survey metadata (location, device), drafts and identifiers are
+ *   removed, and consent records lose the signer's name, signature, IP
+ *   address and user agent; coded answers and instrument scores stay for
+ *   analysis
+ *
+ * Either way the old and new values of the surveys' audit log entries are
+ * replaced by their digests. Every erasure is audited with counts and IDs
+ * only, and leaves a certificate stating what was removed and what was kept.
+ */
+const ERASURE_ACTIONS = ['delete', 'anonymise'];
+
+// Kept by every erasure, and why; stated on each certificate
+const RETAINED = [
+  'The subject ID, site and enrollment dates, so the subject ID is never reused',
+  'Audit log entries, which are hash-chained; the values recorded in entries of the erased surveys are replaced by their SHA-256 digest',
+  'Idempotency keys of deleted surveys, so a late retry cannot store them again'
+];
+
+// Actor of erasures made by the retention job
+const RETENTION_CONTEXT = {
+  actorType: 'system',
+  actorId: 'retention',
+  ipAddress: null,
+  userAgent: null,
+  reason: null
+};
+
+/**
+ * The statements of an erasure, in the order they run. `select` holds WHERE
+ * clauses (with their parameters) choosing the surveys, drafts and subjects
+ * it covers. Each step counts what it would change for a dry run.
+ */
+function erasureSteps(action, select, now) {
+  const { surveys, drafts, subjects } = select;
+  const ofSurveys = {
+    where: `survey_id IN (SELECT survey_id FROM surveys WHERE ${surveys.where})`,
+    params: surveys.params
+  };
+  const ofQueries = {
+    where: `query_id IN (SELECT query_id FROM queries WHERE ${ofSurveys.where})`,
+    params: surveys.params
+  };
+  const ofAlerts = {
+    where: `alert_id IN (SELECT alert_id FROM safety_alerts WHERE ${ofSurveys.where})`,
+    params: surveys.params
+  };
+  const ofSubjects = {
+    where: `study_id = ? AND patient_id IN (SELECT patient_id FROM study_patients WHERE ${subjects.where})`,
+    params: [subjects.params[0], ...subjects.params]
+  };
+
+  const steps = action === 'delete'
+    ? [
+      { key: 'queryMessagesDeleted', table: 'query_messages', ...ofQueries },
+      { key: 'queriesDeleted', table: 'queries', ...ofSurveys },
+      { key: 'alertEmailsDeleted', table: 'alert_notifications', ...ofAlerts },
+      { key: 'safetyAlertsDeleted', table: 'safety_alerts', ...ofSurveys },
+      { key: 'answersDeleted', table: 'responses', ...ofSurveys },
+      { key: 'surveysDeleted', table: 'surveys', ...surveys },
+      { key: 'consentRecordsDeleted', table: 'consent_records', ...ofSubjects }
+    ]
+    : [
+      // Query threads are free text too
+      {
+        key: 'queryMessagesRedacted',
+        table: 'query_messages',
+        set: 'text = NULL',
+        where: `${ofQueries.where} AND text IS NOT NULL`,
+        params: ofQueries.params
+      },
+      {
+        key: 'manualQueriesRedacted',
+        table: 'queries',
+        set: "message = ''",
+        where: `check_type = 'manual' AND message <> '' AND ${ofSurveys.where}`,
+        params: ofSurveys.params
+      },
+      {
+        key: 'alertNotesRedacted',
+        table: 'safety_alerts',
+        set: 'note = NULL',
+        where: `note IS NOT NULL AND ${ofSurveys.where}`,
+        params: ofSurveys.params
+      },
+      { key: 'answersDeleted', table: 'responses', where: `response_type = 'text' AND ${ofSurveys.where}`, params: ofSurveys.params },
+      {
+        key: 'surveysAnonymised',
+        table: 'surveys',
+        set: 'metadata = NULL, anonymised_at = ?',
+        setParams: [now],
+        where: `${surveys.where} AND anonymised_at IS NULL`,
+        params: surveys.params
+      },
+      {
+        key: 'consentRecordsRedacted',
+        table: 'consent_records',
+        set: "signer_name = '', signature = NULL, ip_address = NULL, user_agent = NULL",
+        where: `${ofSubjects.where} AND signer_name <> ''`,
+        params: ofSubjects.params
+      }
+    ];
+
+  return [
+    // First, while the surveys still exist
+    {
+      key: 'auditEntriesRedacted',
+      table: 'audit_log',
+      redact: true,
+      where: `${ofSurveys.where} AND ((old_values IS NOT NULL AND old_values NOT LIKE 'redacted:%')`
+        + " OR (new_values IS NOT NULL AND new_values NOT LIKE 'redacted:%'))",
+      params: ofSurveys.params
+    },
+    ...steps,
+    { key: 'draftsDeleted', table: 'survey_sessions', ...drafts },
+    { key: 'identifiersDeleted', table: 'patient_identifiers', ...ofSubjects },
+    // Last, since the subject selection may depend on erased_at
+    { key: 'subjectsErased', table: 'study_patients', set: 'erased_at = ?', setParams: [now], ...subjects }
+  ];
+}
+
+// Run the steps, or only count their rows when `dryRun`
+async function runSteps(db, steps, dryRun) {
+  const removed = {};
+  for (const step of steps) {
+    if (dryRun) {
+      const row = await db.get(`SELECT COUNT(*) AS n FROM ${step.table} WHERE ${step.where}`, step.params);
+      removed[step.key] = Number(row.n);
+    } else if (step.redact) {
+      removed[step.key] = await audit.redact(db, step.where, step.params);
+    } else {
+      const sql = step.set
+        ? `UPDATE ${step.table} SET ${step.set} WHERE ${step.where}`
+        : `DELETE FROM ${step.table} WHERE ${step.where}`;
+      removed[step.key] = (await db.run(sql, [...(step.setParams || []), ...step.params])).changes;
+    }
+  }
+  return removed;
+}
+
+// IDs of the surveys and subjects an erasure covers, for its audit entry and certificate
+async function affectedIds(db, action, select) {
+  const { surveys, subjects } = select;
+  const surveyRows = await db.all(`
+    SELECT survey_id FROM surveys
+    WHERE ${surveys.where}${action === 'anonymise' ? ' AND anonymised_at IS NULL' : ''}
+    ORDER BY completed_at, survey_id
+  `, surveys.params);
+  const subjectRows = await db.all(
+    `SELECT patient_id FROM study_patients WHERE ${subjects.where} ORDER BY patient_id`,
+    subjects.params
+  );
+
+  return {
+    surveyIds: surveyRows.map(row => row.survey_id),
+    subjectIds: subjectRows.map(row => row.patient_id)
+  };
+}
+
+async function storeCertificate(tx, certificate) {
+  await tx.run(`
+    INSERT INTO erasure_certificates (certificate_id, study_id, scope, patient_id, action, issued_at, certificate, hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    certificate.certificateId,
+    certificate.studyId,
+    certificate.scope,
+    certificate.patientId || null,
+    certificate.action,
+    certificate.issuedAt,
+    JSON.stringify(certificate),
+    certificate.hash
+  ]);
+}
+
+/**
+ * Erase the covered data in one transaction, audit it and issue the
+ * certificate. `prepare(tx, now)` runs first inside the transaction.
+ */
+async function erase({ studyId, scope, action, select, reason, context, details, prepare }) {
+  await encryption.ensureDataKey(studyId);
+
+  return transaction(async (tx) => {
+    // Erasures of one study run one at a time, so two retention jobs never overlap
+    await tx.lock(`erasure:${studyId}`);
+
+    const now = new Date().toISOString();
+    if (prepare) await prepare(tx, now);
+
+    const { surveyIds, subjectIds } = await affectedIds(tx, action, select);
+    const removed = await runSteps(tx, erasureSteps(action, select, now), false);
+    const certificateId = uuidv4();
+
+    const entry = await audit.record({
+      action: action === 'delete' ? 'delete' : 'update',
+      entityType: scope === 'subject' ? 'patient' : 'study',
+      entityId: scope === 'subject' ? details.patientId : studyId,
+      studyId,
+      context,
+      reason,
+      newValues: { erasure: action, certificateId, removed, surveyIds, subjectIds }
+    }, tx);
+
+    const certificate = {
+      certificateId,
+      issuedAt: now,
+      studyId,
+      scope,
+      ...details,
+      action,
+      reason,
+      requestedBy: context.actorId,
+      removed,
+      surveyIds,
+      subjectIds,
+      retained: RETAINED,
+      auditSeq: entry.seq,
+      auditHash: entry.hash
+    };
+    certificate.hash = sha256(canonicalJSON(certificate));
+
+    await storeCertificate(tx, certificate);
+    return certificate;
+  });
+}
+
+function subjectSelection(studyId, patientId) {
+  const clause = { where: 'study_id = ? AND patient_id = ?', params: [studyId, patientId] };
+  return { surveys: clause, drafts: clause, subjects: clause };
+}
+
+/**
+ * Erase one subject's data, e.g. on a right-to-erasure request. The
+ * subject is withdrawn, so nothing more is collected from them.
+ *
+ * @returns {Promise<object>} the certificate, or with `dryRun` a report of
+ *   what would be removed
+ */
+async function eraseSubject({ studyId, patientId, action, reason, dryRun = false, context }) {
+  const select = subjectSelection(studyId, patientId);
+
+  if (dryRun) {
+    const db = { get, all };
+    return {
+      dryRun: true,
+      studyId,
+      scope: 'subject',
+      patientId,
+      action,
+      removed: await runSteps(db, erasureSteps(action, select, null), true),
+      ...await affectedIds(db, action, select),
+      retained: RETAINED
+    };
+  }
+
+  return erase({
+    studyId,
+    scope: 'subject',
+    action,
+    select,
+    reason,
+    context,
+    details: { patientId },
+    prepare: (tx, now) => tx.run(`
+      UPDATE study_patients SET status = 'withdrawn', withdrawn_at = ?, withdrawal_reason = ?
+      WHERE study_id = ? AND patient_id = ? AND status <> 'withdrawn'
+    `, [now, `Data erased: ${reason}`, studyId, patientId])
+  });
+}
+
+// Subjects whose data is frozen or locked, which retention leaves alone
+const CLOSED_SUBJECTS = "patient_id NOT IN (SELECT patient_id FROM study_patients WHERE study_id = ? AND lock_state <> 'open')";
+
+/**
+ * What a study's retention policy covers at `now`: surveys completed more
+ * than `days` ago, drafts last touched before then, and the identifying
+ * details of subjects who withdrew before then. Frozen and locked subjects
+ * are left out.
+ */
+function retentionSelection(studyId, days, now) {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  return {
+    cutoff,
+    select: {
+      surveys: { where: `study_id = ? AND completed_at < ? AND ${CLOSED_SUBJECTS}`, params: [studyId, cutoff, studyId] },
+      drafts: {
+        where: `study_id = ? AND status <> 'in_progress' AND last_activity < ? AND ${CLOSED_SUBJECTS}`,
+        params: [studyId, cutoff, studyId]
+      },
+      subjects: {
+        where: "study_id = ? AND status = 'withdrawn' AND withdrawn_at < ? AND erased_at IS NULL AND lock_state = 'open'",
+        params: [studyId, cutoff]
+      }
+    }
+  };
+}
+
+function isEmpty(removed) {
+  return Object.values(removed).every(count => count === 0);
+}
+
+/**
+ * Apply a study's retention policy. Nothing is issued when nothing is due,
+ * nor while the study's data is frozen or locked.
+ *
+ * @returns {Promise<object>} `{ studyId, policy, cutoff, removed, certificate }`,
+ *   and `skipped` with the reason when the study's data is frozen or locked;
+ *   with `dryRun`, `removed` counts what would be removed and there is no
+ *   certificate
+ */
+async function applyRetention(study, { dryRun = false, now = new Date(), context = RETENTION_CONTEXT } = {}) {
+  const policy = study.retention;
+  const result = { studyId: study.studyId, policy, cutoff: null, removed: {}, certificate: null };
+  if (!ERASURE_ACTIONS.includes(policy.action)) return result;
+
+  const locked = await lockRefusal(study.studyId);
+  if (locked) return { ...result, skipped: locked };
+
+  const { cutoff, select } = retentionSelection(study.studyId, policy.days, now);
+  result.cutoff = cutoff;
+  result.removed = await runSteps({ get, all }, erasureSteps(policy.action, select, null), true);
+  if (dryRun || isEmpty(result.removed)) return result;
+
+  const certificate = await erase({
+    studyId: study.studyId,
+    scope: 'retention',
+    action: policy.action,
+    select,
+    reason: `Retention policy: ${policy.action} ${policy.days} days after completion`,
+    context,
+    details: { policy, cutoff }
+  });
+  return { ...result, removed: certificate.removed, certificate };
+}
+
+// Apply the retention policy of every study that has one
+async function runRetention(options = {}) {
+  const results = [];
+  for (const { studyId } of await listStudies()) {
+    const study = await findStudyConfig(studyId);
+    if (study.retention.action === 'keep') continue;
+    results.push(await applyRetention(study, options));
+  }
+  return results;
+}
+
+function toCertificateSummary(row) {
+  return {
+    certificateId: row.certificate_id,
+    studyId: row.study_id,
+    scope: row.scope,
+    patientId: row.patient_id,
+    action: row.action,
+    issuedAt: row.issued_at,
+    hash: row.hash
+  };
+}
+
+async function listCertificates(studyId) {
+  const rows = await all(`
+    SELECT certificate_id, study_id, scope, patient_id, action, issued_at, hash
+    FROM erasure_certificates
+    WHERE study_id = ?
+    ORDER BY issued_at DESC
+  `, [studyId]);
+  return rows.map(toCertificateSummary);
+}
+
+async function findCertificate(studyId, certificateId) {
+  const row = await get(
+    'SELECT certificate FROM erasure_certificates WHERE study_id = ? AND certificate_id = ?',
+    [studyId, certificateId]
+  );
+  return row ? JSON.parse(row.certificate) : null;
+}
+
+module.exports = {
+  ERASURE_ACTIONS,
+  eraseSubject,
+  applyRetention,
+  runRetention,
+  listCertificates,
+  findCertificate
+};
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const { get, all } = require('./db');
+const { csvLine } = require('./csv');
+const { findVersion, listVersions } = require('./studies');
+const cdisc = require('./cdisc');
+const encryption = require('./encryption');
+const { includedScores, scoresByVariable } = require('./instruments');
+const { questionText, optionCodes, answerLabel } = require('./locales');
+
+// Formats of the export endpoint. csv, ndjson and json are streamed in the
+// long or wide layout; `odm` is CDISC ODM 1.3 XML, `sdtm-qs` an SDTM QS
+// dataset and `sdtm-qs-define` the metadata describing it.
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'odm', 'sdtm-qs', 'sdtm-qs-define'];
+const CDISC_FORMATS = ['odm', 'sdtm-qs', 'sdtm-qs-define'];
+const EXPORT_LAYOUTS = ['long', 'wide'];
+// Answers of csv, ndjson and json exports: as stored (option codes), or as
+// labelled for patients in one of the study's locales
+const EXPORT_VALUES = ['coded', 'labels'];
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  odm: 'application/xml',
+  'sdtm-qs': 'text/csv',
+  'sdtm-qs-define': 'application/json'
+};
+
+// Surveys read per query while exporting; bounds memory use on large studies
+const PAGE_SIZE = 500;
+
+const LONG_COLUMNS = [
+  'survey_id', 'patient_id', 'study_id', 'site_id', 'visit_id', 'completed_at', 'config_version',
+  'question_id', 'question_text', 'answer', 'response_type'
+];
+const SURVEY_COLUMNS = ['survey_id', 'patient_id', 'study_id', 'site_id', 'visit_id', 'completed_at', 'config_version'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const listParam = Joi.string().max(2000).custom(value => value.split(',').map(v => v.trim()).filter(Boolean));
+
+const filterSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  site: listParam,
+  patient: listParam
+}).unknown(true);
+
+/**
+ * Parse the export filters from the query string: `from` and `to`
+ * (completion date, ISO 8601; a date without a time includes that whole
+ * day), and comma-separated `site` and `patient` IDs.
+ *
+ * @throws {Error} with a message for the client when a filter is malformed
+ */
+function parseExportFilters(query) {
+  const { error, value } = filterSchema.validate(query);
+  if (error) {
+    throw new Error(`Invalid export filter: ${error.message}`);
+  }
+
+  let to = value.to;
+  if (to && DATE_ONLY.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return {
+    from: value.from ? value.from.toISOString() : null,
+    // Exclusive for whole days, inclusive for a point in time
+    to: to ? to.toISOString() : null,
+    toInclusive: Boolean(to) && !DATE_ONLY.test(query.to),
+    siteIds: value.site || null,
+    patientIds: value.patient || null
+  };
+}
+
+// Question set of every exported version, keyed by version
+async function loadQuestionnaires(studyId, versions) {
+  const numbers = versions || (await listVersions(studyId)).map(v => v.version);
+  const questionnaires = new Map();
+  for (const version of numbers) {
+    const questionnaire = await findVersion(studyId, version);
+    if (questionnaire) questionnaires.set(version, questionnaire.questions);
+  }
+  return questionnaires;
+}
+
+// File name of an export, as offered for download
+function exportFileName(studyId, format, layout) {
+  if (format === 'odm') return `study_${studyId}_odm.xml`;
+  if (format === 'sdtm-qs') return `study_${studyId}_qs.csv`;
+  if (format === 'sdtm-qs-define') return `study_${studyId}_qs_define.json`;
+  return `study_${studyId}_${layout === 'wide' ? 'wide' : 'data'}.${format}`;
+}
+
+function placeholders(list) {
+  return list.map(() => '?').join(', ');
+}
+
+// WHERE clause and parameters selecting a study's surveys
+function surveyFilter(studyId, versions, filters) {
+  const clauses = ['s.study_id = ?'];
+  const params = [studyId];
+
+  if (versions) {
+    clauses.push(`s.config_version IN (${placeholders(versions)})`);
+    params.push(...versions);
+  }
+  if (filters.from) {
+    clauses.push('s.completed_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    clauses.push(filters.toInclusive ? 's.completed_at <= ?' : 's.completed_at < ?');
+    params.push(filters.to);
+  }
+  if (filters.siteIds) {
+    clauses.push(`s.site_id IN (${placeholders(filters.siteIds)})`);
+    params.push(...filters.siteIds);
+  }
+  if (filters.patientIds) {
+    clauses.push(`s.patient_id IN (${placeholders(filters.patientIds)})`);
+    params.push(...filters.patientIds);
+  }
+
+  return { where: clauses.join(' AND '), params };
+}
+
+async function countSurveys(studyId, versions, filters) {
+  const { where, params } = surveyFilter(studyId, versions, filters);
+  const row = await get(`SELECT COUNT(*) AS surveys FROM surveys s WHERE ${where}`, params);
+  return row.surveys;
+}
+
+/**
+ * The selected surveys with their responses and instrument scores (keyed by
+ * variable), oldest first, one page at a time. Pages are read by keyset, so each query stays cheap however far
+ * into the study the export has got.
+ */
+async function* surveyPages(studyId, versions, filters, pageSize = PAGE_SIZE) {
+  const { where, params } = surveyFilter(studyId, versions, filters);
+  let last = null;
+
+  for (;;) {
+    const after = last ? ' AND (s.completed_at > ? OR (s.completed_at = ? AND s.survey_id > ?))' : '';
+    const rows = await all(`
+      SELECT s.survey_id, s.patient_id, s.study_id, s.site_id, s.visit_id, s.completed_at, s.config_version, s.metadata,
+        s.scores
+      FROM surveys s
+      WHERE ${where}${after}
+      ORDER BY s.completed_at, s.survey_id
+      LIMIT ?
+    `, [...params, ...(last ? [last.completed_at, last.completed_at, last.survey_id] : []), pageSize]);
+    if (rows.length === 0) return;
+
+    const responses = await all(`
+      SELECT survey_id, question_id, question_text, answer, response_type
+      FROM responses
+      WHERE survey_id IN (${placeholders(rows)})
+      ORDER BY question_id
+    `, rows.map(row => row.survey_id));
+
+    const surveys = new Map();
+    for (const row of rows) {
+      const scores = row.scores ? await encryption.decryptJSON(studyId, `scores:${row.survey_id}`, row.scores) : [];
+      surveys.set(row.survey_id, {
+        surveyId: row.survey_id,
+        patientId: row.patient_id,
+        studyId: row.study_id,
+        siteId: row.site_id,
+        visitId: row.visit_id,
+        completedAt: row.completed_at,
+        configVersion: row.config_version,
+        metadata: await encryption.decryptJSON(studyId, `metadata:${row.survey_id}`, row.metadata || '{}'),
+        responses: [],
+        answers: new Map(),
+        scores: scoresByVariable(scores)
+      });
+    }
+    for (const response of responses) {
+      const survey = surveys.get(response.survey_id);
+      const answer = await encryption.decryptJSON(studyId, `answer:${response.survey_id}:${response.question_id}`, response.answer);
+      survey.responses.push({
+        questionId: response.question_id,
+        questionText: response.question_text,
+        answer,
+        responseType: response.response_type
+      });
+      survey.answers.set(response.question_id, answer);
+    }
+
+    yield [...surveys.values()];
+
+    if (rows.length < pageSize) return;
+    last = rows[rows.length - 1];
+  }
+}
+
+function surveyFields(survey) {
+  return {
+    survey_id: survey.surveyId,
+    patient_id: survey.patientId,
+    study_id: survey.studyId,
+    site_id: survey.siteId,
+    visit_id: survey.visitId,
+    completed_at: survey.completedAt,
+    config_version: survey.configVersion
+  };
+}
+
+// Derived records of a survey's scores: one per score, named by its
+// variable in question_id, and one more for its band if it has bands
+function scoreRecords(survey, fields) {
+  return [...survey.scores].flatMap(([variable, { score, result }]) => [
+    { ...fields, question_id: variable, question_text: score.label, answer: result.value, response_type: 'derived' },
+    ...(score.bands ? [{
+      ...fields,
+      question_id: `${variable}_BAND`,
+      question_text: `${score.label} band`,
+      answer: result.band,
+      response_type: 'derived'
+    }] : [])
+  ]);
+}
+
+// One record per answer, then one per score; a survey without responses
+// still gets one record
+function longRecords(survey) {
+  const fields = surveyFields(survey);
+  if (survey.responses.length === 0) {
+    return [{ ...fields, question_id: null, question_text: null, answer: null, response_type: null }];
+  }
+  return [
+    ...survey.responses.map(response => ({
+      ...fields,
+      question_id: response.questionId,
+      question_text: response.questionText,
+      answer: response.answer,
+      response_type: response.responseType
+    })),
+    ...scoreRecords(survey, fields)
+  ];
+}
+
+// The survey with its questions worded in `locale` and its choice answers
+// labelled in it, or without a locale, with its questions worded in the
+// study's default locale and its answers coded. Responses store the question
+// as the patient read it, so the questionnaire's wording is used instead.
+// Checkbox columns of the wide layout compare option codes, so `answers`
+// keeps those.
+function wordSurvey(survey, questionnaires, locale) {
+  const questions = new Map((questionnaires.get(survey.configVersion) || []).map(q => [q.id, q]));
+  const label = (question, answer) => (question && locale ? answerLabel(question, answer, locale) : answer);
+
+  return {
+    ...survey,
+    responses: survey.responses.map(response => {
+      const question = questions.get(response.questionId);
+      return question
+        ? { ...response, questionText: questionText(question, locale), answer: label(question, response.answer) }
+        : response;
+    }),
+    answers: new Map([...survey.answers].map(([questionId, answer]) => {
+      const question = questions.get(questionId);
+      return [questionId, question && question.type === 'checkbox' ? answer : label(question, answer)];
+    }))
+  };
+}
+
+/**
+ * Columns of the wide layout: `Q<id>` per question, and `Q<id>_<n>` per
+ * option of a checkbox question (1 when ticked, 0 when not). Questions of
+ * every exported version are included, in order of first appearance. The
+ * scores of included instruments follow, e.g. `PHQ9_TOTAL`, each with a
+ * `_BAND` column if it has bands.
+ */
+function wideColumns(questionnaires) {
+  const columns = new Map();
+  [...questionnaires.keys()].sort((a, b) => a - b).forEach(version => {
+    questionnaires.get(version).forEach(question => {
+      if (question.type === 'checkbox') {
+        optionCodes(question).forEach((option, i) => {
+          const name = `Q${question.id}_${i + 1}`;
+          if (!columns.has(name)) columns.set(name, { name, questionId: question.id, option });
+        });
+      } else {
+        const name = `Q${question.id}`;
+        if (!columns.has(name)) columns.set(name, { name, questionId: question.id });
+      }
+    });
+  });
+  includedScores(questionnaires).forEach(({ variable, score }) => {
+    columns.set(variable, { name: variable, variable });
+    if (score.bands) columns.set(`${variable}_BAND`, { name: `${variable}_BAND`, variable, band: true });
+  });
+  return [...columns.values()];
+}
+
+function wideRecord(survey, columns) {
+  const record = surveyFields(survey);
+  columns.forEach(column => {
+    if (column.variable) {
+      const scored = survey.scores.get(column.variable);
+      record[column.name] = scored ? scored.result[column.band ? 'band' : 'value'] : null;
+      return;
+    }
+    if (!survey.answers.has(column.questionId)) {
+      record[column.name] = null;
+      return;
+    }
+    const answer = survey.answers.get(column.questionId);
+    if (column.option !== undefined) {
+      record[column.name] = Array.isArray(answer) && answer.includes(column.option) ? 1 : 0;
+    } else {
+      record[column.name] = answer;
+    }
+  });
+  return record;
+}
+
+// Write a chunk, waiting for the client to catch up when its buffer is full
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const drained = () => {
+      res.off('close', closed);
+      resolve();
+    };
+    const closed = () => {
+      res.off('drain', drained);
+      reject(new Error('Client closed the connection'));
+    };
+    res.once('drain', drained);
+    res.once('close', closed);
+  });
+}
+
+/**
+ * Stream the selected surveys to `res` as csv, ndjson or json, in the long
+ * layout (one record per answer) or the wide one (one record per survey).
+ * The json format keeps the `{ versions, data }` envelope of earlier
+ * exports. With `labels`, a locale, questions and answers are written as
+ * worded in it; otherwise questions are in the study's default locale and
+ * answers coded. Headers must be set by the caller.
+ */
+async function streamExport(res, { format, layout, pages, questionnaires, versions, labels }) {
+  const columns = layout === 'wide' ? wideColumns(questionnaires) : null;
+  const header = columns ? [...SURVEY_COLUMNS, ...columns.map(c => c.name)] : LONG_COLUMNS;
+  const records = columns ? survey => [wideRecord(survey, columns)] : longRecords;
+  const toRecords = survey => records(wordSurvey(survey, questionnaires, labels));
+
+  if (format === 'csv') {
+    await write(res, header.join(',') + '\n');
+  } else if (format === 'json') {
+    await write(res, `{"versions":${JSON.stringify(versions || 'all')},"data":[`);
+  }
+
+  let first = true;
+  for await (const page of pages) {
+    let chunk = '';
+    page.flatMap(toRecords).forEach(record => {
+      if (format === 'csv') {
+        chunk += csvLine(header.map(name => record[name]));
+      } else if (format === 'ndjson') {
+        chunk += JSON.stringify(record) + '\n';
+      } else {
+        chunk += (first ? '' : ',') + JSON.stringify(record);
+        first = false;
+      }
+    });
+    await write(res, chunk);
+  }
+
+  if (format === 'json') {
+    await write(res, ']}');
+  }
+  res.end();
+}
+
+/**
+ * Write an export in any format to `out`, a response or a digestSink. The
+ * CDISC documents are built whole: ODM groups surveys by version and
+ * subject, and QSSEQ numbers each subject's records. `createdAt` dates the
+ * ODM document; give a fixed time for a reproducible file. `labels` only
+ * applies to the streamed formats; ODM carries every locale's wording.
+ */
+async function writeExport(out, { format, layout, study, questionnaires, pages, versions, createdAt, labels }) {
+  if (!CDISC_FORMATS.includes(format)) {
+    return streamExport(out, { format, layout, pages, questionnaires, versions, labels });
+  }
+
+  const surveys = [];
+  for await (const page of pages) surveys.push(...page);
+
+  let document;
+  if (format === 'odm') {
+    document = cdisc.buildOdm(study, questionnaires, surveys, createdAt ? { createdAt } : {});
+  } else if (format === 'sdtm-qs') {
+    document = cdisc.qsCsv(cdisc.buildQsDataset(study, questionnaires, surveys));
+  } else {
+    const records = cdisc.buildQsDataset(study, questionnaires, surveys);
+    document = JSON.stringify(cdisc.buildQsDefine(study, questionnaires, records));
+  }
+  await write(out, document);
+  out.end();
+}
+
+// Stand-in for a response that keeps only the size and SHA-256 of what is written
+function digestSink() {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+
+  return {
+    write(chunk) {
+      hash.update(chunk);
+      bytes += Buffer.byteLength(chunk);
+      return true;
+    },
+    end() {},
+    digest() {
+      return { bytes, sha256: hash.digest('hex') };
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CDISC_FORMATS,
+  EXPORT_LAYOUTS,
+  EXPORT_VALUES,
+  EXPORT_CONTENT_TYPES,
+  parseExportFilters,
+  loadQuestionnaires,
+  exportFileName,
+  countSurveys,
+  surveyPages,
+  streamExport,
+  writeExport,
+  digestSink
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// JSON with sorted object keys, so equal values always hash the same.
+// Values with a toJSON method, such as Dates, are serialised as JSON would.
+function canonicalJSON(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalJSON(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+  canonicalJSON,
+  sha256
+};
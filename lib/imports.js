@@ -0,0 +1,584 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { get, all, transaction } = require('./db');
+const { parseCSV, csvText } = require('./csv');
+const { findVersion } = require('./studies');
+const { optionCodes } = require('./locales');
+const audit = require('./audit');
+const encryption = require('./encryption');
+const { SubmissionError, prepareSubmission, checkStorable, insertSurvey } = require('./surveys');
+const { runChecks } = require('./queries');
+const { runSafetyRules } = require('./safety');
+const { canonicalJSON, sha256 } = require('./hash');
+
+/**
+ * Bulk import of surveys collected on paper or in a legacy system, from CSV
+ * or JSON in the long layout (one row per answer) or the wide layout (one
+ * row per survey). Every survey is validated like a submission. An import
+ * is run as a dry run first, which reports each row's errors and the
+ * checksum of the file; committing that checksum stores the valid surveys
+ * in one transaction and skips the rest.
+ */
+
+// How the imported surveys were collected: on paper, in a legacy system,
+// or keyed twice from paper and reconciled (double data entry)
+const IMPORT_SOURCES = ['paper', 'legacy', 'double_entry'];
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_LAYOUTS = ['long', 'wide'];
+
+// Largest number of surveys in one import
+const MAX_IMPORT_RECORDS = 5000;
+
+// Column of each survey field unless the mapping names another; these are
+// the columns of exports, so an export can be imported as it is
+const DEFAULT_COLUMNS = {
+  recordId: 'survey_id',
+  patientId: 'patient_id',
+  siteId: 'site_id',
+  visitId: 'visit_id',
+  completedAt: 'completed_at',
+  configVersion: 'config_version',
+  locale: 'locale',
+  questionId: 'question_id',
+  answer: 'answer',
+  responseType: 'response_type'
+};
+
+const column = Joi.string().max(200);
+
+// A question's answer, or for checkbox questions one option (by its code)
+// ticked (1) or not (0)
+const questionTarget = Joi.alternatives().try(
+  Joi.number().integer().min(1),
+  Joi.object({
+    questionId: Joi.number().integer().min(1).required(),
+    option: Joi.string().required()
+  })
+);
+
+/**
+ * The mapping names the column of each survey field. `questions` maps wide
+ * columns, or the question codes of a long file, to questions; without it
+ * wide columns are read as exported (`Q<id>`, and `Q<id>_<n>` for option n
+ * of a checkbox question) and long codes as question IDs. Choice answers
+ * give option codes; a checkbox answer in one cell lists them separated by
+ * `;`, or as JSON.
+ */
+const mappingSchema = Joi.object({
+  ...Object.fromEntries(Object.keys(DEFAULT_COLUMNS).map(field => [field, column])),
+  questions: Joi.object().pattern(Joi.string(), questionTarget)
+});
+
+const importSchema = Joi.object({
+  source: Joi.string().valid(...IMPORT_SOURCES).required(),
+  format: Joi.string().valid(...IMPORT_FORMATS).required(),
+  layout: Joi.string().valid(...IMPORT_LAYOUTS).required(),
+  fileName: Joi.string().max(255),
+  // The file: CSV text, or the array of objects of a JSON file
+  content: Joi.when('format', {
+    is: 'csv',
+    then: Joi.string().required(),
+    otherwise: Joi.array().items(Joi.object().unknown(true)).min(1).required()
+  }),
+  mapping: mappingSchema.default({}),
+  dryRun: Joi.boolean().default(true),
+  // Checksum reported by the dry run of the same file and mapping
+  checksum: Joi.string().hex().length(64).when('dryRun', { is: false, then: Joi.required() })
+});
+
+// Cell values read as ticked or not, and as yes or no
+const TRUE_VALUES = ['1', 'true', 'yes', 'y'];
+const FALSE_VALUES = ['0', 'false', 'no', 'n'];
+
+// An import was refused; `status` is the HTTP status to answer with
+class ImportError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function toImport(row) {
+  return {
+    importId: row.import_id,
+    studyId: row.study_id,
+    source: row.source,
+    format: row.format,
+    layout: row.layout,
+    fileName: row.file_name,
+    checksum: row.checksum,
+    records: row.records,
+    imported: row.imported,
+    rejected: row.rejected,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+async function listImports(studyId) {
+  const rows = await all('SELECT * FROM survey_imports WHERE study_id = ? ORDER BY created_at DESC', [studyId]);
+  return rows.map(toImport);
+}
+
+async function findImport(studyId, importId) {
+  const row = await get('SELECT * FROM survey_imports WHERE study_id = ? AND import_id = ?', [studyId, importId]);
+  return row ? toImport(row) : null;
+}
+
+// Checksum of what decides the outcome of an import: the file, how it is read and its source
+function importChecksum({ source, format, layout, content, mapping }) {
+  return sha256(canonicalJSON({ source, format, layout, content, mapping }));
+}
+
+// The file's rows as objects keyed by column, each with its CSV line or
+// its position in the JSON array
+function readRows(format, content) {
+  if (format === 'json') {
+    return content.map((values, i) => ({ row: i + 1, values }));
+  }
+
+  let records;
+  try {
+    records = parseCSV(content);
+  } catch (err) {
+    throw new ImportError(400, err.message);
+  }
+  if (records.length === 0) {
+    throw new ImportError(400, 'File is empty');
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.cells.map(cell => cell.trim());
+  const repeated = columns.find((name, i) => columns.indexOf(name) !== i);
+  if (repeated !== undefined) {
+    throw new ImportError(400, `Column "${repeated}" appears more than once`);
+  }
+
+  return rows.map(({ line, cells }) => ({
+    row: line,
+    values: Object.fromEntries(columns.map((name, i) => [name, cells[i] === undefined ? '' : csvText(cells[i])]))
+  }));
+}
+
+// A cell's value, or undefined when it is empty
+function cellValue(values, name) {
+  const value = name === undefined ? undefined : values[name];
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'string' && value.trim() === '') return undefined;
+  return value;
+}
+
+function isTicked(value) {
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+}
+
+// A cell read as the answer to `question`; Joi converts numbers when the survey is validated
+function toAnswer(question, value) {
+  if (question.type === 'boolean' && typeof value !== 'boolean') {
+    const ticked = isTicked(value);
+    return ticked === null ? value : ticked;
+  }
+  if (typeof value !== 'string' || question.type === 'text') return value;
+
+  const text = value.trim();
+  if (question.type === 'checkbox') {
+    if (text.startsWith('[')) {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        return text;
+      }
+    }
+    return text.split(';').map(option => option.trim()).filter(Boolean);
+  }
+  return text;
+}
+
+// The mapping's survey fields with the default columns filled in
+function fieldColumns(mapping) {
+  return { ...DEFAULT_COLUMNS, ...mapping };
+}
+
+/**
+ * Group rows into survey records. In the wide layout each row is a survey;
+ * in the long layout rows with the same record ID (or, without that column,
+ * the same subject, visit and completion time) are one survey. Score rows
+ * of long exports (response type `derived`) are skipped.
+ */
+function groupRecords(layout, rows, columns) {
+  if (layout === 'wide') {
+    return rows.map(row => ({ rows: [row.row], values: row.values, answers: null }));
+  }
+
+  const records = new Map();
+  rows.forEach(({ row, values }) => {
+    if (cellValue(values, columns.responseType) === 'derived') return;
+
+    const key = cellValue(values, columns.recordId) !== undefined
+      ? String(values[columns.recordId])
+      : JSON.stringify(['patientId', 'visitId', 'completedAt'].map(field => cellValue(values, columns[field])));
+    if (!records.has(key)) {
+      records.set(key, { rows: [], values, answers: [] });
+    }
+    const record = records.get(key);
+    record.rows.push(row);
+    record.answers.push({ row, values });
+  });
+  return [...records.values()];
+}
+
+// Question and option a wide column holds, from the mapping or the export's column names
+function wideTarget(name, mapping, questionsById) {
+  if (mapping.questions) {
+    const target = mapping.questions[name];
+    if (target === undefined) return null;
+    return typeof target === 'number' ? { questionId: target } : target;
+  }
+
+  const match = /^Q(\d+)(?:_(\d+))?$/.exec(name);
+  if (!match) return null;
+  const question = questionsById.get(Number(match[1]));
+  if (!question) return null;
+  if (match[2] === undefined) return { questionId: question.id };
+  const option = question.type === 'checkbox' ? optionCodes(question)[Number(match[2]) - 1] : undefined;
+  return option === undefined ? null : { questionId: question.id, option };
+}
+
+/**
+ * The answers of one record, keyed by question ID, and where in the file
+ * each came from. Errors are pushed to `errors`.
+ */
+function recordAnswers(layout, record, columns, mapping, questionsById, errors) {
+  const answers = new Map();
+  const sources = new Map();
+  const ticked = new Map();
+
+  const add = (questionId, value, from) => {
+    const question = questionsById.get(questionId);
+    if (!question) {
+      errors.push({ ...from, message: `Question ${questionId} is not part of this questionnaire version` });
+      return;
+    }
+    if (answers.has(questionId)) {
+      errors.push({ ...from, message: `Question ${questionId} is answered more than once` });
+      return;
+    }
+    answers.set(questionId, toAnswer(question, value));
+    sources.set(questionId, from);
+  };
+
+  if (layout === 'wide') {
+    Object.keys(record.values).forEach(name => {
+      const target = wideTarget(name, mapping, questionsById);
+      const value = cellValue(record.values, name);
+      if (!target || value === undefined) return;
+
+      if (target.option === undefined) {
+        add(target.questionId, value, { column: name });
+        return;
+      }
+      // Option columns of a checkbox question add up to its answer
+      const isOn = isTicked(value);
+      if (isOn === null) {
+        errors.push({ column: name, message: `Column "${name}" must be 1 or 0` });
+        return;
+      }
+      if (!ticked.has(target.questionId)) ticked.set(target.questionId, { options: [], from: { column: name } });
+      if (isOn) ticked.get(target.questionId).options.push(target.option);
+    });
+    ticked.forEach(({ options, from }, questionId) => add(questionId, options, from));
+  } else {
+    record.answers.forEach(({ row, values }) => {
+      const code = cellValue(values, columns.questionId);
+      const value = cellValue(values, columns.answer);
+      if (code === undefined) {
+        errors.push({ row, column: columns.questionId, message: 'Question is missing' });
+        return;
+      }
+      if (value === undefined) return;
+
+      const mapped = mapping.questions ? mapping.questions[String(code)] : undefined;
+      const questionId = mapped === undefined ? Number(code) : mapped;
+      if (typeof questionId !== 'number' || !Number.isInteger(questionId)) {
+        errors.push({ row, column: columns.questionId, message: `Question "${code}" is not mapped to a question` });
+        return;
+      }
+      add(questionId, value, { row, column: columns.answer });
+    });
+  }
+
+  return { answers, sources };
+}
+
+// Errors of a rejected submission, pointing at where in the file they are
+function submissionErrors(err, payload, columns, sources) {
+  if (!err.details) return [{ message: err.message }];
+
+  return err.details.map(({ path = [], message }) => {
+    let from;
+    if (path[0] === 'responses' && payload.responses[path[1]]) {
+      from = sources.get(payload.responses[path[1]].questionId);
+    } else if (path[0] === 'metadata') {
+      from = { column: columns.completedAt };
+    } else {
+      from = sources.get(Number(path[0])) || (columns[path[0]] && { column: columns[path[0]] });
+    }
+    return { ...from, message };
+  });
+}
+
+// Surveys of one subject and visit may be imported once
+function visitKey(submission) {
+  return submission.visitId ? `${submission.patientId}\u0000${submission.visitId}` : null;
+}
+
+/**
+ * Check every record of an import. Returns the report with one entry per
+ * record (its rows, subject and visit, and errors), and the checked
+ * submissions of the valid ones.
+ */
+async function checkRecords(study, input, auth) {
+  const rows = readRows(input.format, input.content);
+  const columns = fieldColumns(input.mapping);
+  const records = groupRecords(input.layout, rows, columns);
+  if (records.length > MAX_IMPORT_RECORDS) {
+    throw new ImportError(400, `An import may hold at most ${MAX_IMPORT_RECORDS} surveys`);
+  }
+
+  const questionnaires = new Map([[study.version, study.questions]]);
+  const now = new Date();
+  const visits = new Set();
+  const entries = [];
+
+  for (const [i, record] of records.entries()) {
+    const field = name => cellValue(record.values, columns[name]);
+    const entry = {
+      record: i + 1,
+      rows: record.rows,
+      patientId: field('patientId') === undefined ? null : String(field('patientId')),
+      visitId: field('visitId') === undefined ? null : String(field('visitId')),
+      errors: []
+    };
+    entries.push(entry);
+
+    // Rows of one survey must agree on which survey it is
+    (record.answers || []).forEach(({ row, values }) => {
+      ['patientId', 'siteId', 'visitId', 'completedAt', 'configVersion', 'locale'].forEach(name => {
+        if (String(cellValue(values, columns[name])) !== String(field(name))) {
+          entry.errors.push({ row, column: columns[name], message: 'Differs from the first row of this survey' });
+        }
+      });
+    });
+
+    const version = field('configVersion') === undefined ? study.version : Number(field('configVersion'));
+    if (!questionnaires.has(version)) {
+      const found = Number.isInteger(version) ? await findVersion(study.studyId, version) : null;
+      questionnaires.set(version, found ? found.questions : null);
+    }
+    const questions = questionnaires.get(version);
+    if (!questions) {
+      entry.errors.push({ column: columns.configVersion, message: 'Unknown questionnaire version' });
+      continue;
+    }
+
+    // Imported surveys keep the date they were collected
+    const completedAt = field('completedAt');
+    if (completedAt === undefined) {
+      entry.errors.push({ column: columns.completedAt, message: 'Completion date is required' });
+    } else if (new Date(completedAt) > now) {
+      entry.errors.push({ column: columns.completedAt, message: 'Completion date is in the future' });
+    }
+
+    const questionsById = new Map(questions.map(q => [q.id, q]));
+    const { answers, sources } = recordAnswers(
+      input.layout, record, columns, input.mapping, questionsById, entry.errors
+    );
+    if (answers.size === 0) {
+      entry.errors.push({ message: 'Record has no answers' });
+      continue;
+    }
+
+    const payload = {
+      studyId: study.studyId,
+      patientId: entry.patientId,
+      ...(field('siteId') !== undefined && { siteId: String(field('siteId')) }),
+      ...(entry.visitId && { visitId: entry.visitId }),
+      configVersion: version,
+      ...(field('locale') !== undefined && { locale: String(field('locale')) }),
+      responses: [...answers].map(([questionId, answer]) => ({ questionId, answer })),
+      metadata: { completedAt }
+    };
+
+    try {
+      const submission = await prepareSubmission(study, payload, auth, { allErrors: true });
+      if (entry.errors.length) continue;
+      await checkStorable({ get, lock: async () => {} }, submission);
+
+      const key = visitKey(submission);
+      if (key && visits.has(key)) {
+        throw new SubmissionError(409, 'Visit appears more than once in this file');
+      }
+      if (key) visits.add(key);
+      entry.submission = submission;
+    } catch (err) {
+      if (!(err instanceof SubmissionError)) throw err;
+      entry.errors.push(...submissionErrors(err, payload, columns, sources));
+    }
+  }
+
+  return entries;
+}
+
+function reportEntry(entry, status) {
+  const { submission, errors, ...fields } = entry;
+  return { ...fields, status, ...(errors.length && { errors }) };
+}
+
+/**
+ * Run an import for `study`. A dry run checks every record and reports,
+ * per record, `valid` or `invalid` with its errors, and the checksum to
+ * commit it with. Committing checks the records again and stores the
+ * valid ones, the import log entry and their audit entries in one
+ * transaction; each record is then `imported` with its survey ID, or
+ * `rejected`. Edit checks run on the imported surveys, and safety rules on
+ * all but legacy ones, whose events were handled before they came here.
+ *
+ * @returns {Promise<object>} the import report
+ * @throws {ImportError} when the import itself is malformed or refused
+ */
+async function runImport(study, body, { auth, context }) {
+  const { error, value } = importSchema.validate(body);
+  if (error) {
+    throw new ImportError(400, 'Validation failed', error.details);
+  }
+  if (!study.isActive) {
+    throw new ImportError(400, 'Study is not accepting submissions');
+  }
+
+  const checksum = importChecksum(value);
+  const previous = await get('SELECT import_id FROM survey_imports WHERE study_id = ? AND checksum = ?', [study.studyId, checksum]);
+  if (previous) {
+    throw new ImportError(409, `File was already imported as ${previous.import_id}`);
+  }
+  if (!value.dryRun && value.checksum !== checksum) {
+    throw new ImportError(409, 'File or mapping differ from the dry run; run it again');
+  }
+
+  const entries = await checkRecords(study, value, auth);
+  const report = {
+    studyId: study.studyId,
+    source: value.source,
+    format: value.format,
+    layout: value.layout,
+    fileName: value.fileName || null,
+    checksum,
+    dryRun: value.dryRun
+  };
+
+  if (value.dryRun) {
+    const valid = entries.filter(entry => entry.submission).length;
+    return {
+      ...report,
+      summary: { records: entries.length, valid, invalid: entries.length - valid },
+      records: entries.map(entry => reportEntry(entry, entry.submission ? 'valid' : 'invalid'))
+    };
+  }
+
+  if (!entries.some(entry => entry.submission)) {
+    throw new ImportError(422, 'No record of the file can be imported', entries.map(entry => reportEntry(entry, 'rejected')));
+  }
+
+  await encryption.ensureDataKey(study.studyId);
+  const importId = uuidv4();
+
+  const records = await transaction(async (tx) => {
+    await tx.lock(`import:${study.studyId}:${checksum}`);
+    if (await tx.get('SELECT import_id FROM survey_imports WHERE study_id = ? AND checksum = ?', [study.studyId, checksum])) {
+      throw new ImportError(409, 'File was already imported');
+    }
+
+    const results = [];
+    for (const entry of entries) {
+      if (!entry.submission) {
+        results.push(reportEntry(entry, 'rejected'));
+        continue;
+      }
+      // Checked again in case a survey for the visit was stored since
+      try {
+        await checkStorable(tx, entry.submission);
+      } catch (err) {
+        if (!(err instanceof SubmissionError)) throw err;
+        results.push(reportEntry({ ...entry, errors: [{ message: err.message }] }, 'rejected'));
+        continue;
+      }
+      const surveyId = await insertSurvey(tx, entry.submission, { context, source: value.source, importId });
+      results.push({ ...reportEntry(entry, 'imported'), surveyId });
+    }
+
+    const imported = results.filter(result => result.status === 'imported').length;
+    const logged = {
+      importId,
+      studyId: study.studyId,
+      source: value.source,
+      format: value.format,
+      layout: value.layout,
+      fileName: value.fileName || null,
+      checksum,
+      records: results.length,
+      imported,
+      rejected: results.length - imported
+    };
+    await tx.run(`
+      INSERT INTO survey_imports (
+        import_id, study_id, source, format, layout, file_name, checksum, records, imported, rejected, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      importId, study.studyId, value.source, value.format, value.layout, logged.fileName, checksum,
+      logged.records, logged.imported, logged.rejected, auth.userId || null, new Date().toISOString()
+    ]);
+
+    await audit.record({
+      action: 'create',
+      entityType: 'survey_import',
+      entityId: importId,
+      studyId: study.studyId,
+      context,
+      newValues: logged
+    }, tx);
+
+    return results;
+  });
+
+  for (const { surveyId } of records.filter(record => record.surveyId)) {
+    await runChecks(surveyId)
+      .catch(err => console.error(`Error running edit checks on survey ${surveyId}:`, err));
+    if (value.source !== 'legacy') {
+      await runSafetyRules(surveyId)
+        .catch(err => console.error(`Error running safety rules on survey ${surveyId}:`, err));
+    }
+  }
+
+  const imported = records.filter(record => record.status === 'imported').length;
+  return {
+    ...report,
+    importId,
+    summary: { records: records.length, imported, rejected: records.length - imported },
+    records
+  };
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  IMPORT_FORMATS,
+  IMPORT_LAYOUTS,
+  MAX_IMPORT_RECORDS,
+  ImportError,
+  listImports,
+  findImport,
+  runImport
+};
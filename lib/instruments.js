@@ -0,0 +1,456 @@
+/**
+ * Library of validated patient-reported outcome (PRO) instruments. A study
+ * includes an instrument by reference (see `instruments` in
+ * lib/study-config.js) and gets its items as questions, with the wording,
+ * response options and response codes fixed by the library. Each submitted
+ * survey is scored with the instrument's own algorithm:
+ *
+ * - `sum`: total of the item codes. Up to `maxMissing` unanswered items are
+ *   allowed; the total is then prorated (the mean of the answered items
+ *   times the number of items, rounded). With more missing the score is null.
+ * - `profile`: the item codes as one string, e.g. the EQ-5D health state
+ *   "11223"; null if any item is missing
+ * - `value`: the code of a single item
+ *
+ * A score with `bands` is also classified, e.g. into severity bands.
+ */
+
+const { optionCodes } = require('./locales');
+
+// Response options shared by the PHQ and GAD items
+const FREQUENCY_OPTIONS = ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'];
+const FREQUENCY_CODES = [0, 1, 2, 3];
+
+function frequencyItems(texts) {
+  return texts.map((text, i) => ({
+    itemId: i + 1,
+    text,
+    type: 'multiple_choice',
+    options: FREQUENCY_OPTIONS,
+    codes: FREQUENCY_CODES
+  }));
+}
+
+function eq5dItem(itemId, heading, levels) {
+  return { itemId, text: heading, type: 'multiple_choice', options: levels, codes: [1, 2, 3, 4, 5] };
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// PHQ-2 and GAD-2: the first two items, screening positive from 3
+const SCREENING_BANDS = [
+  { min: 0, max: 2, label: 'negative' },
+  { min: 3, max: 6, label: 'positive' }
+];
+
+const INSTRUMENTS = [
+  {
+    instrumentId: 'phq-9',
+    name: 'Patient Health Questionnaire-9',
+    shortName: 'PHQ-9',
+    code: 'PHQ9',
+    description: 'Depression severity over the last 2 weeks',
+    copyright: 'Developed by Drs. Robert L. Spitzer, Janet B.W. Williams, Kurt Kroenke and colleagues, with an educational grant from Pfizer Inc. No permission required to reproduce, translate, display or distribute.',
+    instructions: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+    items: [
+      ...frequencyItems([
+        'Little interest or pleasure in doing things',
+        'Feeling down, depressed, or hopeless',
+        'Trouble falling or staying asleep, or sleeping too much',
+        'Feeling tired or having little energy',
+        'Poor appetite or overeating',
+        'Feeling bad about yourself — or that you are a failure or have let yourself or your family down',
+        'Trouble concentrating on things, such as reading the newspaper or watching television',
+        'Moving or speaking so slowly that other people could have noticed? Or the opposite — being so fidgety or restless that you have been moving around a lot more than usual',
+        'Thoughts that you would be better off dead or of hurting yourself in some way'
+      ]),
+      {
+        itemId: 10,
+        text: 'If you checked off any problems, how difficult have these problems made it for you to do your work, take care of things at home, or get along with other people?',
+        type: 'multiple_choice',
+        options: ['Not difficult at all', 'Somewhat difficult', 'Very difficult', 'Extremely difficult'],
+        codes: [0, 1, 2, 3]
+      }
+    ],
+    scores: [
+      {
+        scoreId: 'total',
+        label: 'PHQ-9 total score',
+        variable: 'TOTAL',
+        testCode: 'PHQ9TOT',
+        bandTestCode: 'PHQ9SEV',
+        method: 'sum',
+        items: range(1, 9),
+        maxMissing: 1,
+        min: 0,
+        max: 27,
+        bands: [
+          { min: 0, max: 4, label: 'minimal' },
+          { min: 5, max: 9, label: 'mild' },
+          { min: 10, max: 14, label: 'moderate' },
+          { min: 15, max: 19, label: 'moderately severe' },
+          { min: 20, max: 27, label: 'severe' }
+        ]
+      },
+      {
+        scoreId: 'phq2',
+        label: 'PHQ-2 score',
+        variable: 'PHQ2',
+        testCode: 'PHQ2TOT',
+        bandTestCode: 'PHQ2SCR',
+        method: 'sum',
+        items: [1, 2],
+        maxMissing: 0,
+        min: 0,
+        max: 6,
+        bands: SCREENING_BANDS
+      }
+    ]
+  },
+  {
+    instrumentId: 'gad-7',
+    name: 'Generalized Anxiety Disorder-7',
+    shortName: 'GAD-7',
+    code: 'GAD7',
+    description: 'Anxiety severity over the last 2 weeks',
+    copyright: 'Developed by Drs. Robert L. Spitzer, Janet B.W. Williams, Kurt Kroenke and colleagues, with an educational grant from Pfizer Inc. No permission required to reproduce, translate, display or distribute.',
+    instructions: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+    items: frequencyItems([
+      'Feeling nervous, anxious, or on edge',
+      'Not being able to stop or control worrying',
+      'Worrying too much about different things',
+      'Trouble relaxing',
+      'Being so restless that it is hard to sit still',
+      'Becoming easily annoyed or irritable',
+      'Feeling afraid, as if something awful might happen'
+    ]),
+    scores: [
+      {
+        scoreId: 'total',
+        label: 'GAD-7 total score',
+        variable: 'TOTAL',
+        testCode: 'GAD7TOT',
+        bandTestCode: 'GAD7SEV',
+        method: 'sum',
+        items: range(1, 7),
+        maxMissing: 1,
+        min: 0,
+        max: 21,
+        bands: [
+          { min: 0, max: 4, label: 'minimal' },
+          { min: 5, max: 9, label: 'mild' },
+          { min: 10, max: 14, label: 'moderate' },
+          { min: 15, max: 21, label: 'severe' }
+        ]
+      },
+      {
+        scoreId: 'gad2',
+        label: 'GAD-2 score',
+        variable: 'GAD2',
+        testCode: 'GAD2TOT',
+        bandTestCode: 'GAD2SCR',
+        method: 'sum',
+        items: [1, 2],
+        maxMissing: 0,
+        min: 0,
+        max: 6,
+        bands: SCREENING_BANDS
+      }
+    ]
+  },
+  {
+    // No index value: it needs a country value set, which studies apply in analysis
+    instrumentId: 'eq-5d-5l',
+    name: 'EQ-5D-5L',
+    shortName: 'EQ-5D-5L',
+    code: 'EQ5D5L',
+    description: 'Health state today in five dimensions, and overall health on a 0-100 scale',
+    copyright: '© EuroQol Research Foundation. EQ-5D™ is a trade mark of the EuroQol Research Foundation. Use requires registration with, and a licence from, the EuroQol Research Foundation.',
+    instructions: 'Under each heading, please choose the ONE answer that best describes your health TODAY.',
+    items: [
+      eq5dItem(1, 'Mobility', [
+        'I have no problems in walking about',
+        'I have slight problems in walking about',
+        'I have moderate problems in walking about',
+        'I have severe problems in walking about',
+        'I am unable to walk about'
+      ]),
+      eq5dItem(2, 'Self-care', [
+        'I have no problems washing or dressing myself',
+        'I have slight problems washing or dressing myself',
+        'I have moderate problems washing or dressing myself',
+        'I have severe problems washing or dressing myself',
+        'I am unable to wash or dress myself'
+      ]),
+      eq5dItem(3, 'Usual activities (e.g. work, study, housework, family or leisure activities)', [
+        'I have no problems doing my usual activities',
+        'I have slight problems doing my usual activities',
+        'I have moderate problems doing my usual activities',
+        'I have severe problems doing my usual activities',
+        'I am unable to do my usual activities'
+      ]),
+      eq5dItem(4, 'Pain / discomfort', [
+        'I have no pain or discomfort',
+        'I have slight pain or discomfort',
+        'I have moderate pain or discomfort',
+        'I have severe pain or discomfort',
+        'I have extreme pain or discomfort'
+      ]),
+      eq5dItem(5, 'Anxiety / depression', [
+        'I am not anxious or depressed',
+        'I am slightly anxious or depressed',
+        'I am moderately anxious or depressed',
+        'I am severely anxious or depressed',
+        'I am extremely anxious or depressed'
+      ]),
+      {
+        itemId: 6,
+        text: 'We would like to know how good or bad your health is TODAY. 100 means the best health you can imagine and 0 means the worst health you can imagine. Please give a number from 0 to 100 for how your health is TODAY.',
+        type: 'number',
+        min: 0,
+        max: 100,
+        integer: true
+      }
+    ],
+    scores: [
+      {
+        scoreId: 'profile',
+        label: 'EQ-5D-5L health state',
+        variable: 'PROFILE',
+        testCode: 'EQ5DPROF',
+        method: 'profile',
+        items: range(1, 5)
+      },
+      {
+        scoreId: 'lss',
+        label: 'EQ-5D-5L level sum score',
+        variable: 'LSS',
+        testCode: 'EQ5DLSS',
+        method: 'sum',
+        items: range(1, 5),
+        maxMissing: 0,
+        min: 5,
+        max: 25
+      },
+      {
+        scoreId: 'vas',
+        label: 'EQ VAS',
+        variable: 'VAS',
+        testCode: 'EQ5DVAS',
+        method: 'value',
+        items: [6],
+        min: 0,
+        max: 100
+      }
+    ]
+  },
+  {
+    instrumentId: 'nrs-pain',
+    name: 'Pain Numeric Rating Scale',
+    shortName: 'Pain NRS',
+    code: 'PAINNRS',
+    description: 'Average pain intensity over the last 24 hours, from 0 to 10',
+    copyright: 'Public domain.',
+    items: [
+      {
+        itemId: 1,
+        text: 'Please rate your pain by choosing the number that best describes your pain on average in the last 24 hours.',
+        type: 'scale',
+        scale: { min: 0, max: 10, labels: ['No pain', '', '', '', '', '', '', '', '', '', 'Worst pain imaginable'] }
+      }
+    ],
+    scores: [
+      {
+        scoreId: 'score',
+        label: 'Pain NRS score',
+        variable: 'SCORE',
+        testCode: 'PAINNRS',
+        bandTestCode: 'PAINSEV',
+        method: 'value',
+        items: [1],
+        min: 0,
+        max: 10,
+        bands: [
+          { min: 0, max: 0, label: 'none' },
+          { min: 1, max: 3, label: 'mild' },
+          { min: 4, max: 6, label: 'moderate' },
+          { min: 7, max: 10, label: 'severe' }
+        ]
+      }
+    ]
+  }
+];
+
+const INSTRUMENT_IDS = INSTRUMENTS.map(instrument => instrument.instrumentId);
+
+function findInstrument(instrumentId) {
+  return INSTRUMENTS.find(instrument => instrument.instrumentId === instrumentId) || null;
+}
+
+// Name of a score in exports and analytics, e.g. PHQ9_TOTAL
+function scoreVariable(instrument, score) {
+  return `${instrument.code}_${score.variable}`;
+}
+
+// The library as listed by GET /api/instruments
+function summarise(instrument) {
+  return {
+    instrumentId: instrument.instrumentId,
+    name: instrument.name,
+    shortName: instrument.shortName,
+    description: instrument.description,
+    items: instrument.items.length,
+    scores: instrument.scores.map(score => score.label)
+  };
+}
+
+/**
+ * The questions a study gets for an instrument reference: one per item,
+ * numbered from `firstQuestionId` in item order. The first carries the
+ * instrument's instructions, and an option's code is its response code.
+ * `translations` lists, per locale, the wording of each item in a licensed
+ * translation of the instrument.
+ */
+function instrumentQuestions({ instrumentId, firstQuestionId, required = true, translations = {} }) {
+  const instrument = findInstrument(instrumentId);
+  const locales = Object.keys(translations);
+
+  return instrument.items.map((item, i) => ({
+    id: firstQuestionId + i,
+    question: item.text,
+    type: item.type,
+    required,
+    ...(i === 0 && instrument.instructions && { instructions: instrument.instructions }),
+    ...(item.options && {
+      options: item.options.map((label, j) => ({ code: String(item.codes[j]), label })),
+      codes: item.codes
+    }),
+    ...(item.scale && { scale: item.scale }),
+    ...(item.type === 'number' && { min: item.min, max: item.max, integer: item.integer }),
+    ...(locales.length && {
+      translations: Object.fromEntries(locales.map(locale => [locale, translations[locale][i]]))
+    }),
+    instrument: { instrumentId, itemId: item.itemId }
+  }));
+}
+
+/**
+ * The instruments a question set includes, with the question asking each
+ * of their items, in order of first appearance.
+ *
+ * @returns {{ instrument: object, questions: Map<number, object> }[]} questions keyed by item ID
+ */
+function includedInstruments(questions) {
+  const included = new Map();
+  questions.filter(question => question.instrument).forEach(question => {
+    const { instrumentId, itemId } = question.instrument;
+    const instrument = findInstrument(instrumentId);
+    if (!instrument) return;
+    if (!included.has(instrumentId)) included.set(instrumentId, { instrument, questions: new Map() });
+    included.get(instrumentId).questions.set(itemId, question);
+  });
+  return [...included.values()];
+}
+
+/**
+ * Every score of the instruments included in the given versions, in order
+ * of first appearance, as `{ variable, instrument, score }`.
+ *
+ * @param {Map<number, object[]>} questionnaires - question set of each version
+ */
+function includedScores(questionnaires) {
+  const scores = new Map();
+  [...questionnaires.keys()].sort((a, b) => a - b).forEach(version => {
+    includedInstruments(questionnaires.get(version)).forEach(({ instrument }) => {
+      instrument.scores.forEach(score => {
+        const variable = scoreVariable(instrument, score);
+        if (!scores.has(variable)) scores.set(variable, { variable, instrument, score });
+      });
+    });
+  });
+  return [...scores.values()];
+}
+
+/**
+ * Stored scores of a survey keyed by their variable, as
+ * `{ instrument, score, result }`; scores the library no longer has are left out.
+ */
+function scoresByVariable(results) {
+  const byVariable = new Map();
+  results.forEach(result => {
+    const instrument = findInstrument(result.instrumentId);
+    const score = instrument && instrument.scores.find(s => s.scoreId === result.scoreId);
+    if (score) byVariable.set(scoreVariable(instrument, score), { instrument, score, result });
+  });
+  return byVariable;
+}
+
+// Code of the answer to an item, or null when it was not answered
+function itemCode(question, answer) {
+  if (answer === undefined || answer === null) return null;
+  if (question.type === 'multiple_choice') {
+    const index = optionCodes(question).indexOf(answer);
+    return index === -1 ? null : question.codes[index];
+  }
+  return typeof answer === 'number' ? answer : null;
+}
+
+function bandOf(score, value) {
+  if (!score.bands || typeof value !== 'number') return null;
+  const band = score.bands.find(b => value >= b.min && value <= b.max);
+  return band ? band.label : null;
+}
+
+function computeScore(score, codes) {
+  const answered = codes.filter(code => code !== null);
+  const missingItems = codes.length - answered.length;
+  let value = null;
+  let prorated = false;
+
+  if (score.method === 'sum') {
+    if (answered.length > 0 && missingItems <= (score.maxMissing || 0)) {
+      const total = answered.reduce((sum, code) => sum + code, 0);
+      prorated = missingItems > 0;
+      value = prorated ? Math.round(total / answered.length * codes.length) : total;
+    }
+  } else if (score.method === 'profile') {
+    value = missingItems === 0 ? codes.join('') : null;
+  } else {
+    value = codes[0];
+  }
+
+  return { value, band: bandOf(score, value), missingItems, prorated };
+}
+
+/**
+ * Score a survey's answers to every instrument its questions include.
+ *
+ * @param {object[]} questions - the survey's questionnaire version
+ * @param {Map<number, *>} answers - answers keyed by question ID
+ * @returns {object[]} `{ instrumentId, scoreId, value, band, missingItems, prorated }` per score
+ */
+function scoreSurvey(questions, answers) {
+  return includedInstruments(questions).flatMap(({ instrument, questions: byItem }) =>
+    instrument.scores.map(score => {
+      const codes = score.items.map(itemId => {
+        const question = byItem.get(itemId);
+        return question ? itemCode(question, answers.get(question.id)) : null;
+      });
+      return { instrumentId: instrument.instrumentId, scoreId: score.scoreId, ...computeScore(score, codes) };
+    }));
+}
+
+module.exports = {
+  INSTRUMENTS,
+  INSTRUMENT_IDS,
+  findInstrument,
+  scoreVariable,
+  summarise,
+  instrumentQuestions,
+  includedInstruments,
+  includedScores,
+  scoresByVariable,
+  scoreSurvey
+};
@@ -0,0 +1,75 @@
+/**
+ * Languages of a study's questionnaire. A question's `question`, option
+ * labels and other texts are in the study's default locale, and its
+ * `translations` give them per locale:
+ *
+ *   options: [{ code: 'never', label: 'Never' }, { code: 'sometimes', label: 'Sometimes' }],
+ *   translations: { es: { question: '¿Fuma?', options: ['Nunca', 'A veces'] } }
+ *
+ * Answers store an option's code, never a label, so they mean the same
+ * whatever language the patient used and survive rewording; labels are
+ * looked up only to show or export answers. An option given as a plain
+ * string is its own code and label.
+ */
+
+// Language tags as accepted in study configurations, e.g. en, pt-BR, zh-Hant
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+function direction(locale) {
+  return RTL_LANGUAGES.includes(String(locale).split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+function translation(question, locale) {
+  return (question.translations && question.translations[locale]) || {};
+}
+
+// The question as worded in `locale`, falling back to the default locale
+function questionText(question, locale) {
+  return translation(question, locale).question || question.question;
+}
+
+// The code answers store for an option
+function optionCode(option) {
+  return typeof option === 'string' ? option : option.code;
+}
+
+// Codes of a choice question's options, in order
+function optionCodes(question) {
+  return (question.options || []).map(optionCode);
+}
+
+// Labels of a choice question's options in `locale`, in order
+function optionLabels(question, locale) {
+  return translation(question, locale).options
+    || (question.options || []).map(option => (typeof option === 'string' ? option : option.label));
+}
+
+// Label of the option stored as `code`, or the code itself if it is not an option
+function optionLabel(question, code, locale) {
+  const index = optionCodes(question).indexOf(code);
+  return index === -1 ? code : optionLabels(question, locale)[index];
+}
+
+// An answer as shown to a patient reading `locale`; only choices have labels
+function answerLabel(question, answer, locale) {
+  if (question.type === 'multiple_choice') return optionLabel(question, answer, locale);
+  if (question.type === 'checkbox' && Array.isArray(answer)) {
+    return answer.map(value => optionLabel(question, value, locale));
+  }
+  return answer;
+}
+
+module.exports = {
+  LOCALE_PATTERN,
+  RTL_LANGUAGES,
+  direction,
+  questionText,
+  optionCode,
+  optionCodes,
+  optionLabels,
+  optionLabel,
+  answerLabel
+};
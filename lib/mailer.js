@@ -0,0 +1,225 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Minimal SMTP client (RFC 5321) for the server's own notifications: one
+ * plain-text message to one recipient per connection. Configured by
+ *
+ * - SMTP_HOST and SMTP_PORT (587 by default, 465 with SMTP_SECURE)
+ * - SMTP_SECURE=true for implicit TLS; otherwise STARTTLS is used when the
+ *   server offers it
+ * - SMTP_USER and SMTP_PASS, sent with AUTH PLAIN and only over TLS
+ * - SMTP_FROM, the sender address
+ *
+ * Without SMTP_HOST mail is not sent. scripts/smtp-sink.js is a local
+ * stand-in server for development and tests.
+ */
+
+// A server that has not answered a command by then has failed
+const COMMAND_TIMEOUT = 30 * 1000;
+
+// An SMTP server refused a command, or the connection failed
+class MailError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailError';
+  }
+}
+
+// Read on every send, so the settings can change without a restart
+function smtpConfig() {
+  if (!process.env.SMTP_HOST) return null;
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || `no-reply@${os.hostname()}`
+  };
+}
+
+function isConfigured() {
+  return smtpConfig() !== null;
+}
+
+// The replies of the server, in order. A reply is one or more lines such as
+// "250-first" ... "250 last"; it ends at the line with a space after the code.
+class Connection {
+  constructor(socket) {
+    this.replies = [];
+    this.waiting = [];
+    this.lines = [];
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    socket.setTimeout(COMMAND_TIMEOUT);
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('timeout', () => socket.destroy(new MailError('SMTP server did not answer in time')));
+    socket.on('error', err => this.fail(err));
+    socket.on('close', () => this.fail(new MailError('SMTP server closed the connection')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let end;
+    while ((end = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line);
+      if (line[3] === '-') continue;
+
+      const reply = { code: parseInt(line.slice(0, 3)), text: this.lines.map(l => l.slice(4)).join('\n') };
+      this.lines = [];
+      if (this.waiting.length) this.waiting.shift().resolve(reply);
+      else this.replies.push(reply);
+    }
+  }
+
+  fail(err) {
+    if (this.failure) return;
+    this.failure = err;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(err));
+  }
+
+  next() {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.failure) return Promise.reject(this.failure);
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  async expect(codes, command) {
+    const reply = await this.next();
+    if (!codes.includes(reply.code)) {
+      throw new MailError(`SMTP ${command || 'greeting'} refused: ${reply.code} ${reply.text}`.slice(0, 500));
+    }
+    return reply;
+  }
+
+  command(line, codes, name = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes, name);
+  }
+
+  // Switch to TLS after STARTTLS; the plain socket is read by TLS from now on
+  async upgrade(config) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('timeout');
+    plain.removeAllListeners('close');
+    const secure = tls.connect({ socket: plain, servername: config.host });
+    await new Promise((resolve, reject) => {
+      secure.once('secureConnect', resolve);
+      secure.once('error', reject);
+    });
+    this.attach(secure);
+  }
+
+  close() {
+    this.failure = this.failure || new MailError('Connection closed');
+    this.socket.destroy();
+  }
+}
+
+function open(config) {
+  const options = { host: config.host, port: config.port, servername: config.host };
+  return new Promise((resolve, reject) => {
+    const socket = config.secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(COMMAND_TIMEOUT);
+    socket.once(config.secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+    socket.once('timeout', () => socket.destroy(new MailError('SMTP server did not answer in time')));
+  });
+}
+
+// Headers may not break lines; non-ASCII text is encoded (RFC 2047)
+function headerValue(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function formatMessage(config, { to, subject, text }) {
+  const ascii = /^[\x00-\x7f]*$/.test(text);
+  const body = ascii
+    ? text.replace(/\r?\n/g, '\r\n')
+    : Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  const domain = config.from.split('@')[1] || os.hostname();
+
+  return [
+    `From: ${headerValue(config.from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${uuidv4()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Transfer-Encoding: ${ascii ? '7bit' : 'base64'}`,
+    '',
+    // A line starting with a dot is sent with the dot doubled (RFC 5321 4.5.2)
+    ...body.split('\r\n').map(line => (line.startsWith('.') ? `.${line}` : line))
+  ].join('\r\n');
+}
+
+/**
+ * Send a plain-text message.
+ *
+ * @param {{ to: string, subject: string, text: string }} message
+ * @throws {MailError} when SMTP is not configured, or the server refused
+ *   the message or could not be reached
+ */
+async function sendMail(message) {
+  const config = smtpConfig();
+  if (!config) {
+    throw new MailError('SMTP_HOST is not set');
+  }
+
+  let connection;
+  try {
+    connection = new Connection(await open(config));
+  } catch (err) {
+    throw new MailError(`Cannot reach SMTP server ${config.host}:${config.port}: ${err.message}`);
+  }
+
+  try {
+    await connection.expect([220]);
+    const name = os.hostname();
+    const ehlo = await connection.command(`EHLO ${name}`, [250]);
+    let secure = config.secure;
+    if (!secure && /^STARTTLS\b/mi.test(ehlo.text)) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(config);
+      await connection.command(`EHLO ${name}`, [250]);
+      secure = true;
+    }
+    if (config.user) {
+      if (!secure) {
+        throw new MailError('SMTP server does not offer STARTTLS; the password is not sent in the clear');
+      }
+      const credentials = Buffer.from(`\u0000${config.user}\u0000${config.password}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await connection.command(`MAIL FROM:<${config.from}>`, [250]);
+    await connection.command(`RCPT TO:<${message.to}>`, [250, 251]);
+    await connection.command('DATA', [354]);
+    await connection.command(`${formatMessage(config, message)}\r\n.`, [250], 'message');
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  MailError,
+  isConfigured,
+  sendMail
+};
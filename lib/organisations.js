@@ -0,0 +1,75 @@
+const { run, get, all } = require('./db');
+
+/**
+ * Organisations: the sponsors sharing one deployment. A study or user that
+ * belongs to an organisation is kept to it: its users have roles on its
+ * studies only, and a role on every study ('*') means every study of the
+ * organisation. Studies and users without an organisation belong to the
+ * platform operator.
+ */
+
+function toOrganisation(row) {
+  return {
+    orgId: row.org_id,
+    name: row.name,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function listOrganisations() {
+  const rows = await all(`
+    SELECT o.*,
+      (SELECT COUNT(*) FROM study_configs s WHERE s.org_id = o.org_id) AS study_count,
+      (SELECT COUNT(*) FROM users u WHERE u.org_id = o.org_id) AS user_count
+    FROM organisations o
+    ORDER BY o.org_id
+  `);
+  return rows.map(row => ({
+    ...toOrganisation(row),
+    studyCount: Number(row.study_count),
+    userCount: Number(row.user_count)
+  }));
+}
+
+// An organisation with the IDs of its studies
+async function findOrganisation(orgId) {
+  const row = await get('SELECT * FROM organisations WHERE org_id = ?', [orgId]);
+  if (!row) return null;
+
+  const studies = await all('SELECT study_id FROM study_configs WHERE org_id = ? ORDER BY study_id', [orgId]);
+  return { ...toOrganisation(row), studyIds: studies.map(study => study.study_id) };
+}
+
+async function createOrganisation({ orgId, name }, createdBy) {
+  const now = new Date().toISOString();
+  await run(`
+    INSERT INTO organisations (org_id, name, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `, [orgId, name, createdBy || null, now, now]);
+
+  return findOrganisation(orgId);
+}
+
+async function renameOrganisation(orgId, name) {
+  const { changes } = await run(
+    'UPDATE organisations SET name = ?, updated_at = ? WHERE org_id = ?',
+    [name, new Date().toISOString(), orgId]
+  );
+  return changes > 0 ? findOrganisation(orgId) : null;
+}
+
+// IDs of the studies of an organisation, which its users are kept to
+async function listStudyIds(orgId) {
+  const rows = await all('SELECT study_id FROM study_configs WHERE org_id = ?', [orgId]);
+  return rows.map(row => row.study_id);
+}
+
+module.exports = {
+  listOrganisations,
+  findOrganisation,
+  createOrganisation,
+  renameOrganisation,
+  listStudyIds
+};
@@ -0,0 +1,404 @@
+const { v4: uuidv4 } = require('uuid');
+const { get, all, transaction } = require('./db');
+const { findStudyConfig, findVersion } = require('./studies');
+const { evaluateChecks } = require('./edit-checks');
+const { lockRefusal } = require('./data-lock');
+const webhooks = require('./webhooks');
+const encryption = require('./encryption');
+
+/**
+ * Queries (discrepancies) on collected data. Failed edit checks raise them
+ * automatically; data managers can raise them by hand too. A query moves:
+ *
+ * - `open`: waiting for the site
+ * - `answered`: the site replied or corrected the data
+ * - `resolved`: the data manager accepted the answer, or a correction made
+ *   the check pass
+ * - `closed`: finished; closed queries never change again
+ */
+const QUERY_STATUSES = ['open', 'answered', 'resolved', 'closed'];
+
+// Check types of queries; `manual` ones were raised by a data manager
+const QUERY_CHECK_TYPES = ['range', 'consistency', 'depends_on', 'duplicate', 'manual'];
+
+// Author of queries and messages written by edit checks
+const SYSTEM = 'system';
+
+// Statuses each action moves a query from and to, the time it records and
+// the webhook event it sends
+const TRANSITIONS = {
+  answer: { from: ['open'], to: 'answered', timestamp: 'answered_at', event: 'query.answered' },
+  resolve: { from: ['open', 'answered'], to: 'resolved', timestamp: 'resolved_at', event: 'query.resolved' },
+  close: { from: ['open', 'answered', 'resolved'], to: 'closed', timestamp: 'closed_at', event: 'query.closed' },
+  reopen: { from: ['answered', 'resolved'], to: 'open', event: 'query.reopened' }
+};
+const QUERY_ACTIONS = Object.keys(TRANSITIONS);
+
+// A query action was refused; `status` is the HTTP status to answer with
+class QueryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = status;
+  }
+}
+
+function toQuery(row) {
+  return {
+    queryId: row.query_id,
+    studyId: row.study_id,
+    surveyId: row.survey_id,
+    patientId: row.patient_id,
+    siteId: row.site_id,
+    questionId: row.question_id,
+    checkId: row.check_id,
+    checkType: row.check_type,
+    message: row.message,
+    status: row.status,
+    raisedBy: row.raised_by,
+    raisedAt: row.raised_at,
+    answeredAt: row.answered_at,
+    resolvedAt: row.resolved_at,
+    closedAt: row.closed_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toMessage(row) {
+  return {
+    messageId: row.message_id,
+    action: row.action,
+    text: row.text,
+    author: row.author,
+    createdAt: row.created_at
+  };
+}
+
+async function addMessage(tx, queryId, action, text, author, now) {
+  await tx.run(`
+    INSERT INTO query_messages (message_id, query_id, action, text, author, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [uuidv4(), queryId, action, text || null, author, now]);
+}
+
+// Query messages may quote answers, so events carry the query's IDs and status only
+async function emitQueryEvent(tx, type, query) {
+  const { queryId, surveyId, patientId, siteId, questionId, checkType, status } = query;
+  await webhooks.emit({
+    studyId: query.studyId,
+    type,
+    data: { queryId, surveyId, patientId, siteId, questionId, checkType, status }
+  }, tx);
+}
+
+async function insertQuery(tx, survey, { questionId, checkId, checkType, message, raisedBy }, now) {
+  const queryId = uuidv4();
+  await tx.run(`
+    INSERT INTO queries (
+      query_id, study_id, survey_id, patient_id, site_id, question_id, check_id, check_type,
+      message, status, raised_by, raised_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?)
+  `, [
+    queryId, survey.study_id, survey.survey_id, survey.patient_id, survey.site_id || null,
+    questionId === undefined ? null : questionId, checkId || null, checkType, message, raisedBy, now, now
+  ]);
+  await addMessage(tx, queryId, 'open', message, raisedBy, now);
+  await emitQueryEvent(tx, 'query.raised', toQuery(await tx.get('SELECT * FROM queries WHERE query_id = ?', [queryId])));
+  return queryId;
+}
+
+// The survey's answers keyed by question ID
+async function surveyAnswers(survey) {
+  const rows = await all('SELECT question_id, answer FROM responses WHERE survey_id = ?', [survey.survey_id]);
+  const answers = {};
+  for (const row of rows) {
+    answers[row.question_id] = await encryption.decryptJSON(
+      survey.study_id, `answer:${survey.survey_id}:${row.question_id}`, row.answer
+    );
+  }
+  return answers;
+}
+
+// Other surveys of the patient completed up to withinHours before this one
+async function duplicateFailures(check, survey) {
+  const completedAt = Date.parse(survey.completed_at);
+  const earlier = await get(`
+    SELECT survey_id FROM surveys
+    WHERE study_id = ? AND patient_id = ? AND survey_id <> ? AND completed_at >= ? AND completed_at <= ?
+    ORDER BY completed_at
+    LIMIT 1
+  `, [
+    survey.study_id, survey.patient_id, survey.survey_id,
+    new Date(completedAt - check.withinHours * 60 * 60 * 1000).toISOString(), survey.completed_at
+  ]);
+  if (!earlier) return [];
+
+  return [{
+    checkId: check.checkId,
+    checkType: check.type,
+    questionId: null,
+    message: check.message ||
+      `Another survey of this patient (${earlier.survey_id}) was completed within ${check.withinHours} hours`
+  }];
+}
+
+function failureKey(checkId, questionId) {
+  return `${checkId}\u0000${questionId === null || questionId === undefined ? '' : questionId}`;
+}
+
+/**
+ * Run the study's edit checks on one survey. Each new failure raises a
+ * query; a check that already raised one on the same answer does not raise
+ * another, even once it is closed. Open and answered queries of checks
+ * that now pass, because the data was corrected, are resolved.
+ *
+ * @returns {Promise<{ raised: number, resolved: number }>}
+ */
+async function runChecks(surveyId) {
+  const survey = await get('SELECT * FROM surveys WHERE survey_id = ?', [surveyId]);
+  // Locked data takes no new queries
+  if (!survey || await lockRefusal(survey.study_id, survey.patient_id, { allowFrozen: true })) {
+    return { raised: 0, resolved: 0 };
+  }
+
+  const study = await findStudyConfig(survey.study_id);
+  const questionnaire = await findVersion(survey.study_id, survey.config_version);
+  const checks = study ? study.editChecks : [];
+  if (checks.length === 0 || !questionnaire) return { raised: 0, resolved: 0 };
+
+  const failures = evaluateChecks(checks, questionnaire.questions, await surveyAnswers(survey));
+  for (const check of checks.filter(c => c.type === 'duplicate')) {
+    failures.push(...await duplicateFailures(check, survey));
+  }
+
+  return transaction(async (tx) => {
+    await tx.lock(`queries:${surveyId}`);
+    const now = new Date().toISOString();
+    const existing = await tx.all('SELECT * FROM queries WHERE survey_id = ? AND check_id IS NOT NULL', [surveyId]);
+    const raisedBefore = new Set(existing.map(row => failureKey(row.check_id, row.question_id)));
+    const failing = new Set(failures.map(failure => failureKey(failure.checkId, failure.questionId)));
+    const configured = new Set(checks.map(check => check.checkId));
+
+    let raised = 0;
+    for (const failure of failures) {
+      if (raisedBefore.has(failureKey(failure.checkId, failure.questionId))) continue;
+      await insertQuery(tx, survey, { ...failure, raisedBy: SYSTEM }, now);
+      raised += 1;
+    }
+
+    let resolved = 0;
+    for (const row of existing) {
+      if (!['open', 'answered'].includes(row.status) || !configured.has(row.check_id)) continue;
+      if (failing.has(failureKey(row.check_id, row.question_id))) continue;
+
+      await tx.run(
+        "UPDATE queries SET status = 'resolved', resolved_at = ?, updated_at = ? WHERE query_id = ?",
+        [now, now, row.query_id]
+      );
+      await addMessage(tx, row.query_id, 'resolve', 'Edit check passes after the data was corrected', SYSTEM, now);
+      await emitQueryEvent(tx, 'query.resolved', toQuery({ ...row, status: 'resolved' }));
+      resolved += 1;
+    }
+
+    return { raised, resolved };
+  });
+}
+
+// Run the edit checks on every survey of a study, e.g. after they changed
+async function runStudyChecks(studyId) {
+  const rows = await all('SELECT survey_id FROM surveys WHERE study_id = ? ORDER BY completed_at', [studyId]);
+  const totals = { surveys: rows.length, raised: 0, resolved: 0 };
+
+  for (const row of rows) {
+    const { raised, resolved } = await runChecks(row.survey_id);
+    totals.raised += raised;
+    totals.resolved += resolved;
+  }
+  return totals;
+}
+
+async function listQueries(studyId, { statuses, siteIds, checkTypes, surveyId, patientId } = {}) {
+  const where = ['study_id = ?'];
+  const params = [studyId];
+
+  if (statuses) { where.push(`status IN (${statuses.map(() => '?').join(', ')})`); params.push(...statuses); }
+  if (siteIds) { where.push(`site_id IN (${siteIds.map(() => '?').join(', ')})`); params.push(...siteIds); }
+  if (checkTypes) { where.push(`check_type IN (${checkTypes.map(() => '?').join(', ')})`); params.push(...checkTypes); }
+  if (surveyId) { where.push('survey_id = ?'); params.push(surveyId); }
+  if (patientId) { where.push('patient_id = ?'); params.push(patientId); }
+
+  const rows = await all(`
+    SELECT * FROM queries
+    WHERE ${where.join(' AND ')}
+    ORDER BY raised_at, query_id
+  `, params);
+  return rows.map(toQuery);
+}
+
+// One query with its messages, oldest first
+async function findQuery(studyId, queryId, db = { get, all }) {
+  const row = await db.get('SELECT * FROM queries WHERE query_id = ? AND study_id = ?', [queryId, studyId]);
+  if (!row) return null;
+
+  const messages = await db.all(
+    'SELECT * FROM query_messages WHERE query_id = ? ORDER BY created_at, message_id',
+    [queryId]
+  );
+  return { ...toQuery(row), messages: messages.map(toMessage) };
+}
+
+/**
+ * Raise a query by hand on a survey, or on one answer of it. With `siteIds`
+ * only surveys of those sites can be queried.
+ *
+ * @throws {QueryError} when the survey or question is not part of the study,
+ *   or its data is locked
+ */
+async function openQuery({ studyId, surveyId, questionId, message, raisedBy, siteIds }) {
+  const survey = await get('SELECT * FROM surveys WHERE survey_id = ? AND study_id = ?', [surveyId, studyId]);
+  if (!survey || (siteIds && !siteIds.includes(survey.site_id))) {
+    throw new QueryError(404, 'Survey not found');
+  }
+  const locked = await lockRefusal(studyId, survey.patient_id, { allowFrozen: true });
+  if (locked) {
+    throw new QueryError(423, locked);
+  }
+  if (questionId !== undefined) {
+    const questionnaire = await findVersion(studyId, survey.config_version);
+    if (!questionnaire || !questionnaire.questions.some(q => q.id === questionId)) {
+      throw new QueryError(400, `Question ${questionId} is not part of this survey`);
+    }
+  }
+
+  return transaction(async (tx) => {
+    const queryId = await insertQuery(tx, survey, { questionId, checkType: 'manual', message, raisedBy }, new Date().toISOString());
+    return findQuery(studyId, queryId, tx);
+  });
+}
+
+/**
+ * Move a query on: answer, resolve, close or reopen it. `text` is kept as
+ * the message of that step.
+ *
+ * @throws {QueryError} when the query is not found, the action does not apply
+ *   to its status, or its data is locked
+ */
+async function transitionQuery(studyId, queryId, action, { text, author }) {
+  const transition = TRANSITIONS[action];
+
+  return transaction(async (tx) => {
+    await tx.lock(`query:${queryId}`);
+    const row = await tx.get('SELECT * FROM queries WHERE query_id = ? AND study_id = ?', [queryId, studyId]);
+    if (!row) {
+      throw new QueryError(404, 'Query not found');
+    }
+    if (!transition.from.includes(row.status)) {
+      throw new QueryError(409, `Cannot ${action} a query that is ${row.status}`);
+    }
+    const locked = await lockRefusal(studyId, row.patient_id, { allowFrozen: true, db: tx });
+    if (locked) {
+      throw new QueryError(423, locked);
+    }
+
+    const now = new Date().toISOString();
+    // A reopened query is answered and resolved afresh
+    const timestamps = transition.timestamp
+      ? { [transition.timestamp]: now }
+      : { answered_at: null, resolved_at: null };
+    await tx.run(`
+      UPDATE queries SET status = ?, ${Object.keys(timestamps).map(column => `${column} = ?`).join(', ')}, updated_at = ?
+      WHERE query_id = ?
+    `, [transition.to, ...Object.values(timestamps), now, queryId]);
+    await addMessage(tx, queryId, action, text, author, now);
+
+    const query = await findQuery(studyId, queryId, tx);
+    await emitQueryEvent(tx, transition.event, query);
+    return query;
+  });
+}
+
+function daysBetween(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+}
+
+function emptyMetrics() {
+  return {
+    total: 0,
+    ...Object.fromEntries(QUERY_STATUSES.map(status => [status, 0])),
+    oldestOpenDays: null,
+    averageDaysToResolve: null,
+    resolvedCount: 0,
+    daysToResolve: 0
+  };
+}
+
+function addToMetrics(metrics, row, now) {
+  metrics.total += 1;
+  metrics[row.status] += 1;
+
+  if (row.status === 'open' || row.status === 'answered') {
+    const age = daysBetween(row.raised_at, now);
+    metrics.oldestOpenDays = Math.max(metrics.oldestOpenDays || 0, age);
+  }
+  const finished = row.resolved_at || row.closed_at;
+  if (finished) {
+    metrics.resolvedCount += 1;
+    metrics.daysToResolve += daysBetween(row.raised_at, finished);
+  }
+}
+
+function finishMetrics({ resolvedCount, daysToResolve, ...metrics }) {
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+  return {
+    ...metrics,
+    oldestOpenDays: round(metrics.oldestOpenDays),
+    averageDaysToResolve: resolvedCount ? round(daysToResolve / resolvedCount) : null
+  };
+}
+
+/**
+ * Query counts by status for the study and for each site, with the age of
+ * the oldest unresolved query and the average time to resolution in days.
+ * With `siteIds` only the queries of those sites count.
+ */
+async function queryMetrics(studyId, { siteIds } = {}) {
+  const siteFilter = siteIds ? ` AND site_id IN (${siteIds.map(() => '?').join(', ')})` : '';
+  const rows = await all(
+    `SELECT site_id, status, check_type, raised_at, resolved_at, closed_at FROM queries WHERE study_id = ?${siteFilter}`,
+    [studyId, ...(siteIds || [])]
+  );
+  const now = new Date().toISOString();
+
+  const overall = emptyMetrics();
+  const bySite = new Map();
+  const byCheckType = Object.fromEntries(QUERY_CHECK_TYPES.map(type => [type, 0]));
+
+  rows.forEach(row => {
+    addToMetrics(overall, row, now);
+    if (!bySite.has(row.site_id)) bySite.set(row.site_id, emptyMetrics());
+    addToMetrics(bySite.get(row.site_id), row, now);
+    byCheckType[row.check_type] = (byCheckType[row.check_type] || 0) + 1;
+  });
+
+  return {
+    ...finishMetrics(overall),
+    byCheckType,
+    sites: [...bySite.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([siteId, metrics]) => ({ siteId, ...finishMetrics(metrics) }))
+  };
+}
+
+module.exports = {
+  QUERY_STATUSES,
+  QUERY_CHECK_TYPES,
+  QUERY_ACTIONS,
+  QueryError,
+  runChecks,
+  runStudyChecks,
+  listQueries,
+  findQuery,
+  openQuery,
+  transitionQuery,
+  queryMetrics
+};
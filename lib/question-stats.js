@@ -0,0 +1,419 @@
+const { csvLine } = require('./csv');
+const { includedScores } = require('./instruments');
+const { optionCodes, optionLabel } = require('./locales');
+
+// Histogram bins for number questions; scale questions get one bin per point
+const NUMBER_BINS = 10;
+
+const STRATIFY_USAGE = 'Query parameter "stratify" must be site, version, visit or question:<id> of a single-choice or yes/no question';
+
+/**
+ * Parse the `stratify` query parameter: `site`, `version`, `visit` or
+ * `question:<id>`. Returns null when results are not stratified.
+ *
+ * @throws {Error} with a message for the client when it is malformed
+ */
+function parseStratify(value, questionnaires) {
+  if (value === undefined || value === '') return null;
+  if (['site', 'version', 'visit'].includes(value)) return { by: value };
+
+  const match = /^question:(\d+)$/.exec(value);
+  if (match) {
+    const question = latestDefinitions(questionnaires).get(parseInt(match[1], 10));
+    if (question && ['multiple_choice', 'boolean'].includes(question.type)) {
+      return { by: 'question', question };
+    }
+  }
+  throw new Error(STRATIFY_USAGE);
+}
+
+// Every question of the given versions, as defined in the newest one
+function latestDefinitions(questionnaires) {
+  const questions = new Map();
+  [...questionnaires.keys()].sort((a, b) => a - b).forEach(version => {
+    questionnaires.get(version).forEach(question => questions.set(question.id, question));
+  });
+  return questions;
+}
+
+function stratumOf(survey, stratify) {
+  if (!stratify) return 'all';
+  if (stratify.by === 'site') return survey.siteId || '(no site)';
+  if (stratify.by === 'version') return String(survey.configVersion);
+  if (stratify.by === 'visit') return survey.visitId || '(unscheduled)';
+
+  const answer = survey.answers.get(stratify.question.id);
+  return answer === undefined ? '(missing)' : String(answer);
+}
+
+// Conditional questions only count where their condition was met
+function shown(question, survey) {
+  return !question.dependsOn || survey.answers.get(question.dependsOn.questionId) === question.dependsOn.value;
+}
+
+// Whether an answer has the shape the question type expects
+function isTyped(question, answer) {
+  switch (question.type) {
+    case 'number':
+    case 'scale':
+      return typeof answer === 'number' && Number.isFinite(answer);
+    case 'boolean':
+      return typeof answer === 'boolean';
+    case 'checkbox':
+      return Array.isArray(answer);
+    case 'multiple_choice':
+      return typeof answer === 'string';
+    default:
+      return typeof answer === 'string' && answer !== '';
+  }
+}
+
+function round(value, places = 3) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function percent(count, total) {
+  return total > 0 ? round(count / total * 100, 1) : 0;
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function histogram(question, sorted) {
+  if (question.type === 'scale') {
+    const bins = [];
+    for (let point = question.scale.min; point <= question.scale.max; point++) {
+      bins.push({ from: point, to: point, count: sorted.filter(v => v === point).length });
+    }
+    return bins;
+  }
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [{ from: min, to: max, count: sorted.length }];
+
+  // Equal-width bins; each includes its lower bound, the last also its upper
+  const width = (max - min) / NUMBER_BINS;
+  const bins = Array.from({ length: NUMBER_BINS }, (_, i) => ({
+    from: round(min + i * width),
+    to: round(i === NUMBER_BINS - 1 ? max : min + (i + 1) * width),
+    count: 0
+  }));
+  sorted.forEach(value => {
+    bins[Math.min(NUMBER_BINS - 1, Math.floor((value - min) / width))].count += 1;
+  });
+  return bins;
+}
+
+function numericSummary(question, values) {
+  if (values.length === 0) {
+    return { mean: null, median: null, sd: null, min: null, max: null, histogram: [] };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+    : null;
+
+  return {
+    mean: round(mean),
+    median: round(median(sorted)),
+    sd: variance === null ? null : round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    histogram: histogram(question, sorted)
+  };
+}
+
+// Counts per category: the question's options first, then any other
+// values given under an earlier version of the question
+function frequencies(categories, values) {
+  const counts = new Map(categories.map(category => [category, 0]));
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].map(([value, count]) => ({ value, count, percent: percent(count, values.length) }));
+}
+
+function summarise(question, answers, missing) {
+  const summary = {
+    questionId: question.id,
+    question: question.question,
+    type: question.type,
+    n: answers.length,
+    missing
+  };
+
+  switch (question.type) {
+    case 'number':
+    case 'scale':
+      return { ...summary, ...numericSummary(question, answers) };
+    case 'boolean':
+      return { ...summary, frequencies: frequencies([true, false], answers) };
+    case 'multiple_choice':
+      return {
+        ...summary,
+        frequencies: frequencies(optionCodes(question), answers)
+          .map(frequency => ({ ...frequency, label: optionLabel(question, frequency.value) }))
+      };
+    case 'checkbox':
+      return {
+        ...summary,
+        options: optionCodes(question).map(option => {
+          const selected = answers.filter(answer => answer.includes(option)).length;
+          return { option, label: optionLabel(question, option), selected, percent: percent(selected, answers.length) };
+        })
+      };
+    default:
+      return summary;
+  }
+}
+
+// Scores of a PRO instrument: numeric ones get the number statistics and
+// their bands' counts; a profile only its count
+function summariseScore({ variable, instrument, score }, tally) {
+  const summary = {
+    variable,
+    instrumentId: instrument.instrumentId,
+    scoreId: score.scoreId,
+    label: score.label,
+    n: tally.values.length,
+    missing: tally.missing
+  };
+  if (score.method === 'profile') return summary;
+
+  return {
+    ...summary,
+    ...numericSummary({ type: 'number' }, tally.values),
+    ...(score.bands && { bands: frequencies(score.bands.map(band => band.label), tally.bands) })
+  };
+}
+
+// Variables of the scores each version's questionnaire has
+function scoresByVersion(questionnaires) {
+  return new Map([...questionnaires].map(([version, questions]) =>
+    [version, new Set(includedScores(new Map([[version, questions]])).map(({ variable }) => variable))]));
+}
+
+/**
+ * Descriptive statistics per question, and per score of included PRO
+ * instruments, per stratum. Surveys are read page by page; only the
+ * answers and scores themselves are kept while counting.
+ *
+ * A survey counts towards a question's `missing` when the question was part
+ * of the survey's questionnaire version, and shown, but has no (valid)
+ * answer; towards a score's when its instrument was part of the version but
+ * the score could not be computed.
+ *
+ * @param {Map<number, object[]>} questionnaires - question set of each included version
+ * @param {AsyncIterable<object[]>} pages - surveys, as from surveyPages()
+ * @param {object|null} stratify - from parseStratify()
+ */
+async function questionStatistics(questionnaires, pages, stratify) {
+  const definitions = latestDefinitions(questionnaires);
+  const versionQuestions = new Map([...questionnaires].map(([version, questions]) =>
+    [version, new Set(questions.map(q => q.id))]));
+  const scores = includedScores(questionnaires);
+  const versionScores = scoresByVersion(questionnaires);
+  const strata = new Map();
+
+  for await (const page of pages) {
+    page.forEach(survey => {
+      const key = stratumOf(survey, stratify);
+      if (!strata.has(key)) {
+        strata.set(key, {
+          surveys: 0,
+          questions: new Map([...definitions.keys()].map(id => [id, { answers: [], missing: 0 }])),
+          scores: new Map(scores.map(({ variable }) => [variable, { values: [], bands: [], missing: 0 }]))
+        });
+      }
+      const stratum = strata.get(key);
+      stratum.surveys += 1;
+
+      const scored = versionScores.get(survey.configVersion) || new Set();
+      scores.forEach(({ variable }) => {
+        if (!scored.has(variable)) return;
+        const entry = survey.scores.get(variable);
+        const tally = stratum.scores.get(variable);
+        if (entry && entry.result.value !== null) {
+          tally.values.push(entry.result.value);
+          if (entry.result.band !== null) tally.bands.push(entry.result.band);
+        } else {
+          tally.missing += 1;
+        }
+      });
+
+      const asked = versionQuestions.get(survey.configVersion) || new Set();
+      definitions.forEach((question, id) => {
+        if (!asked.has(id) || !shown(question, survey)) return;
+        const answer = survey.answers.get(id);
+        const tally = stratum.questions.get(id);
+        if (answer !== undefined && isTyped(question, answer)) {
+          tally.answers.push(answer);
+        } else {
+          tally.missing += 1;
+        }
+      });
+    });
+  }
+
+  return {
+    stratifiedBy: stratify ? (stratify.by === 'question' ? `question:${stratify.question.id}` : stratify.by) : null,
+    strata: [...strata.keys()].sort().map(key => ({
+      stratum: key,
+      surveys: strata.get(key).surveys,
+      questions: [...definitions.values()].map(question => {
+        const tally = strata.get(key).questions.get(question.id);
+        return summarise(question, tally.answers, tally.missing);
+      }),
+      scores: scores.map(definition => summariseScore(definition, strata.get(key).scores.get(definition.variable)))
+    }))
+  };
+}
+
+// Change from baseline to each follow-up visit of one question or score,
+// over the patients with a value at both visits
+function visitChanges(values, key, baseline, followUps) {
+  return followUps.map(visit => {
+    const pairs = [];
+    values.forEach(byVisit => {
+      const before = byVisit.get(baseline.visitId)?.get(key);
+      const after = byVisit.get(visit.visitId)?.get(key);
+      if (before !== undefined && after !== undefined) pairs.push([before, after]);
+    });
+    const change = numericSummary({ type: 'number' }, pairs.map(([before, after]) => after - before));
+    const mean = list => (list.length ? round(list.reduce((sum, v) => sum + v, 0) / list.length) : null);
+
+    return {
+      visitId: visit.visitId,
+      name: visit.name,
+      n: pairs.length,
+      baselineMean: mean(pairs.map(([before]) => before)),
+      visitMean: mean(pairs.map(([, after]) => after)),
+      meanChange: change.mean,
+      sdChange: change.sd,
+      medianChange: change.median,
+      minChange: change.min,
+      maxChange: change.max
+    };
+  });
+}
+
+/**
+ * Change from baseline of every number and scale question, and every
+ * numeric score of included PRO instruments, per scheduled visit after the
+ * baseline (the first visit of the schedule). Only patients with a value at
+ * both visits count.
+ *
+ * @param {Map<number, object[]>} questionnaires - question set of each included version
+ * @param {AsyncIterable<object[]>} pages - surveys, as from surveyPages()
+ * @param {object[]} visits - the study's visit schedule
+ */
+async function changeFromBaseline(questionnaires, pages, visits) {
+  const questions = [...latestDefinitions(questionnaires).values()]
+    .filter(question => question.type === 'number' || question.type === 'scale');
+  const scores = includedScores(questionnaires).filter(({ score }) => score.method !== 'profile');
+  const scheduled = new Set(visits.map(visit => visit.visitId));
+  // patient -> visit -> question ID or score variable -> value
+  const values = new Map();
+
+  for await (const page of pages) {
+    page.filter(survey => scheduled.has(survey.visitId)).forEach(survey => {
+      if (!values.has(survey.patientId)) values.set(survey.patientId, new Map());
+      const answers = new Map();
+      questions.forEach(question => {
+        const answer = survey.answers.get(question.id);
+        if (isTyped(question, answer)) answers.set(question.id, answer);
+      });
+      scores.forEach(({ variable }) => {
+        const entry = survey.scores.get(variable);
+        if (entry && typeof entry.result.value === 'number') answers.set(variable, entry.result.value);
+      });
+      values.get(survey.patientId).set(survey.visitId, answers);
+    });
+  }
+
+  const [baseline, ...followUps] = visits;
+
+  return {
+    baselineVisit: baseline ? baseline.visitId : null,
+    questions: baseline ? questions.map(question => ({
+      questionId: question.id,
+      question: question.question,
+      type: question.type,
+      visits: visitChanges(values, question.id, baseline, followUps)
+    })) : [],
+    scores: baseline ? scores.map(({ variable, instrument, score }) => ({
+      variable,
+      instrumentId: instrument.instrumentId,
+      scoreId: score.scoreId,
+      label: score.label,
+      visits: visitChanges(values, variable, baseline, followUps)
+    })) : []
+  };
+}
+
+// A score in the CSV outputs: its variable as question_id, type `score`
+function asQuestion(summary) {
+  return { ...summary, questionId: summary.variable, question: summary.label, type: 'score' };
+}
+
+function changeFromBaselineCsv(result) {
+  let csv = 'question_id,question,type,visit_id,visit,n,baseline_mean,visit_mean,mean_change,sd_change,median_change,min_change,max_change\n';
+  [...result.questions, ...result.scores.map(asQuestion)].forEach(question => {
+    question.visits.forEach(visit => {
+      csv += csvLine([
+        question.questionId, question.question, question.type, visit.visitId, visit.name, visit.n,
+        visit.baselineMean, visit.visitMean, visit.meanChange, visit.sdChange, visit.medianChange,
+        visit.minChange, visit.maxChange
+      ]);
+    });
+  });
+  return csv;
+}
+
+/**
+ * The statistics as tidy CSV, one value per row:
+ * stratum, question_id, question, type, statistic, category, value.
+ * Scores follow the questions, named by their variable.
+ */
+function questionStatisticsCsv(statistics) {
+  let csv = 'stratum,question_id,question,type,statistic,category,value\n';
+
+  statistics.strata.forEach(({ stratum, questions, scores }) => {
+    [...questions, ...scores.map(asQuestion)].forEach(summary => {
+      const row = (statistic, category, value) => {
+        csv += csvLine([stratum, summary.questionId, summary.question, summary.type, statistic, category, value]);
+      };
+
+      row('n', null, summary.n);
+      row('missing', null, summary.missing);
+      ['mean', 'median', 'sd', 'min', 'max'].forEach(statistic => {
+        if (statistic in summary) row(statistic, null, summary[statistic]);
+      });
+      (summary.histogram || []).forEach(bin => {
+        row('histogram', bin.from === bin.to ? String(bin.from) : `${bin.from} to ${bin.to}`, bin.count);
+      });
+      [...(summary.frequencies || []), ...(summary.bands || [])].forEach(({ value, count, percent: share }) => {
+        row('count', String(value), count);
+        row('percent', String(value), share);
+      });
+      (summary.options || []).forEach(({ option, selected, percent: share }) => {
+        row('selected', option, selected);
+        row('percent', option, share);
+      });
+    });
+  });
+
+  return csv;
+}
+
+module.exports = {
+  parseStratify,
+  questionStatistics,
+  questionStatisticsCsv,
+  changeFromBaseline,
+  changeFromBaselineCsv
+};
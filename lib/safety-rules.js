@@ -0,0 +1,85 @@
+/**
+ * Evaluation of a study's safety rules (see safetyRuleSchema in
+ * ./study-config) against the answers of one survey and the patient's
+ * earlier ones. Matches become safety alerts in ./safety; nothing here
+ * touches the database.
+ *
+ * Messages name questions and rules but never the answers themselves, as
+ * alerts are emailed in the clear.
+ */
+const { matches, describe } = require('./edit-checks');
+
+function answerMatches(rule, answers) {
+  if (!matches(rule.when, answers[rule.when.questionId])) return [];
+
+  return [{
+    questionId: rule.when.questionId,
+    message: `Question ${rule.when.questionId} ${describe(rule.when)}`
+  }];
+}
+
+// Options ticked now that were not ticked in the previous survey; a first
+// survey has nothing to compare with
+function newOptionMatches(rule, answers, { previous }) {
+  const current = answers[rule.questionId];
+  if (!previous || !Array.isArray(current)) return [];
+
+  const before = Array.isArray(previous[rule.questionId]) ? previous[rule.questionId] : [];
+  const ignored = rule.ignore || [];
+  if (!current.some(option => !before.includes(option) && !ignored.includes(option))) return [];
+
+  return [{
+    questionId: rule.questionId,
+    message: `A new option is ticked on question ${rule.questionId} since the previous survey`
+  }];
+}
+
+function changeMatches(rule, answers, history) {
+  const reference = history[rule.compareTo];
+  const current = answers[rule.questionId];
+  const before = reference ? reference[rule.questionId] : undefined;
+  if (typeof current !== 'number' || typeof before !== 'number') return [];
+
+  const change = current - before;
+  let message = null;
+  if (rule.increase !== undefined && change >= rule.increase) {
+    message = `Question ${rule.questionId} rose by ${rule.increase} or more since the ${rule.compareTo} survey`;
+  } else if (rule.decrease !== undefined && -change >= rule.decrease) {
+    message = `Question ${rule.questionId} fell by ${rule.decrease} or more since the ${rule.compareTo} survey`;
+  }
+  return message ? [{ questionId: rule.questionId, message }] : [];
+}
+
+/**
+ * Run a study's safety rules on one survey.
+ *
+ * @param {object[]} rules - the study's safety rules
+ * @param {object} answers - answers keyed by question ID
+ * @param {object} history - answers of the patient's `baseline` and
+ *   `previous` surveys, each null when there is none
+ * @returns {object[]} matches: `{ ruleId, ruleType, severity, questionId, message }`
+ */
+function evaluateSafetyRules(rules, answers, history = { baseline: null, previous: null }) {
+  const found = [];
+
+  rules.forEach(rule => {
+    let matched = [];
+    if (rule.type === 'answer') matched = answerMatches(rule, answers);
+    if (rule.type === 'new_option') matched = newOptionMatches(rule, answers, history);
+    if (rule.type === 'change') matched = changeMatches(rule, answers, history);
+
+    matched.forEach(match => found.push({
+      ruleId: rule.ruleId,
+      ruleType: rule.type,
+      severity: rule.severity,
+      questionId: match.questionId,
+      message: rule.message || match.message
+    }));
+  });
+
+  return found;
+}
+
+module.exports = {
+  evaluateSafetyRules
+};
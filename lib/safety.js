@@ -0,0 +1,386 @@
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all, transaction } = require('./db');
+const { findStudyConfig } = require('./studies');
+const { evaluateSafetyRules } = require('./safety-rules');
+const { ALL_STUDIES } = require('./users');
+const webhooks = require('./webhooks');
+const encryption = require('./encryption');
+const mailer = require('./mailer');
+
+/**
+ * Safety alerts raised by a study's safety rules on submitted surveys. An
+ * alert moves:
+ *
+ * - `open`: waiting for an investigator
+ * - `acknowledged`: an investigator has seen it and is following it up
+ * - `closed`: finished, with an outcome; closed alerts never change again
+ *
+ * Each alert is emailed to the study's investigators and safety contacts.
+ * Emails are queued in the transaction that raises the alert, and
+ * sendDueNotifications() sends them, retrying failures with backoff like
+ * webhook deliveries. They name the patient, rule and severity but never
+ * answers.
+ */
+const ALERT_STATUSES = ['open', 'acknowledged', 'closed'];
+
+// What the investigator concluded when closing an alert
+const ALERT_OUTCOMES = ['adverse_event', 'serious_adverse_event', 'not_clinically_significant', 'false_alarm'];
+
+// Statuses each action moves an alert from and to, who and when it records,
+// and the webhook event it sends
+const TRANSITIONS = {
+  acknowledge: {
+    from: ['open'], to: 'acknowledged', by: 'acknowledged_by', at: 'acknowledged_at', event: 'alert.acknowledged'
+  },
+  close: {
+    from: ['open', 'acknowledged'], to: 'closed', by: 'closed_by', at: 'closed_at', event: 'alert.closed'
+  }
+};
+const ALERT_ACTIONS = Object.keys(TRANSITIONS);
+
+// Retry n waits BASE_RETRY_DELAY * 2^(n-1), at most MAX_RETRY_DELAY, as for webhooks
+const MAX_ATTEMPTS = 10;
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A server sending an email holds it this long before another may retry it
+const CLAIM_TIMEOUT = 2 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// An alert action was refused; `status` is the HTTP status to answer with
+class AlertError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+function toAlert(row) {
+  return {
+    alertId: row.alert_id,
+    studyId: row.study_id,
+    surveyId: row.survey_id,
+    patientId: row.patient_id,
+    siteId: row.site_id,
+    ruleId: row.rule_id,
+    ruleType: row.rule_type,
+    questionId: row.question_id,
+    severity: row.severity,
+    message: row.message,
+    status: row.status,
+    raisedAt: row.raised_at,
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedAt: row.acknowledged_at,
+    closedBy: row.closed_by,
+    closedAt: row.closed_at,
+    outcome: row.outcome,
+    note: row.note,
+    updatedAt: row.updated_at
+  };
+}
+
+function toNotification(row) {
+  return {
+    notificationId: row.notification_id,
+    recipient: row.recipient,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    sentAt: row.sent_at
+  };
+}
+
+async function emitAlertEvent(tx, type, alert) {
+  const { alertId, surveyId, patientId, siteId, ruleId, questionId, severity, status } = alert;
+  await webhooks.emit({
+    studyId: alert.studyId,
+    type,
+    data: { alertId, surveyId, patientId, siteId, ruleId, questionId, severity, status }
+  }, tx);
+}
+
+// Answers of a survey keyed by question ID
+async function surveyAnswers(survey) {
+  const rows = await all('SELECT question_id, answer FROM responses WHERE survey_id = ?', [survey.survey_id]);
+  const answers = {};
+  for (const row of rows) {
+    answers[row.question_id] = await encryption.decryptJSON(
+      survey.study_id, `answer:${survey.survey_id}:${row.question_id}`, row.answer
+    );
+  }
+  return answers;
+}
+
+// Answers of the patient's surveys completed before this one: the baseline
+// is the survey of the study's first visit, or else the patient's first
+// survey; the previous one is the latest
+async function patientHistory(survey, study) {
+  const earlier = await all(`
+    SELECT * FROM surveys
+    WHERE study_id = ? AND patient_id = ? AND survey_id <> ? AND completed_at < ?
+    ORDER BY completed_at, survey_id
+  `, [survey.study_id, survey.patient_id, survey.survey_id, survey.completed_at]);
+  if (earlier.length === 0) return { baseline: null, previous: null };
+
+  const firstVisit = study.visits.length ? study.visits[0].visitId : null;
+  const baseline = earlier.find(row => firstVisit && row.visit_id === firstVisit) || earlier[0];
+  const previous = earlier[earlier.length - 1];
+  const baselineAnswers = await surveyAnswers(baseline);
+  return {
+    baseline: baselineAnswers,
+    previous: previous === baseline ? baselineAnswers : await surveyAnswers(previous)
+  };
+}
+
+// Active investigators of the study, or of every study, who may see the
+// site, and the study's safety contacts. Users of another organisation
+// than the study's, and users assigned to other sites only, are left out.
+async function recipients(study, siteId) {
+  const rows = await all(`
+    SELECT DISTINCT u.email FROM users u
+    JOIN user_study_roles r ON r.user_id = u.user_id
+    WHERE r.role = 'investigator' AND r.study_id IN (?, ?) AND u.is_active = 1
+      AND (u.org_id IS NULL OR u.org_id = ?)
+      AND (
+        NOT EXISTS (SELECT 1 FROM user_sites a WHERE a.user_id = u.user_id AND a.study_id = ?)
+        OR EXISTS (SELECT 1 FROM user_sites a WHERE a.user_id = u.user_id AND a.study_id = ? AND a.site_id = ?)
+      )
+  `, [study.studyId, ALL_STUDIES, study.orgId, study.studyId, study.studyId, siteId]);
+
+  const emails = [...rows.map(row => row.email), ...study.safetyContacts].map(email => email.toLowerCase());
+  return [...new Set(emails)].sort();
+}
+
+function alertEmail(study, alert) {
+  return {
+    subject: `[${alert.severity.toUpperCase()}] Safety alert in ${study.studyName}: ${alert.ruleId}`,
+    body: [
+      `A safety rule matched a survey of study ${study.studyName} (${study.studyId}).`,
+      '',
+      `Severity: ${alert.severity}`,
+      `Rule: ${alert.ruleId}`,
+      `Finding: ${alert.message}`,
+      `Patient: ${alert.patientId}`,
+      `Site: ${alert.siteId || '-'}`,
+      `Survey: ${alert.surveyId}`,
+      `Raised: ${alert.raisedAt}`,
+      '',
+      'Please review and acknowledge the alert:',
+      `GET /api/studies/${study.studyId}/alerts/${alert.alertId}`
+    ].join('\n')
+  };
+}
+
+function matchKey(ruleId, questionId) {
+  return `${ruleId}\u0000${questionId === null || questionId === undefined ? '' : questionId}`;
+}
+
+/**
+ * Run the study's safety rules on one survey. Each new match raises an
+ * alert and queues its emails; a rule that already raised an alert on the
+ * survey does not raise another, even once it is closed.
+ *
+ * @returns {Promise<{ raised: number }>}
+ */
+async function runSafetyRules(surveyId) {
+  const survey = await get('SELECT * FROM surveys WHERE survey_id = ?', [surveyId]);
+  const study = survey ? await findStudyConfig(survey.study_id) : null;
+  if (!study || study.safetyRules.length === 0) return { raised: 0 };
+
+  const history = study.safetyRules.some(rule => rule.type !== 'answer')
+    ? await patientHistory(survey, study)
+    : undefined;
+  const found = evaluateSafetyRules(study.safetyRules, await surveyAnswers(survey), history);
+  if (found.length === 0) return { raised: 0 };
+  const to = await recipients(study, survey.site_id);
+
+  return transaction(async (tx) => {
+    await tx.lock(`safety:${surveyId}`);
+    const now = new Date().toISOString();
+    const existing = await tx.all('SELECT rule_id, question_id FROM safety_alerts WHERE survey_id = ?', [surveyId]);
+    const raisedBefore = new Set(existing.map(row => matchKey(row.rule_id, row.question_id)));
+
+    let raised = 0;
+    for (const match of found) {
+      if (raisedBefore.has(matchKey(match.ruleId, match.questionId))) continue;
+
+      const alertId = uuidv4();
+      await tx.run(`
+        INSERT INTO safety_alerts (
+          alert_id, study_id, survey_id, patient_id, site_id, rule_id, rule_type, question_id,
+          severity, message, status, raised_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)
+      `, [
+        alertId, survey.study_id, surveyId, survey.patient_id, survey.site_id || null, match.ruleId,
+        match.ruleType, match.questionId === undefined ? null : match.questionId, match.severity, match.message, now, now
+      ]);
+      const alert = toAlert(await tx.get('SELECT * FROM safety_alerts WHERE alert_id = ?', [alertId]));
+
+      const { subject, body } = alertEmail(study, alert);
+      for (const recipient of to) {
+        await tx.run(`
+          INSERT INTO alert_notifications (
+            notification_id, alert_id, study_id, recipient, subject, body, status, next_attempt_at, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+        `, [uuidv4(), alertId, survey.study_id, recipient, subject, body, now, now]);
+      }
+      await emitAlertEvent(tx, 'alert.raised', alert);
+      raised += 1;
+    }
+
+    return { raised };
+  });
+}
+
+async function listAlerts(studyId, { statuses, severities, siteIds, surveyId, patientId } = {}) {
+  const where = ['study_id = ?'];
+  const params = [studyId];
+
+  if (statuses) { where.push(`status IN (${statuses.map(() => '?').join(', ')})`); params.push(...statuses); }
+  if (severities) { where.push(`severity IN (${severities.map(() => '?').join(', ')})`); params.push(...severities); }
+  if (siteIds) { where.push(`site_id IN (${siteIds.map(() => '?').join(', ')})`); params.push(...siteIds); }
+  if (surveyId) { where.push('survey_id = ?'); params.push(surveyId); }
+  if (patientId) { where.push('patient_id = ?'); params.push(patientId); }
+
+  const rows = await all(`
+    SELECT * FROM safety_alerts
+    WHERE ${where.join(' AND ')}
+    ORDER BY raised_at DESC, alert_id
+  `, params);
+  return rows.map(toAlert);
+}
+
+// One alert with the delivery state of its emails
+async function findAlert(studyId, alertId, db = { get, all }) {
+  const row = await db.get('SELECT * FROM safety_alerts WHERE alert_id = ? AND study_id = ?', [alertId, studyId]);
+  if (!row) return null;
+
+  const notifications = await db.all(
+    'SELECT * FROM alert_notifications WHERE alert_id = ? ORDER BY recipient, notification_id',
+    [alertId]
+  );
+  return { ...toAlert(row), notifications: notifications.map(toNotification) };
+}
+
+/**
+ * Acknowledge or close an alert. `note` replaces the alert's note when
+ * given, and `severity` reassesses it; closing needs an `outcome`.
+ *
+ * @throws {AlertError} when the alert is not found or the action does not
+ *   apply to its status
+ */
+async function transitionAlert(studyId, alertId, action, { note, severity, outcome, userId }) {
+  const transition = TRANSITIONS[action];
+
+  return transaction(async (tx) => {
+    await tx.lock(`alert:${alertId}`);
+    const row = await tx.get('SELECT * FROM safety_alerts WHERE alert_id = ? AND study_id = ?', [alertId, studyId]);
+    if (!row) {
+      throw new AlertError(404, 'Alert not found');
+    }
+    if (!transition.from.includes(row.status)) {
+      throw new AlertError(409, `Cannot ${action} an alert that is ${row.status}`);
+    }
+
+    const now = new Date().toISOString();
+    await tx.run(`
+      UPDATE safety_alerts
+      SET status = ?, ${transition.by} = ?, ${transition.at} = ?, severity = ?, outcome = ?, note = ?, updated_at = ?
+      WHERE alert_id = ?
+    `, [
+      transition.to, userId, now, severity || row.severity, outcome || row.outcome,
+      note === undefined ? row.note : note, now, alertId
+    ]);
+
+    const alert = await findAlert(studyId, alertId, tx);
+    await emitAlertEvent(tx, transition.event, alert);
+    return alert;
+  });
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+// Send one claimed email and record the outcome
+async function attempt(notification) {
+  let error = null;
+  try {
+    await mailer.sendMail({ to: notification.recipient, subject: notification.subject, text: notification.body });
+  } catch (err) {
+    error = String(err.message).slice(0, 500);
+  }
+
+  const now = Date.now();
+  const attempts = notification.attempts + 1;
+  const status = !error ? 'sent' : attempts >= MAX_ATTEMPTS ? 'dead' : 'pending';
+  await run(`
+    UPDATE alert_notifications
+    SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, sent_at = ?
+    WHERE notification_id = ?
+  `, [
+    status,
+    attempts,
+    status === 'pending' ? new Date(now + retryDelay(attempts)).toISOString() : null,
+    error,
+    status === 'sent' ? new Date(now).toISOString() : null,
+    notification.notification_id
+  ]);
+
+  return status === 'pending' ? 'retrying' : status;
+}
+
+async function sweep() {
+  const totals = { sent: 0, retrying: 0, dead: 0 };
+  // Emails wait in the queue until SMTP is configured
+  if (!mailer.isConfigured()) return totals;
+
+  const now = new Date().toISOString();
+  const due = await all(`
+    SELECT * FROM alert_notifications
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at, notification_id
+    LIMIT ?
+  `, [now, BATCH_SIZE]);
+
+  for (const notification of due) {
+    // Claim it first, so another server sweeping at once skips it
+    const { changes } = await run(`
+      UPDATE alert_notifications SET next_attempt_at = ?
+      WHERE notification_id = ? AND status = 'pending' AND next_attempt_at <= ?
+    `, [new Date(Date.now() + CLAIM_TIMEOUT).toISOString(), notification.notification_id, now]);
+    if (!changes) continue;
+
+    totals[await attempt(notification)] += 1;
+  }
+  return totals;
+}
+
+let sweeping = null;
+
+/**
+ * Send the alert emails that are due. Calls made while a sweep is running
+ * wait for it instead of starting another.
+ *
+ * @returns {Promise<{sent: number, retrying: number, dead: number}>}
+ */
+function sendDueNotifications() {
+  if (!sweeping) {
+    sweeping = sweep().finally(() => { sweeping = null; });
+  }
+  return sweeping;
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  ALERT_OUTCOMES,
+  ALERT_ACTIONS,
+  AlertError,
+  runSafetyRules,
+  listAlerts,
+  findAlert,
+  transitionAlert,
+  sendDueNotifications
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { run, get } = require('./db');
+const { sha256 } = require('./hash');
+const encryption = require('./encryption');
+
+// Used when a study does not set settings.sessionTimeout
+const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+
+// Resume codes are typed in by patients, so leave out 0/O and 1/I
+const RESUME_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RESUME_CODE_LENGTH = 10;
+
+function generateResumeCode() {
+  let code = '';
+  for (let i = 0; i < RESUME_CODE_LENGTH; i++) {
+    code += RESUME_CODE_ALPHABET[crypto.randomInt(RESUME_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+// Codes are stored hashed and compared case-insensitively, ignoring dashes and spaces
+function hashResumeCode(code) {
+  return sha256(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+}
+
+// Inactivity timeout of a study's drafts in milliseconds
+function sessionTimeout(study) {
+  const timeout = study.settings && study.settings.sessionTimeout;
+  return Number.isInteger(timeout) && timeout > 0 ? timeout : DEFAULT_SESSION_TIMEOUT;
+}
+
+async function toSession(row) {
+  return {
+    sessionId: row.session_id,
+    studyId: row.study_id,
+    patientId: row.patient_id,
+    configVersion: row.config_version,
+    status: row.status,
+    answers: await encryption.decryptJSON(row.study_id, `draft:${row.session_id}`, row.answers || '{}'),
+    answeredCount: row.answered_count,
+    surveyId: row.survey_id,
+    startedAt: row.started_at,
+    lastActivity: row.last_activity,
+    expiresAt: row.expires_at,
+    completedAt: row.completed_at,
+    abandonedAt: row.abandoned_at
+  };
+}
+
+/**
+ * Start a draft. The resume code is only returned here; the database keeps
+ * its hash.
+ *
+ * @returns {Promise<{session: object, resumeCode: string}>}
+ */
+async function createSession({ studyId, patientId, configVersion, timeout, ipAddress, userAgent }) {
+  const sessionId = uuidv4();
+  const resumeCode = generateResumeCode();
+  const now = new Date();
+
+  await run(`
+    INSERT INTO survey_sessions (
+      session_id, study_id, patient_id, config_version, resume_code_hash,
+      ip_address, user_agent, started_at, last_activity, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    sessionId,
+    studyId,
+    patientId,
+    configVersion,
+    hashResumeCode(resumeCode),
+    ipAddress || null,
+    userAgent || null,
+    now.toISOString(),
+    now.toISOString(),
+    new Date(now.getTime() + timeout).toISOString()
+  ]);
+
+  return { session: await findSession(sessionId), resumeCode };
+}
+
+// Mark a draft abandoned if it is still open past its expiry time
+async function expireIfDue(row) {
+  if (row.status !== 'in_progress' || row.expires_at > new Date().toISOString()) {
+    return row;
+  }
+
+  await run(
+    "UPDATE survey_sessions SET status = 'abandoned', abandoned_at = expires_at WHERE session_id = ? AND status = 'in_progress'",
+    [row.session_id]
+  );
+  return get('SELECT * FROM survey_sessions WHERE session_id = ?', [row.session_id]);
+}
+
+async function findSession(sessionId) {
+  const row = await get('SELECT * FROM survey_sessions WHERE session_id = ?', [sessionId]);
+  return row ? toSession(await expireIfDue(row)) : null;
+}
+
+async function findSessionByResumeCode(resumeCode) {
+  const row = await get('SELECT * FROM survey_sessions WHERE resume_code_hash = ?', [hashResumeCode(resumeCode)]);
+  return row ? toSession(await expireIfDue(row)) : null;
+}
+
+/**
+ * Merge answers into an open draft and push its expiry back by `timeout`.
+ * A `null` answer removes the saved answer to that question.
+ */
+async function saveAnswers(sessionId, answers, timeout) {
+  const session = await findSession(sessionId);
+  if (!session || session.status !== 'in_progress') return session;
+
+  const merged = { ...session.answers };
+  Object.entries(answers).forEach(([questionId, answer]) => {
+    if (answer === null) {
+      delete merged[questionId];
+    } else {
+      merged[questionId] = answer;
+    }
+  });
+
+  const now = new Date();
+  await run(`
+    UPDATE survey_sessions
+    SET answers = ?, answered_count = ?, last_activity = ?, expires_at = ?
+    WHERE session_id = ? AND status = 'in_progress'
+  `, [
+    await encryption.encryptJSON(session.studyId, `draft:${sessionId}`, merged),
+    Object.keys(merged).length,
+    now.toISOString(),
+    new Date(now.getTime() + timeout).toISOString(),
+    sessionId
+  ]);
+
+  return findSession(sessionId);
+}
+
+// Close a draft once its survey is stored; runs inside the submission transaction
+async function completeSession(tx, sessionId, surveyId) {
+  const now = new Date().toISOString();
+  await tx.run(`
+    UPDATE survey_sessions
+    SET status = 'completed', survey_id = ?, completed_at = ?, last_activity = ?
+    WHERE session_id = ?
+  `, [surveyId, now, now, sessionId]);
+}
+
+// Mark every expired draft abandoned; returns how many were closed
+async function expireSessions() {
+  const { changes } = await run(
+    "UPDATE survey_sessions SET status = 'abandoned', abandoned_at = expires_at WHERE status = 'in_progress' AND expires_at <= ?",
+    [new Date().toISOString()]
+  );
+  return changes;
+}
+
+module.exports = {
+  sessionTimeout,
+  createSession,
+  findSession,
+  findSessionByResumeCode,
+  saveAnswers,
+  completeSession,
+  expireSessions
+};
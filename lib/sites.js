@@ -0,0 +1,241 @@
+const { run, get, all } = require('./db');
+const { listPatients } = require('./enrollment');
+const { VISIT_STATUSES, listPatientVisits } = require('./visits');
+
+/**
+ * Sites registered on a study. Subjects are enrolled at a site and surveys
+ * are collected at one; users assigned to sites of a study see only those
+ * sites' subjects and surveys (see siteScope in ./auth). A site that is no
+ * longer active takes no new subjects, but its subjects keep their visits.
+ */
+
+// A site change was refused; `status` is the HTTP status to answer with
+class SiteError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SiteError';
+    this.status = status;
+  }
+}
+
+function toSite(row) {
+  return {
+    studyId: row.study_id,
+    siteId: row.site_id,
+    name: row.name,
+    isActive: Boolean(row.is_active),
+    enrollmentTarget: row.enrollment_target,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Sites of a study with their subject and survey counts
+async function listSites(studyId, { siteIds } = {}) {
+  const siteFilter = siteIds ? ` AND s.site_id IN (${siteIds.map(() => '?').join(', ')})` : '';
+  const rows = await all(`
+    SELECT s.*,
+      (SELECT COUNT(*) FROM study_patients p
+        WHERE p.study_id = s.study_id AND p.site_id = s.site_id AND p.status = 'enrolled') AS enrolled,
+      (SELECT COUNT(*) FROM study_patients p
+        WHERE p.study_id = s.study_id AND p.site_id = s.site_id AND p.status = 'withdrawn') AS withdrawn,
+      (SELECT COUNT(*) FROM surveys v WHERE v.study_id = s.study_id AND v.site_id = s.site_id) AS surveys
+    FROM sites s
+    WHERE s.study_id = ?${siteFilter}
+    ORDER BY s.site_id
+  `, [studyId, ...(siteIds || [])]);
+
+  return rows.map(row => ({
+    ...toSite(row),
+    enrolled: Number(row.enrolled),
+    withdrawn: Number(row.withdrawn),
+    surveys: Number(row.surveys)
+  }));
+}
+
+async function findSite(studyId, siteId) {
+  const row = await get('SELECT * FROM sites WHERE study_id = ? AND site_id = ?', [studyId, siteId]);
+  return row ? toSite(row) : null;
+}
+
+/**
+ * Register a site on a study.
+ *
+ * @throws {SiteError} when the study already has a site with this ID
+ */
+async function createSite({ studyId, siteId, name, enrollmentTarget }, createdBy) {
+  if (await findSite(studyId, siteId)) {
+    throw new SiteError(409, 'Site already exists on this study');
+  }
+
+  const now = new Date().toISOString();
+  await run(`
+    INSERT INTO sites (study_id, site_id, name, is_active, enrollment_target, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, 1, ?, ?, ?, ?)
+  `, [studyId, siteId, name, enrollmentTarget === undefined ? null : enrollmentTarget, createdBy || null, now, now]);
+
+  return findSite(studyId, siteId);
+}
+
+// Rename a site, open or close it to enrollment, or change its target
+async function updateSite(studyId, siteId, { name, isActive, enrollmentTarget }) {
+  const sets = [];
+  const params = [];
+
+  if (name !== undefined) {
+    sets.push('name = ?');
+    params.push(name);
+  }
+  if (isActive !== undefined) {
+    sets.push('is_active = ?');
+    params.push(isActive ? 1 : 0);
+  }
+  if (enrollmentTarget !== undefined) {
+    sets.push('enrollment_target = ?');
+    params.push(enrollmentTarget);
+  }
+
+  const { changes } = await run(
+    `UPDATE sites SET ${[...sets, 'updated_at = ?'].join(', ')} WHERE study_id = ? AND site_id = ?`,
+    [...params, new Date().toISOString(), studyId, siteId]
+  );
+  return changes > 0 ? findSite(studyId, siteId) : null;
+}
+
+// Why a subject cannot be enrolled at a site, or null when they can
+async function siteRefusal(studyId, siteId) {
+  const site = await findSite(studyId, siteId);
+  if (!site) return 'Site is not registered on this study';
+  if (!site.isActive) return 'Site is not enrolling';
+  return null;
+}
+
+// Users assigned to a site
+async function listSiteUsers(studyId, siteId) {
+  const rows = await all(`
+    SELECT u.user_id, u.email, u.display_name, a.granted_by, a.created_at
+    FROM user_sites a
+    JOIN users u ON u.user_id = a.user_id
+    WHERE a.study_id = ? AND a.site_id = ?
+    ORDER BY u.email
+  `, [studyId, siteId]);
+
+  return rows.map(row => ({
+    userId: row.user_id,
+    email: row.email,
+    displayName: row.display_name,
+    grantedBy: row.granted_by,
+    assignedAt: row.created_at
+  }));
+}
+
+async function assignUser(studyId, siteId, userId, grantedBy) {
+  await run(`
+    INSERT INTO user_sites (user_id, study_id, site_id, granted_by, created_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING
+  `, [userId, studyId, siteId, grantedBy || null, new Date().toISOString()]);
+}
+
+async function unassignUser(studyId, siteId, userId) {
+  const { changes } = await run(
+    'DELETE FROM user_sites WHERE user_id = ? AND study_id = ? AND site_id = ?',
+    [userId, studyId, siteId]
+  );
+  return changes > 0;
+}
+
+function percentage(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 10 : null;
+}
+
+/**
+ * Enrollment at one site: subjects by status, enrollments by month with a
+ * running total, and progress towards the site's target.
+ */
+async function enrollmentDashboard(site) {
+  const patients = await listPatients(site.studyId, { siteIds: [site.siteId] });
+
+  const byStatus = { enrolled: 0, withdrawn: 0 };
+  const perMonth = new Map();
+  patients.forEach(patient => {
+    byStatus[patient.status] += 1;
+    const month = String(patient.createdAt).slice(0, 7);
+    perMonth.set(month, (perMonth.get(month) || 0) + 1);
+  });
+
+  let cumulative = 0;
+  const byMonth = [...perMonth.keys()].sort().map(month => {
+    cumulative += perMonth.get(month);
+    return { month, enrolled: perMonth.get(month), cumulative };
+  });
+
+  return {
+    studyId: site.studyId,
+    siteId: site.siteId,
+    name: site.name,
+    isActive: site.isActive,
+    total: patients.length,
+    ...byStatus,
+    consented: patients.filter(patient => patient.consentedAt).length,
+    target: site.enrollmentTarget,
+    percentOfTarget: site.enrollmentTarget ? percentage(patients.length, site.enrollmentTarget) : null,
+    byMonth
+  };
+}
+
+/**
+ * Visit completion at one site: for each scheduled visit, how many of the
+ * site's enrolled subjects completed it, completed it out of window, are
+ * overdue or still expected. The completion rate counts visits done in
+ * window against every visit that is done or overdue. `patients` counts
+ * the subjects enrolled at the site and not withdrawn, with or without
+ * visits.
+ */
+async function completionDashboard(study, site, now = new Date()) {
+  const { patients, summary } = await listPatientVisits(study, { siteIds: [site.siteId] }, now);
+  const enrolled = await get(
+    "SELECT COUNT(*) AS count FROM study_patients WHERE study_id = ? AND site_id = ? AND status = 'enrolled'",
+    [study.studyId, site.siteId]
+  );
+  const surveys = await get(
+    'SELECT COUNT(*) AS count, MAX(completed_at) AS last_completed_at FROM surveys WHERE study_id = ? AND site_id = ?',
+    [study.studyId, site.siteId]
+  );
+
+  const rate = counts => percentage(counts.completed, counts.completed + counts.out_of_window + counts.overdue);
+  const visits = study.visits.map(visit => {
+    const counts = Object.fromEntries(VISIT_STATUSES.map(status => [status, 0]));
+    patients.forEach(patient => {
+      const found = patient.visits.find(v => v.visitId === visit.visitId);
+      if (found) counts[found.status] += 1;
+    });
+    return { visitId: visit.visitId, name: visit.name, ...counts, completionRate: rate(counts) };
+  });
+
+  return {
+    studyId: study.studyId,
+    siteId: site.siteId,
+    name: site.name,
+    patients: Number(enrolled.count),
+    surveys: Number(surveys.count),
+    lastSurveyAt: surveys.last_completed_at || null,
+    visits,
+    summary: { ...summary, completionRate: rate(summary) }
+  };
+}
+
+module.exports = {
+  SiteError,
+  listSites,
+  findSite,
+  createSite,
+  updateSite,
+  siteRefusal,
+  listSiteUsers,
+  assignUser,
+  unassignUser,
+  enrollmentDashboard,
+  completionDashboard
+};
@@ -0,0 +1,216 @@
+const { run, get, all } = require('./db');
+
+// Map a study_configs row to the shape used by the API
+function toStudyConfig(row) {
+  return {
+    studyId: row.study_id,
+    studyName: row.study_name,
+    description: row.description,
+    orgId: row.org_id || null,
+    questions: JSON.parse(row.questions),
+    visits: JSON.parse(row.visits || '[]'),
+    settings: JSON.parse(row.settings || '{}'),
+    retention: row.retention ? JSON.parse(row.retention) : { action: 'keep' },
+    editChecks: JSON.parse(row.edit_checks || '[]'),
+    safetyRules: JSON.parse(row.safety_rules || '[]'),
+    safetyContacts: JSON.parse(row.safety_contacts || '[]'),
+    instruments: JSON.parse(row.instruments || '[]'),
+    defaultLocale: row.default_locale || 'en',
+    locales: JSON.parse(row.locales || '["en"]'),
+    uiText: JSON.parse(row.ui_text || '{}'),
+    isActive: Boolean(row.is_active),
+    version: row.version,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function listStudies({ activeOnly = false } = {}) {
+  const rows = await all(`
+    SELECT study_id, study_name, description, org_id, is_active, version, created_at, updated_at
+    FROM study_configs
+    ${activeOnly ? 'WHERE is_active = 1' : ''}
+    ORDER BY study_id
+  `);
+
+  return rows.map(row => ({
+    studyId: row.study_id,
+    studyName: row.study_name,
+    description: row.description,
+    orgId: row.org_id || null,
+    isActive: Boolean(row.is_active),
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }));
+}
+
+async function findStudyConfig(studyId) {
+  const row = await get('SELECT * FROM study_configs WHERE study_id = ?', [studyId]);
+  return row ? toStudyConfig(row) : null;
+}
+
+async function insertVersion(studyId, version, questions, changeNote, createdBy) {
+  await run(`
+    INSERT INTO study_config_versions (study_id, version, questions, change_note, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `, [studyId, version, JSON.stringify(questions), changeNote || null, createdBy || null]);
+}
+
+async function createStudy(config, createdBy) {
+  await run(`
+    INSERT INTO study_configs (
+      study_id, study_name, description, org_id, questions, visits, settings, retention, edit_checks, safety_rules,
+      safety_contacts, instruments, default_locale, locales, ui_text, is_active, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    config.studyId,
+    config.studyName,
+    config.description || null,
+    config.orgId || null,
+    JSON.stringify(config.questions),
+    JSON.stringify(config.visits || []),
+    JSON.stringify(config.settings || {}),
+    JSON.stringify(config.retention || { action: 'keep' }),
+    JSON.stringify(config.editChecks || []),
+    JSON.stringify(config.safetyRules || []),
+    JSON.stringify(config.safetyContacts || []),
+    JSON.stringify(config.instruments || []),
+    config.defaultLocale || 'en',
+    JSON.stringify(config.locales || [config.defaultLocale || 'en']),
+    JSON.stringify(config.uiText || {}),
+    config.isActive ? 1 : 0,
+    createdBy || null
+  ]);
+  await insertVersion(config.studyId, 1, config.questions, 'Initial version', createdBy);
+
+  return findStudyConfig(config.studyId);
+}
+
+/**
+ * Update a study. A changed question set is stored as a new immutable
+ * version; name, description, visit schedule, settings, retention policy,
+ * edit checks, safety rules, locales and status changes are not versioned. Instruments
+ * and translations are part of the question set, as they make up questions.
+ */
+async function updateStudy(studyId, config, createdBy) {
+  const current = await findStudyConfig(studyId);
+  if (!current) return null;
+
+  let version = current.version;
+  if (JSON.stringify(current.questions) !== JSON.stringify(config.questions)) {
+    version += 1;
+    await insertVersion(studyId, version, config.questions, config.amendment, createdBy);
+  }
+
+  await run(`
+    UPDATE study_configs
+    SET study_name = ?, description = ?, questions = ?, visits = ?, settings = ?, retention = ?,
+        edit_checks = ?, safety_rules = ?, safety_contacts = ?, instruments = ?, default_locale = ?, locales = ?, ui_text = ?, is_active = ?, version = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE study_id = ?
+  `, [
+    config.studyName,
+    config.description || null,
+    JSON.stringify(config.questions),
+    JSON.stringify(config.visits || []),
+    JSON.stringify(config.settings || {}),
+    JSON.stringify(config.retention || { action: 'keep' }),
+    JSON.stringify(config.editChecks || []),
+    JSON.stringify(config.safetyRules || []),
+    JSON.stringify(config.safetyContacts || []),
+    JSON.stringify(config.instruments || []),
+    config.defaultLocale || 'en',
+    JSON.stringify(config.locales || [config.defaultLocale || 'en']),
+    JSON.stringify(config.uiText || {}),
+    config.isActive ? 1 : 0,
+    version,
+    studyId
+  ]);
+
+  return findStudyConfig(studyId);
+}
+
+async function listVersions(studyId) {
+  const rows = await all(`
+    SELECT v.version, v.change_note, v.created_by, v.created_at, COUNT(s.survey_id) AS survey_count
+    FROM study_config_versions v
+    LEFT JOIN surveys s ON s.study_id = v.study_id AND s.config_version = v.version
+    WHERE v.study_id = ?
+    GROUP BY v.version, v.change_note, v.created_by, v.created_at
+    ORDER BY v.version
+  `, [studyId]);
+
+  return rows.map(row => ({
+    version: row.version,
+    changeNote: row.change_note,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    surveyCount: row.survey_count
+  }));
+}
+
+async function findVersion(studyId, version) {
+  const row = await get(
+    'SELECT * FROM study_config_versions WHERE study_id = ? AND version = ?',
+    [studyId, version]
+  );
+  if (!row) return null;
+
+  return {
+    studyId: row.study_id,
+    version: row.version,
+    questions: JSON.parse(row.questions),
+    changeNote: row.change_note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// Surveys collected under a version, optionally only at some sites
+async function listSurveysForVersion(studyId, version, { siteIds } = {}) {
+  const siteFilter = siteIds ? ` AND site_id IN (${siteIds.map(() => '?').join(', ')})` : '';
+  const rows = await all(`
+    SELECT survey_id, patient_id, site_id, completed_at
+    FROM surveys
+    WHERE study_id = ? AND config_version = ?${siteFilter}
+    ORDER BY completed_at
+  `, [studyId, version, ...(siteIds || [])]);
+
+  return rows.map(row => ({
+    surveyId: row.survey_id,
+    patientId: row.patient_id,
+    siteId: row.site_id,
+    completedAt: row.completed_at
+  }));
+}
+
+// Move a study to an organisation, or with null out of any
+async function assignOrganisation(studyId, orgId) {
+  const { changes } = await run(
+    'UPDATE study_configs SET org_id = ?, updated_at = CURRENT_TIMESTAMP WHERE study_id = ?',
+    [orgId, studyId]
+  );
+  return changes > 0;
+}
+
+async function deactivateStudy(studyId) {
+  const { changes } = await run(
+    'UPDATE study_configs SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE study_id = ?',
+    [studyId]
+  );
+  return changes > 0;
+}
+
+module.exports = {
+  listStudies,
+  findStudyConfig,
+  createStudy,
+  updateStudy,
+  deactivateStudy,
+  listVersions,
+  findVersion,
+  listSurveysForVersion,
+  assignOrganisation
+};
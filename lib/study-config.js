@@ -0,0 +1,581 @@
+const Joi = require('joi');
+const instruments = require('./instruments');
+const { LOCALE_PATTERN, optionCode, optionCodes } = require('./locales');
+
+const QUESTION_TYPES = ['text', 'number', 'boolean', 'scale', 'multiple_choice', 'checkbox'];
+const RETENTION_ACTIONS = ['keep', 'delete', 'anonymise'];
+const EDIT_CHECK_TYPES = ['range', 'consistency', 'depends_on', 'duplicate'];
+const SAFETY_RULE_TYPES = ['answer', 'new_option', 'change'];
+const SAFETY_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+// Texts of the survey form a study may translate, besides its questions
+const UI_TEXT_KEYS = ['language', 'submit', 'submitting', 'submitted', 'yes', 'no'];
+
+const localeSchema = Joi.string().pattern(LOCALE_PATTERN).max(35);
+
+// Wording of a question in one language (see lib/locales.js). `options`
+// label the question's options in the same order; answers store the
+// options' codes whatever the language.
+const translationSchema = Joi.object({
+  question: Joi.string(),
+  options: Joi.array().items(Joi.string()).min(1),
+  placeholder: Joi.string().allow(''),
+  instructions: Joi.string().max(1000),
+  scale: Joi.object({
+    labels: Joi.array().items(Joi.string().allow(''))
+  })
+});
+
+// An option of a choice question: the code its answers store, and its
+// label in the default locale. A plain string is both, which only suits a
+// study offered in a single language.
+const optionSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    code: Joi.string().pattern(/^[A-Za-z0-9_.-]+$/).max(50).required(),
+    label: Joi.string().required()
+  })
+);
+
+// Definition of a single question inside a study configuration
+const questionSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  question: Joi.string().required(),
+  type: Joi.string().valid(...QUESTION_TYPES).required(),
+  required: Joi.boolean().default(false),
+  min: Joi.number(),
+  max: Joi.number(),
+  integer: Joi.boolean(),
+  maxLength: Joi.number().integer().min(1),
+  placeholder: Joi.string().allow(''),
+  options: Joi.array().items(optionSchema).min(1).unique((a, b) => optionCode(a) === optionCode(b))
+    .when('type', { is: Joi.valid('multiple_choice', 'checkbox'), then: Joi.required() }),
+  // Numeric response code of each option, exported in CDISC datasets
+  codes: Joi.array().items(Joi.number())
+    .when('type', { is: 'multiple_choice', otherwise: Joi.forbidden() }),
+  // Shown above the question, e.g. the stem of an instrument
+  instructions: Joi.string().max(1000),
+  scale: Joi.object({
+    min: Joi.number().integer().required(),
+    max: Joi.number().integer().required(),
+    // One per point; the form shows the number where a label is blank
+    labels: Joi.array().items(Joi.string().allow(''))
+  }).when('type', { is: 'scale', then: Joi.required() }),
+  dependsOn: Joi.object({
+    questionId: Joi.number().integer().required(),
+    value: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).required()
+  }),
+  // Item of an included instrument. Such questions are generated from the
+  // study's `instruments`; any sent in are replaced.
+  instrument: Joi.object({
+    instrumentId: Joi.string().required(),
+    itemId: Joi.number().integer().required()
+  }),
+  translations: Joi.object().pattern(localeSchema, translationSchema)
+});
+
+// A PRO instrument of the library (lib/instruments.js) included in a study.
+// Its items become questions numbered from firstQuestionId, after the
+// study's own questions.
+const instrumentRefSchema = Joi.object({
+  instrumentId: Joi.string().valid(...instruments.INSTRUMENT_IDS).required(),
+  firstQuestionId: Joi.number().integer().min(1).required(),
+  required: Joi.boolean().default(true),
+  // Licensed translations: per locale, the wording of each item in order
+  translations: Joi.object().pattern(localeSchema, Joi.array().items(translationSchema))
+});
+
+// One visit of a study's schedule. Days count from the patient's start
+// date (day 0); a visit is in window from targetDay - windowBefore to
+// targetDay + windowAfter.
+const visitSchema = Joi.object({
+  visitId: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).required(),
+  name: Joi.string().max(200).required(),
+  targetDay: Joi.number().integer().min(0).required(),
+  windowBefore: Joi.number().integer().min(0).default(0),
+  windowAfter: Joi.number().integer().min(0).default(0)
+});
+
+// What happens to a study's data `days` after each survey was completed:
+// kept, deleted, or anonymised (free text and survey metadata removed,
+// coded answers kept). See lib/erasure.js.
+const retentionSchema = Joi.object({
+  action: Joi.string().valid(...RETENTION_ACTIONS).required(),
+  days: Joi.number().integer().min(1)
+    .when('action', { is: 'keep', then: Joi.forbidden(), otherwise: Joi.required() })
+});
+
+const answerValue = Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean());
+
+// A condition on one answer: equal to a value, one of several values, or a
+// number from min to max. A checkbox answer matches when any box does.
+const answerConditionSchema = Joi.object({
+  questionId: Joi.number().integer().required(),
+  equals: answerValue,
+  in: Joi.array().items(answerValue).min(1),
+  min: Joi.number(),
+  max: Joi.number()
+}).or('equals', 'in', 'min', 'max').oxor('equals', 'in', 'min').oxor('equals', 'in', 'max');
+
+// Data-quality check run on every submitted survey; a failure raises a query
+// instead of rejecting the data (see lib/edit-checks.js):
+//
+// - range: a numeric answer outside min..max
+// - consistency: when `if` holds, `then` must hold too
+// - depends_on: an answer to a question whose dependsOn condition is not met
+// - duplicate: another survey of the patient completed within withinHours
+const editCheckSchema = Joi.object({
+  checkId: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).required(),
+  type: Joi.string().valid(...EDIT_CHECK_TYPES).required(),
+  // Shown on the query; a default describes the failed check
+  message: Joi.string().max(500),
+  questionId: Joi.number().integer()
+    .when('type', { is: 'range', then: Joi.required(), otherwise: Joi.forbidden() }),
+  min: Joi.number().when('type', { is: 'range', otherwise: Joi.forbidden() }),
+  max: Joi.number().when('type', { is: 'range', otherwise: Joi.forbidden() }),
+  if: answerConditionSchema.when('type', { is: 'consistency', then: Joi.required(), otherwise: Joi.forbidden() }),
+  then: answerConditionSchema.when('type', { is: 'consistency', then: Joi.required(), otherwise: Joi.forbidden() }),
+  withinHours: Joi.number().integer().min(1)
+    .when('type', { is: 'duplicate', then: Joi.any().default(24), otherwise: Joi.forbidden() })
+}).when(Joi.object({ type: 'range' }).unknown(), { then: Joi.object().or('min', 'max') });
+
+// Safety rule run on every submitted survey; a match raises a safety alert
+// and emails it (see lib/safety.js):
+//
+// - answer: an answer meets `when`, e.g. a pain score of 9 or more
+// - new_option: a checkbox option is ticked that was not in the patient's
+//   previous survey, e.g. a new symptom; option codes in `ignore` never count
+// - change: a numeric answer rose by `increase` or fell by `decrease` or
+//   more since the patient's baseline (or previous) survey
+const safetyRuleSchema = Joi.object({
+  ruleId: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).required(),
+  type: Joi.string().valid(...SAFETY_RULE_TYPES).required(),
+  severity: Joi.string().valid(...SAFETY_SEVERITIES).required(),
+  // Shown on the alert and in its email; a default describes the rule
+  message: Joi.string().max(500),
+  when: answerConditionSchema.when('type', { is: 'answer', then: Joi.required(), otherwise: Joi.forbidden() }),
+  questionId: Joi.number().integer()
+    .when('type', { is: Joi.valid('new_option', 'change'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  ignore: Joi.array().items(Joi.string()).when('type', { is: 'new_option', otherwise: Joi.forbidden() }),
+  compareTo: Joi.string().valid('baseline', 'previous')
+    .when('type', { is: 'change', then: Joi.any().default('baseline'), otherwise: Joi.forbidden() }),
+  increase: Joi.number().positive().when('type', { is: 'change', otherwise: Joi.forbidden() }),
+  decrease: Joi.number().positive().when('type', { is: 'change', otherwise: Joi.forbidden() })
+}).when(Joi.object({ type: 'change' }).unknown(), { then: Joi.object().or('increase', 'decrease') });
+
+// Full study configuration as accepted by POST /api/studies
+const studyConfigSchema = Joi.object({
+  studyId: Joi.string().max(100).required(),
+  studyName: Joi.string().required(),
+  description: Joi.string().allow(''),
+  // At least one question, or an instrument
+  questions: Joi.array().items(questionSchema).unique('id').default([]),
+  instruments: Joi.array().items(instrumentRefSchema).unique('instrumentId').default([]),
+  // Scheduled visits, baseline first
+  visits: Joi.array().items(visitSchema).unique('visitId').default([]),
+  settings: Joi.object().unknown(true).default({}),
+  retention: retentionSchema.default({ action: 'keep' }),
+  editChecks: Joi.array().items(editCheckSchema).unique('checkId').default([]),
+  safetyRules: Joi.array().items(safetyRuleSchema).unique('ruleId').default([]),
+  // Emailed every safety alert, besides the study's investigators
+  safetyContacts: Joi.array().items(Joi.string().email().max(254)).unique().default([]),
+  // Language of the questions' own texts, and every language the survey is
+  // offered in; each question needs a translation for the other locales
+  defaultLocale: localeSchema.default('en'),
+  locales: Joi.array().items(localeSchema).unique(),
+  // Texts of the form itself per locale, e.g. { es: { submit: 'Enviar' } }
+  uiText: Joi.object().pattern(
+    localeSchema,
+    Joi.object(Object.fromEntries(UI_TEXT_KEYS.map(key => [key, Joi.string().max(500)])))
+  ).default({}),
+  isActive: Joi.boolean().default(true)
+}).custom(expandInstruments).custom(checkQuestionReferences).custom(checkTranslations)
+  .custom(checkVisitSchedule).custom(checkEditChecks).custom(checkSafetyRules);
+
+// Same as above, minus the study ID which comes from the URL. A change to
+// the question set creates a new version; `amendment` describes why.
+const studyConfigUpdateSchema = studyConfigSchema.keys({
+  studyId: Joi.forbidden(),
+  amendment: Joi.string().max(500)
+});
+
+// Replace the questions of included instruments with their items, as
+// defined by the library
+function expandInstruments(config, helpers) {
+  const questions = config.questions.filter(question => !question.instrument);
+  const ids = new Set(questions.map(question => question.id));
+
+  for (const ref of config.instruments) {
+    const itemCount = instruments.findInstrument(ref.instrumentId).items.length;
+    const incomplete = Object.keys(ref.translations || {}).find(locale => ref.translations[locale].length !== itemCount);
+    if (incomplete) {
+      return helpers.message(`Instrument ${ref.instrumentId}: the ${incomplete} translation must give all ${itemCount} items`);
+    }
+
+    const items = instruments.instrumentQuestions(ref);
+    const taken = items.find(item => ids.has(item.id));
+    if (taken) {
+      return helpers.message(`Instrument ${ref.instrumentId}: question ID ${taken.id} is already in use`);
+    }
+    items.forEach(item => ids.add(item.id));
+    questions.push(...items);
+  }
+
+  if (questions.length === 0) {
+    return helpers.message('A study needs at least one question or instrument');
+  }
+  return { ...config, questions };
+}
+
+function checkQuestionReferences(config, helpers) {
+  const seen = new Map();
+
+  for (const question of config.questions) {
+    if (question.type === 'scale' && question.scale.min >= question.scale.max) {
+      return helpers.message(`Question ${question.id}: scale.min must be lower than scale.max`);
+    }
+    if (question.codes && question.codes.length !== question.options.length) {
+      return helpers.message(`Question ${question.id}: codes must give one code per option`);
+    }
+
+    if (question.dependsOn) {
+      const trigger = seen.get(question.dependsOn.questionId);
+      if (!trigger) {
+        return helpers.message(
+          `Question ${question.id}: dependsOn must reference an earlier question (got ${question.dependsOn.questionId})`
+        );
+      }
+    }
+
+    seen.set(question.id, question);
+  }
+
+  return config;
+}
+
+// Every offered locale other than the default needs each question's text and
+// option labels; a translation must label every option and scale point. In
+// a study offered in several languages, options need codes so that answers
+// do not store the wording of one of them.
+function checkTranslations(config, helpers) {
+  const locales = config.locales || [config.defaultLocale];
+  if (!locales.includes(config.defaultLocale)) {
+    return helpers.message(`locales must include the default locale ${config.defaultLocale}`);
+  }
+
+  for (const question of config.questions) {
+    const translations = question.translations || {};
+
+    if (locales.length > 1 && (question.options || []).some(option => typeof option === 'string')) {
+      return helpers.message(`Question ${question.id}: options need a code and a label when the study has several locales`);
+    }
+
+    const unknown = Object.keys(translations).find(locale => !locales.includes(locale));
+    if (unknown) {
+      return helpers.message(`Question ${question.id}: ${unknown} is not one of the study's locales`);
+    }
+
+    for (const locale of locales) {
+      const translation = translations[locale];
+      if (!translation) {
+        if (locale === config.defaultLocale) continue;
+        return helpers.message(`Question ${question.id}: missing the ${locale} translation`);
+      }
+      if (!translation.question && locale !== config.defaultLocale) {
+        return helpers.message(`Question ${question.id}: the ${locale} translation has no question text`);
+      }
+
+      const labels = translation.options;
+      if (question.options && (labels ? labels.length !== question.options.length : locale !== config.defaultLocale)) {
+        return helpers.message(`Question ${question.id}: the ${locale} translation must label every option`);
+      }
+      if (labels && !question.options) {
+        return helpers.message(`Question ${question.id}: only choice questions have options to translate`);
+      }
+      const scaleLabels = translation.scale && translation.scale.labels;
+      if (scaleLabels && (!question.scale || scaleLabels.length !== question.scale.max - question.scale.min + 1)) {
+        return helpers.message(`Question ${question.id}: the ${locale} translation must give one scale label per point`);
+      }
+    }
+  }
+
+  return { ...config, locales };
+}
+
+// The baseline visit is at day 0 and the others follow in order of target day
+function checkVisitSchedule(config, helpers) {
+  const { visits } = config;
+  if (visits.length === 0) return config;
+
+  if (visits[0].targetDay !== 0) {
+    return helpers.message(`Visit ${visits[0].visitId}: the first (baseline) visit must have targetDay 0`);
+  }
+  for (let i = 1; i < visits.length; i++) {
+    if (visits[i].targetDay <= visits[i - 1].targetDay) {
+      return helpers.message(`Visit ${visits[i].visitId}: visits must be listed in order of increasing targetDay`);
+    }
+  }
+
+  return config;
+}
+
+// Edit checks may only refer to questions of the study, and ranges to numeric ones
+function checkEditChecks(config, helpers) {
+  const byId = new Map(config.questions.map(q => [q.id, q]));
+
+  for (const check of config.editChecks) {
+    const questionIds = check.type === 'range'
+      ? [check.questionId]
+      : check.type === 'consistency' ? [check.if.questionId, check.then.questionId] : [];
+
+    const unknown = questionIds.find(id => !byId.has(id));
+    if (unknown !== undefined) {
+      return helpers.message(`Edit check ${check.checkId}: question ${unknown} is not part of this study`);
+    }
+    if (check.type === 'range' && !['number', 'scale'].includes(byId.get(check.questionId).type)) {
+      return helpers.message(`Edit check ${check.checkId}: range checks need a number or scale question`);
+    }
+  }
+
+  return config;
+}
+
+// Safety rules may only refer to questions of the study; trends need numbers
+// and new options a checkbox question
+function checkSafetyRules(config, helpers) {
+  const byId = new Map(config.questions.map(q => [q.id, q]));
+  const needs = { change: ['number', 'scale'], new_option: ['checkbox'] };
+
+  for (const rule of config.safetyRules) {
+    const questionId = rule.type === 'answer' ? rule.when.questionId : rule.questionId;
+    const question = byId.get(questionId);
+    if (!question) {
+      return helpers.message(`Safety rule ${rule.ruleId}: question ${questionId} is not part of this study`);
+    }
+    if (needs[rule.type] && !needs[rule.type].includes(question.type)) {
+      return helpers.message(`Safety rule ${rule.ruleId}: ${rule.type} rules need a ${needs[rule.type].join(' or ')} question`);
+    }
+    const unknown = (rule.ignore || []).find(code => !optionCodes(question).includes(code));
+    if (unknown !== undefined) {
+      return helpers.message(`Safety rule ${rule.ruleId}: "${unknown}" is not an option code of question ${questionId}`);
+    }
+  }
+
+  return config;
+}
+
+// Joi rule for the answer to one question, without presence constraints
+function answerSchema(question) {
+  switch (question.type) {
+    case 'number': {
+      let schema = Joi.number();
+      if (question.integer) schema = schema.integer();
+      if (question.min !== undefined) schema = schema.min(question.min);
+      if (question.max !== undefined) schema = schema.max(question.max);
+      return schema;
+    }
+    case 'scale':
+      return Joi.number().integer().min(question.scale.min).max(question.scale.max);
+    case 'boolean':
+      return Joi.boolean();
+    case 'multiple_choice':
+      return Joi.string().valid(...optionCodes(question));
+    case 'checkbox': {
+      const schema = Joi.array().items(Joi.string().valid(...optionCodes(question))).unique();
+      return question.required ? schema.min(1) : schema;
+    }
+    case 'text':
+    default:
+      return Joi.string().allow('').max(question.maxLength || 5000);
+  }
+}
+
+// Condition that is true when the trigger question's answer matches dependsOn.value
+function dependsOnCondition(trigger, expected) {
+  if (trigger && trigger.type === 'checkbox') {
+    return Joi.array().has(Joi.valid(expected)).required();
+  }
+  return Joi.valid(expected).required();
+}
+
+// Schema for the answers of one submission, keyed by question ID
+function buildAnswersSchema(questions) {
+  const byId = new Map(questions.map(q => [q.id, q]));
+  const keys = {};
+
+  questions.forEach(question => {
+    let schema = answerSchema(question).label(`Question ${question.id}`);
+    schema = question.required ? schema.required() : schema.optional();
+
+    if (question.dependsOn) {
+      const { questionId, value } = question.dependsOn;
+      schema = Joi.any().when(Joi.ref(String(questionId)), {
+        is: dependsOnCondition(byId.get(questionId), value),
+        then: schema,
+        otherwise: Joi.forbidden().label(`Question ${question.id}`)
+      });
+    }
+
+    keys[question.id] = schema;
+  });
+
+  return Joi.object(keys);
+}
+
+// Envelope of POST /api/surveys; the answers themselves are checked per study
+const surveyEnvelopeSchema = Joi.object({
+  patientId: Joi.string().required(),
+  studyId: Joi.string().required(),
+  responses: Joi.array().items(
+    Joi.object({
+      questionId: Joi.number().integer().min(1).required(),
+      question: Joi.string(),
+      answer: Joi.alternatives().try(
+        Joi.string().allow(''),
+        Joi.number(),
+        Joi.boolean(),
+        Joi.array()
+      ).required(),
+      responseType: Joi.string().valid(...QUESTION_TYPES)
+    })
+  ).min(1).unique('questionId').required(),
+  configVersion: Joi.number().integer().min(1),
+  // Site the survey was collected at, for multi-site studies
+  siteId: Joi.string().max(100),
+  // Scheduled visit the survey was completed for, if any
+  visitId: Joi.string().max(50),
+  // Draft this submission completes, if the patient saved progress
+  sessionId: Joi.string().guid(),
+  // Language the survey was answered in; the study's default if omitted
+  locale: localeSchema,
+  metadata: Joi.object({
+    completedAt: Joi.date().iso(),
+    deviceInfo: Joi.string(),
+    location: Joi.string()
+  }).optional()
+});
+
+const DIFF_FIELDS = [
+  'question', 'type', 'required', 'min', 'max', 'integer', 'maxLength', 'options', 'codes', 'scale', 'dependsOn', 'instrument',
+  'translations'
+];
+
+/**
+ * Compare two question sets by question ID. Returns the questions that were
+ * added or removed and, for questions present in both, the fields that differ.
+ */
+function diffQuestions(fromQuestions, toQuestions) {
+  const fromById = new Map(fromQuestions.map(q => [q.id, q]));
+  const toById = new Map(toQuestions.map(q => [q.id, q]));
+
+  const added = toQuestions.filter(q => !fromById.has(q.id));
+  const removed = fromQuestions.filter(q => !toById.has(q.id));
+  const changed = [];
+  const unchanged = [];
+
+  toQuestions.forEach(q => {
+    const before = fromById.get(q.id);
+    if (!before) return;
+
+    const changes = {};
+    DIFF_FIELDS.forEach(field => {
+      if (JSON.stringify(before[field]) !== JSON.stringify(q[field])) {
+        changes[field] = { from: before[field], to: q[field] };
+      }
+    });
+
+    if (Object.keys(changes).length) {
+      changed.push({ questionId: q.id, changes });
+    } else {
+      unchanged.push(q.id);
+    }
+  });
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Validate a survey submission against the question set of its study.
+ * Returns `{ error, value }` like Joi; on success `value.responses` carries
+ * the question text and response type from the study configuration.
+ * `options` are passed on to Joi, e.g. `abortEarly: false` for every error.
+ */
+function validateSurvey(questions, body, options = {}) {
+  const envelope = surveyEnvelopeSchema.validate(body, options);
+  if (envelope.error) return envelope;
+
+  const value = envelope.value;
+  const byId = new Map(questions.map(q => [q.id, q]));
+
+  const unknown = value.responses.find(r => !byId.has(r.questionId));
+  if (unknown) {
+    return {
+      error: new Joi.ValidationError(`Question ${unknown.questionId} is not part of this study`, [{
+        message: `Question ${unknown.questionId} is not part of this study`,
+        path: ['responses'],
+        type: 'any.unknown',
+        context: { key: 'responses', value: unknown.questionId }
+      }], body)
+    };
+  }
+
+  const answers = {};
+  value.responses.forEach(r => { answers[r.questionId] = r.answer; });
+
+  const result = buildAnswersSchema(questions).validate(answers, options);
+  if (result.error) return { error: result.error };
+
+  return {
+    value: {
+      ...value,
+      responses: questions
+        .filter(q => result.value[q.id] !== undefined)
+        .map(q => ({
+          questionId: q.id,
+          question: q.question,
+          answer: result.value[q.id],
+          responseType: q.type
+        }))
+    }
+  };
+}
+
+/**
+ * Validate the answers saved in a draft. Each answer must be valid for its
+ * question, but required questions may still be missing and `null` clears
+ * an earlier answer. Returns `{ error, value }` like Joi.
+ */
+function validateDraftAnswers(questions, answers) {
+  const keys = {};
+  questions.forEach(question => {
+    // An empty checkbox list is fine while the survey is unfinished
+    const rule = answerSchema({ ...question, required: false });
+    keys[question.id] = rule.allow(null).label(`Question ${question.id}`);
+  });
+
+  return Joi.object(keys)
+    .messages({ 'object.unknown': '{{#label}} is not part of this study' })
+    .validate(answers);
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  RETENTION_ACTIONS,
+  EDIT_CHECK_TYPES,
+  SAFETY_RULE_TYPES,
+  SAFETY_SEVERITIES,
+  UI_TEXT_KEYS,
+  questionSchema,
+  translationSchema,
+  visitSchema,
+  retentionSchema,
+  editCheckSchema,
+  safetyRuleSchema,
+  instrumentRefSchema,
+  studyConfigSchema,
+  studyConfigUpdateSchema,
+  answerSchema,
+  buildAnswersSchema,
+  diffQuestions,
+  validateSurvey,
+  validateDraftAnswers
+};
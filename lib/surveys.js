@@ -0,0 +1,438 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { get, transaction } = require('./db');
+const { validateSurvey } = require('./study-config');
+const { findStudyConfig, findVersion } = require('./studies');
+const { can, canSeeSite, callerKey } = require('./auth');
+const audit = require('./audit');
+const { completeSession } = require('./sessions');
+const { findPatient } = require('./enrollment');
+const { findSite } = require('./sites');
+const { collectionRefusal } = require('./consent');
+const { runChecks } = require('./queries');
+const { runSafetyRules } = require('./safety');
+const { lockRefusal } = require('./data-lock');
+const { scoreSurvey } = require('./instruments');
+const { questionText } = require('./locales');
+const webhooks = require('./webhooks');
+const { canonicalJSON, sha256 } = require('./hash');
+const encryption = require('./encryption');
+
+// Rejected submission; `status` is the HTTP status to answer with
+class SubmissionError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+
+// Hash of the submitted payload, ignoring the key itself
+function requestHash(body) {
+  const { submissionId, ...payload } = body || {};
+  return sha256(canonicalJSON(payload));
+}
+
+// Value of a survey's scores column: its instrument scores, encrypted, or
+// null when its questionnaire has no instrument
+async function storedScores(studyId, surveyId, scores, db) {
+  return scores.length ? encryption.encryptJSON(studyId, `scores:${surveyId}`, scores, db) : null;
+}
+
+// Look up an earlier submission with the same key from the same caller to the same study
+async function findReplay(db, { studyId, caller, key }, hash) {
+  const existing = await db.get(
+    'SELECT * FROM idempotency_keys WHERE study_id = ? AND caller = ? AND idempotency_key = ?',
+    [studyId, caller, key]
+  );
+  if (!existing) return null;
+
+  if (existing.request_hash !== hash) {
+    throw new SubmissionError(422, 'Idempotency key was already used for a different submission');
+  }
+
+  return {
+    surveyId: existing.survey_id,
+    configVersion: existing.config_version,
+    replayed: true
+  };
+}
+
+/**
+ * Validate a survey for `study` against the questionnaire version the
+ * patient was shown, defaulting to the study's current version, and check
+ * the caller may collect it from the subject. Returns the checked
+ * submission for checkStorable and insertSurvey. With `allErrors` a
+ * validation failure lists every invalid answer, not just the first.
+ *
+ * @throws {SubmissionError} when the caller may not submit or the data is invalid
+ */
+async function prepareSubmission(study, payload, auth, { allErrors = false } = {}) {
+  const { studyId } = study;
+
+  let questionnaire = { version: study.version, questions: study.questions };
+  const requestedVersion = payload.configVersion !== undefined ? parseInt(payload.configVersion) : study.version;
+  if (requestedVersion !== study.version) {
+    questionnaire = await findVersion(studyId, requestedVersion);
+    if (!questionnaire) {
+      throw new SubmissionError(400, 'Unknown questionnaire version');
+    }
+  }
+
+  const { error, value } = validateSurvey(questionnaire.questions, payload, { abortEarly: !allErrors });
+  if (error) {
+    throw new SubmissionError(400, 'Validation failed', error.details);
+  }
+
+  const { patientId, siteId, visitId, responses, metadata, sessionId } = value;
+
+  if (visitId && !study.visits.some(visit => visit.visitId === visitId)) {
+    throw new SubmissionError(400, 'Visit is not part of the study schedule');
+  }
+  const locale = value.locale || study.defaultLocale;
+  if (!study.locales.includes(locale)) {
+    throw new SubmissionError(400, 'Locale is not offered by this study');
+  }
+
+  // Subjects of sites the caller may not see count as not enrolled
+  const found = await findPatient(studyId, patientId);
+  const patient = found && canSeeSite(auth, studyId, found.siteId) ? found : null;
+  const refusal = await collectionRefusal(studyId, patient);
+  if (refusal) {
+    throw new SubmissionError(422, refusal);
+  }
+  // Surveys are collected at the subject's site unless another site of the
+  // study is given
+  const surveySiteId = siteId || patient.siteId;
+  if (surveySiteId !== patient.siteId) {
+    if (!await findSite(studyId, surveySiteId)) {
+      throw new SubmissionError(400, 'Site is not registered on this study');
+    }
+    if (!canSeeSite(auth, studyId, surveySiteId)) {
+      throw new SubmissionError(403, 'Forbidden');
+    }
+  }
+
+  // Stored and audited as JSON, so the parsed Date goes back to text
+  const completedAt = (metadata?.completedAt || new Date()).toISOString();
+
+  return {
+    studyId,
+    patientId,
+    siteId: surveySiteId,
+    visitId: visitId || null,
+    sessionId,
+    configVersion: questionnaire.version,
+    questions: questionnaire.questions,
+    locale,
+    completedAt,
+    metadata: metadata ? { ...metadata, ...(metadata.completedAt && { completedAt }) } : {},
+    responses,
+    scores: scoreSurvey(questionnaire.questions, new Map(responses.map(r => [r.questionId, r.answer])))
+  };
+}
+
+/**
+ * Refuse a checked submission that cannot be stored now: its subject's data
+ * is frozen or locked, or its visit was already completed. Run inside the
+ * transaction that stores it.
+ *
+ * @throws {SubmissionError}
+ */
+async function checkStorable(tx, { studyId, patientId, visitId }) {
+  const locked = await lockRefusal(studyId, patientId, { db: tx });
+  if (locked) {
+    throw new SubmissionError(423, locked);
+  }
+
+  // Each visit is completed once; the unique index backs this up
+  if (visitId) {
+    await tx.lock(`visit:${studyId}:${patientId}:${visitId}`);
+    const done = await tx.get(
+      'SELECT survey_id FROM surveys WHERE study_id = ? AND patient_id = ? AND visit_id = ?',
+      [studyId, patientId, visitId]
+    );
+    if (done) {
+      throw new SubmissionError(409, 'Visit was already completed');
+    }
+  }
+}
+
+/**
+ * Store a checked submission with its instrument scores and responses, and
+ * write its audit entry and webhook event. `source` tells how the survey
+ * was collected and `importId` names the bulk import that stored it.
+ *
+ * @returns {Promise<string>} the new survey's ID
+ */
+async function insertSurvey(tx, submission, { context, source = 'electronic', importId = null }) {
+  const { studyId, patientId, siteId, visitId, configVersion, locale, completedAt, metadata, responses } = submission;
+  const surveyId = uuidv4();
+
+  await tx.run(`
+    INSERT INTO surveys (
+      survey_id, patient_id, study_id, site_id, visit_id, completed_at, config_version, locale, metadata, scores,
+      source, import_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    surveyId,
+    patientId,
+    studyId,
+    siteId,
+    visitId,
+    completedAt,
+    configVersion,
+    locale,
+    await encryption.encryptJSON(studyId, `metadata:${surveyId}`, metadata, tx),
+    await storedScores(studyId, surveyId, submission.scores, tx),
+    source,
+    importId
+  ]);
+
+  // Responses keep the question as the patient read it
+  const questionsById = new Map(submission.questions.map(q => [q.id, q]));
+  for (const response of responses) {
+    await tx.run(`
+      INSERT INTO responses (response_id, survey_id, question_id, question_text, answer, response_type)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      uuidv4(),
+      surveyId,
+      response.questionId,
+      questionText(questionsById.get(response.questionId), locale),
+      await encryption.encryptJSON(studyId, `answer:${surveyId}:${response.questionId}`, response.answer, tx),
+      response.responseType
+    ]);
+  }
+
+  await audit.record({
+    action: 'create',
+    entityType: 'survey',
+    entityId: surveyId,
+    studyId,
+    surveyId,
+    context,
+    newValues: {
+      patientId,
+      siteId,
+      visitId,
+      configVersion,
+      locale,
+      source,
+      ...(importId && { importId }),
+      metadata,
+      responses: responses.map(r => ({ questionId: r.questionId, answer: r.answer }))
+    }
+  }, tx);
+
+  await webhooks.emit({
+    studyId,
+    type: 'survey.submitted',
+    data: { surveyId, patientId, siteId, visitId, configVersion, completedAt, source }
+  }, tx);
+
+  return surveyId;
+}
+
+/**
+ * Validate and store one survey submission. The survey with its instrument
+ * scores, its responses, the idempotency key, the audit entry and the
+ * webhook event are written in one transaction.
+ *
+ * With an idempotency key (the Idempotency-Key header or a client-generated
+ * `submissionId`), repeating the same submission returns the original
+ * survey ID with `replayed: true` instead of storing it again. Keys are
+ * scoped to the study and the caller, so other callers' keys never clash.
+ *
+ * @returns {Promise<{surveyId: string, configVersion: number, replayed: boolean}>}
+ * @throws {SubmissionError} when the caller may not submit or the data is invalid
+ */
+async function submitSurvey(body, { auth, context, idempotencyKey }) {
+  const studyId = body && body.studyId;
+  if (typeof studyId !== 'string' || !studyId) {
+    throw new SubmissionError(400, 'Validation failed', [{ message: '"studyId" is required', path: ['studyId'] }]);
+  }
+
+  if (!can(auth, 'survey:submit', studyId)) {
+    throw new SubmissionError(403, 'Forbidden');
+  }
+  // Patient tokens are bound to a single patient, and to a visit if issued for one
+  if (auth.type === 'patient' && body.patientId !== auth.patientId) {
+    throw new SubmissionError(403, 'Token does not match patient');
+  }
+  if (auth.type === 'patient' && auth.visitId && (body.visitId || null) !== auth.visitId) {
+    throw new SubmissionError(403, 'Token does not match visit');
+  }
+
+  const key = idempotencyKey || body.submissionId;
+  if (key !== undefined && (typeof key !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(key))) {
+    throw new SubmissionError(400, 'Idempotency key must be 8-255 letters, digits or -_:.');
+  }
+  const hash = key && requestHash(body);
+  const scope = { studyId, caller: callerKey(auth), key };
+
+  // A retry is answered before validation, which may have changed since
+  if (key) {
+    const replay = await findReplay({ get }, scope, hash);
+    if (replay) return replay;
+  }
+
+  const study = await findStudyConfig(studyId);
+  if (!study) {
+    throw new SubmissionError(404, 'Study not found');
+  }
+  if (!study.isActive) {
+    throw new SubmissionError(400, 'Study is not accepting submissions');
+  }
+
+  const { submissionId, ...payload } = body;
+  const submission = await prepareSubmission(study, payload, auth);
+
+  await encryption.ensureDataKey(studyId);
+
+  const result = await transaction(async (tx) => {
+    // Checked again inside the transaction in case a concurrent retry won
+    if (key) {
+      await tx.lock(`idempotency:${studyId}:${scope.caller}:${key}`);
+      const replay = await findReplay(tx, scope, hash);
+      if (replay) return replay;
+    }
+
+    await checkStorable(tx, submission);
+
+    const { sessionId, patientId } = submission;
+    if (sessionId) {
+      const session = await tx.get('SELECT * FROM survey_sessions WHERE session_id = ?', [sessionId]);
+      if (!session || session.study_id !== studyId || session.patient_id !== patientId) {
+        throw new SubmissionError(400, 'Draft does not belong to this patient and study');
+      }
+      if (session.status === 'completed') {
+        throw new SubmissionError(409, 'Draft was already submitted');
+      }
+    }
+
+    const surveyId = await insertSurvey(tx, submission, { context });
+
+    if (key) {
+      await tx.run(`
+        INSERT INTO idempotency_keys (study_id, caller, idempotency_key, request_hash, survey_id, config_version)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [studyId, scope.caller, key, hash, surveyId, submission.configVersion]);
+    }
+
+    if (sessionId) {
+      await completeSession(tx, sessionId, surveyId);
+    }
+
+    return { surveyId, configVersion: submission.configVersion, replayed: false };
+  });
+
+  // Edit checks and safety rules only raise queries and alerts, so the
+  // survey is kept even if they cannot run
+  if (!result.replayed) {
+    await runChecks(result.surveyId)
+      .catch(err => console.error(`Error running edit checks on survey ${result.surveyId}:`, err));
+    await runSafetyRules(result.surveyId)
+      .catch(err => console.error(`Error running safety rules on survey ${result.surveyId}:`, err));
+  }
+  return result;
+}
+
+/**
+ * Score a survey again after its answers changed, inside the transaction
+ * that changed them. `survey` is its row and `questions` its questionnaire
+ * version.
+ */
+async function rescoreSurvey(tx, survey, questions) {
+  const rows = await tx.all('SELECT question_id, answer FROM responses WHERE survey_id = ?', [survey.survey_id]);
+  const answers = new Map();
+  for (const row of rows) {
+    const context = `answer:${survey.survey_id}:${row.question_id}`;
+    answers.set(row.question_id, await encryption.decryptJSON(survey.study_id, context, row.answer, tx));
+  }
+
+  const scores = scoreSurvey(questions, answers);
+  await tx.run('UPDATE surveys SET scores = ? WHERE survey_id = ?', [
+    await storedScores(survey.study_id, survey.survey_id, scores, tx),
+    survey.survey_id
+  ]);
+  return scores;
+}
+
+// Largest number of queued submissions accepted in one sync request
+const MAX_BATCH_SIZE = 100;
+
+// Every queued submission must carry its own key so a repeated sync is harmless
+const batchSchema = Joi.object({
+  submissions: Joi.array().items(
+    Joi.object({ submissionId: Joi.string().required() }).unknown(true)
+  ).min(1).max(MAX_BATCH_SIZE).required()
+});
+
+/**
+ * Store submissions queued on a device while it was offline. Each one is
+ * validated and stored in its own transaction, so one bad submission does
+ * not hold back the rest. Per submission the result is one of:
+ *
+ * - `accepted`: stored now
+ * - `duplicate`: stored by an earlier sync; `surveyId` is the original
+ * - `rejected`: invalid or not permitted, with the HTTP `statusCode` a
+ *   single submission would have got; resending it will not help, except
+ *   under another token when it is 401 or 403
+ * - `failed`: a server error; the device should retry later
+ *
+ * @returns {Promise<{results: object[], summary: object}>}
+ * @throws {SubmissionError} when the batch itself is malformed
+ */
+async function submitBatch(body, { auth, context }) {
+  const { error, value } = batchSchema.validate(body);
+  if (error) {
+    throw new SubmissionError(400, 'Validation failed', error.details);
+  }
+
+  const results = [];
+  for (const submission of value.submissions) {
+    const { submissionId } = submission;
+
+    try {
+      const result = await submitSurvey(submission, { auth, context, idempotencyKey: submissionId });
+      results.push({
+        submissionId,
+        status: result.replayed ? 'duplicate' : 'accepted',
+        surveyId: result.surveyId,
+        configVersion: result.configVersion
+      });
+    } catch (err) {
+      if (err instanceof SubmissionError) {
+        results.push({
+          submissionId,
+          status: 'rejected',
+          statusCode: err.status,
+          error: err.message,
+          ...(err.details && { details: err.details })
+        });
+      } else {
+        console.error(`Error storing queued submission ${submissionId}:`, err);
+        results.push({ submissionId, status: 'failed', error: 'Database error' });
+      }
+    }
+  }
+
+  const summary = { accepted: 0, duplicate: 0, rejected: 0, failed: 0 };
+  results.forEach(result => { summary[result.status] += 1; });
+
+  return { results, summary };
+}
+
+module.exports = {
+  SubmissionError,
+  prepareSubmission,
+  checkStorable,
+  insertSurvey,
+  submitSurvey,
+  submitBatch,
+  rescoreSurvey
+};
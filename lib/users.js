@@ -0,0 +1,153 @@
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('./db');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+const ROLES = ['site_coordinator', 'data_manager', 'investigator', 'analyst', 'admin'];
+
+// Study ID under which a role applies to every study
+const ALL_STUDIES = '*';
+
+function toUser(row, roles, sites) {
+  return {
+    userId: row.user_id,
+    email: row.email,
+    displayName: row.display_name,
+    orgId: row.org_id || null,
+    isActive: Boolean(row.is_active),
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at,
+    ...(roles ? { roles } : {}),
+    ...(sites ? { sites } : {})
+  };
+}
+
+// Group user_sites rows into site IDs keyed by study ID
+function sitesByStudy(rows) {
+  const sites = {};
+  rows.forEach(row => { (sites[row.study_id] = sites[row.study_id] || []).push(row.site_id); });
+  return sites;
+}
+
+// Roles of a user keyed by study ID
+async function getRoles(userId) {
+  const rows = await all('SELECT study_id, role FROM user_study_roles WHERE user_id = ?', [userId]);
+  const roles = {};
+  rows.forEach(row => { roles[row.study_id] = row.role; });
+  return roles;
+}
+
+// Sites a user is assigned to, keyed by study ID
+async function getSites(userId) {
+  const rows = await all('SELECT study_id, site_id FROM user_sites WHERE user_id = ? ORDER BY site_id', [userId]);
+  return sitesByStudy(rows);
+}
+
+async function findUserById(userId) {
+  const row = await get('SELECT * FROM users WHERE user_id = ?', [userId]);
+  return row ? toUser(row, await getRoles(userId), await getSites(userId)) : null;
+}
+
+// Returns the raw row including the password hash, for login only
+async function findUserRowByEmail(email) {
+  return get('SELECT * FROM users WHERE email = ?', [email.toLowerCase()]);
+}
+
+async function listUsers() {
+  const rows = await all('SELECT * FROM users ORDER BY email');
+  const roleRows = await all('SELECT user_id, study_id, role FROM user_study_roles');
+  const siteRows = await all('SELECT user_id, study_id, site_id FROM user_sites ORDER BY site_id');
+
+  return rows.map(row => {
+    const roles = {};
+    roleRows
+      .filter(r => r.user_id === row.user_id)
+      .forEach(r => { roles[r.study_id] = r.role; });
+    return toUser(row, roles, sitesByStudy(siteRows.filter(r => r.user_id === row.user_id)));
+  });
+}
+
+async function countUsers() {
+  const row = await get('SELECT COUNT(*) AS count FROM users');
+  return row.count;
+}
+
+async function createUser({ email, password, displayName, orgId }) {
+  const userId = uuidv4();
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  await run(`
+    INSERT INTO users (user_id, email, password_hash, display_name, org_id)
+    VALUES (?, ?, ?, ?, ?)
+  `, [userId, email.toLowerCase(), passwordHash, displayName || null, orgId || null]);
+
+  return findUserById(userId);
+}
+
+async function updateUser(userId, { displayName, isActive, password, orgId }) {
+  const sets = [];
+  const params = [];
+
+  if (displayName !== undefined) {
+    sets.push('display_name = ?');
+    params.push(displayName);
+  }
+  if (isActive !== undefined) {
+    sets.push('is_active = ?');
+    params.push(isActive ? 1 : 0);
+  }
+  if (password !== undefined) {
+    sets.push('password_hash = ?');
+    params.push(await bcrypt.hash(password, BCRYPT_ROUNDS));
+  }
+  if (orgId !== undefined) {
+    sets.push('org_id = ?');
+    params.push(orgId);
+  }
+
+  if (sets.length) {
+    await run(
+      `UPDATE users SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?`,
+      [...params, userId]
+    );
+  }
+
+  return findUserById(userId);
+}
+
+async function recordLogin(userId) {
+  await run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE user_id = ?', [userId]);
+}
+
+async function grantRole(userId, studyId, role, grantedBy) {
+  await run(`
+    INSERT INTO user_study_roles (user_id, study_id, role, granted_by)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id, study_id) DO UPDATE SET role = excluded.role, granted_by = excluded.granted_by
+  `, [userId, studyId, role, grantedBy || null]);
+}
+
+async function revokeRole(userId, studyId) {
+  const { changes } = await run(
+    'DELETE FROM user_study_roles WHERE user_id = ? AND study_id = ?',
+    [userId, studyId]
+  );
+  return changes > 0;
+}
+
+module.exports = {
+  ROLES,
+  ALL_STUDIES,
+  getRoles,
+  getSites,
+  findUserById,
+  findUserRowByEmail,
+  listUsers,
+  countUsers,
+  createUser,
+  updateUser,
+  recordLogin,
+  grantRole,
+  revokeRole
+};
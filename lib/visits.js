@@ -0,0 +1,90 @@
+const { all } = require('./db');
+const { listPatients } = require('./enrollment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Status of one scheduled visit of one patient
+const VISIT_STATUSES = ['expected', 'completed', 'overdue', 'out_of_window'];
+
+// YYYY-MM-DD of the given date, in UTC
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return isoDate(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+}
+
+/**
+ * Where one visit stands for a patient who started on `startDate`:
+ *
+ * - `completed`: a survey for the visit was completed within its window
+ * - `out_of_window`: a survey for the visit was completed outside it
+ * - `overdue`: no survey yet and the window has closed
+ * - `expected`: no survey yet and the window has not closed
+ */
+function visitStatus(visit, startDate, survey, today) {
+  const targetDate = addDays(startDate, visit.targetDay);
+  const windowStart = addDays(targetDate, -visit.windowBefore);
+  const windowEnd = addDays(targetDate, visit.windowAfter);
+
+  let status;
+  if (survey) {
+    const day = survey.completedAt.slice(0, 10);
+    status = day >= windowStart && day <= windowEnd ? 'completed' : 'out_of_window';
+  } else {
+    status = today > windowEnd ? 'overdue' : 'expected';
+  }
+
+  return {
+    visitId: visit.visitId,
+    name: visit.name,
+    targetDate,
+    windowStart,
+    windowEnd,
+    status,
+    surveyId: survey ? survey.surveyId : null,
+    completedAt: survey ? survey.completedAt : null
+  };
+}
+
+/**
+ * Every enrolled patient of a study with the status of each scheduled
+ * visit, optionally limited to some sites, patients or visit statuses.
+ * Patients without a visit left after the status filter are left out.
+ */
+async function listPatientVisits(study, { siteIds, patientIds, statuses } = {}, now = new Date()) {
+  // Withdrawn subjects have no visits to come
+  const patients = await listPatients(study.studyId, { siteIds, patientIds, statuses: ['enrolled'] });
+  const surveys = await all(`
+    SELECT survey_id, patient_id, visit_id, completed_at
+    FROM surveys
+    WHERE study_id = ? AND visit_id IS NOT NULL
+  `, [study.studyId]);
+
+  const byPatientVisit = new Map(surveys.map(row => [
+    `${row.patient_id}\u0000${row.visit_id}`,
+    { surveyId: row.survey_id, completedAt: row.completed_at }
+  ]));
+  const today = isoDate(now);
+  const summary = Object.fromEntries(VISIT_STATUSES.map(status => [status, 0]));
+
+  const result = [];
+  patients.forEach(patient => {
+    const visits = study.visits
+      .map(visit => visitStatus(visit, patient.startDate, byPatientVisit.get(`${patient.patientId}\u0000${visit.visitId}`), today))
+      .filter(visit => !statuses || statuses.includes(visit.status));
+    if (visits.length === 0) return;
+
+    visits.forEach(visit => { summary[visit.status] += 1; });
+    result.push({ patientId: patient.patientId, siteId: patient.siteId, startDate: patient.startDate, visits });
+  });
+
+  return { patients: result, summary };
+}
+
+module.exports = {
+  VISIT_STATUSES,
+  visitStatus,
+  listPatientVisits
+};
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all, transaction } = require('./db');
+const encryption = require('./encryption');
+
+/**
+ * Outbound webhooks. A study subscribes URLs to events, and each event is
+ * POSTed to them as JSON:
+ *
+ *   { "id": "<event ID>", "type": "survey.submitted", "studyId": "...",
+ *     "createdAt": "...", "data": { "surveyId": "...", ... } }
+ *
+ * Payloads carry IDs and states, never answers or identifiers; receivers
+ * fetch the data itself through the API. Requests are signed with the
+ * webhook's secret:
+ *
+ * - X-Webhook-Timestamp: seconds since the epoch
+ * - X-Webhook-Signature: `sha256=` and the hex HMAC-SHA256 of
+ *   `<timestamp>.<raw body>`
+ *
+ * Receivers should check the signature against the raw body, refuse stale
+ * timestamps, and ignore event IDs they have seen before: a redelivery, or
+ * a retry after a timeout, sends the same event again.
+ *
+ * Events are queued in the transaction of the change they report, and
+ * deliverDue() sends them. Failed deliveries are retried with exponential
+ * backoff; after MAX_ATTEMPTS they are dead, and stay in the delivery log
+ * for redelivery.
+ */
+const WEBHOOK_EVENTS = [
+  'survey.submitted',
+  'survey.corrected',
+  'survey.deleted',
+  'subject.enrolled',
+  'subject.withdrawn',
+  'query.raised',
+  'query.answered',
+  'query.resolved',
+  'query.closed',
+  'query.reopened',
+  'alert.raised',
+  'alert.acknowledged',
+  'alert.closed',
+  'study.frozen',
+  'study.unfrozen',
+  'study.locked',
+  'study.unlocked',
+  'subject.frozen',
+  'subject.unfrozen',
+  'subject.locked',
+  'subject.unlocked'
+];
+
+// Sent on request to one webhook, to try it out
+const PING_EVENT = 'ping';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Retry n waits BASE_RETRY_DELAY * 2^(n-1), at most MAX_RETRY_DELAY: 30
+// seconds, 1, 2, 4, ... 32 minutes, then hourly, so a delivery that keeps
+// failing is dead about three hours after the event
+const MAX_ATTEMPTS = 10;
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A receiver that has not answered by then has failed
+const REQUEST_TIMEOUT = 10 * 1000;
+// A server sending a delivery holds it this long before another may retry it
+const CLAIM_TIMEOUT = 2 * REQUEST_TIMEOUT;
+const BATCH_SIZE = 50;
+const USER_AGENT = 'patient-data-collection-webhooks';
+
+// A webhook action was refused; `status` is the HTTP status to answer with
+class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+function toWebhook(row) {
+  return {
+    webhookId: row.webhook_id,
+    studyId: row.study_id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    isActive: Boolean(row.is_active),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toDelivery(row) {
+  return {
+    deliveryId: row.delivery_id,
+    webhookId: row.webhook_id,
+    studyId: row.study_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    redeliveryOf: row.redelivery_of,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+function toAttempt(row) {
+  return {
+    attemptedAt: row.attempted_at,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms
+  };
+}
+
+function secretContext(webhookId) {
+  return `webhook_secret:${webhookId}`;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Plain http is for receivers on a developer's machine
+function checkUrl(url) {
+  if (process.env.NODE_ENV === 'production' && new URL(url).protocol !== 'https:') {
+    throw new WebhookError(400, 'Webhook URLs must use https');
+  }
+}
+
+async function listWebhooks(studyId) {
+  const rows = await all('SELECT * FROM webhooks WHERE study_id = ? ORDER BY created_at, webhook_id', [studyId]);
+  return rows.map(toWebhook);
+}
+
+async function findWebhook(studyId, webhookId) {
+  const row = await get('SELECT * FROM webhooks WHERE study_id = ? AND webhook_id = ?', [studyId, webhookId]);
+  return row ? toWebhook(row) : null;
+}
+
+/**
+ * Subscribe a URL to events of a study. The returned webhook carries its
+ * signing secret, which is not shown again.
+ *
+ * @throws {WebhookError} when the URL is not allowed
+ */
+async function createWebhook({ studyId, url, events, description, createdBy }) {
+  checkUrl(url);
+
+  const webhookId = uuidv4();
+  const secret = generateSecret();
+  const now = new Date().toISOString();
+  await run(`
+    INSERT INTO webhooks (webhook_id, study_id, url, events, secret, description, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    webhookId, studyId, url, JSON.stringify(events),
+    await encryption.encrypt(studyId, secretContext(webhookId), secret),
+    description || null, createdBy || null, now, now
+  ]);
+
+  return { ...(await findWebhook(studyId, webhookId)), secret };
+}
+
+/**
+ * Change a webhook's URL, events, description or whether it is active.
+ * Deliveries already queued for a deactivated webhook are not sent.
+ *
+ * @returns {Promise<object|null>} null when the webhook is not found
+ * @throws {WebhookError} when the URL is not allowed
+ */
+async function updateWebhook(studyId, webhookId, { url, events, description, isActive }) {
+  if (url !== undefined) checkUrl(url);
+
+  const changes = {
+    url,
+    events: events && JSON.stringify(events),
+    description,
+    is_active: isActive === undefined ? undefined : (isActive ? 1 : 0)
+  };
+  const columns = Object.keys(changes).filter(column => changes[column] !== undefined);
+
+  const { changes: updated } = await run(`
+    UPDATE webhooks SET ${[...columns, 'updated_at'].map(column => `${column} = ?`).join(', ')}
+    WHERE study_id = ? AND webhook_id = ?
+  `, [...columns.map(column => changes[column]), new Date().toISOString(), studyId, webhookId]);
+  return updated ? findWebhook(studyId, webhookId) : null;
+}
+
+/**
+ * Give a webhook a new signing secret; the old one stops working at once.
+ *
+ * @returns {Promise<object|null>} the webhook with its new secret, or null
+ *   when it is not found
+ */
+async function rotateSecret(studyId, webhookId) {
+  const secret = generateSecret();
+  const { changes } = await run(
+    'UPDATE webhooks SET secret = ?, updated_at = ? WHERE study_id = ? AND webhook_id = ?',
+    [await encryption.encrypt(studyId, secretContext(webhookId), secret), new Date().toISOString(), studyId, webhookId]
+  );
+  return changes ? { ...(await findWebhook(studyId, webhookId)), secret } : null;
+}
+
+// Delete a webhook with its delivery log
+async function deleteWebhook(studyId, webhookId) {
+  return transaction(async (tx) => {
+    const row = await tx.get('SELECT webhook_id FROM webhooks WHERE study_id = ? AND webhook_id = ?', [studyId, webhookId]);
+    if (!row) return false;
+
+    await tx.run(
+      'DELETE FROM webhook_attempts WHERE delivery_id IN (SELECT delivery_id FROM webhook_deliveries WHERE webhook_id = ?)',
+      [webhookId]
+    );
+    await tx.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+    await tx.run('DELETE FROM webhooks WHERE webhook_id = ?', [webhookId]);
+    return true;
+  });
+}
+
+async function queueDelivery(db, { webhookId, studyId, eventId, eventType, payload, redeliveryOf }) {
+  const deliveryId = uuidv4();
+  const now = new Date().toISOString();
+  await db.run(`
+    INSERT INTO webhook_deliveries (
+      delivery_id, webhook_id, study_id, event_id, event_type, payload, status, next_attempt_at, redelivery_of, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+  `, [deliveryId, webhookId, studyId, eventId, eventType, payload, now, redeliveryOf || null, now]);
+  return deliveryId;
+}
+
+async function queueEvent(db, { studyId, type, data, webhookId }) {
+  const rows = webhookId
+    ? await db.all('SELECT webhook_id, events FROM webhooks WHERE webhook_id = ?', [webhookId])
+    : await db.all('SELECT webhook_id, events FROM webhooks WHERE study_id = ? AND is_active = 1', [studyId]);
+  const subscribed = webhookId ? rows : rows.filter(row => JSON.parse(row.events).includes(type));
+  if (subscribed.length === 0) return [];
+
+  const event = { id: uuidv4(), type, studyId, createdAt: new Date().toISOString(), data };
+  const deliveryIds = [];
+  for (const row of subscribed) {
+    deliveryIds.push(await queueDelivery(db, {
+      webhookId: row.webhook_id,
+      studyId,
+      eventId: event.id,
+      eventType: type,
+      payload: JSON.stringify(event)
+    }));
+  }
+  return deliveryIds;
+}
+
+/**
+ * Queue an event for every active webhook of the study subscribed to it.
+ * Pass the open transaction when the change the event reports is part of
+ * one, so the event is only sent if the change commits.
+ *
+ * @param {object} event
+ * @param {string} event.studyId
+ * @param {string} event.type - one of WEBHOOK_EVENTS
+ * @param {object} event.data - IDs and states only; payloads leave the system
+ * @param {object} [tx] - transaction handle from db.transaction()
+ */
+async function emit({ studyId, type, data }, tx) {
+  await (tx ? queueEvent(tx, { studyId, type, data }) : transaction(t => queueEvent(t, { studyId, type, data })));
+}
+
+/**
+ * Queue a ping event for one webhook, whatever events it subscribes to.
+ *
+ * @returns {Promise<object|null>} the queued delivery, or null when the
+ *   webhook is not found
+ * @throws {WebhookError} when the webhook is not active
+ */
+async function ping(studyId, webhookId) {
+  const webhook = await findWebhook(studyId, webhookId);
+  if (!webhook) return null;
+  if (!webhook.isActive) {
+    throw new WebhookError(409, 'Webhook is not active');
+  }
+
+  const [deliveryId] = await transaction(tx => queueEvent(tx, {
+    studyId,
+    type: PING_EVENT,
+    data: { webhookId },
+    webhookId
+  }));
+  return findDelivery(studyId, deliveryId);
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+function signature(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// POST the payload; redirects are not followed and count as failures
+async function send(url, secret, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-Webhook-Id': delivery.webhook_id,
+      'X-Webhook-Delivery': delivery.delivery_id,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signature(secret, timestamp, delivery.payload)
+    },
+    body: delivery.payload,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  // Only the status matters; the body is dropped unread
+  if (response.body) await response.body.cancel();
+  return response.status;
+}
+
+function failureMessage(err) {
+  if (err.name === 'TimeoutError') return `No response within ${REQUEST_TIMEOUT / 1000} seconds`;
+  // fetch() reports network errors as "fetch failed" with the reason as cause
+  return String((err.cause && err.cause.message) || err.message).slice(0, 500);
+}
+
+// Make one attempt at a claimed delivery and record its outcome
+async function attempt(delivery) {
+  const webhook = await get('SELECT * FROM webhooks WHERE webhook_id = ?', [delivery.webhook_id]);
+  // Deleted since it was claimed, or deactivated
+  if (!webhook || !webhook.is_active) {
+    await run(
+      "UPDATE webhook_deliveries SET status = 'dead', next_attempt_at = NULL, last_error = ? WHERE delivery_id = ?",
+      ['Webhook is not active', delivery.delivery_id]
+    );
+    return 'dead';
+  }
+
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+  try {
+    const secret = await encryption.decrypt(webhook.study_id, secretContext(webhook.webhook_id), webhook.secret);
+    statusCode = await send(webhook.url, secret, delivery);
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = failureMessage(err);
+  }
+
+  const now = Date.now();
+  const attempts = delivery.attempts + 1;
+  const status = !error ? 'delivered' : attempts >= MAX_ATTEMPTS ? 'dead' : 'pending';
+
+  await transaction(async (tx) => {
+    await tx.run(`
+      INSERT INTO webhook_attempts (attempt_id, delivery_id, attempted_at, status_code, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [uuidv4(), delivery.delivery_id, new Date(started).toISOString(), statusCode, error, now - started]);
+    await tx.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?, delivered_at = ?
+      WHERE delivery_id = ?
+    `, [
+      status,
+      attempts,
+      status === 'pending' ? new Date(now + retryDelay(attempts)).toISOString() : null,
+      statusCode,
+      error,
+      status === 'delivered' ? new Date(now).toISOString() : null,
+      delivery.delivery_id
+    ]);
+  });
+
+  return status === 'pending' ? 'retrying' : status;
+}
+
+async function sweep() {
+  const now = new Date().toISOString();
+  const due = await all(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at, delivery_id
+    LIMIT ?
+  `, [now, BATCH_SIZE]);
+
+  const totals = { delivered: 0, retrying: 0, dead: 0 };
+  for (const delivery of due) {
+    // Claim it first, so another server sweeping at once skips it
+    const { changes } = await run(`
+      UPDATE webhook_deliveries SET next_attempt_at = ?
+      WHERE delivery_id = ? AND status = 'pending' AND next_attempt_at <= ?
+    `, [new Date(Date.now() + CLAIM_TIMEOUT).toISOString(), delivery.delivery_id, now]);
+    if (!changes) continue;
+
+    totals[await attempt(delivery)] += 1;
+  }
+  return totals;
+}
+
+let sweeping = null;
+
+/**
+ * Send the deliveries that are due. Calls made while a sweep is running
+ * wait for it instead of starting another.
+ *
+ * @returns {Promise<{delivered: number, retrying: number, dead: number}>}
+ */
+function deliverDue() {
+  if (!sweeping) {
+    sweeping = sweep().finally(() => { sweeping = null; });
+  }
+  return sweeping;
+}
+
+/**
+ * The delivery log of a study, newest first. Filter on `statuses` (e.g.
+ * `['dead']` for the dead letters), `webhookId` or `eventTypes`.
+ */
+async function listDeliveries(studyId, { statuses, webhookId, eventTypes, limit = 100 } = {}) {
+  const where = ['study_id = ?'];
+  const params = [studyId];
+
+  if (statuses) { where.push(`status IN (${statuses.map(() => '?').join(', ')})`); params.push(...statuses); }
+  if (eventTypes) { where.push(`event_type IN (${eventTypes.map(() => '?').join(', ')})`); params.push(...eventTypes); }
+  if (webhookId) { where.push('webhook_id = ?'); params.push(webhookId); }
+
+  const rows = await all(`
+    SELECT * FROM webhook_deliveries
+    WHERE ${where.join(' AND ')}
+    ORDER BY created_at DESC, delivery_id
+    LIMIT ?
+  `, [...params, limit]);
+  return rows.map(toDelivery);
+}
+
+// One delivery with its payload and every attempt, oldest first
+async function findDelivery(studyId, deliveryId) {
+  const row = await get('SELECT * FROM webhook_deliveries WHERE study_id = ? AND delivery_id = ?', [studyId, deliveryId]);
+  if (!row) return null;
+
+  const attempts = await all(
+    'SELECT * FROM webhook_attempts WHERE delivery_id = ? ORDER BY attempted_at, attempt_id',
+    [deliveryId]
+  );
+  return { ...toDelivery(row), payload: JSON.parse(row.payload), attemptLog: attempts.map(toAttempt) };
+}
+
+/**
+ * Send a delivery's event again, as a new delivery with the same event ID.
+ * Any delivery may be redelivered, dead or not.
+ *
+ * @returns {Promise<object|null>} the new delivery, or null when the
+ *   delivery is not found
+ * @throws {WebhookError} when its webhook is not active
+ */
+async function redeliver(studyId, deliveryId) {
+  const row = await get('SELECT * FROM webhook_deliveries WHERE study_id = ? AND delivery_id = ?', [studyId, deliveryId]);
+  if (!row) return null;
+
+  const webhook = await findWebhook(studyId, row.webhook_id);
+  if (!webhook.isActive) {
+    throw new WebhookError(409, 'Webhook is not active');
+  }
+
+  const newId = await queueDelivery({ run }, {
+    webhookId: row.webhook_id,
+    studyId,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    redeliveryOf: row.delivery_id
+  });
+  return findDelivery(studyId, newId);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  WebhookError,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  emit,
+  ping,
+  deliverDue,
+  listDeliveries,
+  findDelivery,
+  redeliver
+};
@@ -0,0 +1,301 @@
+// Outbox of completed surveys waiting to be sent to the server.
+//
+// Surveys are kept in IndexedDB, encrypted with an AES-GCM key that is
+// generated on the device and stored as a non-extractable CryptoKey, so the
+// answers cannot be read back out of the browser's storage. Queued surveys
+// are sent with POST /api/surveys/batch whenever a connection is available.
+//
+// An entry is `pending` until the server stores it (`synced`) or refuses it
+// for good (`rejected`). One refused for its token, which has expired or no
+// longer grants access, `needs-sign-in`: it is not retried on its own, but
+// can be resent under a fresh token or discarded.
+//
+// Loaded by index.html and, through importScripts, by the service worker.
+(function (global) {
+    const DB_NAME = 'survey-outbox';
+    const DB_VERSION = 1;
+    const SUBMISSIONS = 'submissions';
+    const KEYS = 'keys';
+    const KEY_ID = 'outbox';
+
+    // Tag used for Background Sync registrations
+    const SYNC_TAG = 'survey-outbox';
+
+    // Queued surveys sent per request; the server accepts up to 100
+    const BATCH_SIZE = 50;
+
+    // Synced entries are kept this long so the coordinator can see them
+    const SYNCED_RETENTION = 24 * 60 * 60 * 1000;
+
+    let dbPromise = null;
+    let flushing = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(SUBMISSIONS, { keyPath: 'id' });
+                    db.createObjectStore(KEYS);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    // Run one request against an object store and resolve with its result
+    async function withStore(name, mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(name, mode);
+            const request = fn(tx.objectStore(name));
+            tx.oncomplete = () => resolve(request && request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async function getKey() {
+        const existing = await withStore(KEYS, 'readonly', store => store.get(KEY_ID));
+        if (existing) return existing;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await withStore(KEYS, 'readwrite', store => store.put(key, KEY_ID));
+        return key;
+    }
+
+    async function encrypt(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getKey(), plaintext);
+        return { iv, data };
+    }
+
+    async function decrypt(entry) {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, await getKey(), entry.data);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    function getEntry(id) {
+        return withStore(SUBMISSIONS, 'readonly', store => store.get(id));
+    }
+
+    function putEntry(entry) {
+        return withStore(SUBMISSIONS, 'readwrite', store => store.put(entry));
+    }
+
+    function allEntries() {
+        return withStore(SUBMISSIONS, 'readonly', store => store.getAll());
+    }
+
+    // Status fields only; the encrypted survey is left out
+    function describe(entry) {
+        return {
+            id: entry.id,
+            studyId: entry.studyId,
+            queuedAt: entry.queuedAt,
+            status: entry.status,
+            attempts: entry.attempts,
+            lastAttemptAt: entry.lastAttemptAt,
+            lastError: entry.lastError,
+            surveyId: entry.surveyId,
+            syncedAt: entry.syncedAt
+        };
+    }
+
+    // Let the browser send queued surveys even if the page is closed first
+    async function requestSync() {
+        if (global.registration && global.registration.sync) {
+            await global.registration.sync.register(SYNC_TAG).catch(() => {});
+        } else if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register(SYNC_TAG).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Queue a completed survey. `id` doubles as the submission's idempotency
+     * key, so sending it more than once stores it only once.
+     */
+    async function enqueue(id, body, token) {
+        const { iv, data } = await encrypt({ body, token });
+        await putEntry({
+            id,
+            studyId: body.studyId,
+            queuedAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            lastAttemptAt: null,
+            lastError: null,
+            surveyId: null,
+            syncedAt: null,
+            iv,
+            data
+        });
+        await requestSync();
+    }
+
+    /**
+     * Queue a survey that needs a fresh sign-in again, to be sent under
+     * `token` instead of the one it was filled in under.
+     */
+    async function resend(id, token) {
+        const entry = await getEntry(id);
+        if (!entry || entry.status !== 'needs-sign-in') return;
+
+        const { body } = await decrypt(entry);
+        const { iv, data } = await encrypt({ body, token });
+        await putEntry({ ...entry, status: 'pending', lastError: null, iv, data });
+        await requestSync();
+    }
+
+    async function list() {
+        const entries = await allEntries();
+        return entries.map(describe).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    async function get(id) {
+        const entry = await getEntry(id);
+        return entry ? describe(entry) : null;
+    }
+
+    // Drop a queued survey, e.g. one the server rejected
+    function remove(id) {
+        return withStore(SUBMISSIONS, 'readwrite', store => store.delete(id));
+    }
+
+    async function pruneSynced() {
+        const cutoff = new Date(Date.now() - SYNCED_RETENTION).toISOString();
+        const entries = await allEntries();
+        for (const entry of entries) {
+            if (entry.status === 'synced' && entry.syncedAt < cutoff) {
+                await remove(entry.id);
+            }
+        }
+    }
+
+    async function sendBatch(token, entries, payloads) {
+        const response = await fetch('/api/surveys/batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+            },
+            body: JSON.stringify({
+                submissions: entries.map(entry => ({ ...payloads.get(entry.id).body, submissionId: entry.id }))
+            })
+        });
+
+        const now = new Date().toISOString();
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            // The whole batch was refused. Resending under the same token
+            // cannot help after a 401 or 403; anything else is retried.
+            const signIn = response.status === 401 || response.status === 403;
+            const message = response.status === 401
+                ? 'Sign-in or survey link expired'
+                : result.error || `Server responded with ${response.status}`;
+            for (const entry of entries) {
+                await putEntry({
+                    ...entry,
+                    ...(signIn && { status: 'needs-sign-in' }),
+                    attempts: entry.attempts + 1,
+                    lastAttemptAt: now,
+                    lastError: message
+                });
+            }
+            return;
+        }
+
+        const byId = new Map(result.results.map(r => [r.submissionId, r]));
+        for (const entry of entries) {
+            const outcome = byId.get(entry.id) || { status: 'failed', error: 'Missing from server response' };
+            const attempt = { ...entry, attempts: entry.attempts + 1, lastAttemptAt: now };
+
+            if (outcome.status === 'accepted' || outcome.status === 'duplicate') {
+                // The survey is on the server now; forget the encrypted copy
+                await putEntry({
+                    ...attempt,
+                    status: 'synced',
+                    surveyId: outcome.surveyId,
+                    syncedAt: now,
+                    lastError: null,
+                    iv: null,
+                    data: null
+                });
+            } else if (outcome.status === 'rejected' && (outcome.statusCode === 401 || outcome.statusCode === 403)) {
+                await putEntry({ ...attempt, status: 'needs-sign-in', lastError: outcome.error });
+            } else if (outcome.status === 'rejected') {
+                const details = outcome.details ? outcome.details.map(d => d.message).join('; ') : '';
+                await putEntry({ ...attempt, status: 'rejected', lastError: details ? `${outcome.error}: ${details}` : outcome.error });
+            } else {
+                await putEntry({ ...attempt, lastError: outcome.error });
+            }
+        }
+    }
+
+    async function flushOnce() {
+        const entries = (await allEntries()).filter(entry => entry.status === 'pending');
+
+        // Each survey is sent with the token it was filled in under
+        const payloads = new Map();
+        const byToken = new Map();
+        for (const entry of entries) {
+            let payload;
+            try {
+                payload = await decrypt(entry);
+            } catch (error) {
+                await putEntry({ ...entry, status: 'rejected', lastError: 'Stored survey could not be decrypted' });
+                continue;
+            }
+            payloads.set(entry.id, payload);
+            if (!byToken.has(payload.token)) byToken.set(payload.token, []);
+            byToken.get(payload.token).push(entry);
+        }
+
+        send:
+        for (const [token, group] of byToken) {
+            for (let i = 0; i < group.length; i += BATCH_SIZE) {
+                try {
+                    await sendBatch(token, group.slice(i, i + BATCH_SIZE), payloads);
+                } catch (error) {
+                    // Offline or the request did not complete; try again later
+                    const now = new Date().toISOString();
+                    for (const entry of group.slice(i)) {
+                        await putEntry({ ...entry, attempts: entry.attempts + 1, lastAttemptAt: now, lastError: 'No connection' });
+                    }
+                    break send;
+                }
+            }
+        }
+
+        await pruneSynced();
+        return (await allEntries()).filter(entry => entry.status === 'pending').length;
+    }
+
+    // Send every pending survey and resolve with the number still waiting;
+    // surveys that need a fresh sign-in are not counted. Concurrent calls
+    // share one run.
+    function flush() {
+        if (!flushing) {
+            flushing = flushOnce().finally(() => { flushing = null; });
+        }
+        return flushing;
+    }
+
+    global.SurveyOutbox = {
+        SYNC_TAG,
+        enqueue,
+        list,
+        get,
+        remove,
+        resend,
+        flush
+    };
+})(self);
@@ -0,0 +1,62 @@
+// Service worker: keeps the survey form available offline and sends queued
+// surveys when the connection returns (Background Sync, where supported).
+importScripts('/outbox.js');
+
+const CACHE_NAME = 'survey-shell-v1';
+const SHELL = ['/', '/index.html', '/outbox.js'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages and static files: network first so updates arrive, cache when offline.
+// API calls are never cached; the form keeps the study configuration and
+// consent it needs to start a survey offline itself.
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request, { ignoreSearch: true }))
+    );
+});
+
+async function notifyClients() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'outbox-updated' }));
+}
+
+async function syncOutbox() {
+    const remaining = await SurveyOutbox.flush();
+    await notifyClients();
+    // Failing the sync event makes the browser retry it later. Surveys that
+    // need a fresh sign-in are not counted, as retrying cannot send them.
+    if (remaining > 0) {
+        throw new Error(`${remaining} surveys still waiting to be sent`);
+    }
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === SurveyOutbox.SYNC_TAG) {
+        event.waitUntil(syncOutbox());
+    }
+});
@@ -0,0 +1,149 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const safety = require('../lib/safety');
+const { SAFETY_SEVERITIES } = require('../lib/study-config');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/alerts
+const router = express.Router({ mergeParams: true });
+
+const listParam = Joi.string().max(2000).custom(value => value.split(',').map(v => v.trim()).filter(Boolean));
+
+// Comma-separated list limited to the given values
+function listOf(values, name) {
+  return Joi.string().max(2000).custom((value, helpers) => {
+    const items = value.split(',').map(v => v.trim());
+    return items.every(item => values.includes(item)) ? items : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': `"${name}" must be a comma-separated list of ${values.join(', ')}` });
+}
+
+const listAlertsSchema = Joi.object({
+  site: listParam,
+  status: listOf(safety.ALERT_STATUSES, 'status'),
+  severity: listOf(SAFETY_SEVERITIES, 'severity'),
+  surveyId: Joi.string().max(100),
+  patientId: Joi.string().max(100)
+});
+
+// Triage may reassess the severity the rule gave
+const acknowledgeSchema = Joi.object({
+  note: Joi.string().max(2000),
+  severity: Joi.string().valid(...SAFETY_SEVERITIES)
+});
+const closeSchema = acknowledgeSchema.keys({
+  outcome: Joi.string().valid(...safety.ALERT_OUTCOMES).required()
+});
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Newest first. Filters: status, severity and site (comma-separated),
+// surveyId, patientId
+router.get('/', auth.requirePermission('alert:read'), loadStudy, async (req, res) => {
+  const { error, value } = listAlertsSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const siteIds = auth.siteFilter(req.siteScope, value.site);
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const alerts = await safety.listAlerts(req.study.studyId, {
+      statuses: value.status,
+      severities: value.severity,
+      siteIds,
+      surveyId: value.surveyId,
+      patientId: value.patientId
+    });
+    res.json({ studyId: req.study.studyId, alerts });
+  } catch (err) {
+    console.error('Error listing safety alerts:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/:alertId', auth.requirePermission('alert:read'), loadStudy, async (req, res) => {
+  try {
+    const alert = await safety.findAlert(req.study.studyId, req.params.alertId);
+    if (!alert || !auth.canSeeSite(req.auth, alert.studyId, alert.siteId)) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json(alert);
+  } catch (err) {
+    console.error('Error fetching safety alert:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Handler moving an alert on with one triage action
+function transition(action, schema) {
+  return async (req, res) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    try {
+      const before = await safety.findAlert(req.study.studyId, req.params.alertId);
+      if (!before || !auth.canSeeSite(req.auth, before.studyId, before.siteId)) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      const alert = await safety.transitionAlert(req.study.studyId, req.params.alertId, action, {
+        note: value.note,
+        severity: value.severity,
+        outcome: value.outcome,
+        userId: req.auth.userId
+      });
+
+      await audit.record({
+        action: 'update',
+        entityType: 'safety_alert',
+        entityId: alert.alertId,
+        studyId: alert.studyId,
+        surveyId: alert.surveyId,
+        context: audit.auditContext(req),
+        oldValues: { status: before.status, severity: before.severity },
+        newValues: { status: alert.status, severity: alert.severity, outcome: alert.outcome, action }
+      });
+
+      res.json(alert);
+    } catch (err) {
+      if (err instanceof safety.AlertError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(`Error on safety alert ${action}:`, err);
+      res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+// Investigators triage alerts: acknowledge them, then close them with an outcome
+router.post('/:alertId/acknowledge', auth.requirePermission('alert:triage'), loadStudy, transition('acknowledge', acknowledgeSchema));
+router.post('/:alertId/close', auth.requirePermission('alert:triage'), loadStudy, transition('close', closeSchema));
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const Joi = require('joi');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+const router = express.Router();
+
+const auditQuerySchema = Joi.object({
+  studyId: Joi.string(),
+  surveyId: Joi.string(),
+  userId: Joi.string(),
+  action: Joi.string().valid('create', 'update', 'delete', 'export', 'read'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Query the audit log by study, survey and/or acting user. Study data
+// managers and admins may query their own study unless they are kept to
+// some of its sites; queries across studies need a global admin.
+router.get('/', async (req, res) => {
+  const { error, value } = auditQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const allowed = value.studyId
+    ? auth.can(req.auth, 'audit:read', value.studyId) && !auth.siteScope(req.auth, value.studyId)
+    : auth.isGlobalAdmin(req.auth);
+  if (!allowed) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const entries = await audit.query({
+      studyId: value.studyId,
+      surveyId: value.surveyId,
+      actorId: value.userId,
+      action: value.action,
+      from: value.from && value.from.toISOString(),
+      to: value.to && value.to.toISOString(),
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        limit: value.limit,
+        offset: value.offset,
+        hasMore: entries.length === value.limit
+      }
+    });
+  } catch (err) {
+    console.error('Error querying audit log:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Walk the hash chain and report any breaks
+router.get('/verify', auth.requireGlobalAdmin, async (req, res) => {
+  try {
+    res.json(await audit.verifyChain());
+  } catch (err) {
+    console.error('Error verifying audit log:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
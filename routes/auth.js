@@ -0,0 +1,140 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Joi = require('joi');
+const auth = require('../lib/auth');
+const users = require('../lib/users');
+const sessions = require('../lib/sessions');
+
+const router = express.Router();
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const resumeSchema = Joi.object({
+  resumeCode: Joi.string().max(20).required()
+});
+
+// Log in with email and password
+router.post('/login', loginLimiter, async (req, res) => {
+  const { error, value } = loginSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const user = await auth.verifyCredentials(value.email, value.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ ...await auth.issueTokens(user), user });
+  } catch (err) {
+    console.error('Error logging in:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const result = await auth.rotateRefreshToken(value.refreshToken);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ ...result.tokens, user: result.user });
+  } catch (err) {
+    console.error('Error refreshing token:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a refresh token
+router.post('/logout', async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    await auth.revokeRefreshToken(value.refreshToken);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a draft's resume code for a patient token, so the patient can
+// continue the survey on another device. Rate limited like login since the
+// code is the only credential.
+router.post('/resume', loginLimiter, async (req, res) => {
+  const { error, value } = resumeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const session = await sessions.findSessionByResumeCode(value.resumeCode);
+    if (!session) {
+      return res.status(404).json({ error: 'Unknown resume code' });
+    }
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'This survey was already submitted' });
+    }
+    if (session.status === 'abandoned') {
+      return res.status(410).json({ error: 'This draft has expired' });
+    }
+
+    const { token, expiresAt } = auth.signPatientToken(session.studyId, session.patientId, 'resume');
+    res.json({ token, expiresAt, session });
+  } catch (err) {
+    console.error('Error resuming draft:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current user and roles
+router.get('/me', auth.authenticate, async (req, res) => {
+  if (req.auth.type === 'patient') {
+    return res.json(req.auth);
+  }
+
+  try {
+    res.json(await users.findUserById(req.auth.userId));
+  } catch (err) {
+    console.error('Error fetching current user:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
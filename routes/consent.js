@@ -0,0 +1,156 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const consent = require('../lib/consent');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/consent
+const router = express.Router({ mergeParams: true });
+
+const documentSchema = Joi.object({
+  title: Joi.string().max(200).required(),
+  // Plain text shown to the patient before any questions
+  body: Joi.string().max(100000).required(),
+  // What changed since the previous version, for the study record
+  changeNote: Joi.string().max(1000)
+});
+
+const listParam = Joi.string().max(2000).custom(value => value.split(',').map(v => v.trim()).filter(Boolean));
+
+const statusQuerySchema = Joi.object({
+  site: listParam,
+  status: Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').map(v => v.trim());
+    return statuses.every(status => consent.CONSENT_STATUSES.includes(status)) ? statuses : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': `"status" must be a comma-separated list of ${consent.CONSENT_STATUSES.join(', ')}` })
+});
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+router.get('/documents', auth.requirePermission('study:read'), loadStudy, async (req, res) => {
+  try {
+    const documents = await consent.listDocuments(req.study.studyId);
+    res.json({ studyId: req.study.studyId, documents });
+  } catch (err) {
+    console.error('Error listing consent documents:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// The document patients are asked to consent to
+router.get('/documents/current', auth.requirePermission('study:read'), loadStudy, async (req, res) => {
+  try {
+    const document = await consent.currentDocument(req.study.studyId);
+    if (!document) {
+      return res.status(404).json({ error: 'Study has no consent document' });
+    }
+
+    res.json(document);
+  } catch (err) {
+    console.error('Error fetching consent document:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/documents/:version', auth.requirePermission('study:read'), loadStudy, async (req, res) => {
+  try {
+    const document = await consent.findDocument(req.study.studyId, parseInt(req.params.version));
+    if (!document) {
+      return res.status(404).json({ error: 'Consent document not found' });
+    }
+
+    res.json(document);
+  } catch (err) {
+    console.error('Error fetching consent document:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Publish a new consent document version. Subjects who consented to an
+// earlier one are flagged for re-consent and listed in the response.
+router.post('/documents', auth.requirePermission('study:manage'), loadStudy, async (req, res) => {
+  const { error, value } = documentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const document = await consent.publishDocument({
+      studyId: req.study.studyId,
+      title: value.title,
+      body: value.body,
+      changeNote: value.changeNote,
+      createdBy: req.auth.userId
+    });
+    const { patients } = await consent.listConsentStatus(req.study.studyId, { statuses: ['reconsent_required'] });
+    const reconsentRequired = patients.map(patient => patient.patientId);
+
+    await audit.record({
+      action: 'create',
+      entityType: 'consent_document',
+      entityId: String(document.version),
+      studyId: document.studyId,
+      context: audit.auditContext(req),
+      reason: document.changeNote,
+      newValues: {
+        version: document.version,
+        title: document.title,
+        contentHash: document.contentHash,
+        reconsentRequired: reconsentRequired.length
+      }
+    });
+
+    res.status(201).json({ document, reconsentRequired });
+  } catch (err) {
+    console.error('Error publishing consent document:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Consent status of every enrolled subject. Filters: site, status
+// (comma-separated), e.g. status=reconsent_required
+router.get('/status', auth.requirePermission('survey:read'), loadStudy, async (req, res) => {
+  const { error, value } = statusQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const siteIds = auth.siteFilter(req.siteScope, value.site);
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const status = await consent.listConsentStatus(req.study.studyId, {
+      siteIds,
+      statuses: value.status
+    });
+    res.json({ studyId: req.study.studyId, ...status });
+  } catch (err) {
+    console.error('Error listing consent status:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
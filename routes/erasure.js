@@ -0,0 +1,97 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const erasure = require('../lib/erasure');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/erasure
+const router = express.Router({ mergeParams: true });
+
+const runSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// The study's retention policy and what it would remove if applied now
+router.get('/retention', auth.requirePermission('study:manage'), loadStudy, async (req, res) => {
+  try {
+    res.json(await erasure.applyRetention(req.study, { dryRun: true }));
+  } catch (err) {
+    console.error('Error reporting retention:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Apply the retention policy now instead of waiting for the scheduled job
+router.post('/retention/run', auth.requirePermission('study:manage'), loadStudy, async (req, res) => {
+  const { error, value } = runSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  if (req.study.retention.action === 'keep') {
+    return res.status(409).json({ error: 'Study keeps its data; set a retention policy first' });
+  }
+
+  try {
+    const result = await erasure.applyRetention(req.study, {
+      dryRun: value.dryRun,
+      context: audit.auditContext(req)
+    });
+    if (result.skipped) {
+      return res.status(423).json({ error: result.skipped });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Error applying retention policy:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/certificates', auth.requirePermission('audit:read'), loadStudy, async (req, res) => {
+  try {
+    const certificates = await erasure.listCertificates(req.study.studyId);
+    res.json({ studyId: req.study.studyId, certificates });
+  } catch (err) {
+    console.error('Error listing erasure certificates:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// A certificate as issued. Its hash is the SHA-256 of its canonical JSON
+// without the hash field, and auditSeq/auditHash locate the audit entry
+// recorded with it.
+router.get('/certificates/:certificateId', auth.requirePermission('audit:read'), loadStudy, async (req, res) => {
+  try {
+    const certificate = await erasure.findCertificate(req.study.studyId, req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    res.json(certificate);
+  } catch (err) {
+    console.error('Error fetching erasure certificate:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const studies = require('../lib/studies');
+const imports = require('../lib/imports');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/imports
+const router = express.Router({ mergeParams: true });
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Committed imports of the study, newest first
+router.get('/', auth.requirePermission('survey:import'), loadStudy, async (req, res) => {
+  try {
+    res.json({ studyId: req.study.studyId, imports: await imports.listImports(req.study.studyId) });
+  } catch (err) {
+    console.error('Error listing imports:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/:importId', auth.requirePermission('survey:import'), loadStudy, async (req, res) => {
+  try {
+    const found = await imports.findImport(req.study.studyId, req.params.importId);
+    if (!found) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json(found);
+  } catch (err) {
+    console.error('Error fetching import:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Import surveys from a CSV or JSON file with `source`, `format`, `layout`,
+// `content` and an optional column `mapping`. Runs as a dry run unless
+// `dryRun` is false; committing needs the `checksum` the dry run reported.
+// The report gives each record's rows, status and errors.
+router.post('/', auth.requirePermission('survey:import'), loadStudy, async (req, res) => {
+  try {
+    const report = await imports.runImport(req.study, req.body, {
+      auth: req.auth,
+      context: audit.auditContext(req)
+    });
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (err) {
+    if (err instanceof imports.ImportError) {
+      return res.status(err.status).json({
+        error: err.message,
+        ...(err.details && { details: err.details })
+      });
+    }
+    console.error('Error importing surveys:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
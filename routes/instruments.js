@@ -0,0 +1,25 @@
+const express = require('express');
+const instruments = require('../lib/instruments');
+
+// Mounted at /api/instruments. The library is the same for every study, so
+// any signed-in caller may read it.
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ instruments: instruments.INSTRUMENTS.map(instruments.summarise) });
+});
+
+// Full definition: items with their response codes, and scoring
+router.get('/:instrumentId', (req, res) => {
+  const instrument = instruments.findInstrument(req.params.instrumentId);
+  if (!instrument) {
+    return res.status(404).json({ error: 'Instrument not found' });
+  }
+
+  res.json({
+    ...instrument,
+    scores: instrument.scores.map(score => ({ ...score, variable: instruments.scoreVariable(instrument, score) }))
+  });
+});
+
+module.exports = router;
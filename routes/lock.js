@@ -0,0 +1,214 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const dataLock = require('../lib/data-lock');
+const enrollment = require('../lib/enrollment');
+const users = require('../lib/users');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/lock
+const router = express.Router({ mergeParams: true });
+
+// Signing takes a password, so slow down guessing it as on login. Only
+// refused attempts count, since signing off many subjects is routine.
+const signatureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().max(500).required()
+});
+
+// Electronic signature: the signer's email and password, and why they sign
+const signatureSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required(),
+  reason: Joi.string().max(500).required()
+});
+
+const signOffQuerySchema = Joi.object({
+  patient: Joi.string().max(100)
+});
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Subjects of sites the caller may not see are reported as missing
+async function checkSubjectSite(req, res, next) {
+  try {
+    const patient = await enrollment.findPatient(req.params.studyId, req.params.patientId);
+    if (patient && !auth.canSeeSite(req.auth, patient.studyId, patient.siteId)) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Error fetching patient:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// The validated body, or null once a 400 has been sent
+function checkBody(req, res, signed) {
+  const { error, value } = (signed ? signatureSchema : reasonSchema).validate(req.body);
+  if (error) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+    return null;
+  }
+  return value;
+}
+
+// Signed actions check the caller's email and password again
+async function credentialsRejected(req, res, value) {
+  if (await auth.confirmCredentials(req.auth.userId, value.email, value.password)) return false;
+  res.status(401).json({ error: 'Invalid email or password' });
+  return true;
+}
+
+function sendLockError(res, err, what) {
+  if (err instanceof dataLock.LockError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error ${what}:`, err);
+  res.status(500).json({ error: 'Database error' });
+}
+
+async function sendLock(req, res) {
+  try {
+    const lock = await dataLock.findLock(req.study.studyId, req.params.patientId);
+    if (!lock) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    res.json(lock);
+  } catch (err) {
+    sendLockError(res, err, 'fetching lock state');
+  }
+}
+
+// Handler for one lock action on the study, or on the subject in the route
+function lockAction(action, { signed = false } = {}) {
+  return async (req, res) => {
+    const value = checkBody(req, res, signed);
+    if (!value) return;
+
+    try {
+      if (signed && await credentialsRejected(req, res, value)) return;
+
+      const lock = await dataLock.changeLock({
+        studyId: req.study.studyId,
+        patientId: req.params.patientId,
+        action,
+        reason: value.reason,
+        changedBy: req.auth.userId,
+        context: audit.auditContext(req)
+      });
+      res.json(lock);
+    } catch (err) {
+      sendLockError(res, err, `on data ${action}`);
+    }
+  };
+}
+
+// Sign off the frozen data of the study, or of the subject in the route.
+// The signer signs as data manager or investigator, whichever they are.
+async function signOff(req, res) {
+  const value = checkBody(req, res, true);
+  if (!value) return;
+
+  const role = auth.rolesFor(req.auth, req.study.studyId).find(r => dataLock.SIGN_OFF_ROLES.includes(r));
+  if (!role) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    if (await credentialsRejected(req, res, value)) return;
+
+    const signer = await users.findUserById(req.auth.userId);
+    const signOff = await dataLock.signOff({
+      studyId: req.study.studyId,
+      patientId: req.params.patientId,
+      role,
+      reason: value.reason,
+      signer,
+      context: audit.auditContext(req)
+    });
+    res.status(201).json(signOff);
+  } catch (err) {
+    sendLockError(res, err, 'signing off data');
+  }
+}
+
+router.get('/', auth.requirePermission('lock:read'), loadStudy, sendLock);
+
+// Sign-offs and checksums, and actions on the study as a whole, cover
+// every site, so they are closed to callers kept to some sites
+router.get('/sign-offs', auth.requirePermission('lock:read'), auth.requireAllSites, loadStudy, async (req, res) => {
+  const { error, value } = signOffQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const signOffs = await dataLock.listSignOffs(req.study.studyId, { patientId: value.patient });
+    res.json({ studyId: req.study.studyId, signOffs });
+  } catch (err) {
+    console.error('Error listing sign-offs:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Checksums of the exports of a locked study, as JSON or, with
+// ?format=sha256sum, in the format `sha256sum --check` reads
+router.get('/manifest', auth.requirePermission('study:export'), auth.requireAllSites, loadStudy, async (req, res) => {
+  try {
+    const manifest = await dataLock.exportManifest(req.study.studyId);
+    if (req.query.format === 'sha256sum') {
+      res.type('text/plain').send(manifest.files.map(file => `${file.sha256}  ${file.file}\n`).join(''));
+      return;
+    }
+
+    res.json(manifest);
+  } catch (err) {
+    sendLockError(res, err, 'building export manifest');
+  }
+});
+
+router.post('/freeze', auth.requirePermission('lock:freeze'), auth.requireAllSites, loadStudy, lockAction('freeze'));
+router.post('/unfreeze', auth.requirePermission('lock:freeze'), auth.requireAllSites, loadStudy, lockAction('unfreeze'));
+router.post('/sign-offs', signatureLimiter, auth.requirePermission('lock:sign'), auth.requireAllSites, loadStudy, signOff);
+router.post('/lock', signatureLimiter, auth.requirePermission('lock:lock'), auth.requireAllSites, loadStudy, lockAction('lock', { signed: true }));
+router.post('/unlock', signatureLimiter, auth.requirePermission('lock:unlock'), auth.requireAllSites, loadStudy, lockAction('unlock', { signed: true }));
+
+// The same for one subject's data
+router.get('/subjects/:patientId', auth.requirePermission('lock:read'), checkSubjectSite, loadStudy, sendLock);
+router.post('/subjects/:patientId/freeze', auth.requirePermission('lock:freeze'), checkSubjectSite, loadStudy, lockAction('freeze'));
+router.post('/subjects/:patientId/unfreeze', auth.requirePermission('lock:freeze'), checkSubjectSite, loadStudy, lockAction('unfreeze'));
+router.post('/subjects/:patientId/sign-offs', signatureLimiter, auth.requirePermission('lock:sign'), checkSubjectSite, loadStudy, signOff);
+router.post('/subjects/:patientId/lock', signatureLimiter, auth.requirePermission('lock:lock'), checkSubjectSite, loadStudy, lockAction('lock', { signed: true }));
+router.post('/subjects/:patientId/unlock', signatureLimiter, auth.requirePermission('lock:unlock'), checkSubjectSite, loadStudy, lockAction('unlock', { signed: true }));
+
+module.exports = router;
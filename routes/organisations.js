@@ -0,0 +1,118 @@
+const express = require('express');
+const Joi = require('joi');
+const organisations = require('../lib/organisations');
+const studies = require('../lib/studies');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Organisations are managed by platform administrators only
+const router = express.Router();
+
+const createOrganisationSchema = Joi.object({
+  orgId: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(100).required(),
+  name: Joi.string().max(200).required()
+});
+
+const updateOrganisationSchema = Joi.object({
+  name: Joi.string().max(200).required()
+});
+
+router.get('/', auth.requireGlobalAdmin, async (req, res) => {
+  try {
+    res.json({ organisations: await organisations.listOrganisations() });
+  } catch (err) {
+    console.error('Error listing organisations:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.post('/', auth.requireGlobalAdmin, async (req, res) => {
+  const { error, value } = createOrganisationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    if (await organisations.findOrganisation(value.orgId)) {
+      return res.status(409).json({ error: 'Organisation already exists' });
+    }
+
+    res.status(201).json(await organisations.createOrganisation(value, req.auth.userId));
+  } catch (err) {
+    console.error('Error creating organisation:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// An organisation with the IDs of its studies
+router.get('/:orgId', auth.requireGlobalAdmin, async (req, res) => {
+  try {
+    const organisation = await organisations.findOrganisation(req.params.orgId);
+    if (!organisation) {
+      return res.status(404).json({ error: 'Organisation not found' });
+    }
+
+    res.json(organisation);
+  } catch (err) {
+    console.error('Error fetching organisation:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.patch('/:orgId', auth.requireGlobalAdmin, async (req, res) => {
+  const { error, value } = updateOrganisationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const organisation = await organisations.renameOrganisation(req.params.orgId, value.name);
+    if (!organisation) {
+      return res.status(404).json({ error: 'Organisation not found' });
+    }
+
+    res.json(organisation);
+  } catch (err) {
+    console.error('Error updating organisation:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Move a study to the organisation. Its users outside the organisation
+// lose access to it, except platform staff.
+router.put('/:orgId/studies/:studyId', auth.requireGlobalAdmin, async (req, res) => {
+  try {
+    const organisation = await organisations.findOrganisation(req.params.orgId);
+    if (!organisation) {
+      return res.status(404).json({ error: 'Organisation not found' });
+    }
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    await studies.assignOrganisation(study.studyId, organisation.orgId);
+    await audit.record({
+      action: 'update',
+      entityType: 'study',
+      entityId: study.studyId,
+      studyId: study.studyId,
+      context: audit.auditContext(req),
+      oldValues: { orgId: study.orgId },
+      newValues: { orgId: organisation.orgId }
+    });
+
+    res.json(await organisations.findOrganisation(organisation.orgId));
+  } catch (err) {
+    console.error('Error assigning study to organisation:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
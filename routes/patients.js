@@ -0,0 +1,480 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const enrollment = require('../lib/enrollment');
+const sites = require('../lib/sites');
+const consent = require('../lib/consent');
+const erasure = require('../lib/erasure');
+const dataLock = require('../lib/data-lock');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/patients
+const router = express.Router({ mergeParams: true });
+
+const dateOnly = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+  return Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value;
+});
+
+// Identifier types are short names such as mrn or national_id
+const identifierType = Joi.string().pattern(/^[a-z][a-z0-9_]{0,29}$/);
+
+const enrollSchema = Joi.object({
+  siteId: Joi.string().max(100).required(),
+  // Day 0 of the visit schedule; defaults to today
+  startDate: dateOnly,
+  // When informed consent was obtained, if it already was
+  consentedAt: Joi.date().iso(),
+  identifiers: Joi.object().pattern(identifierType, Joi.string().trim().min(1).max(200)).default({})
+});
+
+const consentSchema = Joi.object({
+  consentedAt: Joi.date().iso().default(() => new Date())
+});
+
+const withdrawSchema = Joi.object({
+  reason: Joi.string().max(500).required()
+});
+
+const signConsentSchema = Joi.object({
+  // The consent document version the patient was shown
+  documentVersion: Joi.number().integer().min(1).required(),
+  signerName: Joi.string().trim().min(1).max(200).required(),
+  // Drawn signature, optional
+  signature: Joi.string().max(200000).pattern(/^data:image\/png;base64,[A-Za-z0-9+/=]+$/),
+  agreed: Joi.boolean().valid(true).required()
+});
+
+const erasureSchema = Joi.object({
+  action: Joi.string().valid(...erasure.ERASURE_ACTIONS).required(),
+  reason: Joi.string().max(500).required(),
+  // Report what would be removed without removing it
+  dryRun: Joi.boolean().default(false)
+});
+
+const lookupSchema = Joi.object({
+  type: identifierType.required(),
+  value: Joi.string().trim().max(200).required()
+});
+
+const listParam = Joi.string().max(2000).custom(value => value.split(',').map(v => v.trim()).filter(Boolean));
+
+const listQuerySchema = Joi.object({
+  site: listParam,
+  status: Joi.string().valid(...enrollment.PATIENT_STATUSES)
+});
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Patient tokens may only act for their own patient
+function ownPatientOnly(req, res, next) {
+  if (req.auth.type === 'patient' && req.auth.patientId !== req.params.patientId) {
+    return res.status(403).json({ error: 'Token does not match patient' });
+  }
+  next();
+}
+
+// Load the patient named in the route; subjects of sites the caller may
+// not see are reported as missing
+async function loadPatient(req, res, next) {
+  try {
+    const patient = await enrollment.findPatient(req.params.studyId, req.params.patientId);
+    if (!patient || !auth.canSeeSite(req.auth, patient.studyId, patient.siteId)) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    req.patient = patient;
+    next();
+  } catch (err) {
+    console.error('Error fetching patient:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Frozen or locked data takes no writes. Withdrawals of the subject or of
+// their consent are still recorded: they stop collection, which the lock
+// has stopped already, and are the subject's right.
+async function requireOpen(req, res, next) {
+  try {
+    const locked = await dataLock.lockRefusal(req.params.studyId, req.params.patientId);
+    if (locked) {
+      return res.status(423).json({ error: locked });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Error checking data lock:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Enroll a subject and issue their pseudonymous subject ID. Identifying
+// details go to the protected identifier table and are not echoed back.
+router.post('/', auth.requirePermission('patient:register'), loadStudy, requireOpen, async (req, res) => {
+  const { error, value } = enrollSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  if (!req.study.isActive) {
+    return res.status(400).json({ error: 'Study is not enrolling' });
+  }
+  if (!auth.canSeeSite(req.auth, req.study.studyId, value.siteId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const siteRefusal = await sites.siteRefusal(req.study.studyId, value.siteId);
+    if (siteRefusal) {
+      return res.status(400).json({ error: siteRefusal });
+    }
+
+    const patient = await enrollment.enrollPatient({
+      studyId: req.study.studyId,
+      siteId: value.siteId,
+      startDate: value.startDate || new Date().toISOString().slice(0, 10),
+      consentedAt: value.consentedAt && value.consentedAt.toISOString(),
+      identifiers: value.identifiers,
+      enrolledBy: req.auth.userId
+    });
+
+    await audit.record({
+      action: 'create',
+      entityType: 'patient',
+      entityId: patient.patientId,
+      studyId: patient.studyId,
+      context: audit.auditContext(req),
+      newValues: { ...patient, identifierTypes: Object.keys(value.identifiers) }
+    });
+
+    res.status(201).json(patient);
+  } catch (err) {
+    if (err instanceof enrollment.EnrollmentError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error enrolling patient:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List a study's subjects; filters: site (comma-separated), status
+router.get('/', auth.requirePermission('survey:read'), loadStudy, async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  const siteIds = auth.siteFilter(req.siteScope, value.site);
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const patients = await enrollment.listPatients(req.study.studyId, {
+      siteIds,
+      statuses: value.status && [value.status]
+    });
+    res.json({ studyId: req.study.studyId, patients });
+  } catch (err) {
+    console.error('Error listing patients:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Find the subject ID belonging to an identifier. A POST, so the
+// identifier stays out of URLs and access logs.
+router.post('/lookup', auth.requirePermission('patient:identify'), loadStudy, async (req, res) => {
+  const { error, value } = lookupSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const found = await enrollment.findPatientByIdentifier(req.study.studyId, value.type, value.value);
+    const patient = found && auth.canSeeSite(req.auth, found.studyId, found.siteId) ? found : null;
+
+    await audit.record({
+      action: 'read',
+      entityType: 'patient_identifier',
+      entityId: patient ? patient.patientId : null,
+      studyId: req.study.studyId,
+      context: audit.auditContext(req),
+      newValues: { lookup: value.type, found: Boolean(patient) }
+    });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    res.json(patient);
+  } catch (err) {
+    console.error('Error looking up patient:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/:patientId', auth.requirePermission('survey:read'), loadPatient, (req, res) => {
+  res.json(req.patient);
+});
+
+// Directly identifying details of a subject; every access is audited
+router.get('/:patientId/identifiers', auth.requirePermission('patient:identify'), loadPatient, async (req, res) => {
+  try {
+    const identifiers = await enrollment.findIdentifiers(req.patient.studyId, req.patient.patientId);
+
+    await audit.record({
+      action: 'read',
+      entityType: 'patient_identifier',
+      entityId: req.patient.patientId,
+      studyId: req.patient.studyId,
+      context: audit.auditContext(req),
+      newValues: { identifierTypes: identifiers.map(identifier => identifier.type) }
+    });
+
+    res.json({ patientId: req.patient.patientId, identifiers });
+  } catch (err) {
+    console.error('Error fetching patient identifiers:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Record that informed consent was obtained on paper, for studies
+// without a consent document
+router.post('/:patientId/consent', auth.requirePermission('patient:register'), loadPatient, requireOpen, async (req, res) => {
+  const { error, value } = consentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  if (req.patient.status === 'withdrawn') {
+    return res.status(409).json({ error: 'Patient has withdrawn from this study' });
+  }
+
+  try {
+    if (await consent.currentDocument(req.patient.studyId)) {
+      return res.status(409).json({ error: 'Study uses electronic consent; record consent to its consent document' });
+    }
+
+    const patient = await enrollment.recordConsent(req.patient.studyId, req.patient.patientId, value.consentedAt.toISOString());
+
+    await audit.record({
+      action: 'update',
+      entityType: 'patient',
+      entityId: patient.patientId,
+      studyId: patient.studyId,
+      context: audit.auditContext(req),
+      oldValues: { consentedAt: req.patient.consentedAt },
+      newValues: { consentedAt: patient.consentedAt }
+    });
+
+    res.json(patient);
+  } catch (err) {
+    console.error('Error recording consent:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Where the subject's consent stands, with their consent records
+router.get('/:patientId/consents', auth.requirePermission('consent:read'), ownPatientOnly, loadPatient, async (req, res) => {
+  try {
+    const state = await consent.consentState(req.patient.studyId, req.patient);
+    const records = await consent.listRecords(req.patient.studyId, req.patient.patientId);
+    res.json({ ...state, records });
+  } catch (err) {
+    console.error('Error fetching consent:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Record the subject's signed consent to the study's current consent
+// document, given by the patient on the form or taken by a coordinator
+router.post('/:patientId/consents', auth.requirePermission('consent:sign'), ownPatientOnly, loadPatient, requireOpen, async (req, res) => {
+  const { error, value } = signConsentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  const refusal = enrollment.enrollmentRefusal(req.patient);
+  if (refusal) {
+    return res.status(409).json({ error: refusal });
+  }
+
+  try {
+    const record = await consent.recordConsent({
+      studyId: req.patient.studyId,
+      patientId: req.patient.patientId,
+      documentVersion: value.documentVersion,
+      signerName: value.signerName,
+      signature: value.signature,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      capturedBy: req.auth.type === 'user' ? req.auth.userId : null
+    });
+
+    // The signer's name and signature stay out of the audit log
+    await audit.record({
+      action: 'create',
+      entityType: 'consent',
+      entityId: record.consentId,
+      studyId: record.studyId,
+      context: audit.auditContext(req),
+      newValues: record
+    });
+
+    res.status(201).json(record);
+  } catch (err) {
+    if (err instanceof consent.ConsentError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error recording consent:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// One consent record with the signer's name and signature; every access is audited
+router.get('/:patientId/consents/:consentId', auth.requirePermission('patient:identify'), loadPatient, async (req, res) => {
+  try {
+    const record = await consent.findRecord(req.patient.studyId, req.patient.patientId, req.params.consentId);
+    if (!record) {
+      return res.status(404).json({ error: 'Consent record not found' });
+    }
+
+    await audit.record({
+      action: 'read',
+      entityType: 'consent',
+      entityId: record.consentId,
+      studyId: record.studyId,
+      context: audit.auditContext(req),
+      newValues: { patientId: record.patientId }
+    });
+
+    res.json(record);
+  } catch (err) {
+    console.error('Error fetching consent record:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Withdraw the subject's consent, which withdraws them from the study.
+// Patients can do this themselves from their survey link.
+router.post('/:patientId/consents/withdraw', auth.requirePermission('consent:sign'), ownPatientOnly, loadPatient, async (req, res) => {
+  const { error, value } = withdrawSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  if (req.patient.status === 'withdrawn') {
+    return res.status(409).json({ error: 'Patient has already withdrawn' });
+  }
+
+  try {
+    const withdrawnAt = await consent.withdrawConsent(req.patient.studyId, req.patient.patientId, value.reason);
+
+    await audit.record({
+      action: 'update',
+      entityType: 'consent',
+      entityId: req.patient.patientId,
+      studyId: req.patient.studyId,
+      context: audit.auditContext(req),
+      reason: value.reason,
+      oldValues: { status: req.patient.status },
+      newValues: { status: 'withdrawn', withdrawnAt }
+    });
+
+    res.json(await enrollment.findPatient(req.patient.studyId, req.patient.patientId));
+  } catch (err) {
+    console.error('Error withdrawing consent:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Withdraw a subject; surveys collected so far are kept, new ones refused
+router.post('/:patientId/withdraw', auth.requirePermission('patient:register'), loadPatient, async (req, res) => {
+  const { error, value } = withdrawSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+  if (req.patient.status === 'withdrawn') {
+    return res.status(409).json({ error: 'Patient has already withdrawn' });
+  }
+
+  try {
+    const patient = await enrollment.withdrawPatient(req.patient.studyId, req.patient.patientId, value.reason);
+
+    await audit.record({
+      action: 'update',
+      entityType: 'patient',
+      entityId: patient.patientId,
+      studyId: patient.studyId,
+      context: audit.auditContext(req),
+      reason: value.reason,
+      oldValues: { status: req.patient.status },
+      newValues: { status: patient.status, withdrawnAt: patient.withdrawnAt }
+    });
+
+    res.json(patient);
+  } catch (err) {
+    console.error('Error withdrawing patient:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Erase the subject's data on a right-to-erasure request: delete it, or
+// anonymise it so coded answers can still be analysed. The subject is
+// withdrawn. Returns the certificate of erasure, or with dryRun a report.
+router.post('/:patientId/erasure', auth.requirePermission('patient:erase'), loadPatient, requireOpen, async (req, res) => {
+  const { error, value } = erasureSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const result = await erasure.eraseSubject({
+      studyId: req.patient.studyId,
+      patientId: req.patient.patientId,
+      action: value.action,
+      reason: value.reason,
+      dryRun: value.dryRun,
+      context: audit.auditContext(req)
+    });
+
+    res.status(value.dryRun ? 200 : 201).json(result);
+  } catch (err) {
+    console.error('Error erasing patient data:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
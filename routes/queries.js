@@ -0,0 +1,213 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const queries = require('../lib/queries');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/queries
+const router = express.Router({ mergeParams: true });
+
+const listParam = Joi.string().max(2000).custom(value => value.split(',').map(v => v.trim()).filter(Boolean));
+
+// Comma-separated list limited to the given values
+function listOf(values, name) {
+  return Joi.string().max(2000).custom((value, helpers) => {
+    const items = value.split(',').map(v => v.trim());
+    return items.every(item => values.includes(item)) ? items : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': `"${name}" must be a comma-separated list of ${values.join(', ')}` });
+}
+
+const listQuerySchema = Joi.object({
+  site: listParam,
+  status: listOf(queries.QUERY_STATUSES, 'status'),
+  checkType: listOf(queries.QUERY_CHECK_TYPES, 'checkType'),
+  surveyId: Joi.string().max(100),
+  patientId: Joi.string().max(100)
+});
+
+const openSchema = Joi.object({
+  surveyId: Joi.string().max(100).required(),
+  // Leave out to query the survey as a whole
+  questionId: Joi.number().integer().min(1),
+  message: Joi.string().max(2000).required()
+});
+
+// The site must explain an answer; other steps may leave a note
+const answerSchema = Joi.object({ text: Joi.string().max(2000).required() });
+const noteSchema = Joi.object({ text: Joi.string().max(2000) });
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Filters: status, checkType and site (comma-separated), surveyId, patientId
+router.get('/', auth.requirePermission('query:read'), loadStudy, async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const siteIds = auth.siteFilter(req.siteScope, value.site);
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const list = await queries.listQueries(req.study.studyId, {
+      statuses: value.status,
+      checkTypes: value.checkType,
+      siteIds,
+      surveyId: value.surveyId,
+      patientId: value.patientId
+    });
+    res.json({ studyId: req.study.studyId, queries: list });
+  } catch (err) {
+    console.error('Error listing queries:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Query counts by status, overall and per site, with ages and resolution
+// times. Callers kept to some sites get the figures of those sites.
+router.get('/metrics', auth.requirePermission('query:read'), loadStudy, async (req, res) => {
+  try {
+    const metrics = await queries.queryMetrics(req.study.studyId, { siteIds: req.siteScope || undefined });
+    res.json({ studyId: req.study.studyId, ...metrics });
+  } catch (err) {
+    console.error('Error computing query metrics:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Run the edit checks over every survey already collected, e.g. after
+// adding checks to the study configuration
+router.post('/checks/run', auth.requirePermission('query:manage'), auth.requireAllSites, loadStudy, async (req, res) => {
+  try {
+    const totals = await queries.runStudyChecks(req.study.studyId);
+    res.json({ studyId: req.study.studyId, ...totals });
+  } catch (err) {
+    console.error('Error running edit checks:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Raise a query by hand
+router.post('/', auth.requirePermission('query:manage'), loadStudy, async (req, res) => {
+  const { error, value } = openSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const query = await queries.openQuery({
+      studyId: req.study.studyId,
+      surveyId: value.surveyId,
+      questionId: value.questionId,
+      message: value.message,
+      raisedBy: req.auth.userId,
+      siteIds: req.siteScope || undefined
+    });
+
+    await audit.record({
+      action: 'create',
+      entityType: 'query',
+      entityId: query.queryId,
+      studyId: query.studyId,
+      surveyId: query.surveyId,
+      context: audit.auditContext(req),
+      newValues: { questionId: query.questionId, status: query.status }
+    });
+
+    res.status(201).json(query);
+  } catch (err) {
+    if (err instanceof queries.QueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error raising query:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/:queryId', auth.requirePermission('query:read'), loadStudy, async (req, res) => {
+  try {
+    const query = await queries.findQuery(req.study.studyId, req.params.queryId);
+    if (!query || !auth.canSeeSite(req.auth, query.studyId, query.siteId)) {
+      return res.status(404).json({ error: 'Query not found' });
+    }
+
+    res.json(query);
+  } catch (err) {
+    console.error('Error fetching query:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Handler moving a query on with one workflow action
+function transition(action, schema) {
+  return async (req, res) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    try {
+      const before = await queries.findQuery(req.study.studyId, req.params.queryId);
+      if (!before || !auth.canSeeSite(req.auth, before.studyId, before.siteId)) {
+        return res.status(404).json({ error: 'Query not found' });
+      }
+      const query = await queries.transitionQuery(req.study.studyId, req.params.queryId, action, {
+        text: value.text,
+        author: req.auth.userId
+      });
+
+      await audit.record({
+        action: 'update',
+        entityType: 'query',
+        entityId: query.queryId,
+        studyId: query.studyId,
+        surveyId: query.surveyId,
+        context: audit.auditContext(req),
+        oldValues: { status: before.status },
+        newValues: { status: query.status, action }
+      });
+
+      res.json(query);
+    } catch (err) {
+      if (err instanceof queries.QueryError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(`Error on query ${action}:`, err);
+      res.status(500).json({ error: 'Database error' });
+    }
+  };
+}
+
+// Sites answer queries; data managers resolve, close and reopen them
+router.post('/:queryId/answer', auth.requirePermission('query:answer'), loadStudy, transition('answer', answerSchema));
+router.post('/:queryId/resolve', auth.requirePermission('query:manage'), loadStudy, transition('resolve', noteSchema));
+router.post('/:queryId/close', auth.requirePermission('query:manage'), loadStudy, transition('close', noteSchema));
+router.post('/:queryId/reopen', auth.requirePermission('query:manage'), loadStudy, transition('reopen', answerSchema));
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const { validateDraftAnswers } = require('../lib/study-config');
+const studies = require('../lib/studies');
+const sessions = require('../lib/sessions');
+const enrollment = require('../lib/enrollment');
+const consent = require('../lib/consent');
+const dataLock = require('../lib/data-lock');
+const auth = require('../lib/auth');
+
+const router = express.Router();
+
+const createSessionSchema = Joi.object({
+  studyId: Joi.string().required(),
+  patientId: Joi.string().max(100).required(),
+  configVersion: Joi.number().integer().min(1)
+});
+
+const saveAnswersSchema = Joi.object({
+  answers: Joi.object().pattern(/^\d+$/, Joi.any()).required()
+});
+
+// Autosaves per caller and draft. The form saves 2 seconds after each change
+// and every 30 seconds; these are not counted against the per-IP limit,
+// which the tablets of a clinic share.
+const autosaveLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyGenerator: req => `${auth.callerKey(req.auth)}:${req.params.sessionId}`
+});
+
+// Whether the caller may fill in surveys for this patient in this study
+function canSubmitFor(req, studyId, patientId) {
+  if (!auth.can(req.auth, 'survey:submit', studyId)) return false;
+  return req.auth.type !== 'patient' || req.auth.patientId === patientId;
+}
+
+// Load the draft named in the route; drafts the caller may not fill in,
+// or of subjects of sites they may not see, are reported as missing
+async function loadSession(req, res, next) {
+  try {
+    const session = await sessions.findSession(req.params.sessionId);
+    if (!session || !canSubmitFor(req, session.studyId, session.patientId)) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    const patient = await enrollment.findPatient(session.studyId, session.patientId);
+    if (patient && !auth.canSeeSite(req.auth, session.studyId, patient.siteId)) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    req.draft = session;
+    next();
+  } catch (err) {
+    console.error('Error fetching draft:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Start a draft. The response carries the resume code, which is shown to
+// the patient once and cannot be retrieved later.
+router.post('/', async (req, res) => {
+  const { error, value } = createSessionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  if (!canSubmitFor(req, value.studyId, value.patientId)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const study = await studies.findStudyConfig(value.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+    if (!study.isActive) {
+      return res.status(400).json({ error: 'Study is not accepting submissions' });
+    }
+
+    // Subjects of sites the caller may not see count as not enrolled
+    const found = await enrollment.findPatient(study.studyId, value.patientId);
+    const patient = found && auth.canSeeSite(req.auth, study.studyId, found.siteId) ? found : null;
+    const refusal = await consent.collectionRefusal(study.studyId, patient);
+    if (refusal) {
+      return res.status(422).json({ error: refusal });
+    }
+    const locked = await dataLock.lockRefusal(study.studyId, value.patientId);
+    if (locked) {
+      return res.status(423).json({ error: locked });
+    }
+
+    const configVersion = value.configVersion || study.version;
+    if (configVersion !== study.version && !await studies.findVersion(study.studyId, configVersion)) {
+      return res.status(400).json({ error: 'Unknown questionnaire version' });
+    }
+
+    const { session, resumeCode } = await sessions.createSession({
+      studyId: study.studyId,
+      patientId: value.patientId,
+      configVersion,
+      timeout: sessions.sessionTimeout(study),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({ ...session, resumeCode });
+  } catch (err) {
+    console.error('Error creating draft:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Saved answers and status of a draft
+router.get('/:sessionId', loadSession, (req, res) => {
+  res.json(req.draft);
+});
+
+// Save answers given so far; each call extends the draft's expiry
+router.put('/:sessionId/answers', autosaveLimiter, loadSession, async (req, res) => {
+  const { error, value } = saveAnswersSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const draft = req.draft;
+  if (draft.status === 'completed') {
+    return res.status(409).json({ error: 'Draft was already submitted' });
+  }
+  if (draft.status === 'abandoned') {
+    return res.status(410).json({ error: 'Draft has expired' });
+  }
+
+  try {
+    const locked = await dataLock.lockRefusal(draft.studyId, draft.patientId);
+    if (locked) {
+      return res.status(423).json({ error: locked });
+    }
+
+    const [study, questionnaire] = await Promise.all([
+      studies.findStudyConfig(draft.studyId),
+      studies.findVersion(draft.studyId, draft.configVersion)
+    ]);
+
+    const answers = validateDraftAnswers(questionnaire.questions, value.answers);
+    if (answers.error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: answers.error.details
+      });
+    }
+
+    res.json(await sessions.saveAnswers(draft.sessionId, answers.value, sessions.sessionTimeout(study)));
+  } catch (err) {
+    console.error('Error saving draft:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const sites = require('../lib/sites');
+const users = require('../lib/users');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/sites
+const router = express.Router({ mergeParams: true });
+
+const enrollmentTarget = Joi.number().integer().min(1).allow(null);
+
+const createSiteSchema = Joi.object({
+  siteId: Joi.string().pattern(/^[A-Za-z0-9_.-]+$/).max(100).required(),
+  name: Joi.string().max(200).required(),
+  enrollmentTarget
+});
+
+// Closing a site stops enrollment there; its subjects keep their visits
+const updateSiteSchema = Joi.object({
+  name: Joi.string().max(200),
+  isActive: Joi.boolean(),
+  enrollmentTarget
+}).min(1);
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Load the site named in the route; sites the caller may not see are reported as missing
+async function loadSite(req, res, next) {
+  try {
+    const site = await sites.findSite(req.params.studyId, req.params.siteId);
+    if (!site || !auth.canSeeSite(req.auth, req.params.studyId, site.siteId)) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    req.site = site;
+    next();
+  } catch (err) {
+    console.error('Error fetching site:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// The study's sites the caller may see, with subject and survey counts
+router.get('/', auth.requirePermission('survey:read'), loadStudy, async (req, res) => {
+  try {
+    const list = await sites.listSites(req.study.studyId, { siteIds: req.siteScope || undefined });
+    res.json({ studyId: req.study.studyId, sites: list });
+  } catch (err) {
+    console.error('Error listing sites:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Register a site on the study
+router.post('/', auth.requirePermission('study:manage'), loadStudy, async (req, res) => {
+  const { error, value } = createSiteSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const site = await sites.createSite({ studyId: req.study.studyId, ...value }, req.auth.userId);
+
+    await audit.record({
+      action: 'create',
+      entityType: 'site',
+      entityId: site.siteId,
+      studyId: site.studyId,
+      context: audit.auditContext(req),
+      newValues: site
+    });
+
+    res.status(201).json(site);
+  } catch (err) {
+    if (err instanceof sites.SiteError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error creating site:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/:siteId', auth.requirePermission('survey:read'), loadSite, async (req, res) => {
+  try {
+    const [site] = await sites.listSites(req.site.studyId, { siteIds: [req.site.siteId] });
+    res.json(site);
+  } catch (err) {
+    console.error('Error fetching site:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.patch('/:siteId', auth.requirePermission('study:manage'), loadSite, async (req, res) => {
+  const { error, value } = updateSiteSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const site = await sites.updateSite(req.site.studyId, req.site.siteId, value);
+
+    await audit.record({
+      action: 'update',
+      entityType: 'site',
+      entityId: site.siteId,
+      studyId: site.studyId,
+      context: audit.auditContext(req),
+      oldValues: req.site,
+      newValues: site
+    });
+
+    res.json(site);
+  } catch (err) {
+    console.error('Error updating site:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Enrollment dashboard: subjects by status and month, against the site's target
+router.get('/:siteId/enrollment', auth.requirePermission('survey:read'), loadSite, async (req, res) => {
+  try {
+    res.json(await sites.enrollmentDashboard(req.site));
+  } catch (err) {
+    console.error('Error computing site enrollment:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Completion dashboard: per scheduled visit, how many of the site's
+// subjects completed it, are overdue or still expected
+router.get('/:siteId/completion', auth.requirePermission('survey:read'), loadStudy, loadSite, async (req, res) => {
+  try {
+    res.json(await sites.completionDashboard(req.study, req.site));
+  } catch (err) {
+    console.error('Error computing site completion:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Users assigned to the site
+router.get('/:siteId/users', auth.requirePermission('study:manage'), loadSite, async (req, res) => {
+  try {
+    const list = await sites.listSiteUsers(req.site.studyId, req.site.siteId);
+    res.json({ studyId: req.site.studyId, siteId: req.site.siteId, users: list });
+  } catch (err) {
+    console.error('Error listing site users:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Assign a user to the site. A user assigned to any site of a study sees
+// only the subjects and surveys of their sites. They need a role on the study.
+router.put('/:siteId/users/:userId', auth.requirePermission('study:manage'), loadStudy, loadSite, async (req, res) => {
+  try {
+    const user = await users.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const hasRole = user.roles[req.study.studyId] || user.roles[users.ALL_STUDIES];
+    if (!hasRole || (user.orgId && user.orgId !== req.study.orgId)) {
+      return res.status(409).json({ error: 'User has no role on this study' });
+    }
+
+    await sites.assignUser(req.site.studyId, req.site.siteId, user.userId, req.auth.userId);
+    await audit.record({
+      action: 'create',
+      entityType: 'user_site',
+      entityId: user.userId,
+      studyId: req.site.studyId,
+      context: audit.auditContext(req),
+      newValues: { userId: user.userId, siteId: req.site.siteId }
+    });
+
+    res.json(await users.findUserById(user.userId));
+  } catch (err) {
+    console.error('Error assigning user to site:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.delete('/:siteId/users/:userId', auth.requirePermission('study:manage'), loadSite, async (req, res) => {
+  try {
+    const found = await sites.unassignUser(req.site.studyId, req.site.siteId, req.params.userId);
+    if (!found) {
+      return res.status(404).json({ error: 'User is not assigned to this site' });
+    }
+
+    await audit.record({
+      action: 'delete',
+      entityType: 'user_site',
+      entityId: req.params.userId,
+      studyId: req.site.studyId,
+      context: audit.auditContext(req),
+      oldValues: { userId: req.params.userId, siteId: req.site.siteId }
+    });
+
+    res.json(await users.findUserById(req.params.userId));
+  } catch (err) {
+    console.error('Error removing user from site:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
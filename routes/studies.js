@@ -0,0 +1,319 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  studyConfigSchema,
+  studyConfigUpdateSchema,
+  diffQuestions
+} = require('../lib/study-config');
+const studies = require('../lib/studies');
+const organisations = require('../lib/organisations');
+const visits = require('../lib/visits');
+const enrollment = require('../lib/enrollment');
+const consent = require('../lib/consent');
+const dataLock = require('../lib/data-lock');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+const router = express.Router();
+
+const patientTokenSchema = Joi.object({
+  patientId: Joi.string().max(100).required(),
+  // Scheduled visit the survey link is for
+  visitId: Joi.string().max(50)
+});
+
+// A new study may be created for an organisation
+const createStudySchema = studyConfigSchema.keys({
+  orgId: Joi.string().max(100)
+});
+
+const listParam = Joi.string().max(2000).custom(value => value.split(',').map(v => v.trim()).filter(Boolean));
+
+const visitQuerySchema = Joi.object({
+  site: listParam,
+  patient: listParam,
+  status: Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').map(v => v.trim());
+    return statuses.every(status => visits.VISIT_STATUSES.includes(status)) ? statuses : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': `"status" must be a comma-separated list of ${visits.VISIT_STATUSES.join(', ')}` })
+});
+
+// List the studies the caller has a role on; users of an organisation see
+// only its studies
+router.get('/', async (req, res) => {
+  try {
+    const rows = await studies.listStudies({ activeOnly: req.query.active === 'true' });
+    res.json({ studies: rows.filter(study => auth.can(req.auth, 'study:read', study.studyId)) });
+  } catch (err) {
+    console.error('Error listing studies:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a study with its question set
+router.post('/', auth.requireGlobalAdmin, async (req, res) => {
+  const { error, value } = createStudySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    if (await studies.findStudyConfig(value.studyId)) {
+      return res.status(409).json({ error: 'Study already exists' });
+    }
+    if (value.orgId && !await organisations.findOrganisation(value.orgId)) {
+      return res.status(400).json({ error: 'Unknown organisation' });
+    }
+
+    const study = await studies.createStudy(value, req.auth.userId);
+    await audit.record({
+      action: 'create',
+      entityType: 'study',
+      entityId: study.studyId,
+      studyId: study.studyId,
+      context: audit.auditContext(req),
+      newValues: study
+    });
+
+    res.status(201).json(study);
+  } catch (err) {
+    console.error('Error creating study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get the configuration the survey form renders
+router.get('/:studyId/config', auth.requirePermission('study:read'), async (req, res) => {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    res.json(study);
+  } catch (err) {
+    console.error('Error fetching study config:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Replace a study's configuration
+router.put('/:studyId/config', auth.requirePermission('study:manage'), async (req, res) => {
+  const { error, value } = studyConfigUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const before = await studies.findStudyConfig(req.params.studyId);
+    if (!before) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+    // New questions would change the exports of frozen or locked data
+    const locked = await dataLock.lockRefusal(req.params.studyId);
+    if (locked) {
+      return res.status(423).json({ error: locked });
+    }
+
+    const study = await studies.updateStudy(req.params.studyId, value, req.auth.userId);
+    await audit.record({
+      action: 'update',
+      entityType: 'study',
+      entityId: study.studyId,
+      studyId: study.studyId,
+      context: audit.auditContext(req),
+      reason: value.amendment,
+      oldValues: before,
+      newValues: study
+    });
+
+    res.json(study);
+  } catch (err) {
+    console.error('Error updating study config:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List questionnaire versions with the number of surveys collected under each
+router.get('/:studyId/versions', auth.requirePermission('study:read'), async (req, res) => {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    res.json({
+      studyId: study.studyId,
+      currentVersion: study.version,
+      versions: await studies.listVersions(study.studyId)
+    });
+  } catch (err) {
+    console.error('Error listing study versions:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Compare two questionnaire versions, e.g. ?from=1&to=2
+router.get('/:studyId/versions/diff', auth.requirePermission('survey:read'), async (req, res) => {
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Query parameters "from" and "to" must be version numbers' });
+  }
+
+  try {
+    const [before, after] = await Promise.all([
+      studies.findVersion(req.params.studyId, from),
+      studies.findVersion(req.params.studyId, to)
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    // Callers kept to some sites see only those sites' surveys
+    const siteIds = req.siteScope || undefined;
+    const [fromSurveys, toSurveys] = await Promise.all([
+      studies.listSurveysForVersion(req.params.studyId, from, { siteIds }),
+      studies.listSurveysForVersion(req.params.studyId, to, { siteIds })
+    ]);
+
+    res.json({
+      studyId: req.params.studyId,
+      from: { version: from, changeNote: before.changeNote, createdAt: before.createdAt, surveys: fromSurveys },
+      to: { version: to, changeNote: after.changeNote, createdAt: after.createdAt, surveys: toSurveys },
+      ...diffQuestions(before.questions, after.questions)
+    });
+  } catch (err) {
+    console.error('Error comparing study versions:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get one questionnaire version
+router.get('/:studyId/versions/:version', auth.requirePermission('study:read'), async (req, res) => {
+  try {
+    const version = await studies.findVersion(req.params.studyId, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (err) {
+    console.error('Error fetching study version:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Issue a token that lets one patient open and submit this study's
+// questionnaire, without a staff login on the device
+router.post('/:studyId/patient-tokens', auth.requirePermission('patient-token:issue'), async (req, res) => {
+  const { error, value } = patientTokenSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+    if (!study.isActive) {
+      return res.status(400).json({ error: 'Study is not accepting submissions' });
+    }
+    if (value.visitId && !study.visits.some(visit => visit.visitId === value.visitId)) {
+      return res.status(400).json({ error: 'Visit is not part of the study schedule' });
+    }
+    // Subjects of sites the caller may not see count as not enrolled.
+    // Consent to the study's consent document can still be given on the form.
+    const found = await enrollment.findPatient(study.studyId, value.patientId);
+    const patient = found && auth.canSeeSite(req.auth, study.studyId, found.siteId) ? found : null;
+    const refusal = await consent.accessRefusal(study.studyId, patient);
+    if (refusal) {
+      return res.status(422).json({ error: refusal });
+    }
+
+    const { token, expiresAt } = auth.signPatientToken(study.studyId, value.patientId, req.auth.userId, value.visitId);
+    res.status(201).json({
+      token,
+      expiresAt,
+      studyId: study.studyId,
+      patientId: value.patientId,
+      visitId: value.visitId || null,
+      surveyUrl: `/#token=${token}`
+    });
+  } catch (err) {
+    console.error('Error issuing patient token:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Every patient's scheduled visits: expected, completed, overdue or
+// out_of_window. Filters: site, patient, status (comma-separated).
+router.get('/:studyId/visits', auth.requirePermission('survey:read'), async (req, res) => {
+  const { error, value } = visitQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const siteIds = auth.siteFilter(req.siteScope, value.site);
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    const result = await visits.listPatientVisits(study, {
+      siteIds,
+      patientIds: value.patient,
+      statuses: value.status
+    });
+
+    res.json({ studyId: study.studyId, schedule: study.visits, ...result });
+  } catch (err) {
+    console.error('Error listing visits:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Deactivate a study; existing surveys are kept
+router.delete('/:studyId', auth.requirePermission('study:manage'), async (req, res) => {
+  try {
+    const found = await studies.deactivateStudy(req.params.studyId);
+    if (!found) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    await audit.record({
+      action: 'update',
+      entityType: 'study',
+      entityId: req.params.studyId,
+      studyId: req.params.studyId,
+      context: audit.auditContext(req),
+      oldValues: { isActive: true },
+      newValues: { isActive: false }
+    });
+
+    res.json({ success: true, message: 'Study deactivated' });
+  } catch (err) {
+    console.error('Error deactivating study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const Joi = require('joi');
+const auth = require('../lib/auth');
+const users = require('../lib/users');
+const studies = require('../lib/studies');
+const organisations = require('../lib/organisations');
+
+const router = express.Router();
+
+const passwordSchema = Joi.string().min(12).max(128);
+
+const createUserSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: passwordSchema.required(),
+  displayName: Joi.string().max(200),
+  // Organisation the user works for; leave out for platform staff
+  orgId: Joi.string().max(100)
+});
+
+const updateUserSchema = Joi.object({
+  displayName: Joi.string().max(200),
+  isActive: Joi.boolean(),
+  password: passwordSchema,
+  orgId: Joi.string().max(100).allow(null)
+}).min(1);
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...users.ROLES).required()
+});
+
+// List users (global admins only)
+router.get('/', auth.requireGlobalAdmin, async (req, res) => {
+  try {
+    res.json({ users: await users.listUsers() });
+  } catch (err) {
+    console.error('Error listing users:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a user account (global admins only)
+router.post('/', auth.requireGlobalAdmin, async (req, res) => {
+  const { error, value } = createUserSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    if (await users.findUserRowByEmail(value.email)) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    if (value.orgId && !await organisations.findOrganisation(value.orgId)) {
+      return res.status(400).json({ error: 'Unknown organisation' });
+    }
+
+    res.status(201).json(await users.createUser(value));
+  } catch (err) {
+    console.error('Error creating user:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update name, status, password or organisation (global admins only). A
+// user moved to an organisation keeps no access outside its studies.
+router.patch('/:userId', auth.requireGlobalAdmin, async (req, res) => {
+  const { error, value } = updateUserSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    if (value.orgId && !await organisations.findOrganisation(value.orgId)) {
+      return res.status(400).json({ error: 'Unknown organisation' });
+    }
+
+    const user = await users.updateUser(req.params.userId, value);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Deactivation or a password reset ends existing sessions
+    if (value.isActive === false || value.password) {
+      await auth.revokeAllRefreshTokens(user.userId);
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error('Error updating user:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Grant or change a user's role on a study; '*' means every study, or for
+// users of an organisation every study of it. Study admins may manage roles
+// on their own study.
+router.put('/:userId/roles/:studyId', auth.requirePermission('study:manage'), async (req, res) => {
+  const { error, value } = roleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const user = await users.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.orgId && req.params.studyId !== users.ALL_STUDIES) {
+      const study = await studies.findStudyConfig(req.params.studyId);
+      if (!study || study.orgId !== user.orgId) {
+        return res.status(409).json({ error: 'User belongs to another organisation than the study' });
+      }
+    }
+
+    await users.grantRole(req.params.userId, req.params.studyId, value.role, req.auth.userId);
+    res.json(await users.findUserById(req.params.userId));
+  } catch (err) {
+    console.error('Error granting role:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Remove a user's role on a study
+router.delete('/:userId/roles/:studyId', auth.requirePermission('study:manage'), async (req, res) => {
+  try {
+    const found = await users.revokeRole(req.params.userId, req.params.studyId);
+    if (!found) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    res.json(await users.findUserById(req.params.userId));
+  } catch (err) {
+    console.error('Error revoking role:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const Joi = require('joi');
+const studies = require('../lib/studies');
+const webhooks = require('../lib/webhooks');
+const auth = require('../lib/auth');
+const audit = require('../lib/audit');
+
+// Mounted at /api/studies/:studyId/webhooks
+const router = express.Router({ mergeParams: true });
+
+// Comma-separated list limited to the given values
+function listOf(values, name) {
+  return Joi.string().max(2000).custom((value, helpers) => {
+    const items = value.split(',').map(v => v.trim());
+    return items.every(item => values.includes(item)) ? items : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': `"${name}" must be a comma-separated list of ${values.join(', ')}` });
+}
+
+const urlSchema = Joi.string().uri({ scheme: ['https', 'http'] }).max(2000);
+const eventsSchema = Joi.array().items(Joi.string().valid(...webhooks.WEBHOOK_EVENTS)).min(1).unique();
+
+const createSchema = Joi.object({
+  url: urlSchema.required(),
+  events: eventsSchema.required(),
+  description: Joi.string().max(500).allow('')
+});
+
+const updateSchema = Joi.object({
+  url: urlSchema,
+  events: eventsSchema,
+  description: Joi.string().max(500).allow(''),
+  isActive: Joi.boolean()
+}).min(1);
+
+const deliveryQuerySchema = Joi.object({
+  status: listOf(webhooks.DELIVERY_STATUSES, 'status'),
+  event: listOf(webhooks.WEBHOOK_EVENTS, 'event'),
+  webhookId: Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Load the study named in the route
+async function loadStudy(req, res, next) {
+  try {
+    const study = await studies.findStudyConfig(req.params.studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    req.study = study;
+    next();
+  } catch (err) {
+    console.error('Error fetching study:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+function sendWebhookError(res, err, what) {
+  if (err instanceof webhooks.WebhookError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error ${what}:`, err);
+  res.status(500).json({ error: 'Database error' });
+}
+
+// What the audit log keeps of a webhook; never its secret
+function auditedValues(webhook) {
+  return { url: webhook.url, events: webhook.events, description: webhook.description, isActive: webhook.isActive };
+}
+
+router.get('/', auth.requirePermission('webhook:read'), loadStudy, async (req, res) => {
+  try {
+    const list = await webhooks.listWebhooks(req.study.studyId);
+    res.json({ studyId: req.study.studyId, events: webhooks.WEBHOOK_EVENTS, webhooks: list });
+  } catch (err) {
+    console.error('Error listing webhooks:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Subscribe a URL to events. The answer holds the signing secret, which
+// cannot be read again; rotate it if it is lost.
+router.post('/', auth.requirePermission('webhook:manage'), loadStudy, async (req, res) => {
+  const { error, value } = createSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const webhook = await webhooks.createWebhook({
+      studyId: req.study.studyId,
+      url: value.url,
+      events: value.events,
+      description: value.description,
+      createdBy: req.auth.userId
+    });
+
+    await audit.record({
+      action: 'create',
+      entityType: 'webhook',
+      entityId: webhook.webhookId,
+      studyId: webhook.studyId,
+      context: audit.auditContext(req),
+      newValues: auditedValues(webhook)
+    });
+
+    res.status(201).json(webhook);
+  } catch (err) {
+    sendWebhookError(res, err, 'creating webhook');
+  }
+});
+
+// The delivery log; ?status=dead lists the dead letters. Other filters:
+// event (comma-separated), webhookId, limit
+router.get('/deliveries', auth.requirePermission('webhook:read'), loadStudy, async (req, res) => {
+  const { error, value } = deliveryQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const deliveries = await webhooks.listDeliveries(req.study.studyId, {
+      statuses: value.status,
+      eventTypes: value.event,
+      webhookId: value.webhookId,
+      limit: value.limit
+    });
+    res.json({ studyId: req.study.studyId, deliveries });
+  } catch (err) {
+    console.error('Error listing webhook deliveries:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.get('/deliveries/:deliveryId', auth.requirePermission('webhook:read'), loadStudy, async (req, res) => {
+  try {
+    const delivery = await webhooks.findDelivery(req.study.studyId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (err) {
+    console.error('Error fetching webhook delivery:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send a delivery's event again, e.g. a dead letter once the receiver is fixed
+router.post('/deliveries/:deliveryId/redeliver', auth.requirePermission('webhook:manage'), loadStudy, async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.study.studyId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    await audit.record({
+      action: 'create',
+      entityType: 'webhook_delivery',
+      entityId: delivery.deliveryId,
+      studyId: delivery.studyId,
+      context: audit.auditContext(req),
+      newValues: {
+        webhookId: delivery.webhookId,
+        eventId: delivery.eventId,
+        eventType: delivery.eventType,
+        redeliveryOf: delivery.redeliveryOf
+      }
+    });
+
+    res.status(202).json(delivery);
+  } catch (err) {
+    sendWebhookError(res, err, 'redelivering webhook event');
+  }
+});
+
+router.get('/:webhookId', auth.requirePermission('webhook:read'), loadStudy, async (req, res) => {
+  try {
+    const webhook = await webhooks.findWebhook(req.study.studyId, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (err) {
+    console.error('Error fetching webhook:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.patch('/:webhookId', auth.requirePermission('webhook:manage'), loadStudy, async (req, res) => {
+  const { error, value } = updateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  try {
+    const before = await webhooks.findWebhook(req.study.studyId, req.params.webhookId);
+    if (!before) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const webhook = await webhooks.updateWebhook(req.study.studyId, req.params.webhookId, value);
+
+    await audit.record({
+      action: 'update',
+      entityType: 'webhook',
+      entityId: webhook.webhookId,
+      studyId: webhook.studyId,
+      context: audit.auditContext(req),
+      oldValues: auditedValues(before),
+      newValues: auditedValues(webhook)
+    });
+
+    res.json(webhook);
+  } catch (err) {
+    sendWebhookError(res, err, 'updating webhook');
+  }
+});
+
+// Delete a webhook and its delivery log; queued deliveries are not sent
+router.delete('/:webhookId', auth.requirePermission('webhook:manage'), loadStudy, async (req, res) => {
+  try {
+    const webhook = await webhooks.findWebhook(req.study.studyId, req.params.webhookId);
+    if (!webhook || !await webhooks.deleteWebhook(req.study.studyId, req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await audit.record({
+      action: 'delete',
+      entityType: 'webhook',
+      entityId: webhook.webhookId,
+      studyId: webhook.studyId,
+      context: audit.auditContext(req),
+      oldValues: auditedValues(webhook)
+    });
+
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (err) {
+    console.error('Error deleting webhook:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Replace the signing secret; the answer holds the new one
+router.post('/:webhookId/secret', auth.requirePermission('webhook:manage'), loadStudy, async (req, res) => {
+  try {
+    const webhook = await webhooks.rotateSecret(req.study.studyId, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await audit.record({
+      action: 'update',
+      entityType: 'webhook',
+      entityId: webhook.webhookId,
+      studyId: webhook.studyId,
+      context: audit.auditContext(req),
+      newValues: { secretRotated: true }
+    });
+
+    res.json(webhook);
+  } catch (err) {
+    console.error('Error rotating webhook secret:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Queue a ping event for the webhook, to check the receiver
+router.post('/:webhookId/ping', auth.requirePermission('webhook:manage'), loadStudy, async (req, res) => {
+  try {
+    const delivery = await webhooks.ping(req.study.studyId, req.params.webhookId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(202).json(delivery);
+  } catch (err) {
+    sendWebhookError(res, err, 'pinging webhook');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// Manage the keys of field-level encryption (see lib/encryption.js).
+// Usage: node scripts/data-keys.js status
+//        node scripts/data-keys.js rotate-master
+//        node scripts/data-keys.js rotate-study <studyId>
+//        node scripts/data-keys.js encrypt-existing
+//
+// Rotating the master key without downtime:
+//   1. Restart every server with the new key in ENCRYPTION_KEY and the old
+//      one in ENCRYPTION_KEY_PREVIOUS; they can now unwrap with either.
+//   2. Run `rotate-master` to re-wrap every data key with the new key.
+//   3. Once `status` shows no key wrapped by the old master key, remove
+//      ENCRYPTION_KEY_PREVIOUS.
+//
+// `encrypt-existing` encrypts answers, survey metadata and scores, and
+// drafts stored before encryption was set up; it can run while the server
+// is up. Audit entries written before then stay as they are, since changing
+// them would break the audit hash chain.
+require('dotenv').config();
+
+const { run, all, close } = require('../lib/db');
+const encryption = require('../lib/encryption');
+
+const BATCH_SIZE = 500;
+
+// Each column holding sensitive values, with how to find its rows and the
+// context its values are encrypted under
+const COLUMNS = [
+  {
+    label: 'answers',
+    select: `
+      SELECT r.response_id AS id, s.study_id, r.answer AS value, r.survey_id, r.question_id
+      FROM responses r JOIN surveys s ON s.survey_id = r.survey_id
+      WHERE r.answer NOT LIKE 'enc1:%'`,
+    update: 'UPDATE responses SET answer = ? WHERE response_id = ? AND answer = ?',
+    context: row => `answer:${row.survey_id}:${row.question_id}`
+  },
+  {
+    label: 'survey metadata',
+    select: `
+      SELECT survey_id AS id, study_id, metadata AS value
+      FROM surveys
+      WHERE metadata IS NOT NULL AND metadata NOT LIKE 'enc1:%'`,
+    update: 'UPDATE surveys SET metadata = ? WHERE survey_id = ? AND metadata = ?',
+    context: row => `metadata:${row.id}`
+  },
+  {
+    label: 'survey scores',
+    select: `
+      SELECT survey_id AS id, study_id, scores AS value
+      FROM surveys
+      WHERE scores IS NOT NULL AND scores NOT LIKE 'enc1:%'`,
+    update: 'UPDATE surveys SET scores = ? WHERE survey_id = ? AND scores = ?',
+    context: row => `scores:${row.id}`
+  },
+  {
+    label: 'draft answers',
+    select: `
+      SELECT session_id AS id, study_id, answers AS value
+      FROM survey_sessions
+      WHERE answers NOT LIKE 'enc1:%'`,
+    update: 'UPDATE survey_sessions SET answers = ? WHERE session_id = ? AND answers = ?',
+    context: row => `draft:${row.id}`
+  }
+];
+
+async function encryptExisting() {
+  if (!encryption.enabled) {
+    throw new Error('ENCRYPTION_KEY is not set');
+  }
+
+  for (const column of COLUMNS) {
+    let encrypted = 0;
+    for (;;) {
+      const rows = await all(`${column.select} LIMIT ?`, [BATCH_SIZE]);
+      let changed = 0;
+      for (const row of rows) {
+        const value = await encryption.encrypt(row.study_id, column.context(row), row.value);
+        // Skipped if the row changed meanwhile; the new value is already encrypted
+        changed += (await run(column.update, [value, row.id, row.value])).changes;
+      }
+
+      encrypted += changed;
+      if (rows.length < BATCH_SIZE || changed === 0) break;
+    }
+    console.log(`Encrypted ${encrypted} ${column.label}`);
+  }
+}
+
+async function main() {
+  const [command, studyId] = process.argv.slice(2);
+
+  if (command === 'status') {
+    const { currentMasterKeyId, masterKeys } = await encryption.keyStatus();
+    console.log(`Current master key: ${currentMasterKeyId || '(not set)'}`);
+    masterKeys.forEach(key => {
+      const notes = [key.current && 'current', !key.configured && 'NOT CONFIGURED'].filter(Boolean);
+      console.log(`  ${key.masterKeyId}: ${key.dataKeys} data key(s)${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    });
+  } else if (command === 'rotate-master') {
+    console.log(`Re-wrapped ${await encryption.rewrapDataKeys()} data key(s)`);
+  } else if (command === 'rotate-study' && studyId) {
+    console.log(`Study ${studyId} now encrypts with data key v${await encryption.rotateDataKey(studyId)}`);
+  } else if (command === 'encrypt-existing') {
+    await encryptExisting();
+  } else {
+    console.error('Usage: node scripts/data-keys.js status | rotate-master | rotate-study <studyId> | encrypt-existing');
+    process.exitCode = 2;
+  }
+}
+
+main()
+  .then(() => close())
+  .catch(async (err) => {
+    console.error('💥 Key management failed:', err.message);
+    await close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,101 @@
+// Import surveys collected on paper or in a legacy system, as
+// POST /api/studies/:studyId/imports does, on behalf of a user with the
+// survey:import permission on the study.
+// Usage: node scripts/import-surveys.js <file.csv|file.json> --study <studyId> --user <email>
+//          --source paper|legacy|double_entry --layout long|wide [--mapping <mapping.json>]
+//          [--report <report.json>] [--commit]
+// Every run starts with a dry run, which prints each invalid record with its
+// rows and errors. With --commit the valid records are then imported.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { close } = require('../lib/db');
+const { findStudyConfig } = require('../lib/studies');
+const { findUserRowByEmail, findUserById } = require('../lib/users');
+const { userAuth, can } = require('../lib/auth');
+const { runImport } = require('../lib/imports');
+
+const OPTIONS = ['--study', '--user', '--source', '--layout', '--mapping', '--report'];
+
+function parseArgs(argv) {
+  const args = { commit: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--commit') {
+      args.commit = true;
+    } else if (OPTIONS.includes(argv[i])) {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i].startsWith('--')) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  const missing = ['file', 'study', 'user', 'source', 'layout'].filter(name => !args[name]);
+  if (missing.length) {
+    throw new Error(`Missing ${missing.join(', ')}; see the usage at the top of this script`);
+  }
+  return args;
+}
+
+function printReport(report) {
+  report.records.filter(record => record.errors).forEach(record => {
+    const where = `record ${record.record} (rows ${record.rows.join(', ')})`;
+    record.errors.forEach(({ row, column, message }) => {
+      const at = [row && `row ${row}`, column && `column ${column}`].filter(Boolean).join(', ');
+      console.log(`${where}${at ? ` at ${at}` : ''}: ${message}`);
+    });
+  });
+
+  const counts = Object.entries(report.summary).map(([key, count]) => `${key}=${count}`).join(' ');
+  console.log(`${report.dryRun ? 'Dry run' : `Import ${report.importId}`}: ${counts}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const format = path.extname(args.file).slice(1).toLowerCase();
+  const text = fs.readFileSync(args.file, 'utf8');
+  const content = format === 'json' ? JSON.parse(text) : text;
+  const mapping = args.mapping ? JSON.parse(fs.readFileSync(args.mapping, 'utf8')) : undefined;
+
+  const study = await findStudyConfig(args.study);
+  if (!study) throw new Error(`Study ${args.study} not found`);
+  const row = await findUserRowByEmail(args.user);
+  const user = row && await findUserById(row.user_id);
+  if (!user || !user.isActive) throw new Error(`No active user ${args.user}`);
+  const auth = await userAuth(user);
+  if (!can(auth, 'survey:import', study.studyId)) {
+    throw new Error(`${args.user} may not import surveys into ${study.studyId}`);
+  }
+
+  const context = {
+    actorType: 'user',
+    actorId: user.userId,
+    ipAddress: null,
+    userAgent: 'scripts/import-surveys.js',
+    reason: null
+  };
+  const body = { source: args.source, format, layout: args.layout, fileName: path.basename(args.file), content, mapping };
+
+  let report = await runImport(study, body, { auth, context });
+  printReport(report);
+  if (args.commit && report.summary.valid > 0) {
+    report = await runImport(study, { ...body, dryRun: false, checksum: report.checksum }, { auth, context });
+    printReport(report);
+  }
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+  }
+}
+
+main()
+  .then(() => close())
+  .catch(async (err) => {
+    console.error('💥 Import failed:', err.message);
+    (err.details || []).forEach(detail => console.error(`  ${detail.message || JSON.stringify(detail)}`));
+    await close();
+    process.exitCode = 1;
+  });
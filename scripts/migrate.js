@@ -0,0 +1,65 @@
+// Apply, revert or list schema migrations.
+// Usage: node scripts/migrate.js status
+//        node scripts/migrate.js up [--to <version>] [--dry-run]
+//        node scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run]
+// `down` reverts the newest migration unless told otherwise. With --dry-run
+// the migrations are run and rolled back, and the statements are printed.
+require('dotenv').config();
+
+const { close } = require('../lib/db');
+const { status, migrateUp, migrateDown } = require('../lib/db/migrate');
+
+function option(argv, name) {
+  const index = argv.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = parseInt(argv[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} needs a number`);
+  }
+  return value;
+}
+
+function report(results, verb, dryRun) {
+  if (results.length === 0) {
+    console.log('Nothing to do');
+    return;
+  }
+
+  results.forEach(({ version, name, statements }) => {
+    console.log(`${verb} ${String(version).padStart(3, '0')} ${name}`);
+    if (dryRun) {
+      statements.forEach(sql => console.log(`    ${sql}`));
+    }
+  });
+}
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  const dryRun = argv.includes('--dry-run');
+
+  if (command === 'status') {
+    const migrations = await status();
+    migrations.forEach(m => {
+      console.log(`${m.status.padEnd(8)} ${String(m.version).padStart(3, '0')} ${m.name}${m.appliedAt ? `  (${m.appliedAt})` : ''}`);
+    });
+    const pending = migrations.filter(m => m.status === 'pending').length;
+    console.log(pending ? `${pending} pending migration(s)` : 'Schema is up to date');
+  } else if (command === 'up') {
+    report(await migrateUp({ to: option(argv, '--to'), dryRun }), dryRun ? 'Would apply' : 'Applied', dryRun);
+  } else if (command === 'down') {
+    const steps = option(argv, '--steps');
+    report(await migrateDown({ to: option(argv, '--to'), steps: steps === undefined ? 1 : steps, dryRun }), dryRun ? 'Would revert' : 'Reverted', dryRun);
+  } else {
+    console.error('Usage: node scripts/migrate.js status | up [--to <version>] [--dry-run] | down [--steps <n> | --to <version>] [--dry-run]');
+    process.exitCode = 2;
+  }
+}
+
+main()
+  .then(() => close())
+  .catch(async (err) => {
+    console.error('💥 Migration failed:', err.message);
+    await close();
+    process.exitCode = 1;
+  });
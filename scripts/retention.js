@@ -0,0 +1,45 @@
+// Apply study retention policies, as the server does every hour.
+// Usage: node scripts/retention.js [--dry-run] [<studyId>]
+// With --dry-run nothing is removed; the counts show what would be.
+require('dotenv').config();
+
+const { close } = require('../lib/db');
+const { findStudyConfig } = require('../lib/studies');
+const { applyRetention, runRetention } = require('../lib/erasure');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const studyId = args.find(arg => !arg.startsWith('--'));
+
+  let results;
+  if (studyId) {
+    const study = await findStudyConfig(studyId);
+    if (!study) throw new Error(`Study ${studyId} not found`);
+    results = [await applyRetention(study, { dryRun })];
+  } else {
+    results = await runRetention({ dryRun });
+  }
+
+  results.forEach(({ studyId: id, policy, cutoff, removed, certificate, skipped }) => {
+    if (skipped) {
+      console.log(`${id}: skipped, ${skipped.toLowerCase()}`);
+      return;
+    }
+    if (!cutoff) {
+      console.log(`${id}: keeps its data`);
+      return;
+    }
+    const counts = Object.entries(removed).map(([key, count]) => `${key}=${count}`).join(' ');
+    const outcome = certificate ? `certificate ${certificate.certificateId}` : dryRun ? 'dry run' : 'nothing due';
+    console.log(`${id}: ${policy.action} before ${cutoff}: ${counts} (${outcome})`);
+  });
+}
+
+main()
+  .then(() => close())
+  .catch(async (err) => {
+    console.error('💥 Retention run failed:', err.message);
+    await close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,108 @@
+// Local SMTP stand-in for development and tests: accepts every message and
+// prints it, without delivering anything.
+// Usage: node scripts/smtp-sink.js [--port <port>] [--dir <directory>]
+// Point the server at it with SMTP_HOST=127.0.0.1 and SMTP_PORT (2525 by
+// default). With --dir each message is also saved there as a .eml file.
+// Tests start it in-process with createSink().
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function session(socket, onMessage) {
+  let envelope = { from: null, to: [] };
+  let buffer = '';
+  let data = null; // message lines while in DATA
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 smtp-sink ready');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          // Undo the sender's dot-stuffing
+          const message = data.map(text => (text.startsWith('..') ? text.slice(1) : text)).join('\r\n');
+          onMessage({ from: envelope.from, to: envelope.to, message });
+          data = null;
+          envelope = { from: null, to: [] };
+          reply('250 Queued');
+        } else {
+          data.push(line);
+        }
+        continue;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      const address = (line.match(/<([^>]*)>/) || [])[1];
+      if (verb === 'EHLO') {
+        reply('250-smtp-sink');
+        reply('250 8BITMIME');
+      } else if (verb === 'HELO' || verb === 'NOOP') {
+        reply('250 OK');
+      } else if (verb === 'MAIL' && address !== undefined) {
+        envelope = { from: address, to: [] };
+        reply('250 OK');
+      } else if (verb === 'RCPT' && address) {
+        envelope.to.push(address);
+        reply('250 OK');
+      } else if (verb === 'DATA' && envelope.to.length) {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else if (['MAIL', 'RCPT', 'DATA'].includes(verb)) {
+        reply('503 Bad sequence of commands');
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+/**
+ * An SMTP server that accepts every message and passes it to
+ * `onMessage({ from, to, message })`: the envelope sender and recipients,
+ * and the message with its headers. Call listen() to start it.
+ */
+function createSink(onMessage) {
+  return net.createServer(socket => session(socket, onMessage));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = parseInt(option(args, '--port', '2525'));
+  const dir = option(args, '--dir', null);
+  let received = 0;
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  createSink(({ from, to, message }) => {
+    received += 1;
+    const subject = (message.match(/^Subject: (.*)$/m) || [])[1] || '';
+    console.log(`📧 #${received} from <${from}> to ${to.map(address => `<${address}>`).join(', ')}: ${subject}`);
+
+    if (dir) {
+      const file = path.join(dir, `${Date.now()}-${received}.eml`);
+      fs.writeFileSync(file, `X-Envelope-To: ${to.join(', ')}\r\n${message}\r\n`);
+    }
+  }).listen(port, '127.0.0.1', () => {
+    console.log(`SMTP sink listening on 127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createSink };
@@ -1,16 +1,85 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
-const Joi = require('joi');
 const path = require('path');
 require('dotenv').config();
 
+const { get, all, transaction, close, seedDemoStudy, epochMs } = require('./lib/db');
+const { pendingMigrations, migrateUp } = require('./lib/db/migrate');
+const { answerSchema } = require('./lib/study-config');
+const { questionText } = require('./lib/locales');
+const { findStudyConfig, findVersion } = require('./lib/studies');
+const {
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+  EXPORT_VALUES,
+  EXPORT_CONTENT_TYPES,
+  parseExportFilters,
+  loadQuestionnaires,
+  exportFileName,
+  countSurveys,
+  surveyPages,
+  writeExport
+} = require('./lib/exports');
+const {
+  parseStratify,
+  questionStatistics,
+  questionStatisticsCsv,
+  changeFromBaseline,
+  changeFromBaselineCsv
+} = require('./lib/question-stats');
+const { submitSurvey, submitBatch, rescoreSurvey, SubmissionError } = require('./lib/surveys');
+const { expireSessions } = require('./lib/sessions');
+const { runRetention } = require('./lib/erasure');
+const { runChecks } = require('./lib/queries');
+const { runSafetyRules, sendDueNotifications } = require('./lib/safety');
+const mailer = require('./lib/mailer');
+const { lockRefusal, findLock } = require('./lib/data-lock');
+const {
+  resolveAuth,
+  authenticate,
+  callerKey,
+  can,
+  canSeeSite,
+  siteFilter,
+  requirePermission,
+  requireAllSites,
+  ensureBootstrapAdmin
+} = require('./lib/auth');
+const audit = require('./lib/audit');
+const encryption = require('./lib/encryption');
+const webhooks = require('./lib/webhooks');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const organisationsRouter = require('./routes/organisations');
+const studiesRouter = require('./routes/studies');
+const auditRouter = require('./routes/audit');
+const sessionsRouter = require('./routes/sessions');
+const sitesRouter = require('./routes/sites');
+const patientsRouter = require('./routes/patients');
+const consentRouter = require('./routes/consent');
+const erasureRouter = require('./routes/erasure');
+const queriesRouter = require('./routes/queries');
+const lockRouter = require('./routes/lock');
+const webhooksRouter = require('./routes/webhooks');
+const instrumentsRouter = require('./routes/instruments');
+const alertsRouter = require('./routes/alerts');
+const importsRouter = require('./routes/imports');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How often expired drafts are marked abandoned
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+// How often study retention policies are applied
+const RETENTION_SWEEP_INTERVAL = 60 * 60 * 1000;
+// How often queued webhook deliveries are sent
+const WEBHOOK_SWEEP_INTERVAL = 5 * 1000;
+// How often queued safety alert emails are sent
+const ALERT_EMAIL_SWEEP_INTERVAL = 5 * 1000;
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -18,49 +87,35 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Rate limiting. Draft autosaves and offline syncs are frequent by design,
+// and the tablets of a clinic often share one IP, so once their token checks
+// out those are left out here and limited per draft (routes/sessions.js) and
+// per caller (below) instead. Without a valid token they count as any other.
+async function isAuthenticatedAutosaveOrSync(req) {
+  const autosaveOrSync = (req.method === 'PUT' && /^\/api\/sessions\/[^/]+\/answers$/.test(req.path))
+    || (req.method === 'POST' && req.path === '/api/surveys/batch');
+  // A failed lookup is left to authenticate to report
+  return autosaveOrSync && Boolean(await resolveAuth(req).catch(() => null));
+}
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: isAuthenticatedAutosaveOrSync
+});
+
+// Offline syncs per signed-in patient or user: a device syncs once for each
+// survey it queues, and every minute while any are waiting
+const syncLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  keyGenerator: req => callerKey(req.auth)
 });
 app.use(limiter);
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-// Database connection
-const db = new sqlite3.Database('./patient_data.db', (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database');
-  }
-});
-
-// Survey questions schema
-const surveySchema = Joi.object({
-  patientId: Joi.string().required(),
-  studyId: Joi.string().required(),
-  responses: Joi.array().items(
-    Joi.object({
-      questionId: Joi.number().integer().min(1).max(20).required(),
-      question: Joi.string().required(),
-      answer: Joi.alternatives().try(
-        Joi.string(),
-        Joi.number(),
-        Joi.boolean(),
-        Joi.array()
-      ).required(),
-      responseType: Joi.string().valid('text', 'number', 'boolean', 'scale', 'multiple_choice').required()
-    })
-  ).length(20).required(),
-  metadata: Joi.object({
-    completedAt: Joi.date().iso(),
-    deviceInfo: Joi.string(),
-    location: Joi.string()
-  }).optional()
-});
-
 // API Routes
 
 // Health check
@@ -68,217 +123,493 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
-// Submit patient survey
+// Parse the `version` query parameter used by export and analytics: a single
+// questionnaire version, a comma-separated list of versions to pool, or
+// `all` (the default). Returns null when every version is included.
+function parseVersionFilter(version) {
+  if (version === undefined || version === 'all') return null;
+
+  const versions = String(version).split(',').map(v => parseInt(v.trim()));
+  if (versions.some(v => !Number.isInteger(v) || v < 1)) {
+    throw new Error('Query parameter "version" must be "all" or a comma-separated list of version numbers');
+  }
+  return versions;
+}
+
+function versionFilterSQL(versions) {
+  return versions ? ` AND s.config_version IN (${versions.map(() => '?').join(', ')})` : '';
+}
+
+// Comma-separated `site` query parameter, or undefined when not given
+function parseSiteList(site) {
+  const siteIds = site === undefined ? [] : String(site).split(',').map(v => v.trim()).filter(Boolean);
+  return siteIds.length ? siteIds : undefined;
+}
+
+function siteFilterSQL(siteIds, column = 's.site_id') {
+  return siteIds ? ` AND ${column} IN (${siteIds.map(() => '?').join(', ')})` : '';
+}
+
+// Login, token refresh and draft resume are the only API routes open without a token
+app.use('/api/auth', authRouter);
+app.use('/api', authenticate);
+
+// User accounts and study roles
+app.use('/api/users', usersRouter);
+
+// Organisations (sponsors) and the studies they own
+app.use('/api/organisations', organisationsRouter);
+
+// Study configuration
+app.use('/api/studies', studiesRouter);
+
+// Sites of a study, their users and dashboards
+app.use('/api/studies/:studyId/sites', sitesRouter);
+
+// Enrollment registry
+app.use('/api/studies/:studyId/patients', patientsRouter);
+
+// Consent documents and subjects' consent status
+app.use('/api/studies/:studyId/consent', consentRouter);
+
+// Subject erasure certificates and retention policy runs
+app.use('/api/studies/:studyId/erasure', requireAllSites, erasureRouter);
+
+// Data-quality queries raised by edit checks or data managers
+app.use('/api/studies/:studyId/queries', queriesRouter);
+
+// Data freeze, lock and sign-off, of a study or one subject
+app.use('/api/studies/:studyId/lock', lockRouter);
+
+// Webhook subscriptions and their delivery log
+app.use('/api/studies/:studyId/webhooks', requireAllSites, webhooksRouter);
+
+// Safety alerts raised by safety rules, and their triage
+app.use('/api/studies/:studyId/alerts', alertsRouter);
+
+// Bulk import of paper-collected and legacy surveys
+app.use('/api/studies/:studyId/imports', importsRouter);
+
+// PRO instrument library
+app.use('/api/instruments', instrumentsRouter);
+
+// Audit trail (read-only)
+app.use('/api/audit', auditRouter);
+
+// Drafts of partially answered surveys
+app.use('/api/sessions', sessionsRouter);
+
+// Submit patient survey. Clients may send an Idempotency-Key header (or a
+// `submissionId` field) so that retrying a submission never stores it twice.
 app.post('/api/surveys', async (req, res) => {
   try {
-    const { error, value } = surveySchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: error.details 
+    const result = await submitSurvey(req.body, {
+      auth: req.auth,
+      context: audit.auditContext(req),
+      idempotencyKey: req.get('idempotency-key')
+    });
+
+    if (result.replayed) {
+      res.setHeader('Idempotent-Replayed', 'true');
+    }
+
+    res.json({
+      success: true,
+      surveyId: result.surveyId,
+      configVersion: result.configVersion,
+      duplicate: result.replayed,
+      message: result.replayed ? 'Survey was already submitted' : 'Survey submitted successfully'
+    });
+  } catch (error) {
+    if (error instanceof SubmissionError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
       });
     }
 
-    const surveyId = uuidv4();
-    const { patientId, studyId, responses, metadata } = value;
-
-    // Insert survey record
-    const surveyQuery = `
-      INSERT INTO surveys (survey_id, patient_id, study_id, completed_at, metadata)
-      VALUES (?, ?, ?, ?, ?)
-    `;
-    
-    db.run(surveyQuery, [
-      surveyId,
-      patientId,
-      studyId,
-      metadata?.completedAt || new Date().toISOString(),
-      JSON.stringify(metadata || {})
-    ], function(err) {
-      if (err) {
-        console.error('Error inserting survey:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
+    console.error('Error submitting survey:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-      // Insert responses
-      const responseQuery = `
-        INSERT INTO responses (response_id, survey_id, question_id, question_text, answer, response_type)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `;
-
-      let completed = 0;
-      let hasError = false;
-
-      responses.forEach((response) => {
-        const responseId = uuidv4();
-        db.run(responseQuery, [
-          responseId,
-          surveyId,
-          response.questionId,
-          response.question,
-          JSON.stringify(response.answer),
-          response.responseType
-        ], (err) => {
-          if (err && !hasError) {
-            hasError = true;
-            console.error('Error inserting response:', err);
-            return res.status(500).json({ error: 'Database error' });
-          }
-          
-          completed++;
-          if (completed === responses.length && !hasError) {
-            res.json({ 
-              success: true, 
-              surveyId,
-              message: 'Survey submitted successfully' 
-            });
-          }
-        });
+// Sync surveys queued on a device while it was offline. Each submission
+// needs a `submissionId`; the response reports per submission whether it
+// was accepted, a duplicate of an earlier sync, rejected or failed.
+app.post('/api/surveys/batch', syncLimiter, async (req, res) => {
+  try {
+    res.json(await submitBatch(req.body, {
+      auth: req.auth,
+      context: audit.auditContext(req)
+    }));
+  } catch (error) {
+    if (error instanceof SubmissionError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
       });
-    });
+    }
 
-  } catch (error) {
-    console.error('Server error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error syncing surveys:', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get surveys by study
-app.get('/api/studies/:studyId/surveys', (req, res) => {
+// Get surveys by study, optionally of some sites (`site`, comma-separated)
+app.get('/api/studies/:studyId/surveys', requirePermission('survey:read'), async (req, res) => {
   const { studyId } = req.params;
   const { page = 1, limit = 50 } = req.query;
   const offset = (page - 1) * limit;
 
+  const siteIds = siteFilter(req.siteScope, parseSiteList(req.query.site));
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
   const query = `
     SELECT s.*, COUNT(r.response_id) as response_count
     FROM surveys s
     LEFT JOIN responses r ON s.survey_id = r.survey_id
-    WHERE s.study_id = ?
+    WHERE s.study_id = ?${siteFilterSQL(siteIds)}
     GROUP BY s.survey_id
     ORDER BY s.completed_at DESC
     LIMIT ? OFFSET ?
   `;
 
-  db.all(query, [studyId, parseInt(limit), offset], (err, rows) => {
-    if (err) {
-      console.error('Error fetching surveys:', err);
-      return res.status(500).json({ error: 'Database error' });
+  try {
+    const rows = await all(query, [studyId, ...(siteIds || []), parseInt(limit), offset]);
+    const surveys = [];
+    for (const row of rows) {
+      surveys.push({
+        ...row,
+        metadata: await encryption.decryptJSON(studyId, `metadata:${row.survey_id}`, row.metadata || '{}'),
+        scores: row.scores ? await encryption.decryptJSON(studyId, `scores:${row.survey_id}`, row.scores) : []
+      });
     }
 
     res.json({
-      surveys: rows.map(row => ({
-        ...row,
-        metadata: JSON.parse(row.metadata || '{}')
-      })),
+      surveys,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
         hasMore: rows.length === parseInt(limit)
       }
     });
-  });
+  } catch (err) {
+    console.error('Error fetching surveys:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
 // Get detailed survey data
-app.get('/api/surveys/:surveyId', (req, res) => {
+app.get('/api/surveys/:surveyId', async (req, res) => {
   const { surveyId } = req.params;
 
   const surveyQuery = `SELECT * FROM surveys WHERE survey_id = ?`;
   const responsesQuery = `SELECT * FROM responses WHERE survey_id = ? ORDER BY question_id`;
 
-  db.get(surveyQuery, [surveyId], (err, survey) => {
-    if (err) {
-      console.error('Error fetching survey:', err);
-      return res.status(500).json({ error: 'Database error' });
+  try {
+    const survey = await get(surveyQuery, [surveyId]);
+
+    // Surveys of studies or sites the caller cannot read are reported as missing
+    if (!survey || !can(req.auth, 'survey:read', survey.study_id) || !canSeeSite(req.auth, survey.study_id, survey.site_id)) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    if (!survey) {
+    const responses = await all(responsesQuery, [surveyId]);
+    const studyId = survey.study_id;
+
+    res.json({
+      survey: {
+        ...survey,
+        metadata: await encryption.decryptJSON(studyId, `metadata:${surveyId}`, survey.metadata || '{}'),
+        scores: survey.scores ? await encryption.decryptJSON(studyId, `scores:${surveyId}`, survey.scores) : []
+      },
+      responses: await Promise.all(responses.map(async r => ({
+        ...r,
+        answer: await encryption.decryptJSON(studyId, `answer:${surveyId}:${r.question_id}`, r.answer)
+      })))
+    });
+  } catch (err) {
+    console.error('Error fetching survey:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Correct a single answer; a reason is required and the change is audited
+app.patch('/api/surveys/:surveyId/responses/:questionId', async (req, res) => {
+  const { surveyId } = req.params;
+  const questionId = parseInt(req.params.questionId);
+
+  try {
+    const survey = await get('SELECT * FROM surveys WHERE survey_id = ?', [surveyId]);
+    if (!survey || !can(req.auth, 'survey:read', survey.study_id) || !canSeeSite(req.auth, survey.study_id, survey.site_id)) {
       return res.status(404).json({ error: 'Survey not found' });
     }
+    if (!can(req.auth, 'survey:correct', survey.study_id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const locked = await lockRefusal(survey.study_id, survey.patient_id);
+    if (locked) {
+      return res.status(423).json({ error: locked });
+    }
 
-    db.all(responsesQuery, [surveyId], (err, responses) => {
-      if (err) {
-        console.error('Error fetching responses:', err);
-        return res.status(500).json({ error: 'Database error' });
+    const context = audit.auditContext(req);
+    if (!context.reason) {
+      return res.status(400).json({ error: 'A reason for the change is required' });
+    }
+
+    const questionnaire = await findVersion(survey.study_id, survey.config_version);
+    const question = questionnaire && questionnaire.questions.find(q => q.id === questionId);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const { error, value: answer } = answerSchema(question).required().validate(req.body.answer);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const existing = await get(
+      'SELECT * FROM responses WHERE survey_id = ? AND question_id = ?',
+      [surveyId, questionId]
+    );
+    const answerContext = `answer:${surveyId}:${questionId}`;
+    const oldAnswer = existing && await encryption.decryptJSON(survey.study_id, answerContext, existing.answer);
+    const stored = await encryption.encryptJSON(survey.study_id, answerContext, answer);
+
+    let responseId;
+    await transaction(async (tx) => {
+      if (existing) {
+        responseId = existing.response_id;
+        await tx.run('UPDATE responses SET answer = ? WHERE response_id = ?', [stored, responseId]);
+      } else {
+        responseId = uuidv4();
+        await tx.run(`
+          INSERT INTO responses (response_id, survey_id, question_id, question_text, answer, response_type)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [responseId, surveyId, questionId, questionText(question, survey.locale), stored, question.type]);
       }
 
-      res.json({
-        survey: {
-          ...survey,
-          metadata: JSON.parse(survey.metadata || '{}')
-        },
-        responses: responses.map(r => ({
-          ...r,
-          answer: JSON.parse(r.answer)
-        }))
+      await audit.record({
+        action: existing ? 'update' : 'create',
+        entityType: 'response',
+        entityId: responseId,
+        studyId: survey.study_id,
+        surveyId,
+        context,
+        oldValues: existing ? { questionId, answer: oldAnswer } : undefined,
+        newValues: { questionId, answer }
+      }, tx);
+
+      // Scores of instruments follow their items
+      await rescoreSurvey(tx, survey, questionnaire.questions);
+
+      await webhooks.emit({
+        studyId: survey.study_id,
+        type: 'survey.corrected',
+        data: { surveyId, patientId: survey.patient_id, questionId }
+      }, tx);
+    });
+
+    // A correction may settle open queries on the survey, or raise new ones
+    await runChecks(surveyId)
+      .catch(err => console.error(`Error running edit checks on survey ${surveyId}:`, err));
+    await runSafetyRules(surveyId)
+      .catch(err => console.error(`Error running safety rules on survey ${surveyId}:`, err));
+
+    res.json({ success: true, surveyId, questionId, answer });
+  } catch (err) {
+    console.error('Error correcting response:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete a survey and its responses; a reason is required and the removed
+// data is kept in the audit log
+app.delete('/api/surveys/:surveyId', async (req, res) => {
+  const { surveyId } = req.params;
+
+  try {
+    const survey = await get('SELECT * FROM surveys WHERE survey_id = ?', [surveyId]);
+    if (!survey || !can(req.auth, 'survey:read', survey.study_id) || !canSeeSite(req.auth, survey.study_id, survey.site_id)) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    if (!can(req.auth, 'survey:delete', survey.study_id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const locked = await lockRefusal(survey.study_id, survey.patient_id);
+    if (locked) {
+      return res.status(423).json({ error: locked });
+    }
+
+    const context = audit.auditContext(req);
+    if (!context.reason) {
+      return res.status(400).json({ error: 'A reason for the deletion is required' });
+    }
+
+    const rows = await all('SELECT question_id, answer FROM responses WHERE survey_id = ?', [surveyId]);
+    const responses = [];
+    for (const r of rows) {
+      responses.push({
+        questionId: r.question_id,
+        answer: await encryption.decryptJSON(survey.study_id, `answer:${surveyId}:${r.question_id}`, r.answer)
       });
+    }
+    const metadata = await encryption.decryptJSON(survey.study_id, `metadata:${surveyId}`, survey.metadata || '{}');
+
+    await transaction(async (tx) => {
+      await tx.run('DELETE FROM query_messages WHERE query_id IN (SELECT query_id FROM queries WHERE survey_id = ?)', [surveyId]);
+      await tx.run('DELETE FROM queries WHERE survey_id = ?', [surveyId]);
+      await tx.run('DELETE FROM alert_notifications WHERE alert_id IN (SELECT alert_id FROM safety_alerts WHERE survey_id = ?)', [surveyId]);
+      await tx.run('DELETE FROM safety_alerts WHERE survey_id = ?', [surveyId]);
+      await tx.run('DELETE FROM responses WHERE survey_id = ?', [surveyId]);
+      await tx.run('DELETE FROM surveys WHERE survey_id = ?', [surveyId]);
+
+      await audit.record({
+        action: 'delete',
+        entityType: 'survey',
+        entityId: surveyId,
+        studyId: survey.study_id,
+        surveyId,
+        context,
+        oldValues: {
+          patientId: survey.patient_id,
+          completedAt: survey.completed_at,
+          configVersion: survey.config_version,
+          metadata,
+          responses
+        }
+      }, tx);
+
+      await webhooks.emit({
+        studyId: survey.study_id,
+        type: 'survey.deleted',
+        data: { surveyId, patientId: survey.patient_id }
+      }, tx);
     });
-  });
+
+    res.json({ success: true, message: 'Survey deleted' });
+  } catch (err) {
+    console.error('Error deleting survey:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Export data for analysis
-app.get('/api/studies/:studyId/export', (req, res) => {
+// Export data for analysis. Filters: version, from, to, site, patient.
+// values=labels writes answers as worded for patients in `locale` (the
+// study's default locale if omitted) instead of coded.
+app.get('/api/studies/:studyId/export', requirePermission('study:export'), async (req, res) => {
   const { studyId } = req.params;
-  const { format = 'json' } = req.query;
+  const { format = 'json', layout = 'long', values = 'coded' } = req.query;
 
-  const query = `
-    SELECT 
-      s.survey_id,
-      s.patient_id,
-      s.study_id,
-      s.completed_at,
-      s.metadata,
-      r.question_id,
-      r.question_text,
-      r.answer,
-      r.response_type
-    FROM surveys s
-    LEFT JOIN responses r ON s.survey_id = r.survey_id
-    WHERE s.study_id = ?
-    ORDER BY s.completed_at DESC, r.question_id ASC
-  `;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Query parameter "format" must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return res.status(400).json({ error: `Query parameter "layout" must be one of ${EXPORT_LAYOUTS.join(', ')}` });
+  }
+  if (!EXPORT_VALUES.includes(values)) {
+    return res.status(400).json({ error: `Query parameter "values" must be one of ${EXPORT_VALUES.join(', ')}` });
+  }
+
+  let versions;
+  let filters;
+  try {
+    versions = parseVersionFilter(req.query.version);
+    filters = parseExportFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Callers kept to some sites only get those sites' data
+  filters.siteIds = siteFilter(req.siteScope, filters.siteIds);
+  if (filters.siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
 
-  db.all(query, [studyId], (err, rows) => {
-    if (err) {
-      console.error('Error exporting data:', err);
-      return res.status(500).json({ error: 'Database error' });
+  let study;
+  let questionnaires;
+  let lock;
+  let labels;
+  try {
+    study = await findStudyConfig(studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+    if (values === 'labels') {
+      labels = req.query.locale || study.defaultLocale;
+      if (!study.locales.includes(labels)) {
+        return res.status(400).json({ error: `Query parameter "locale" must be one of ${study.locales.join(', ')}` });
+      }
     }
+    questionnaires = await loadQuestionnaires(studyId, versions);
+    lock = await findLock(studyId);
 
-    if (format === 'csv') {
-      // Convert to CSV format
-      const headers = [
-        'survey_id', 'patient_id', 'study_id', 'completed_at',
-        'question_id', 'question_text', 'answer', 'response_type'
-      ];
-      
-      let csv = headers.join(',') + '\n';
-      rows.forEach(row => {
-        const values = headers.map(header => {
-          let value = row[header];
-          if (header === 'answer') {
-            value = JSON.parse(value);
-            if (typeof value === 'object') {
-              value = JSON.stringify(value);
-            }
-          }
-          return `"${String(value).replace(/"/g, '""')}"`;
-        });
-        csv += values.join(',') + '\n';
-      });
+    await audit.record({
+      action: 'export',
+      entityType: 'study',
+      entityId: studyId,
+      studyId,
+      context: audit.auditContext(req),
+      newValues: {
+        format,
+        layout,
+        ...(labels && { labels }),
+        versions: versions || 'all',
+        filters: {
+          from: filters.from,
+          to: filters.to,
+          sites: filters.siteIds,
+          patients: filters.patientIds
+        },
+        surveys: await countSurveys(studyId, versions, filters)
+      }
+    });
+  } catch (err) {
+    console.error('Error exporting data:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
 
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="study_${studyId}_data.csv"`);
-      res.send(csv);
+  const pages = surveyPages(studyId, versions, filters);
+
+  try {
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    if (format !== 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(studyId, format, layout)}"`);
+    }
+    // Exports of a locked study are dated by the lock, so they come out the
+    // same every time and match its checksum manifest
+    const createdAt = lock.state === 'locked' ? lock.changedAt : undefined;
+    await writeExport(res, { format, layout, study, questionnaires, pages, versions, createdAt, labels });
+  } catch (err) {
+    console.error('Error exporting data:', err);
+    if (res.headersSent) {
+      // The client cannot be told any more; cut the download short instead
+      res.destroy(err);
     } else {
-      res.json({ data: rows });
+      res.status(500).json({ error: 'Database error' });
     }
-  });
+  }
 });
 
-// Analytics endpoint
-app.get('/api/studies/:studyId/analytics', (req, res) => {
+// Analytics endpoint. Filters: version, site (comma-separated)
+app.get('/api/studies/:studyId/analytics', requirePermission('study:analytics'), async (req, res) => {
   const { studyId } = req.params;
 
+  let versions;
+  try {
+    versions = parseVersionFilter(req.query.version);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const siteIds = siteFilter(req.siteScope, parseSiteList(req.query.site));
+  if (siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
   const analyticsQuery = `
     SELECT 
       COUNT(DISTINCT s.survey_id) as total_surveys,
@@ -292,45 +623,238 @@ app.get('/api/studies/:studyId/analytics', (req, res) => {
       FROM responses 
       GROUP BY survey_id
     ) response_counts ON s.survey_id = response_counts.survey_id
-    WHERE s.study_id = ?
+    WHERE s.study_id = ?${versionFilterSQL(versions)}${siteFilterSQL(siteIds)}
   `;
 
-  db.get(analyticsQuery, [studyId], (err, analytics) => {
-    if (err) {
-      console.error('Error fetching analytics:', err);
-      return res.status(500).json({ error: 'Database error' });
+  const versionsQuery = `
+    SELECT s.config_version AS version, COUNT(*) AS surveys
+    FROM surveys s
+    WHERE s.study_id = ?${versionFilterSQL(versions)}${siteFilterSQL(siteIds)}
+    GROUP BY s.config_version
+    ORDER BY s.config_version
+  `;
+
+  // Drafts started through the form, by outcome; drafts belong to the
+  // subject's site
+  const sessionsQuery = `
+    SELECT
+      COUNT(*) AS started,
+      COALESCE(SUM(CASE WHEN s.status = 'completed' THEN 1 ELSE 0 END), 0) AS completed,
+      COALESCE(SUM(CASE WHEN s.status = 'in_progress' THEN 1 ELSE 0 END), 0) AS in_progress,
+      COALESCE(SUM(CASE WHEN s.status = 'abandoned' THEN 1 ELSE 0 END), 0) AS abandoned,
+      ROUND(AVG(CASE WHEN s.status = 'completed'
+        THEN ${epochMs('s.completed_at')} - ${epochMs('s.started_at')} END)) AS avg_completion_time_ms,
+      AVG(CASE WHEN s.status = 'abandoned' THEN s.answered_count END) AS avg_answers_before_abandoning
+    FROM survey_sessions s
+    WHERE s.study_id = ?${versionFilterSQL(versions)}${siteIds ? ` AND s.patient_id IN (
+      SELECT p.patient_id FROM study_patients p WHERE p.study_id = s.study_id${siteFilterSQL(siteIds, 'p.site_id')})` : ''}
+  `;
+
+  const params = [studyId, ...(versions || []), ...(siteIds || [])];
+
+  try {
+    const analytics = await get(analyticsQuery, params);
+    const byVersion = await all(versionsQuery, params);
+
+    await expireSessions();
+    const sessionStats = await get(sessionsQuery, params);
+    const rate = count => (sessionStats.started > 0 ? Math.round(count / sessionStats.started * 1000) / 10 : 0);
+
+    res.json({
+      ...(analytics || {}),
+      versions: versions || 'all',
+      sites: siteIds || 'all',
+      surveys_by_version: byVersion,
+      sessions: {
+        ...sessionStats,
+        completion_rate: rate(sessionStats.completed),
+        abandonment_rate: rate(sessionStats.abandoned)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching analytics:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Per-question descriptive statistics, optionally stratified by site,
+// version, visit or the answer to a single-choice question. Takes the export
+// filters; `format` is json (default) or csv.
+app.get('/api/studies/:studyId/analytics/questions', requirePermission('study:analytics'), async (req, res) => {
+  const { studyId } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Query parameter "format" must be one of json, csv' });
+  }
+
+  let versions;
+  let filters;
+  try {
+    versions = parseVersionFilter(req.query.version);
+    filters = parseExportFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Callers kept to some sites only get those sites' data
+  filters.siteIds = siteFilter(req.siteScope, filters.siteIds);
+  if (filters.siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const study = await findStudyConfig(studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
     }
+    const questionnaires = await loadQuestionnaires(studyId, versions);
 
-    res.json(analytics || {});
-  });
+    let stratify;
+    try {
+      stratify = parseStratify(req.query.stratify, questionnaires);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const statistics = await questionStatistics(questionnaires, surveyPages(studyId, versions, filters), stratify);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="study_${studyId}_question_stats.csv"`);
+      return res.send(questionStatisticsCsv(statistics));
+    }
+
+    res.json({
+      versions: versions || 'all',
+      filters: {
+        from: filters.from,
+        to: filters.to,
+        sites: filters.siteIds,
+        patients: filters.patientIds
+      },
+      ...statistics
+    });
+  } catch (err) {
+    console.error('Error computing question statistics:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Patient Data Collection Server running on port ${PORT}`);
+// Change from baseline of number and scale questions at each scheduled
+// visit. Takes the export filters; `format` is json (default) or csv.
+app.get('/api/studies/:studyId/analytics/change-from-baseline', requirePermission('study:analytics'), async (req, res) => {
+  const { studyId } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Query parameter "format" must be one of json, csv' });
+  }
+
+  let versions;
+  let filters;
+  try {
+    versions = parseVersionFilter(req.query.version);
+    filters = parseExportFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Callers kept to some sites only get those sites' data
+  filters.siteIds = siteFilter(req.siteScope, filters.siteIds);
+  if (filters.siteIds === false) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const study = await findStudyConfig(studyId);
+    if (!study) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+    if (study.visits.length < 2) {
+      return res.status(400).json({ error: 'Study has no visit schedule with follow-up visits' });
+    }
+
+    const questionnaires = await loadQuestionnaires(studyId, versions);
+    const result = await changeFromBaseline(questionnaires, surveyPages(studyId, versions, filters), study.visits);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="study_${studyId}_change_from_baseline.csv"`);
+      return res.send(changeFromBaselineCsv(result));
+    }
+
+    res.json({ versions: versions || 'all', ...result });
+  } catch (err) {
+    console.error('Error computing change from baseline:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('Shutting down server...');
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err.message);
+// Refuse to run against an outdated schema unless told to migrate it
+async function prepareDatabase() {
+  const pending = await pendingMigrations();
+  if (pending.length > 0) {
+    if (process.env.MIGRATE_ON_START !== 'true') {
+      const list = pending.map(m => `${m.version} (${m.name})`).join(', ');
+      throw new Error(`Pending migrations: ${list}. Run "npm run migrate up" or set MIGRATE_ON_START=true`);
+    }
+
+    for (const migration of await migrateUp()) {
+      console.log(`Applied migration ${migration.version} (${migration.name})`);
     }
-    console.log('Database connection closed.');
-    process.exit(0);
+  }
+
+  await seedDemoStudy();
+}
+
+// Start server once the schema is in place
+function start() {
+  prepareDatabase()
+    .then(ensureBootstrapAdmin)
+    .then(() => {
+      app.listen(PORT, '0.0.0.0', () => {
+        console.log(`Patient Data Collection Server running on port ${PORT}`);
+      });
+
+      setInterval(() => {
+        expireSessions().catch(err => console.error('Error expiring drafts:', err));
+      }, SESSION_SWEEP_INTERVAL).unref();
+
+      setInterval(() => {
+        runRetention()
+          .then(results => results.filter(result => result.certificate).forEach(({ studyId, certificate }) => {
+            console.log(`Applied retention policy of ${studyId} (certificate ${certificate.certificateId})`);
+          }))
+          .catch(err => console.error('Error applying retention policies:', err));
+      }, RETENTION_SWEEP_INTERVAL).unref();
+
+      setInterval(() => {
+        webhooks.deliverDue().catch(err => console.error('Error delivering webhooks:', err));
+      }, WEBHOOK_SWEEP_INTERVAL).unref();
+
+      if (!mailer.isConfigured()) {
+        console.warn('SMTP_HOST is not set: safety alert emails are queued but not sent');
+      }
+      setInterval(() => {
+        sendDueNotifications().catch(err => console.error('Error sending alert emails:', err));
+      }, ALERT_EMAIL_SWEEP_INTERVAL).unref();
+    })
+    .catch((err) => {
+      console.error('Error initializing database:', err);
+      process.exit(1);
+    });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('Shutting down server...');
+    close()
+      .then(() => console.log('Database connection closed.'))
+      .catch(err => console.error('Error closing database:', err.message))
+      .then(() => process.exit(0));
   });
-});
-// server.js
-const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const { v4: uuidv4 } = require('uuid');
-const Joi = require('joi');
-const path = require('path');
-require('dotenv').config();
+}
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+if (require.main === module) {
+  start();
+}
+
+module.exports = app;
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const cdisc = require('../lib/cdisc');
+const { study, questionnaires, surveys } = require('./fixtures/cdisc-study');
+
+const expected = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'cdisc', name), 'utf8');
+
+describe('CDISC exports of the fixture study', () => {
+  const createdAt = '2024-04-01T12:00:00.000Z';
+
+  test('ODM matches the expected document', () => {
+    expect(cdisc.buildOdm(study, questionnaires, surveys, { createdAt })).toBe(expected('odm.xml'));
+  });
+
+  test('ODM escapes XML metacharacters in answers and study texts', () => {
+    const odm = cdisc.buildOdm(study, questionnaires, surveys, { createdAt });
+
+    expect(odm).toContain('<ItemData ItemOID="IT.Q1" Value="Chest pain &lt;after&gt; stairs &amp; &quot;tightness&quot;, it&apos;s worse at night"/>');
+    expect(odm).toContain('<StudyName>Heart &amp; &quot;Lung&quot; &lt;Outcomes&gt;</StudyName>');
+    expect(odm).toContain('<TranslatedText xml:lang="en">Which of these apply? - Fatigue &amp; weakness</TranslatedText>');
+    // Nothing but markup is left unescaped
+    expect(odm.replace(/<[^<>]*>/g, '')).not.toMatch(/[<>"]|&(?!(amp|lt|gt|quot|apos);)/);
+  });
+
+  test('QS records match the expected dataset', () => {
+    expect(cdisc.qsCsv(cdisc.buildQsDataset(study, questionnaires, surveys))).toBe(expected('qs.csv'));
+  });
+
+  test('QS records are numbered per subject with scores after each survey', () => {
+    const records = cdisc.buildQsDataset(study, questionnaires, surveys);
+    const first = records.filter(record => record.QSGRPID === 'S-0001');
+
+    expect(first.map(record => record.QSSEQ)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(first.slice(-2)).toEqual([
+      expect.objectContaining({ QSTESTCD: 'PAINNRS', QSSTRESC: '4', QSSTRESN: 4, QSDRVFL: 'Y' }),
+      expect.objectContaining({ QSTESTCD: 'PAINSEV', QSSTRESC: 'moderate', QSDRVFL: 'Y' })
+    ]);
+    expect(records.find(record => record.QSGRPID === 'S-0002' && record.QSTESTCD === 'Q6'))
+      .toEqual(expect.objectContaining({ QSSTAT: 'NOT DONE', QSREASND: 'NOT APPLICABLE' }));
+    expect(records.find(record => record.QSGRPID === 'S-0001' && record.QSTESTCD === 'Q1').QSORRES)
+      .toBe('Chest pain <after> stairs & "tightness", it\'s worse at night');
+  });
+
+  test('define metadata matches the expected document', () => {
+    const records = cdisc.buildQsDataset(study, questionnaires, surveys);
+    expect(cdisc.buildQsDefine(study, questionnaires, records)).toEqual(JSON.parse(expected('qs-define.json')));
+  });
+});
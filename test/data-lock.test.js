@@ -0,0 +1,118 @@
+const database = require('./helpers/database');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy } = require('../lib/studies');
+const { createUser, grantRole } = require('../lib/users');
+const { issueTokens } = require('../lib/auth');
+const { enrollPatient } = require('../lib/enrollment');
+const dataLock = require('../lib/data-lock');
+const app = require('../server');
+
+const STUDY_ID = 'LOCK-01';
+
+const context = { actorType: 'system', actorId: 'data-lock.test', ipAddress: null, userAgent: null, reason: null };
+
+let server;
+let baseUrl;
+let token;
+let dataManager;
+let investigator;
+
+async function request(method, path, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const submit = patientId => request('POST', '/api/surveys', {
+  studyId: STUDY_ID,
+  patientId,
+  responses: [{ questionId: 1, answer: 4 }]
+});
+const correct = surveyId => request('PATCH', `/api/surveys/${surveyId}/responses/1`, { answer: 5 }, {
+  'X-Change-Reason': 'Transcription error'
+});
+const remove = surveyId => request('DELETE', `/api/surveys/${surveyId}`, undefined, {
+  'X-Change-Reason': 'Entered for the wrong subject'
+});
+
+async function enrollWithSurvey() {
+  const { patientId } = await enrollPatient({ studyId: STUDY_ID, startDate: '2024-01-01', consentedAt: '2024-01-01' });
+  const { status, body } = await submit(patientId);
+  expect(status).toBe(200);
+  return { patientId, surveyId: body.surveyId };
+}
+
+// Freeze, sign off and lock the data of the study, or of one subject
+async function lock(patientId) {
+  await dataLock.changeLock({ studyId: STUDY_ID, patientId, action: 'freeze', reason: 'Review', changedBy: 'test', context });
+  for (const [signer, role] of [[dataManager, 'data_manager'], [investigator, 'investigator']]) {
+    await dataLock.signOff({ studyId: STUDY_ID, patientId, role, reason: 'Reviewed', signer, context });
+  }
+  await dataLock.changeLock({ studyId: STUDY_ID, patientId, action: 'lock', reason: 'Final', changedBy: 'test', context });
+}
+
+beforeAll(async () => {
+  await database.setUp();
+  const { error, value } = studyConfigSchema.validate({
+    studyId: STUDY_ID,
+    studyName: 'Lock study',
+    questions: [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }]
+  });
+  if (error) throw error;
+  await createStudy(value);
+
+  const admin = await createUser({ email: 'admin@example.org', password: 'correct horse battery' });
+  await grantRole(admin.userId, STUDY_ID, 'admin');
+  token = (await issueTokens(admin)).accessToken;
+  dataManager = await createUser({ email: 'dm@example.org', password: 'correct horse battery' });
+  await grantRole(dataManager.userId, STUDY_ID, 'data_manager');
+  investigator = await createUser({ email: 'inv@example.org', password: 'correct horse battery' });
+  await grantRole(investigator.userId, STUDY_ID, 'investigator');
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.tearDown();
+});
+
+describe('locked data', () => {
+  test('is not locked without both sign-offs', async () => {
+    const { patientId } = await enrollWithSurvey();
+    await dataLock.changeLock({ studyId: STUDY_ID, patientId, action: 'freeze', reason: 'Review', changedBy: 'test', context });
+    await dataLock.signOff({ studyId: STUDY_ID, patientId, role: 'data_manager', reason: 'Reviewed', signer: dataManager, context });
+
+    await expect(dataLock.changeLock({ studyId: STUDY_ID, patientId, action: 'lock', reason: 'Final', changedBy: 'test', context }))
+      .rejects.toThrow('Locking needs a sign-off of the current data by: investigator');
+  });
+
+  test('of a subject refuses new surveys, corrections and deletions', async () => {
+    const { patientId, surveyId } = await enrollWithSurvey();
+    const other = await enrollWithSurvey();
+    await lock(patientId);
+
+    const refused = { status: 423, body: { error: 'Subject data is locked' } };
+    expect(await submit(patientId)).toEqual(refused);
+    expect(await correct(surveyId)).toEqual(refused);
+    expect(await remove(surveyId)).toEqual(refused);
+
+    // Other subjects' data is still open
+    expect((await correct(other.surveyId)).status).toBe(200);
+  });
+
+  test('of the study refuses writes to every subject', async () => {
+    const { patientId, surveyId } = await enrollWithSurvey();
+    await lock();
+
+    const refused = { status: 423, body: { error: 'Study data is locked' } };
+    expect(await submit(patientId)).toEqual(refused);
+    expect(await correct(surveyId)).toEqual(refused);
+    expect(await remove(surveyId)).toEqual(refused);
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteAdapter } = require('../lib/db/sqlite');
+const { createPostgresAdapter, toPositional } = require('../lib/db/postgres');
+
+// The run/get/all/transaction contract every storage adapter keeps. SQLite
+// always runs; PostgreSQL runs when DATABASE_URL points at a server (see
+// "Tests" in the README), and is reported as skipped otherwise.
+
+const sqliteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-test-'));
+const backends = [
+  ['sqlite', () => createSqliteAdapter({ filename: path.join(sqliteDir, 'test.db') })]
+];
+if (process.env.DATABASE_URL) {
+  backends.push(['postgres', () => createPostgresAdapter({ connectionString: process.env.DATABASE_URL })]);
+} else {
+  console.warn('DATABASE_URL is not set: skipping the PostgreSQL adapter contract');
+  describe.skip('postgres adapter (set DATABASE_URL to run)', () => {
+    test('keeps the adapter contract', () => {});
+  });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+afterAll(() => fs.rmSync(sqliteDir, { recursive: true, force: true }));
+
+describe('toPositional', () => {
+  test('numbers placeholders in order', () => {
+    expect(toPositional('SELECT * FROM t WHERE a = ? AND b IN (?, ?)'))
+      .toBe('SELECT * FROM t WHERE a = $1 AND b IN ($2, $3)');
+  });
+
+  test('leaves question marks inside quoted strings and identifiers alone', () => {
+    expect(toPositional(`SELECT 'why?' AS "what?", ? AS v WHERE note <> 'it''s ?'`))
+      .toBe(`SELECT 'why?' AS "what?", $1 AS v WHERE note <> 'it''s ?'`);
+  });
+
+  test('leaves question marks inside comments alone', () => {
+    expect(toPositional('SELECT ? -- why?\nFROM t /* which? */ WHERE a = ? /* it\'s? */ AND b = ?'))
+      .toBe('SELECT $1 -- why?\nFROM t /* which? */ WHERE a = $2 /* it\'s? */ AND b = $3');
+  });
+});
+
+describe.each(backends)('%s adapter', (_name, createAdapter) => {
+  let db;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = createAdapter();
+    await db.run('DROP TABLE IF EXISTS adapter_contract');
+    await db.run('CREATE TABLE adapter_contract (id INTEGER PRIMARY KEY, label TEXT, counter INTEGER)');
+  });
+
+  afterAll(async () => {
+    await db.run('DROP TABLE IF EXISTS adapter_contract');
+    await db.close();
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => db.run('DELETE FROM adapter_contract'));
+
+  test('run reports changed rows; get and all read them back', async () => {
+    const { changes } = await db.run('INSERT INTO adapter_contract (id, label) VALUES (?, ?), (?, ?)', [1, 'a', 2, 'b']);
+    expect(changes).toBe(2);
+
+    expect(await db.get('SELECT label FROM adapter_contract WHERE id = ?', [2])).toEqual({ label: 'b' });
+    expect(await db.get('SELECT label FROM adapter_contract WHERE id = ?', [3])).toBeUndefined();
+    expect(await db.all('SELECT id FROM adapter_contract ORDER BY id')).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  test('binds parameters but not question marks inside quotes', async () => {
+    const row = await db.get("SELECT 'why?' AS quoted, ? AS bound", ['yes']);
+    expect(row).toEqual({ quoted: 'why?', bound: 'yes' });
+  });
+
+  test('binds parameters but not question marks inside comments', async () => {
+    const row = await db.get(`
+      SELECT ? AS first, -- the first one?
+        /* and the second? */ ? AS second
+    `, ['a', 'b']);
+    expect(row).toEqual({ first: 'a', second: 'b' });
+  });
+
+  test('a transaction commits when its callback resolves', async () => {
+    const result = await db.transaction(async (tx) => {
+      await tx.run('INSERT INTO adapter_contract (id, label) VALUES (?, ?)', [1, 'kept']);
+      return (await tx.get('SELECT label FROM adapter_contract WHERE id = ?', [1])).label;
+    });
+
+    expect(result).toBe('kept');
+    expect(await db.all('SELECT label FROM adapter_contract')).toEqual([{ label: 'kept' }]);
+  });
+
+  test('a transaction rolls back when its callback throws', async () => {
+    await expect(db.transaction(async (tx) => {
+      await tx.run('INSERT INTO adapter_contract (id, label) VALUES (?, ?)', [1, 'lost']);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await db.all('SELECT * FROM adapter_contract')).toEqual([]);
+  });
+
+  test('a failed statement rolls back the whole transaction', async () => {
+    await expect(db.transaction(async (tx) => {
+      await tx.run('INSERT INTO adapter_contract (id, label) VALUES (?, ?)', [1, 'first']);
+      await tx.run('INSERT INTO adapter_contract (id, label) VALUES (?, ?)', [1, 'duplicate']);
+    })).rejects.toThrow();
+
+    expect(await db.all('SELECT * FROM adapter_contract')).toEqual([]);
+  });
+
+  test('lock serialises transactions holding the same name', async () => {
+    await db.run('INSERT INTO adapter_contract (id, counter) VALUES (1, 0)');
+    const events = [];
+
+    // Each reads the counter, waits, then writes it back incremented; without
+    // the lock the two would read the same value and one increment is lost
+    const increment = label => db.transaction(async (tx) => {
+      await tx.lock('adapter_contract:1');
+      events.push(`${label}:start`);
+      const { counter } = await tx.get('SELECT counter FROM adapter_contract WHERE id = 1');
+      await delay(50);
+      await tx.run('UPDATE adapter_contract SET counter = ? WHERE id = 1', [counter + 1]);
+      events.push(`${label}:end`);
+    });
+
+    await Promise.all([increment('a'), increment('b')]);
+
+    expect(await db.get('SELECT counter FROM adapter_contract WHERE id = 1')).toEqual({ counter: 2 });
+    const [first, second] = events[0] === 'a:start' ? ['a', 'b'] : ['b', 'a'];
+    expect(events).toEqual([`${first}:start`, `${first}:end`, `${second}:start`, `${second}:end`]);
+  });
+
+  test('epochMs reads stored ISO timestamps', async () => {
+    await db.run('INSERT INTO adapter_contract (id, label) VALUES (1, ?)', ['2024-01-02T03:04:05.000Z']);
+    const row = await db.get(`SELECT ${db.epochMs('label')} AS ms FROM adapter_contract WHERE id = 1`);
+    expect(Math.round(Number(row.ms))).toBe(Date.parse('2024-01-02T03:04:05.000Z'));
+  });
+});
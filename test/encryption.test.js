@@ -0,0 +1,91 @@
+const database = require('./helpers/database');
+const crypto = require('crypto');
+const { get } = require('../lib/db');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy } = require('../lib/studies');
+const encryption = require('../lib/encryption');
+
+const STUDY_ID = 'CRYPT-01';
+const ORIGINAL_KEY = process.env.ENCRYPTION_KEY;
+
+// lib/encryption reads its master keys when loaded; load a fresh copy, as a
+// restarted server would, with these keys configured
+async function withMasterKeys(current, previous, fn) {
+  process.env.ENCRYPTION_KEY = current;
+  process.env.ENCRYPTION_KEY_PREVIOUS = previous || '';
+
+  let restarted;
+  let db;
+  jest.isolateModules(() => {
+    restarted = require('../lib/encryption');
+    db = require('../lib/db');
+  });
+  try {
+    return await fn(restarted);
+  } finally {
+    await db.close();
+    process.env.ENCRYPTION_KEY = ORIGINAL_KEY;
+    delete process.env.ENCRYPTION_KEY_PREVIOUS;
+  }
+}
+
+let log;
+
+beforeAll(async () => {
+  await database.setUp();
+  // Connections of the restarted copies say hello
+  log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const { error, value } = studyConfigSchema.validate({
+    studyId: STUDY_ID,
+    studyName: 'Encryption study',
+    questions: [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }]
+  });
+  if (error) throw error;
+  await createStudy(value);
+  await encryption.ensureDataKey(STUDY_ID);
+});
+
+afterAll(async () => {
+  log.mockRestore();
+  await database.tearDown();
+});
+
+describe('key rotation', () => {
+  test('values encrypted under earlier data keys still decrypt', async () => {
+    const before = await encryption.encryptJSON(STUDY_ID, 'answer:survey-1:1', 7);
+    const version = await encryption.rotateDataKey(STUDY_ID);
+    const after = await encryption.encryptJSON(STUDY_ID, 'answer:survey-2:1', 3);
+
+    expect(before).toMatch(new RegExp(`^enc1:${version - 1}:`));
+    expect(after).toMatch(new RegExp(`^enc1:${version}:`));
+    expect(await encryption.decryptJSON(STUDY_ID, 'answer:survey-1:1', before)).toBe(7);
+    expect(await encryption.decryptJSON(STUDY_ID, 'answer:survey-2:1', after)).toBe(3);
+
+    // Bound to where it is stored: another answer's context does not decrypt it
+    await expect(encryption.decryptJSON(STUDY_ID, 'answer:survey-2:1', before)).rejects.toThrow();
+  });
+
+  test('values stay readable when the master key is replaced', async () => {
+    const stored = await encryption.encryptJSON(STUDY_ID, 'metadata:survey-3', { deviceInfo: 'tablet' });
+    const newKey = crypto.randomBytes(32).toString('base64');
+
+    // Without the old key, the data keys it wrapped cannot be unwrapped
+    await withMasterKeys(newKey, null, async (restarted) => {
+      await expect(restarted.decryptJSON(STUDY_ID, 'metadata:survey-3', stored)).rejects.toThrow();
+    });
+
+    // With it kept as a previous key, they can, and can be re-wrapped
+    await withMasterKeys(newKey, ORIGINAL_KEY, async (restarted) => {
+      expect(await restarted.decryptJSON(STUDY_ID, 'metadata:survey-3', stored)).toEqual({ deviceInfo: 'tablet' });
+      expect(await restarted.rewrapDataKeys()).toBe(2);
+    });
+
+    // After which the old key can be dropped
+    await withMasterKeys(newKey, null, async (restarted) => {
+      expect(await restarted.decryptJSON(STUDY_ID, 'metadata:survey-3', stored)).toEqual({ deviceInfo: 'tablet' });
+      const { masterKeys } = await restarted.keyStatus();
+      expect(masterKeys).toEqual([expect.objectContaining({ current: true, configured: true })]);
+    });
+    expect(await get('SELECT COUNT(*) AS n FROM data_keys WHERE study_id = ?', [STUDY_ID])).toEqual({ n: 2 });
+  });
+});
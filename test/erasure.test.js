@@ -0,0 +1,122 @@
+const database = require('./helpers/database');
+const { transaction } = require('../lib/db');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy, findStudyConfig } = require('../lib/studies');
+const { createUser, grantRole } = require('../lib/users');
+const { issueTokens } = require('../lib/auth');
+const { enrollPatient } = require('../lib/enrollment');
+const { insertSurvey } = require('../lib/surveys');
+const audit = require('../lib/audit');
+const encryption = require('../lib/encryption');
+const app = require('../server');
+
+const STUDY_ID = 'ERASE-01';
+
+const config = {
+  studyId: STUDY_ID,
+  studyName: 'Erasure study',
+  questions: [
+    { id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true },
+    { id: 2, question: 'Anything else?', type: 'text', required: false }
+  ]
+};
+
+const context = { actorType: 'system', actorId: 'erasure.test', ipAddress: null, userAgent: null, reason: null };
+
+let server;
+let baseUrl;
+let token;
+
+async function storeSurvey(patientId, pain, note) {
+  const study = await findStudyConfig(STUDY_ID);
+  const submission = {
+    studyId: STUDY_ID,
+    patientId,
+    siteId: null,
+    visitId: null,
+    configVersion: study.version,
+    questions: study.questions,
+    locale: 'en',
+    completedAt: new Date().toISOString(),
+    metadata: {},
+    responses: [
+      { questionId: 1, answer: pain, responseType: 'scale' },
+      { questionId: 2, answer: note, responseType: 'text' }
+    ],
+    scores: []
+  };
+  return transaction(tx => insertSurvey(tx, submission, { context }));
+}
+
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function auditEntries() {
+  const { status, body } = await request('GET', `/api/audit?studyId=${STUDY_ID}&limit=1000`);
+  expect(status).toBe(200);
+  return body.entries;
+}
+
+beforeAll(async () => {
+  await database.setUp();
+  const { error, value } = studyConfigSchema.validate(config);
+  if (error) throw error;
+  await createStudy(value);
+  await encryption.ensureDataKey(STUDY_ID);
+
+  const admin = await createUser({ email: 'admin@example.org', password: 'correct horse battery' });
+  await grantRole(admin.userId, STUDY_ID, 'admin');
+  token = (await issueTokens(admin)).accessToken;
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.tearDown();
+});
+
+describe('erasure of a subject', () => {
+  test.each(['delete', 'anonymise'])('%s leaves no answer values in the audit log', async (action) => {
+    const erased = await enrollPatient({ studyId: STUDY_ID, startDate: '2024-01-01' });
+    const kept = await enrollPatient({ studyId: STUDY_ID, startDate: '2024-01-01' });
+    const erasedSurvey = await storeSurvey(erased.patientId, 7, 'Walked the dog');
+    const keptSurvey = await storeSurvey(kept.patientId, 2, 'Slept well');
+
+    const before = (await auditEntries()).find(entry => entry.surveyId === erasedSurvey);
+    expect(before.newValues.responses).toContainEqual({ questionId: 2, answer: 'Walked the dog' });
+
+    const dryRun = await request('POST', `/api/studies/${STUDY_ID}/patients/${erased.patientId}/erasure`, {
+      action, reason: 'Subject request', dryRun: true
+    });
+    expect(dryRun.body.removed.auditEntriesRedacted).toBe(1);
+
+    const { status, body } = await request('POST', `/api/studies/${STUDY_ID}/patients/${erased.patientId}/erasure`, {
+      action, reason: 'Subject request'
+    });
+    expect(status).toBe(201);
+    expect(body.removed.auditEntriesRedacted).toBe(1);
+
+    const entries = await auditEntries();
+    const ofErased = entries.filter(entry => entry.surveyId === erasedSurvey);
+    expect(ofErased).toHaveLength(1);
+    expect(ofErased[0].newValues).toEqual({ redacted: true, sha256: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(ofErased[0].oldValues).toBeNull();
+    expect(JSON.stringify(entries)).not.toContain('Walked the dog');
+
+    const ofKept = entries.find(entry => entry.surveyId === keptSurvey);
+    expect(ofKept.newValues.responses).toContainEqual({ questionId: 2, answer: 'Slept well' });
+
+    // The redacted entries still verify
+    const report = await audit.verifyChain();
+    expect(report).toEqual(expect.objectContaining({ valid: true, breaks: [], unverifiable: [] }));
+  });
+});
@@ -0,0 +1,117 @@
+// A small study as the CDISC exports receive it: one questionnaire version
+// covering every question type, a conditional question and a PRO
+// instrument, and three surveys whose answers include XML and CSV
+// metacharacters. The expected documents are in ./cdisc/.
+
+const { instrumentQuestions, scoreSurvey, scoresByVariable } = require('../../lib/instruments');
+
+const study = {
+  studyId: 'CARD-01',
+  studyName: 'Heart & "Lung" <Outcomes>',
+  description: 'Symptoms after cardiac surgery',
+  defaultLocale: 'en',
+  locales: ['en', 'es'],
+  visits: [
+    { visitId: 'baseline', name: 'Baseline' },
+    { visitId: 'week-4', name: 'Week 4' }
+  ]
+};
+
+const questions = [
+  {
+    id: 1,
+    question: 'Describe any symptoms since your last visit',
+    type: 'text',
+    required: false,
+    maxLength: 500,
+    translations: { es: { question: 'Describa sus síntomas desde la última visita' } }
+  },
+  {
+    id: 2,
+    question: 'How often do you smoke?',
+    type: 'multiple_choice',
+    required: true,
+    options: [
+      { code: 'never', label: 'Never' },
+      { code: 'sometimes', label: 'Sometimes' },
+      { code: 'daily', label: 'Daily' }
+    ],
+    translations: { es: { question: '¿Con qué frecuencia fuma?', options: ['Nunca', 'A veces', 'A diario'] } }
+  },
+  {
+    id: 3,
+    question: 'Which of these apply?',
+    type: 'checkbox',
+    required: false,
+    options: [{ code: 'cough', label: 'Cough' }, { code: 'fatigue', label: 'Fatigue & weakness' }],
+    translations: { es: { question: '¿Cuáles de estos aplican?', options: ['Tos', 'Fatiga y debilidad'] } }
+  },
+  {
+    id: 4,
+    question: 'Weight (kg)',
+    type: 'number',
+    required: true,
+    min: 30,
+    max: 300
+  },
+  {
+    id: 5,
+    question: 'Have you started any new medication?',
+    type: 'boolean',
+    required: true
+  },
+  {
+    id: 6,
+    question: 'Which medication?',
+    type: 'text',
+    required: true,
+    dependsOn: { questionId: 5, value: true }
+  },
+  ...instrumentQuestions({ instrumentId: 'nrs-pain', firstQuestionId: 7 })
+];
+
+const questionnaires = new Map([[1, questions]]);
+
+function survey(surveyId, patientId, visitId, completedAt, answers) {
+  const byQuestion = new Map(Object.entries(answers).map(([id, answer]) => [Number(id), answer]));
+  return {
+    surveyId,
+    patientId,
+    studyId: study.studyId,
+    siteId: null,
+    visitId,
+    completedAt,
+    configVersion: 1,
+    answers: byQuestion,
+    scores: scoresByVariable(scoreSurvey(questions, byQuestion))
+  };
+}
+
+// Oldest first, as surveyPages reads them
+const surveys = [
+  survey('S-0001', 'P-002', 'baseline', '2024-03-01T09:00:00.000Z', {
+    1: 'Chest pain <after> stairs & "tightness", it\'s worse at night',
+    2: 'sometimes',
+    3: ['fatigue'],
+    4: 72.5,
+    5: true,
+    6: '=HYPERLINK("x") & aspirin',
+    7: 4
+  }),
+  survey('S-0002', 'P-001', 'baseline', '2024-03-02T10:30:00.000Z', {
+    1: '',
+    2: 'never',
+    3: [],
+    4: 81,
+    5: false
+  }),
+  survey('S-0003', 'P-002', 'week-4', '2024-03-29T08:15:00.000Z', {
+    2: 'daily',
+    3: ['cough', 'fatigue'],
+    4: 70,
+    5: false,
+    7: 0
+  })
+];
+
+module.exports = { study, questionnaires, surveys };
@@ -0,0 +1,18 @@
+const { canonicalJSON } = require('../lib/hash');
+
+describe('canonicalJSON', () => {
+  test('sorts object keys and leaves out undefined values', () => {
+    expect(canonicalJSON({ b: [2, { d: 1, c: undefined }], a: 'x' })).toBe('{"a":"x","b":[2,{"d":1}]}');
+    expect(canonicalJSON(undefined)).toBe('null');
+  });
+
+  test('serialises Dates as their ISO timestamp', () => {
+    const completedAt = new Date('2024-03-01T09:30:00.000Z');
+    expect(canonicalJSON({ metadata: { completedAt } }))
+      .toBe('{"metadata":{"completedAt":"2024-03-01T09:30:00.000Z"}}');
+    expect(canonicalJSON([completedAt])).toBe(JSON.stringify([completedAt]));
+
+    // Different dates hash differently
+    expect(canonicalJSON({ completedAt })).not.toBe(canonicalJSON({ completedAt: new Date(0) }));
+  });
+});
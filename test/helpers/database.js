@@ -0,0 +1,38 @@
+// A fresh SQLite database for one test file, with answers encrypted under
+// a throwaway master key and tokens signed with a throwaway secret. lib/db
+// connects when it is first required, so require this helper before
+// anything from lib/:
+//
+//   const database = require('./helpers/database');
+//   const webhooks = require('../lib/webhooks');
+//
+//   beforeAll(database.setUp);
+//   afterAll(database.tearDown);
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdc-test-'));
+process.env.DB_CLIENT = 'sqlite';
+process.env.DATABASE_PATH = path.join(dir, 'test.db');
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+
+// Bring the schema up to date, keeping the connection and migration chatter
+// out of the test output
+async function setUp() {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  try {
+    await require('../../lib/db/migrate').migrateUp();
+  } finally {
+    log.mockRestore();
+  }
+}
+
+async function tearDown() {
+  await require('../../lib/db').close();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = { setUp, tearDown };
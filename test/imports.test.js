@@ -0,0 +1,107 @@
+const database = require('./helpers/database');
+const { get, all } = require('../lib/db');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy, findStudyConfig } = require('../lib/studies');
+const { createUser, grantRole, findUserById } = require('../lib/users');
+const { userAuth } = require('../lib/auth');
+const { enrollPatient } = require('../lib/enrollment');
+const audit = require('../lib/audit');
+const { runImport } = require('../lib/imports');
+
+const STUDY_ID = 'IMPORT-01';
+
+const context = { actorType: 'system', actorId: 'imports.test', ipAddress: null, userAgent: null, reason: null };
+
+let study;
+let staff;
+let patients;
+
+// A paper file in the wide layout, one survey per subject with its pain score
+function paperFile(scores) {
+  return {
+    source: 'paper',
+    format: 'json',
+    layout: 'wide',
+    content: scores.map(([patientId, score]) => ({
+      patient_id: patientId,
+      visit_id: 'baseline',
+      completed_at: '2024-01-02T10:00:00.000Z',
+      Q1: score
+    }))
+  };
+}
+
+// Dry-run the file, then commit it with the checksum the dry run reported
+async function commit(file) {
+  const { checksum } = await runImport(study, file, { auth: staff, context });
+  return runImport(study, { ...file, dryRun: false, checksum }, { auth: staff, context });
+}
+
+const storedSurveys = () => all('SELECT patient_id, source FROM surveys WHERE study_id = ? ORDER BY patient_id', [STUDY_ID]);
+const storedImports = () => get('SELECT COUNT(*) AS n FROM survey_imports WHERE study_id = ?', [STUDY_ID]);
+
+beforeAll(async () => {
+  await database.setUp();
+  const { error, value } = studyConfigSchema.validate({
+    studyId: STUDY_ID,
+    studyName: 'Import study',
+    questions: [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }],
+    visits: [{ visitId: 'baseline', name: 'Baseline', targetDay: 0 }]
+  });
+  if (error) throw error;
+  await createStudy(value);
+  study = await findStudyConfig(STUDY_ID);
+
+  patients = [];
+  for (let i = 0; i < 4; i++) {
+    const { patientId } = await enrollPatient({ studyId: STUDY_ID, startDate: '2024-01-01', consentedAt: '2024-01-01' });
+    patients.push(patientId);
+  }
+
+  const dataManager = await createUser({ email: 'dm@example.org', password: 'correct horse battery' });
+  await grantRole(dataManager.userId, STUDY_ID, 'data_manager');
+  staff = await userAuth(await findUserById(dataManager.userId));
+});
+
+afterAll(database.tearDown);
+
+describe('survey imports', () => {
+  test('a dry run reports the rows that fail validation and stores nothing', async () => {
+    const report = await runImport(study, paperFile([[patients[0], 4], [patients[1], 11]]), { auth: staff, context });
+
+    expect(report.summary).toEqual({ records: 2, valid: 1, invalid: 1 });
+    expect(report.records[0]).toEqual(expect.objectContaining({ record: 1, status: 'valid' }));
+    expect(report.records[1]).toEqual(expect.objectContaining({
+      record: 2,
+      status: 'invalid',
+      errors: [expect.objectContaining({ column: 'Q1' })]
+    }));
+    expect(await storedSurveys()).toEqual([]);
+    expect(await storedImports()).toEqual({ n: 0 });
+  });
+
+  test('rolls back every record when the commit fails after a row was stored', async () => {
+    const record = audit.record;
+    const spy = jest.spyOn(audit, 'record').mockImplementation((entry, tx) => {
+      if (entry.entityType === 'survey_import') throw new Error('Disk full');
+      return record.call(audit, entry, tx);
+    });
+    try {
+      await expect(commit(paperFile([[patients[0], 4], [patients[1], 11]]))).rejects.toThrow('Disk full');
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(await storedSurveys()).toEqual([]);
+    expect(await storedImports()).toEqual({ n: 0 });
+  });
+
+  test('a commit stores the valid records and rejects the rest', async () => {
+    const report = await commit(paperFile([[patients[2], 4], [patients[3], 11]]));
+
+    expect(report.summary).toEqual({ records: 2, imported: 1, rejected: 1 });
+    expect(report.records.map(({ status }) => status)).toEqual(['imported', 'rejected']);
+    expect(await storedSurveys()).toEqual([{ patient_id: patients[2], source: 'paper' }]);
+    expect(await storedImports()).toEqual({ n: 1 });
+  });
+});
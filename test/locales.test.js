@@ -0,0 +1,122 @@
+const database = require('./helpers/database');
+const { studyConfigSchema, answerSchema } = require('../lib/study-config');
+const { answerLabel, optionCodes } = require('../lib/locales');
+const { scoreSurvey } = require('../lib/instruments');
+const { streamExport } = require('../lib/exports');
+
+const smoking = {
+  id: 1,
+  question: 'How often do you smoke?',
+  type: 'multiple_choice',
+  required: true,
+  options: [{ code: 'never', label: 'Never' }, { code: 'daily', label: 'Daily' }],
+  translations: { es: { question: '¿Con qué frecuencia fuma?', options: ['Nunca', 'A diario'] } }
+};
+
+function validate(questions, extra = {}) {
+  return studyConfigSchema.validate({
+    studyId: 'LANG-01',
+    studyName: 'Languages',
+    defaultLocale: 'en',
+    locales: ['en', 'es'],
+    questions,
+    ...extra
+  });
+}
+
+describe('option codes', () => {
+  test('a study in several languages needs coded options', () => {
+    expect(validate([smoking]).error).toBeUndefined();
+
+    const { error } = validate([{ ...smoking, options: ['Never', 'Daily'] }]);
+    expect(error.message).toBe('Question 1: options need a code and a label when the study has several locales');
+
+    // A study in one language may keep plain options
+    expect(validate([{ ...smoking, options: ['Never', 'Daily'], translations: undefined }], { locales: ['en'] }).error)
+      .toBeUndefined();
+  });
+
+  test('codes are unique within a question', () => {
+    const options = [{ code: 'never', label: 'Never' }, { code: 'never', label: 'Not at all' }];
+    expect(validate([{ ...smoking, options }]).error.message).toMatch(/contains a duplicate value/);
+  });
+
+  test('answers give the code, not a label', () => {
+    expect(answerSchema(smoking).validate('daily').error).toBeUndefined();
+    expect(answerSchema(smoking).validate('Daily').error).toBeDefined();
+    expect(answerSchema(smoking).validate('A diario').error).toBeDefined();
+  });
+
+  test('codes are labelled in the reader\'s language', () => {
+    expect(answerLabel(smoking, 'daily', 'es')).toBe('A diario');
+    expect(answerLabel(smoking, 'daily', 'en')).toBe('Daily');
+    expect(answerLabel({ ...smoking, type: 'checkbox' }, ['never', 'daily'], 'es')).toEqual(['Nunca', 'A diario']);
+    expect(answerLabel({ id: 2, type: 'multiple_choice', options: ['Yes', 'No'] }, 'No', 'es')).toBe('No');
+  });
+
+  test('instrument items store their response codes and are scored from them', () => {
+    const { value } = validate([], { instruments: [{ instrumentId: 'gad-7', firstQuestionId: 1 }], locales: ['en'] });
+    const [first] = value.questions;
+    expect(optionCodes(first)).toEqual(['0', '1', '2', '3']);
+    expect(first.options[3]).toEqual({ code: '3', label: 'Nearly every day' });
+
+    const answers = new Map(value.questions.map(question => [question.id, '2']));
+    const [total] = scoreSurvey(value.questions, answers);
+    expect(total).toEqual(expect.objectContaining({ scoreId: 'total', value: 14 }));
+  });
+});
+
+describe('exports of a study in several languages', () => {
+  afterAll(database.tearDown);
+
+  const survey = (surveyId, locale) => ({
+    surveyId,
+    patientId: 'P-1',
+    studyId: 'LANG-01',
+    siteId: null,
+    visitId: null,
+    completedAt: '2024-01-01T00:00:00.000Z',
+    configVersion: 1,
+    // Responses store the question as the patient read it
+    responses: [{
+      questionId: 1,
+      questionText: locale === 'es' ? smoking.translations.es.question : smoking.question,
+      answer: 'daily',
+      responseType: 'multiple_choice'
+    }],
+    answers: new Map([[1, 'daily']]),
+    scores: new Map()
+  });
+
+  async function exportRecords(labels) {
+    let text = '';
+    const res = { write: chunk => { text += chunk; return true; }, end() {} };
+    async function* pages() {
+      yield [survey('S-en', 'en'), survey('S-es', 'es')];
+    }
+    await streamExport(res, {
+      format: 'ndjson',
+      layout: 'long',
+      pages: pages(),
+      questionnaires: new Map([[1, [smoking]]]),
+      labels
+    });
+    return text.trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  test('coded exports word every question in the default locale', async () => {
+    const records = await exportRecords(undefined);
+    expect(records.map(record => [record.survey_id, record.question_text, record.answer])).toEqual([
+      ['S-en', 'How often do you smoke?', 'daily'],
+      ['S-es', 'How often do you smoke?', 'daily']
+    ]);
+  });
+
+  test('labelled exports word questions and answers in the chosen locale', async () => {
+    const records = await exportRecords('es');
+    expect(records.map(record => [record.survey_id, record.question_text, record.answer])).toEqual([
+      ['S-en', '¿Con qué frecuencia fuma?', 'A diario'],
+      ['S-es', '¿Con qué frecuencia fuma?', 'A diario']
+    ]);
+  });
+});
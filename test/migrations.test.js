@@ -0,0 +1,135 @@
+const database = require('./helpers/database');
+const { run, get, all } = require('../lib/db');
+const { migrateUp, migrateDown, status } = require('../lib/db/migrate');
+const { isValidSubjectId } = require('../lib/enrollment');
+const { surveyPages } = require('../lib/exports');
+const audit = require('../lib/audit');
+
+const STUDY_ID = 'LEGACY-01';
+const GENESIS_HASH = '0'.repeat(64);
+
+// Audit entries as the first schema wrote them, hashing the values themselves
+async function legacyAuditEntry(seq, prevHash, fields) {
+  const row = {
+    seq,
+    audit_id: `audit-${seq}`,
+    created_at: `2023-05-0${seq}T10:00:00.000Z`,
+    entity_id: null,
+    study_id: STUDY_ID,
+    survey_id: null,
+    actor_id: null,
+    ip_address: null,
+    user_agent: null,
+    reason: null,
+    old_values: null,
+    new_values: null,
+    prev_hash: prevHash,
+    ...fields
+  };
+  row.hash = audit.computeHash(row);
+  const columns = Object.keys(row);
+  await run(
+    `INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+  return row.hash;
+}
+
+// A database on the first schema with a study, a survey and its audit trail
+async function populateFirstSchema() {
+  await run(`
+    INSERT INTO study_configs (study_id, study_name, questions, created_by, version)
+    VALUES (?, 'Legacy study', ?, 'admin', 1)
+  `, [STUDY_ID, JSON.stringify([{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 } }])]);
+  await run(`
+    INSERT INTO surveys (survey_id, patient_id, study_id, completed_at, config_version, metadata)
+    VALUES ('survey-1', 'MRN-123', ?, '2023-05-01T09:00:00.000Z', 1, '{}')
+  `, [STUDY_ID]);
+  await run(`
+    INSERT INTO responses (response_id, survey_id, question_id, question_text, answer, response_type)
+    VALUES ('response-1', 'survey-1', 1, 'Pain today', '7', 'scale')
+  `);
+  await run(`
+    INSERT INTO idempotency_keys (idempotency_key, study_id, request_hash, survey_id, config_version)
+    VALUES ('legacy-key-1', ?, 'hash', 'survey-1', 1)
+  `, [STUDY_ID]);
+
+  const first = await legacyAuditEntry(1, GENESIS_HASH, {
+    action: 'create', entity_type: 'study', entity_id: STUDY_ID, actor_type: 'user', actor_id: 'admin'
+  });
+  await legacyAuditEntry(2, first, {
+    action: 'create',
+    entity_type: 'survey',
+    entity_id: 'survey-1',
+    survey_id: 'survey-1',
+    actor_type: 'patient',
+    actor_id: 'patient:MRN-123',
+    new_values: JSON.stringify({ patientId: 'MRN-123', responses: [{ questionId: 1, answer: 7 }] })
+  });
+}
+
+let log;
+
+beforeAll(async () => {
+  log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  await migrateUp({ to: 1 });
+  await populateFirstSchema();
+});
+
+afterAll(async () => {
+  log.mockRestore();
+  await database.tearDown();
+});
+
+describe('upgrading a populated database', () => {
+  test('applies every migration and keeps the data readable', async () => {
+    await migrateUp();
+    expect((await status()).every(migration => migration.status === 'applied')).toBe(true);
+
+    // The typed-in patient ID becomes a pseudonymous subject at the UNASSIGNED site
+    const subject = await get('SELECT * FROM study_patients WHERE study_id = ?', [STUDY_ID]);
+    expect(isValidSubjectId(subject.patient_id)).toBe(true);
+    expect(subject).toEqual(expect.objectContaining({
+      site_id: 'UNASSIGNED', status: 'enrolled', start_date: '2023-05-01', consented_at: '2023-05-01'
+    }));
+    expect(await get('SELECT identifier_type, identifier_value FROM patient_identifiers WHERE patient_id = ?', [subject.patient_id]))
+      .toEqual({ identifier_type: 'legacy_id', identifier_value: 'MRN-123' });
+
+    const pages = [];
+    for await (const page of surveyPages(STUDY_ID, null, {})) pages.push(...page);
+    expect(pages).toEqual([expect.objectContaining({
+      surveyId: 'survey-1',
+      patientId: subject.patient_id,
+      siteId: 'UNASSIGNED',
+      responses: [{ questionId: 1, questionText: 'Pain today', answer: 7, responseType: 'scale' }]
+    })]);
+
+    expect(await all('SELECT caller, idempotency_key FROM idempotency_keys')).toEqual([
+      { caller: `patient:${STUDY_ID}:MRN-123`, idempotency_key: 'legacy-key-1' }
+    ]);
+  });
+
+  test('keeps the audit chain verifiable across hash versions', async () => {
+    await audit.record({
+      action: 'update',
+      entityType: 'study',
+      entityId: STUDY_ID,
+      context: { actorType: 'system', actorId: 'migrations.test', ipAddress: null, userAgent: null, reason: null },
+      newValues: { upgraded: true }
+    });
+
+    expect(await all('SELECT seq, hash_version FROM audit_log ORDER BY seq')).toEqual([
+      { seq: 1, hash_version: 1 }, { seq: 2, hash_version: 1 }, { seq: 3, hash_version: 2 }
+    ]);
+    expect(await audit.verifyChain()).toEqual(expect.objectContaining({ valid: true, entries: 3, breaks: [] }));
+  });
+
+  test('reverts every migration back to the first schema', async () => {
+    await migrateDown({ to: 1 });
+
+    expect(await get('SELECT patient_id FROM surveys WHERE survey_id = ?', ['survey-1'])).toEqual({ patient_id: 'MRN-123' });
+    expect(await all('SELECT idempotency_key, survey_id FROM idempotency_keys')).toEqual([
+      { idempotency_key: 'legacy-key-1', survey_id: 'survey-1' }
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+const database = require('./helpers/database');
+const jwt = require('jsonwebtoken');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy } = require('../lib/studies');
+const { createUser, grantRole } = require('../lib/users');
+const { issueTokens } = require('../lib/auth');
+const { enrollPatient } = require('../lib/enrollment');
+const app = require('../server');
+
+const STUDY_ID = 'VISIT-01';
+
+const config = {
+  studyId: STUDY_ID,
+  studyName: 'Visit study',
+  questions: [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }],
+  visits: [
+    { visitId: 'baseline', name: 'Baseline', targetDay: 0 },
+    { visitId: 'week-4', name: 'Week 4', targetDay: 28 }
+  ]
+};
+
+let server;
+let baseUrl;
+let staffToken;
+let patientId;
+
+async function request(method, path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function issuePatientToken(visitId) {
+  const { status, body } = await request('POST', `/api/studies/${STUDY_ID}/patient-tokens`, staffToken, {
+    patientId,
+    ...(visitId && { visitId })
+  });
+  expect(status).toBe(201);
+  return body;
+}
+
+function submit(token, visitId) {
+  return request('POST', '/api/surveys', token, {
+    studyId: STUDY_ID,
+    patientId,
+    ...(visitId && { visitId }),
+    responses: [{ questionId: 1, answer: 3 }]
+  });
+}
+
+beforeAll(async () => {
+  await database.setUp();
+  const { error, value } = studyConfigSchema.validate(config);
+  if (error) throw error;
+  await createStudy(value);
+
+  const coordinator = await createUser({ email: 'dm@example.org', password: 'correct horse battery' });
+  await grantRole(coordinator.userId, STUDY_ID, 'data_manager');
+  staffToken = (await issueTokens(coordinator)).accessToken;
+  ({ patientId } = await enrollPatient({ studyId: STUDY_ID, startDate: '2024-01-01', consentedAt: '2024-01-01' }));
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.tearDown();
+});
+
+describe('patient tokens for a visit', () => {
+  test('carry the visit in their signed claims', async () => {
+    const issued = await issuePatientToken('baseline');
+    expect(jwt.decode(issued.token)).toEqual(expect.objectContaining({ patientId, visitId: 'baseline' }));
+    expect(issued.surveyUrl).toBe(`/#token=${issued.token}`);
+  });
+
+  test('only submit surveys for that visit', async () => {
+    const { token } = await issuePatientToken('baseline');
+
+    for (const visitId of ['week-4', undefined]) {
+      const refused = await submit(token, visitId);
+      expect(refused).toEqual({ status: 403, body: { error: 'Token does not match visit' } });
+    }
+
+    expect((await submit(token, 'baseline')).status).toBe(200);
+  });
+
+  test('without a visit may submit for any visit', async () => {
+    const { token } = await issuePatientToken();
+    expect((await submit(token, 'week-4')).status).toBe(200);
+  });
+});
@@ -0,0 +1,83 @@
+const database = require('./helpers/database');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy } = require('../lib/studies');
+const { createUser, grantRole } = require('../lib/users');
+const { issueTokens, signPatientToken } = require('../lib/auth');
+const { enrollPatient } = require('../lib/enrollment');
+const app = require('../server');
+
+const STUDY_ID = 'LIMIT-01';
+
+let server;
+let baseUrl;
+let patientToken;
+let staffToken;
+let sessionId;
+
+async function request(method, path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { ...(token && { Authorization: `Bearer ${token}` }), 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+const autosave = token => request('PUT', `/api/sessions/${sessionId}/answers`, token, { answers: { 1: 3 } });
+
+async function repeat(times, send) {
+  const statuses = [];
+  for (let i = 0; i < times; i++) statuses.push((await send()).status);
+  return statuses;
+}
+
+beforeAll(async () => {
+  await database.setUp();
+  const { error, value } = studyConfigSchema.validate({
+    studyId: STUDY_ID,
+    studyName: 'Limits study',
+    questions: [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }]
+  });
+  if (error) throw error;
+  await createStudy(value);
+
+  const coordinator = await createUser({ email: 'dm@example.org', password: 'correct horse battery' });
+  await grantRole(coordinator.userId, STUDY_ID, 'data_manager');
+  staffToken = (await issueTokens(coordinator)).accessToken;
+  const { patientId } = await enrollPatient({ studyId: STUDY_ID, startDate: '2024-01-01', consentedAt: '2024-01-01' });
+  patientToken = signPatientToken(STUDY_ID, patientId, coordinator.userId).token;
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const draft = await request('POST', '/api/sessions', patientToken, { studyId: STUDY_ID, patientId });
+  expect(draft.status).toBe(201);
+  ({ sessionId } = draft.body);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.tearDown();
+});
+
+describe('autosave rate limits', () => {
+  test('are kept per caller and draft', async () => {
+    const statuses = await repeat(61, () => autosave(patientToken));
+    expect(statuses.slice(0, 60).every(status => status === 200)).toBe(true);
+    expect(statuses[60]).toBe(429);
+
+    // Another caller saving the same draft has a limit of their own
+    expect((await autosave(staffToken)).status).toBe(200);
+  });
+
+  test('count autosaves without a valid token against the per-IP limit', async () => {
+    // The limit is 100 per IP, of which opening the draft used one
+    const statuses = await repeat(100, () => autosave('not-a-token'));
+    expect(statuses.slice(0, 99).every(status => status === 401)).toBe(true);
+    expect(statuses[99]).toBe(429);
+
+    // Signed-in autosaves are still let through the per-IP limit
+    expect((await autosave(staffToken)).status).toBe(200);
+  });
+});
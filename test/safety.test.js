@@ -0,0 +1,250 @@
+const database = require('./helpers/database');
+const { all, transaction } = require('../lib/db');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy, findStudyConfig } = require('../lib/studies');
+const { createUser, grantRole, updateUser, ALL_STUDIES } = require('../lib/users');
+const { createSite, assignUser } = require('../lib/sites');
+const { insertSurvey } = require('../lib/surveys');
+const encryption = require('../lib/encryption');
+const safety = require('../lib/safety');
+const { createSink } = require('../scripts/smtp-sink');
+
+const STUDY_ID = 'SAFE-01';
+const DAY = 24 * 60 * 60 * 1000;
+
+const config = {
+  studyId: STUDY_ID,
+  studyName: 'Safety study',
+  questions: [
+    { id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true },
+    { id: 2, question: 'Symptoms', type: 'checkbox', options: ['Headache', 'Nausea', 'Rash'], required: false },
+    { id: 3, question: 'Any thoughts of harming yourself?', type: 'boolean', required: true }
+  ],
+  safetyRules: [
+    { ruleId: 'self-harm', type: 'answer', severity: 'critical', when: { questionId: 3, equals: true } },
+    { ruleId: 'pain-severe', type: 'answer', severity: 'high', when: { questionId: 1, min: 8 } },
+    { ruleId: 'new-symptom', type: 'new_option', severity: 'medium', questionId: 2, ignore: ['Headache'] },
+    { ruleId: 'pain-rise', type: 'change', severity: 'high', questionId: 1, compareTo: 'baseline', increase: 3 },
+    {
+      ruleId: 'pain-drop',
+      type: 'change',
+      severity: 'low',
+      questionId: 1,
+      compareTo: 'previous',
+      decrease: 5,
+      message: 'Pain fell sharply; check analgesic use'
+    }
+  ],
+  safetyContacts: ['Safety.Desk@example.org', 'inv@example.org']
+};
+
+const context = { actorType: 'system', actorId: 'safety.test', ipAddress: null, userAgent: null, reason: null };
+
+// Store a survey as a submission would, without running the rules
+async function storeSurvey(patientId, day, { pain, symptoms, harm }) {
+  const study = await findStudyConfig(STUDY_ID);
+  const answers = [[1, pain], [2, symptoms], [3, harm]].filter(([, answer]) => answer !== undefined);
+  const submission = {
+    studyId: STUDY_ID,
+    patientId,
+    siteId: 'A',
+    visitId: null,
+    configVersion: study.version,
+    questions: study.questions,
+    locale: 'en',
+    completedAt: new Date(Date.UTC(2024, 0, 1) + day * DAY).toISOString(),
+    metadata: {},
+    responses: answers.map(([questionId, answer]) => ({
+      questionId,
+      answer,
+      responseType: study.questions.find(question => question.id === questionId).type
+    })),
+    scores: []
+  };
+  return transaction(tx => insertSurvey(tx, submission, { context }));
+}
+
+async function raisedRules(surveyId) {
+  const alerts = await safety.listAlerts(STUDY_ID, { surveyId });
+  return alerts.map(alert => alert.ruleId).sort();
+}
+
+beforeAll(async () => {
+  await database.setUp();
+  const { error, value } = studyConfigSchema.validate(config);
+  if (error) throw error;
+  await createStudy(value);
+  await encryption.ensureDataKey(STUDY_ID);
+  await createSite({ studyId: STUDY_ID, siteId: 'A', name: 'Site A' });
+  await createSite({ studyId: STUDY_ID, siteId: 'B', name: 'Site B' });
+
+  const user = async (email, studyId, role) => {
+    const created = await createUser({ email, password: 'correct horse battery' });
+    await grantRole(created.userId, studyId, role);
+    return created;
+  };
+  await user('inv@example.org', STUDY_ID, 'investigator');
+  await user('all@example.org', ALL_STUDIES, 'investigator');
+  await user('dm@example.org', STUDY_ID, 'data_manager');
+  const otherSite = await user('site-b@example.org', STUDY_ID, 'investigator');
+  await assignUser(STUDY_ID, 'B', otherSite.userId);
+  const inactive = await user('gone@example.org', STUDY_ID, 'investigator');
+  await updateUser(inactive.userId, { isActive: false });
+});
+
+afterAll(() => database.tearDown());
+
+describe('safety rules on stored surveys', () => {
+  test('answer rules match the survey on its own', async () => {
+    const calm = await storeSurvey('P-ANS', 0, { pain: 7, symptoms: [], harm: false });
+    expect(await safety.runSafetyRules(calm)).toEqual({ raised: 0 });
+
+    const alarming = await storeSurvey('P-ANS2', 0, { pain: 8, symptoms: [], harm: true });
+    expect(await safety.runSafetyRules(alarming)).toEqual({ raised: 2 });
+
+    const alerts = await safety.listAlerts(STUDY_ID, { surveyId: alarming });
+    expect(alerts.map(({ ruleId, ruleType, severity, questionId, message, status }) =>
+      ({ ruleId, ruleType, severity, questionId, message, status }))
+      .sort((a, b) => a.ruleId.localeCompare(b.ruleId))).toEqual([
+      { ruleId: 'pain-severe', ruleType: 'answer', severity: 'high', questionId: 1, message: 'Question 1 is at least 8', status: 'open' },
+      { ruleId: 'self-harm', ruleType: 'answer', severity: 'critical', questionId: 3, message: 'Question 3 is true', status: 'open' }
+    ]);
+  });
+
+  test('new option rules compare with the previous survey and skip ignored options', async () => {
+    const first = await storeSurvey('P-NEW', 0, { pain: 1, symptoms: ['Nausea'], harm: false });
+    const headache = await storeSurvey('P-NEW', 7, { pain: 1, symptoms: ['Nausea', 'Headache'], harm: false });
+    const rash = await storeSurvey('P-NEW', 14, { pain: 1, symptoms: ['Headache', 'Rash'], harm: false });
+    const same = await storeSurvey('P-NEW', 21, { pain: 1, symptoms: ['Rash'], harm: false });
+
+    for (const surveyId of [first, headache, rash, same]) await safety.runSafetyRules(surveyId);
+
+    // Nothing to compare the first survey with; Headache is ignored
+    expect(await raisedRules(first)).toEqual([]);
+    expect(await raisedRules(headache)).toEqual([]);
+    expect(await raisedRules(rash)).toEqual(['new-symptom']);
+    expect(await raisedRules(same)).toEqual([]);
+    expect((await safety.listAlerts(STUDY_ID, { surveyId: rash }))[0].message)
+      .toBe('A new option is ticked on question 2 since the previous survey');
+  });
+
+  test('change rules compare with the baseline or the previous survey', async () => {
+    const baseline = await storeSurvey('P-CHG', 0, { pain: 2, symptoms: [], harm: false });
+    const slight = await storeSurvey('P-CHG', 7, { pain: 4, symptoms: [], harm: false });
+    const risen = await storeSurvey('P-CHG', 14, { pain: 7, symptoms: [], harm: false });
+    const dropped = await storeSurvey('P-CHG', 21, { pain: 1, symptoms: [], harm: false });
+    const unanswered = await storeSurvey('P-CHG', 28, { symptoms: [], harm: false });
+
+    for (const surveyId of [baseline, slight, risen, dropped, unanswered]) await safety.runSafetyRules(surveyId);
+
+    expect(await raisedRules(baseline)).toEqual([]);
+    expect(await raisedRules(slight)).toEqual([]);
+    expect(await raisedRules(risen)).toEqual(['pain-rise']);
+    // 1 is not 3 above the baseline, but 6 below the previous survey
+    expect(await raisedRules(dropped)).toEqual(['pain-drop']);
+    expect(await raisedRules(unanswered)).toEqual([]);
+
+    const [rise] = await safety.listAlerts(STUDY_ID, { surveyId: risen });
+    const [drop] = await safety.listAlerts(STUDY_ID, { surveyId: dropped });
+    expect(rise.message).toBe('Question 1 rose by 3 or more since the baseline survey');
+    expect(drop.message).toBe('Pain fell sharply; check analgesic use');
+  });
+
+  test('only the patient\'s own surveys are history', async () => {
+    await storeSurvey('P-OWN-1', 0, { pain: 0, symptoms: [], harm: false });
+    const other = await storeSurvey('P-OWN-2', 7, { pain: 5, symptoms: ['Rash'], harm: false });
+
+    expect(await safety.runSafetyRules(other)).toEqual({ raised: 0 });
+  });
+
+  test('running the rules again raises nothing new', async () => {
+    const surveyId = await storeSurvey('P-AGAIN', 0, { pain: 9, symptoms: [], harm: false });
+
+    expect(await safety.runSafetyRules(surveyId)).toEqual({ raised: 1 });
+    expect(await safety.runSafetyRules(surveyId)).toEqual({ raised: 0 });
+  });
+});
+
+describe('triage emails', () => {
+  let sink;
+  const received = [];
+
+  beforeAll(async () => {
+    sink = createSink(message => received.push(message));
+    await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(sink.address().port);
+    process.env.SMTP_FROM = 'safety@trial.example.org';
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    delete process.env.SMTP_FROM;
+    await new Promise(resolve => sink.close(resolve));
+  });
+
+  test('each alert is emailed to the study\'s investigators and safety contacts', async () => {
+    const surveyId = await storeSurvey('P-MAIL', 0, { pain: 0, symptoms: [], harm: true });
+    expect(await safety.runSafetyRules(surveyId)).toEqual({ raised: 1 });
+    const [alert] = await safety.listAlerts(STUDY_ID, { surveyId });
+
+    const [{ pending }] = await all("SELECT COUNT(*) AS pending FROM alert_notifications WHERE status = 'pending'");
+    expect(await safety.sendDueNotifications()).toEqual({ sent: pending, retrying: 0, dead: 0 });
+    expect(received).toHaveLength(pending);
+
+    // Investigators of the study or of every study who may see site A, and
+    // the safety contacts; not data managers, other sites' or inactive users
+    const recipients = ['all@example.org', 'inv@example.org', 'safety.desk@example.org'];
+    const emails = received.filter(({ message }) => message.includes(`/alerts/${alert.alertId}`));
+    expect(emails.map(({ to }) => to).sort()).toEqual(recipients.map(address => [address]));
+
+    emails.forEach(({ from, to, message }) => {
+      const end = message.indexOf('\r\n\r\n');
+      const [head, body] = [message.slice(0, end), message.slice(end + 4)];
+      expect(from).toBe('safety@trial.example.org');
+      expect(head).toContain(`To: ${to[0]}`);
+      expect(head).toContain('Subject: [CRITICAL] Safety alert in Safety study: self-harm');
+      expect(body.split('\r\n')).toEqual([
+        `A safety rule matched a survey of study Safety study (${STUDY_ID}).`,
+        '',
+        'Severity: critical',
+        'Rule: self-harm',
+        'Finding: Question 3 is true',
+        'Patient: P-MAIL',
+        'Site: A',
+        `Survey: ${surveyId}`,
+        `Raised: ${alert.raisedAt}`,
+        '',
+        'Please review and acknowledge the alert:',
+        `GET /api/studies/${STUDY_ID}/alerts/${alert.alertId}`
+      ]);
+    });
+
+    const { notifications } = await safety.findAlert(STUDY_ID, alert.alertId);
+    expect(notifications.map(({ recipient, status, attempts }) => ({ recipient, status, attempts })))
+      .toEqual(recipients.map(recipient => ({ recipient, status: 'sent', attempts: 1 })));
+  });
+
+  test('a refused email is retried later', async () => {
+    const surveyId = await storeSurvey('P-RETRY', 0, { pain: 10, symptoms: [], harm: false });
+    await safety.runSafetyRules(surveyId);
+    await new Promise(resolve => sink.close(resolve));
+
+    try {
+      expect(await safety.sendDueNotifications()).toEqual({ sent: 0, retrying: 3, dead: 0 });
+      const [alert] = await safety.listAlerts(STUDY_ID, { surveyId });
+      const { notifications } = await safety.findAlert(STUDY_ID, alert.alertId);
+      notifications.forEach(notification => {
+        expect(notification).toEqual(expect.objectContaining({
+          status: 'pending',
+          attempts: 1,
+          lastError: expect.stringMatching(/^Cannot reach SMTP server/)
+        }));
+        expect(Date.parse(notification.nextAttemptAt)).toBeGreaterThan(Date.now() + 20 * 1000);
+      });
+    } finally {
+      await new Promise(resolve => sink.listen(Number(process.env.SMTP_PORT), '127.0.0.1', resolve));
+    }
+  });
+});
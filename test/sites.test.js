@@ -0,0 +1,45 @@
+const database = require('./helpers/database');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy, findStudyConfig } = require('../lib/studies');
+const { createSite, findSite, completionDashboard } = require('../lib/sites');
+const { enrollPatient, withdrawPatient } = require('../lib/enrollment');
+
+const questions = [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }];
+
+async function studyWithSites(studyId, visits) {
+  const { error, value } = studyConfigSchema.validate({ studyId, studyName: 'Dashboard study', questions, visits });
+  if (error) throw error;
+  await createStudy(value);
+  await createSite({ studyId, siteId: 'A', name: 'Site A' });
+  await createSite({ studyId, siteId: 'B', name: 'Site B' });
+
+  const enroll = siteId => enrollPatient({ studyId, siteId, startDate: '2024-01-01' });
+  await enroll('A');
+  await enroll('A');
+  const withdrawn = await enroll('A');
+  await withdrawPatient(studyId, withdrawn.patientId, 'Moved away');
+  await enroll('B');
+
+  return findStudyConfig(studyId);
+}
+
+beforeAll(database.setUp);
+afterAll(database.tearDown);
+
+describe('completion dashboard', () => {
+  test('counts the subjects enrolled at the site', async () => {
+    const study = await studyWithSites('DASH-01', [{ visitId: 'baseline', name: 'Baseline', targetDay: 0 }]);
+    const dashboard = await completionDashboard(study, await findSite('DASH-01', 'A'), new Date('2024-01-10'));
+
+    expect(dashboard.patients).toBe(2);
+    expect(dashboard.visits).toEqual([expect.objectContaining({ visitId: 'baseline', overdue: 2 })]);
+  });
+
+  test('counts them when the study schedules no visits', async () => {
+    const study = await studyWithSites('DASH-02', []);
+    const dashboard = await completionDashboard(study, await findSite('DASH-02', 'A'));
+
+    expect(dashboard.patients).toBe(2);
+    expect(dashboard.visits).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+const database = require('./helpers/database');
+const { studyConfigSchema } = require('../lib/study-config');
+const { createStudy } = require('../lib/studies');
+const { createUser, grantRole, findUserById } = require('../lib/users');
+const { userAuth } = require('../lib/auth');
+const { enrollPatient } = require('../lib/enrollment');
+const { submitSurvey } = require('../lib/surveys');
+
+const STUDY_ID = 'IDEM-01';
+const OTHER_STUDY_ID = 'IDEM-02';
+
+const context = { actorType: 'system', actorId: 'surveys.test', ipAddress: null, userAgent: null, reason: null };
+
+const patientAuth = (studyId, patientId) => ({ type: 'patient', studyId, patientId, visitId: null });
+
+function submit(auth, studyId, patientId, idempotencyKey, answer = 3) {
+  return submitSurvey(
+    { studyId, patientId, responses: [{ questionId: 1, answer }] },
+    { auth, context, idempotencyKey }
+  );
+}
+
+let first;
+let second;
+let elsewhere;
+let staff;
+
+beforeAll(async () => {
+  await database.setUp();
+  for (const studyId of [STUDY_ID, OTHER_STUDY_ID]) {
+    const { error, value } = studyConfigSchema.validate({
+      studyId,
+      studyName: 'Idempotency study',
+      questions: [{ id: 1, question: 'Pain today', type: 'scale', scale: { min: 0, max: 10 }, required: true }]
+    });
+    if (error) throw error;
+    await createStudy(value);
+  }
+
+  const enroll = studyId => enrollPatient({ studyId, startDate: '2024-01-01', consentedAt: '2024-01-01' });
+  first = await enroll(STUDY_ID);
+  second = await enroll(STUDY_ID);
+  elsewhere = await enroll(OTHER_STUDY_ID);
+
+  const coordinator = await createUser({ email: 'dm@example.org', password: 'correct horse battery' });
+  await grantRole(coordinator.userId, STUDY_ID, 'data_manager');
+  staff = await userAuth(await findUserById(coordinator.userId));
+});
+
+afterAll(database.tearDown);
+
+describe('idempotency keys', () => {
+  test('replay a retry from the same caller', async () => {
+    const stored = await submit(patientAuth(STUDY_ID, first.patientId), STUDY_ID, first.patientId, 'retry-key-1');
+    const retried = await submit(patientAuth(STUDY_ID, first.patientId), STUDY_ID, first.patientId, 'retry-key-1');
+
+    expect(stored.replayed).toBe(false);
+    expect(retried).toEqual({ ...stored, replayed: true });
+    await expect(submit(patientAuth(STUDY_ID, first.patientId), STUDY_ID, first.patientId, 'retry-key-1', 4))
+      .rejects.toThrow('Idempotency key was already used for a different submission');
+  });
+
+  test('are scoped to the caller and the study', async () => {
+    const key = 'shared-key-1';
+    const stored = await submit(patientAuth(STUDY_ID, first.patientId), STUDY_ID, first.patientId, key);
+
+    const results = [
+      await submit(patientAuth(STUDY_ID, second.patientId), STUDY_ID, second.patientId, key, 5),
+      await submit(staff, STUDY_ID, second.patientId, key, 6),
+      await submit(patientAuth(OTHER_STUDY_ID, elsewhere.patientId), OTHER_STUDY_ID, elsewhere.patientId, key)
+    ];
+
+    results.forEach(result => {
+      expect(result.replayed).toBe(false);
+      expect(result.surveyId).not.toBe(stored.surveyId);
+    });
+    expect(new Set(results.map(result => result.surveyId)).size).toBe(3);
+  });
+});
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const http = require('http');
+const database = require('./helpers/database');
+const { run } = require('../lib/db');
+const { createStudy } = require('../lib/studies');
+const webhooks = require('../lib/webhooks');
+
+const STUDY_ID = 'HOOK-01';
+const MINUTE = 60 * 1000;
+
+// A local receiver that records every request and answers with the next
+// queued status, or 200 when none is queued
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.statusCode = receiver.statuses.length ? receiver.statuses.shift() : 200;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve(receiver);
+    });
+  });
+}
+
+// URL of a port nothing listens on any more
+function unreachableUrl() {
+  const server = http.createServer();
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(`http://127.0.0.1:${port}/hooks`));
+    });
+  });
+}
+
+// Stand-in for the wait before a retry: make every pending delivery due now
+function makeRetriesDue() {
+  return run("UPDATE webhook_deliveries SET next_attempt_at = ? WHERE status = 'pending'", [new Date(0).toISOString()]);
+}
+
+describe('webhook deliveries', () => {
+  let receiver;
+  let webhook;
+
+  beforeAll(async () => {
+    await database.setUp();
+    await createStudy({ studyId: STUDY_ID, studyName: 'Webhook study', questions: [], isActive: true });
+    receiver = await startReceiver();
+  });
+
+  afterAll(async () => {
+    receiver.server.closeAllConnections();
+    await new Promise(resolve => receiver.server.close(resolve));
+    await database.tearDown();
+  });
+
+  beforeEach(async () => {
+    receiver.requests = [];
+    receiver.statuses = [];
+    webhook = await webhooks.createWebhook({ studyId: STUDY_ID, url: receiver.url, events: ['survey.submitted'] });
+  });
+
+  afterEach(() => webhooks.deleteWebhook(STUDY_ID, webhook.webhookId));
+
+  async function emitSubmitted(surveyId = 'S-1') {
+    await webhooks.emit({ studyId: STUDY_ID, type: 'survey.submitted', data: { surveyId } });
+    const [delivery] = await webhooks.listDeliveries(STUDY_ID, { webhookId: webhook.webhookId });
+    return delivery;
+  }
+
+  test('signs the body with an HMAC of the timestamp and the raw body', async () => {
+    const delivery = await emitSubmitted();
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 1, retrying: 0, dead: 0 });
+
+    expect(receiver.requests).toHaveLength(1);
+    const [{ method, headers, body }] = receiver.requests;
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    expect(method).toBe('POST');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(60);
+    expect(headers).toEqual(expect.objectContaining({
+      'content-type': 'application/json',
+      'x-webhook-id': webhook.webhookId,
+      'x-webhook-delivery': delivery.deliveryId,
+      'x-webhook-event': 'survey.submitted'
+    }));
+    expect(JSON.parse(body)).toEqual({
+      id: delivery.eventId,
+      type: 'survey.submitted',
+      studyId: STUDY_ID,
+      createdAt: expect.any(String),
+      data: { surveyId: 'S-1' }
+    });
+
+    expect(await webhooks.findDelivery(STUDY_ID, delivery.deliveryId)).toEqual(expect.objectContaining({
+      status: 'delivered',
+      attempts: 1,
+      lastStatusCode: 200,
+      nextAttemptAt: null
+    }));
+  });
+
+  test('does not sign with a rotated-out secret', async () => {
+    const rotated = await webhooks.rotateSecret(STUDY_ID, webhook.webhookId);
+    await emitSubmitted();
+    await webhooks.deliverDue();
+
+    const [{ headers, body }] = receiver.requests;
+    const sign = secret => `sha256=${crypto.createHmac('sha256', secret)
+      .update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')}`;
+    expect(headers['x-webhook-signature']).toBe(sign(rotated.secret));
+    expect(headers['x-webhook-signature']).not.toBe(sign(webhook.secret));
+  });
+
+  test('backs off exponentially on non-2xx responses, then dead-letters', async () => {
+    receiver.statuses = Array(10).fill(503);
+    const delivery = await emitSubmitted();
+
+    for (let attempt = 1; attempt < 10; attempt++) {
+      expect(await webhooks.deliverDue()).toEqual({ delivered: 0, retrying: 1, dead: 0 });
+      const current = await webhooks.findDelivery(STUDY_ID, delivery.deliveryId);
+      const last = current.attemptLog[current.attemptLog.length - 1];
+
+      expect(current).toEqual(expect.objectContaining({ status: 'pending', attempts: attempt, lastStatusCode: 503, lastError: 'HTTP 503' }));
+      // 30 seconds doubling with each attempt, at most an hour
+      const waited = Date.parse(current.nextAttemptAt) - Date.parse(last.attemptedAt) - last.durationMs;
+      expect(waited).toBe(Math.min(0.5 * MINUTE * 2 ** (attempt - 1), 60 * MINUTE));
+
+      // Not retried before it is due
+      expect(await webhooks.deliverDue()).toEqual({ delivered: 0, retrying: 0, dead: 0 });
+      await makeRetriesDue();
+    }
+
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 0, retrying: 0, dead: 1 });
+    const dead = await webhooks.findDelivery(STUDY_ID, delivery.deliveryId);
+    expect(dead).toEqual(expect.objectContaining({ status: 'dead', attempts: 10, nextAttemptAt: null }));
+    expect(dead.attemptLog).toHaveLength(10);
+    expect(dead.attemptLog.every(attempt => attempt.statusCode === 503)).toBe(true);
+    expect(await webhooks.listDeliveries(STUDY_ID, { statuses: ['dead'] }))
+      .toEqual([expect.objectContaining({ deliveryId: delivery.deliveryId })]);
+
+    // A dead delivery is never picked up again
+    await makeRetriesDue();
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 0, retrying: 0, dead: 0 });
+    expect(receiver.requests).toHaveLength(10);
+  });
+
+  test('a network failure is retried like an error response', async () => {
+    await webhooks.updateWebhook(STUDY_ID, webhook.webhookId, { url: await unreachableUrl() });
+    const delivery = await emitSubmitted();
+
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 0, retrying: 1, dead: 0 });
+    expect(await webhooks.findDelivery(STUDY_ID, delivery.deliveryId)).toEqual(expect.objectContaining({
+      status: 'pending',
+      lastStatusCode: null,
+      lastError: expect.stringMatching(/ECONNREFUSED/)
+    }));
+  });
+
+  test('redelivers an event manually as a new delivery with the same event ID', async () => {
+    receiver.statuses = [500];
+    const original = await emitSubmitted();
+    await webhooks.deliverDue();
+    await run("UPDATE webhook_deliveries SET status = 'dead', next_attempt_at = NULL WHERE delivery_id = ?", [original.deliveryId]);
+
+    const redelivery = await webhooks.redeliver(STUDY_ID, original.deliveryId);
+    expect(redelivery).toEqual(expect.objectContaining({
+      status: 'pending',
+      attempts: 0,
+      eventId: original.eventId,
+      redeliveryOf: original.deliveryId
+    }));
+
+    expect(await webhooks.deliverDue()).toEqual({ delivered: 1, retrying: 0, dead: 0 });
+    const [first, second] = receiver.requests;
+    expect(second.body).toBe(first.body);
+    expect(second.headers['x-webhook-delivery']).toBe(redelivery.deliveryId);
+    expect((await webhooks.findDelivery(STUDY_ID, original.deliveryId)).status).toBe('dead');
+    expect((await webhooks.findDelivery(STUDY_ID, redelivery.deliveryId)).status).toBe('delivered');
+  });
+
+  test('refuses to redeliver to an inactive webhook', async () => {
+    const delivery = await emitSubmitted();
+    await webhooks.deliverDue();
+    await webhooks.updateWebhook(STUDY_ID, webhook.webhookId, { isActive: false });
+
+    await expect(webhooks.redeliver(STUDY_ID, delivery.deliveryId))
+      .rejects.toEqual(expect.objectContaining({ name: 'WebhookError', status: 409 }));
+    expect(await webhooks.redeliver(STUDY_ID, 'no-such-delivery')).toBeNull();
+  });
+});